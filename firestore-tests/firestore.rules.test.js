@@ -0,0 +1,291 @@
+// Firestore/Storage 보안 규칙 테스트 (Firestore, Storage 에뮬레이터 필요): npm run test:rules
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, collection, writeBatch, Timestamp } = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-household-ledger';
+const appId = 'my-household-ledger-app';
+const ledgersPath = `artifacts/${appId}/public/data/household_ledgers`;
+const LEDGER_ID = 'ledger-1';
+const LEGACY_LEDGER_ID = 'legacy-ledger';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let testEnv;
+
+const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const ledgerRef = (db, ledgerId = LEDGER_ID) => doc(db, ledgersPath, ledgerId);
+const inviteRef = (db, code) => doc(db, `${ledgersPath}/${LEDGER_ID}/invites`, code);
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+    storage: { rules: fs.readFileSync(path.resolve(__dirname, '../storage.rules'), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(ledgerRef(db), {
+      ownerId: 'owner',
+      members: {
+        owner: { displayName: '아내', color: '#6366f1', role: 'owner' },
+        editor: { displayName: '남편', color: '#ec4899', role: 'editor' },
+        viewer: { displayName: '부모님', color: '#14b8a6', role: 'viewer' },
+      },
+      budgets: { 식비: 500000 },
+    });
+    await setDoc(doc(db, `${ledgersPath}/${LEDGER_ID}/entries`, 'entry-1'), {
+      date: Timestamp.fromDate(new Date('2025-05-01')),
+      type: 'expense',
+      amount: 15000,
+      category: '식비',
+      paymentMethod: '현금',
+      memo: '',
+      recordedBy: 'owner',
+    });
+    await setDoc(inviteRef(db, 'VALIDCODE1'), {
+      role: 'editor',
+      createdBy: 'owner',
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+      usedBy: null,
+    });
+    await setDoc(inviteRef(db, 'VIEWCODE01'), {
+      role: 'viewer',
+      createdBy: 'owner',
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+      usedBy: null,
+    });
+    await setDoc(inviteRef(db, 'EXPIRED001'), {
+      role: 'editor',
+      createdBy: 'owner',
+      expiresAt: Timestamp.fromMillis(Date.now() - DAY),
+      usedBy: null,
+    });
+    await setDoc(inviteRef(db, 'USEDCODE01'), {
+      role: 'editor',
+      createdBy: 'owner',
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+      usedBy: 'someone',
+    });
+    await setDoc(ledgerRef(db, LEGACY_LEDGER_ID), { ownerId: 'legacy-owner' });
+  });
+});
+
+const joinWithInvite = (uid, code, role = 'editor', { markUsed = true } = {}) => {
+  const db = firestoreAs(uid);
+  const batch = writeBatch(db);
+  if (markUsed) {
+    batch.update(inviteRef(db, code), { usedBy: uid, usedAt: Timestamp.now() });
+  }
+  batch.update(ledgerRef(db), {
+    [`members.${uid}`]: { displayName: '', color: '#ec4899', role, inviteCode: code },
+  });
+  return batch.commit();
+};
+
+describe('ledger document', () => {
+  test('members can read, strangers and signed-out users cannot', async () => {
+    await assertSucceeds(getDoc(ledgerRef(firestoreAs('owner'))));
+    await assertSucceeds(getDoc(ledgerRef(firestoreAs('viewer'))));
+    await assertFails(getDoc(ledgerRef(firestoreAs('stranger'))));
+    await assertFails(getDoc(ledgerRef(testEnv.unauthenticatedContext().firestore())));
+  });
+
+  test('a ledger can only be created with the creator as its sole owner', async () => {
+    const db = firestoreAs('alice');
+    await assertSucceeds(setDoc(ledgerRef(db, 'new-ledger'), {
+      ownerId: 'alice',
+      members: { alice: { displayName: '', color: '#6366f1', role: 'owner' } },
+    }));
+    await assertFails(setDoc(ledgerRef(db, 'other-ledger'), {
+      ownerId: 'bob',
+      members: { bob: { displayName: '', color: '#6366f1', role: 'owner' } },
+    }));
+    await assertFails(setDoc(ledgerRef(db, 'sneaky-ledger'), {
+      ownerId: 'alice',
+      members: {
+        alice: { displayName: '', color: '#6366f1', role: 'owner' },
+        bob: { displayName: '', color: '#ec4899', role: 'editor' },
+      },
+    }));
+  });
+
+  test('editors can change shared settings but not members', async () => {
+    const db = firestoreAs('editor');
+    await assertSucceeds(updateDoc(ledgerRef(db), { budgets: { 식비: 600000 } }));
+    await assertFails(updateDoc(ledgerRef(db), { 'members.editor.role': 'owner' }));
+    await assertFails(updateDoc(ledgerRef(db), { 'members.viewer': deleteField() }));
+    await assertFails(updateDoc(ledgerRef(db), { ownerId: 'editor' }));
+  });
+
+  test('viewers cannot change shared settings', async () => {
+    await assertFails(updateDoc(ledgerRef(firestoreAs('viewer')), { budgets: {} }));
+  });
+
+  test('every member can edit only their own display name and color', async () => {
+    const db = firestoreAs('viewer');
+    await assertSucceeds(updateDoc(ledgerRef(db), {
+      'members.viewer.displayName': '어머니',
+      'members.viewer.color': '#f59e0b',
+    }));
+    await assertFails(updateDoc(ledgerRef(db), { 'members.viewer.role': 'editor' }));
+    await assertFails(updateDoc(ledgerRef(db), { 'members.editor.displayName': '바보' }));
+  });
+
+  test('the owner can change roles and remove members', async () => {
+    const db = firestoreAs('owner');
+    await assertSucceeds(updateDoc(ledgerRef(db), { 'members.viewer.role': 'editor' }));
+    await assertSucceeds(updateDoc(ledgerRef(db), { 'members.editor': deleteField() }));
+    await assertFails(getDoc(ledgerRef(firestoreAs('editor'))));
+  });
+
+  test('editors and viewers can leave, but only by removing themselves', async () => {
+    await assertFails(updateDoc(ledgerRef(firestoreAs('viewer')), { 'members.editor': deleteField() }));
+    await assertSucceeds(updateDoc(ledgerRef(firestoreAs('viewer')), { 'members.viewer': deleteField() }));
+    await assertSucceeds(updateDoc(ledgerRef(firestoreAs('editor')), { 'members.editor': deleteField() }));
+    await assertFails(getDoc(ledgerRef(firestoreAs('editor'))));
+  });
+
+  test('legacy ledgers without a members map are only open to their owner', async () => {
+    await assertSucceeds(getDoc(ledgerRef(firestoreAs('legacy-owner'), LEGACY_LEDGER_ID)));
+    await assertSucceeds(updateDoc(ledgerRef(firestoreAs('legacy-owner'), LEGACY_LEDGER_ID), {
+      'members.legacy-owner': { displayName: '', color: '#6366f1', role: 'owner' },
+    }));
+    await assertFails(getDoc(ledgerRef(firestoreAs('stranger'), LEGACY_LEDGER_ID)));
+  });
+
+  test('nobody can delete a ledger', async () => {
+    await assertFails(deleteDoc(ledgerRef(firestoreAs('owner'))));
+  });
+});
+
+describe('invites', () => {
+  test('only the owner can create and list invites', async () => {
+    const invite = {
+      role: 'editor',
+      createdBy: 'owner',
+      createdAt: Timestamp.now(),
+      expiresAt: Timestamp.fromMillis(Date.now() + DAY),
+      usedBy: null,
+    };
+    await assertSucceeds(setDoc(inviteRef(firestoreAs('owner'), 'NEWCODE001'), invite));
+    await assertFails(setDoc(inviteRef(firestoreAs('editor'), 'NEWCODE002'), { ...invite, createdBy: 'editor' }));
+    await assertFails(setDoc(inviteRef(firestoreAs('owner'), 'NEWCODE003'), { ...invite, role: 'owner' }));
+
+    await assertSucceeds(getDocs(collection(firestoreAs('owner'), `${ledgersPath}/${LEDGER_ID}/invites`)));
+    await assertFails(getDocs(collection(firestoreAs('stranger'), `${ledgersPath}/${LEDGER_ID}/invites`)));
+  });
+
+  test('anyone who knows a code can look it up', async () => {
+    await assertSucceeds(getDoc(inviteRef(firestoreAs('stranger'), 'VALIDCODE1')));
+  });
+
+  test('a valid invite lets a stranger join with the invited role', async () => {
+    await assertSucceeds(joinWithInvite('spouse', 'VALIDCODE1', 'editor'));
+    await assertSucceeds(getDoc(ledgerRef(firestoreAs('spouse'))));
+  });
+
+  test('joining requires marking the invite as used in the same write', async () => {
+    await assertFails(joinWithInvite('spouse', 'VALIDCODE1', 'editor', { markUsed: false }));
+  });
+
+  test('joining cannot claim a higher role than the invite grants', async () => {
+    await assertFails(joinWithInvite('spouse', 'VIEWCODE01', 'editor'));
+    await assertFails(joinWithInvite('spouse', 'VALIDCODE1', 'owner'));
+  });
+
+  test('expired and already used invites are rejected', async () => {
+    await assertFails(joinWithInvite('spouse', 'EXPIRED001', 'editor'));
+    await assertFails(joinWithInvite('spouse', 'USEDCODE01', 'editor'));
+  });
+
+  test('an invite can be used only once', async () => {
+    await assertSucceeds(joinWithInvite('spouse', 'VALIDCODE1', 'editor'));
+    await assertFails(joinWithInvite('intruder', 'VALIDCODE1', 'editor'));
+  });
+});
+
+describe('ledger subcollections', () => {
+  const entriesRef = (db) => collection(db, `${ledgersPath}/${LEDGER_ID}/entries`);
+  const newEntry = (uid) => ({
+    date: Timestamp.now(),
+    type: 'expense',
+    amount: 5000,
+    category: '식비',
+    paymentMethod: '현금',
+    memo: '',
+    recordedBy: uid,
+  });
+
+  test('members can read entries, strangers cannot', async () => {
+    await assertSucceeds(getDocs(entriesRef(firestoreAs('viewer'))));
+    await assertFails(getDocs(entriesRef(firestoreAs('stranger'))));
+  });
+
+  test('owners and editors can write entries, viewers cannot', async () => {
+    await assertSucceeds(setDoc(doc(entriesRef(firestoreAs('owner'))), newEntry('owner')));
+    await assertSucceeds(setDoc(doc(entriesRef(firestoreAs('editor'))), newEntry('editor')));
+    await assertFails(setDoc(doc(entriesRef(firestoreAs('viewer'))), newEntry('viewer')));
+    await assertFails(updateDoc(doc(entriesRef(firestoreAs('viewer')), 'entry-1'), { amount: 1 }));
+  });
+
+  test('revisions are append-only and attributed to the writer', async () => {
+    const revisionsPath = `${ledgersPath}/${LEDGER_ID}/revisions`;
+    const revision = (uid) => ({ entryId: 'entry-1', action: 'update', before: {}, after: {}, changedBy: uid });
+
+    await assertSucceeds(setDoc(doc(firestoreAs('editor'), revisionsPath, 'rev-1'), revision('editor')));
+    await assertFails(setDoc(doc(firestoreAs('editor'), revisionsPath, 'rev-2'), revision('owner')));
+    await assertFails(setDoc(doc(firestoreAs('viewer'), revisionsPath, 'rev-3'), revision('viewer')));
+    await assertFails(updateDoc(doc(firestoreAs('editor'), revisionsPath, 'rev-1'), { action: 'delete' }));
+  });
+});
+
+describe('user profiles', () => {
+  test('users can only access their own profile', async () => {
+    await assertSucceeds(setDoc(doc(firestoreAs('alice'), `artifacts/${appId}/users`, 'alice'), { lastLedgerId: LEDGER_ID }));
+    await assertFails(getDoc(doc(firestoreAs('bob'), `artifacts/${appId}/users`, 'alice')));
+  });
+});
+
+describe('receipt attachments', () => {
+  const attachmentPath = (fileId) => `artifacts/${appId}/ledgers/${LEDGER_ID}/attachments/${fileId}`;
+  const storageAs = (uid) => testEnv.authenticatedContext(uid).storage();
+  const upload = (storage, fileId, contentType = 'image/jpeg', size = 3) => (
+    storage.ref(attachmentPath(fileId)).put(new Uint8Array(size), { contentType }).then(snapshot => snapshot)
+  );
+
+  beforeEach(async () => {
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(context => upload(context.storage(), 'receipt-1'));
+  });
+
+  test('members can view attachments, strangers cannot', async () => {
+    await assertSucceeds(storageAs('viewer').ref(attachmentPath('receipt-1')).getDownloadURL());
+    await assertFails(storageAs('stranger').ref(attachmentPath('receipt-1')).getDownloadURL());
+  });
+
+  test('owners and editors can upload photos and PDFs, viewers cannot', async () => {
+    await assertSucceeds(upload(storageAs('owner'), 'photo'));
+    await assertSucceeds(upload(storageAs('editor'), 'statement', 'application/pdf'));
+    await assertFails(upload(storageAs('viewer'), 'viewer-photo'));
+  });
+
+  test('other file types and files over 10MB are rejected', async () => {
+    await assertFails(upload(storageAs('editor'), 'script', 'text/html'));
+    await assertFails(upload(storageAs('editor'), 'huge', 'application/pdf', 10 * 1024 * 1024 + 1));
+  });
+
+  test('owners and editors can delete attachments, viewers cannot', async () => {
+    await assertFails(storageAs('viewer').ref(attachmentPath('receipt-1')).delete());
+    await assertSucceeds(storageAs('editor').ref(attachmentPath('receipt-1')).delete());
+  });
+});
@@ -0,0 +1,65 @@
+/* eslint-disable no-restricted-globals */
+// 앱 셸(HTML/JS/CSS/아이콘)을 캐시하여 오프라인에서도 앱을 열 수 있게 합니다.
+// 가계부 데이터는 Firestore 로컬 캐시가 담당하므로 여기서는 같은 출처의 정적 파일만 다룹니다.
+const CACHE_NAME = 'household-ledger-shell-v2';
+const APP_SHELL = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+  );
+  self.clients.claim();
+});
+
+const fetchAndCache = (request) => fetch(request).then((response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+  }
+  return response;
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // 페이지 이동: 네트워크 우선, 실패하면 캐시된 index.html
+  // 404/5xx 같은 오류 페이지로 캐시된 앱 셸을 덮어쓰지 않도록 정상 응답만 저장합니다.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put('/index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // 빌드 결과물(/static/, 파일명에 해시 포함)은 내용이 바뀌면 이름도 바뀌므로 캐시 우선
+  if (url.pathname.startsWith('/static/')) {
+    event.respondWith(caches.match(request).then((cached) => cached || fetchAndCache(request)));
+    return;
+  }
+
+  // manifest.json, 아이콘 등 이름이 그대로인 파일: 캐시된 것을 바로 쓰고 뒤에서 새로 받아 둡니다 (stale-while-revalidate).
+  // 바뀐 파일은 다음에 열 때 반영됩니다.
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const network = fetchAndCache(request);
+      if (!cached) return network;
+      event.waitUntil(network.catch(() => undefined));
+      return cached;
+    })
+  );
+});
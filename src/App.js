@@ -1,9 +1,14 @@
-import React, { useState, useEffect, createContext, useContext, useCallback, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useRef, createContext, useContext, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, addDoc, collection, query, onSnapshot, orderBy, serverTimestamp } from 'firebase/firestore';
+import { getAuth, signInAnonymously, onAuthStateChanged, connectAuthEmulator, EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, getDoc, setDoc, addDoc, updateDoc, deleteDoc, query, onSnapshot, orderBy, where, limit, serverTimestamp, deleteField, runTransaction } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
-import { PlusCircle, Wallet, TrendingUp, Download, Settings, Home, Calendar, CircleDollarSign, PiggyBank, Utensils, Car, Phone, BookOpen, ShoppingBag, Landmark, ChevronLeft, ChevronRight, X, BellRing, AlertCircle } from 'lucide-react';
+import { PlusCircle, Wallet, TrendingUp, Download, Settings, Home, Calendar, CircleDollarSign, PiggyBank, Utensils, Car, Phone, BookOpen, ShoppingBag, Landmark, ChevronLeft, ChevronRight, X, BellRing, AlertCircle, Pencil, Trash2, History, Repeat, Upload, Gift, PawPrint, Coffee, Shirt, Stethoscope, GraduationCap, Plane, Baby, Heart, Film, Dumbbell, Receipt, Shield, CreditCard, Banknote, Smartphone, Bus, Tag, ArrowUp, ArrowDown, Archive, ArchiveRestore, UserCircle, LogOut, Users, Copy, WifiOff, CloudUpload, Cloud, Search, SlidersHorizontal, ArrowLeftRight, BarChart3, FileText, FileSpreadsheet, Calculator, Paperclip, Scale, Wand2 } from 'lucide-react';
+import { userProfileRef, ledgerDocRef, ledgerCollectionRef, useLedgerEntries, usePendingEntryCount, fetchEntries, DEFAULT_LEDGER_NAME, getProfileLedgers, saveProfileLedger, removeProfileLedger, leaveLedger, findLegacyMemberIds, validateEntryInput, addEntry, updateEntry, deleteEntry, importEntries, planFieldRename, getMonthRange, getMonthRangeFromKey, getTrendRange, getDateStringRange, getAccountsRange, isInRange, toEntryDate, toMonthKey, sortEntries, sortEntriesByDateDesc, filterEntries, summarizeEntries, computeAccountBalances, getNetWorth, getGoalsRange, computeGoalProgress, MAX_INSTALLMENT_MONTHS, isBillingCard, getCardPayments, forecastCardPayments, useInstallmentEntries, getInstallmentSchedule, getInstallmentAmounts, spreadInstallments, getActiveInstallments, mergeEntries, getPreviousYearRange, getReportQueryRange, buildReport, DEFAULT_TAX_RULES, getTaxRules, PAYMENT_TAX_GROUPS, CATEGORY_TAX_GROUPS, computeTaxDeduction, getEqualShares, computeSettlement, useSettlements, addSettlement, deleteSettlement, normalizeTags, getPrimaryCategory, getCategoryLines, formatCategoryLines, collectTags, DUPLICATE_WINDOW_DAYS, findDuplicatePairs, findOutlierEntries, getStaleReviewKeys, checkNewEntry, mergeDuplicateEntry, RULE_MATCH_TYPES, isValidRulePattern, findMatchingRule, planRuleApplications, suggestRulesFromEntries, patchEntries, BASE_CURRENCY, isForeignEntry, convertToBaseCurrency, findExchangeRate, getLatestExchangeRates, parseExchangeRateRows, mergeExchangeRates, buildMonthlyTrend, computeBudgetStatus, forecastMonthEnd, getSafeDailySpending, forecastMonthlyTrend, WEEKDAY_LABELS, todayDateString, addDaysToDateString, getRecurringOccurrences, describeRecurrence, postDueRecurringEntries } from './ledgerData';
+import { downloadCsv, downloadPdf, downloadXlsx } from './statementExport';
+import { IMPORT_FIELDS, parseCsv, detectHeaderRow, guessColumnMapping, parseImportDate, buildImportRows, decodeCsvFile } from './csvImport';
+import { MAX_ATTACHMENT_COUNT, ACCEPTED_ATTACHMENT_TYPES, isPdfAttachment, prepareAttachment, uploadAttachment, getAttachmentUrl, deleteAttachments, getRemovedAttachments } from './attachments';
 
 // Tailwind CSS is assumed to be available
 
@@ -21,36 +26,201 @@ const firebaseConfig = {
   appId: "1:796055241473:web:f931d8a623a10630625100",
   measurementId: "G-CMDG2PYKTE"
 };
-const appId = 'my-household-ledger-app'; // 앱을 식별하는 고유한 이름 (자유롭게 변경 가능, Firebase projectId와 다를 수 있음)
 const initialAuthToken = null; // 익명 로그인을 위해 null로 설정
 
+// 로컬 개발/테스트 시 `REACT_APP_USE_FIREBASE_EMULATORS=true npm start`로 실행하면 Firebase 에뮬레이터에 연결합니다.
+const useFirebaseEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+let emulatorsConnected = false; // StrictMode에서 effect가 두 번 실행돼도 한 번만 연결
+
+// 오프라인에서도 내역을 입력할 수 있도록 IndexedDB 기반 로컬 캐시를 사용합니다.
+// 쓰기는 로컬에 먼저 반영되고, 연결되면 자동으로 서버에 전송됩니다.
+const initLedgerFirestore = (app) => {
+  try {
+    return initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+  } catch (error) {
+    // 이미 초기화된 경우 (StrictMode 재실행 등)
+    return getFirestore(app);
+  }
+};
+
 // Context for Firebase and User
 const AppContext = createContext(null);
 
+// 새 가계부의 기본 목록. 실제 목록은 가계부 문서(categories, paymentMethods)에 저장되어 설정 탭에서 편집합니다.
+const DEFAULT_EXPENSE_CATEGORIES = ['식비', '교통비', '통신비', '문화생활비', '의료비', '교육비', '주거비(월세/관리비)', '경조사비', '의류/미용', '취미/여가', '대출상환', '세금/보험', '선물/기부', '차량유지', '기타 지출'];
+const DEFAULT_INCOME_CATEGORIES = ['급여', '부수입', '투자수입', '상여금', '용돈', '환급금', '기타 수입'];
+const DEFAULT_PAYMENT_METHODS = ['현금', '신용카드', '체크카드', '간편결제', '계좌이체', '상품권', '포인트', '기타 결제'];
+// 분류하지 못한 내역이 들어가는 카테고리 (CSV 가져오기 기본값, 자동 분류 규칙 일괄 적용 대상)
+const FALLBACK_CATEGORIES = { expense: '기타 지출', income: '기타 수입' };
+
+// 카테고리 아이콘은 이름(문자열)으로 저장하고 아래 목록에서 찾아 그립니다.
+const CATEGORY_ICONS = {
+  Utensils, Coffee, Bus, Car, Phone, Smartphone, Film, Stethoscope, BookOpen, GraduationCap, Home, Heart, Gift,
+  Shirt, ShoppingBag, Dumbbell, Plane, PawPrint, Baby, Landmark, Shield, Receipt, CreditCard, Banknote,
+  CircleDollarSign, Wallet, TrendingUp, PiggyBank, Tag,
+};
+
+const DEFAULT_CATEGORY_ICONS = {
+  '식비': 'Utensils', '교통비': 'Bus', '통신비': 'Phone', '문화생활비': 'Film', '의료비': 'Stethoscope', '교육비': 'BookOpen',
+  '주거비(월세/관리비)': 'Home', '경조사비': 'Heart', '의류/미용': 'Shirt', '취미/여가': 'Dumbbell', '대출상환': 'Landmark',
+  '세금/보험': 'Shield', '선물/기부': 'Gift', '차량유지': 'Car', '기타 지출': 'Tag',
+  '급여': 'CircleDollarSign', '부수입': 'Wallet', '투자수입': 'TrendingUp', '상여금': 'Banknote', '용돈': 'PiggyBank',
+  '환급금': 'Receipt', '기타 수입': 'Tag',
+};
+
+const buildDefaultLedgerLists = () => {
+  const toCategoryItem = (name) => ({ name, icon: DEFAULT_CATEGORY_ICONS[name] || null, archived: false, subcategories: [] });
+  return {
+    categories: {
+      expense: DEFAULT_EXPENSE_CATEGORIES.map(toCategoryItem),
+      income: DEFAULT_INCOME_CATEGORIES.map(toCategoryItem),
+    },
+    paymentMethods: DEFAULT_PAYMENT_METHODS.map(name => ({ name, archived: false })),
+  };
+};
+
+// 예전에 만든 가계부처럼 목록이 저장되지 않은 경우 기본 목록을 사용합니다.
+const getLedgerLists = (ledger) => {
+  const defaults = buildDefaultLedgerLists();
+  return {
+    expense: ledger?.categories?.expense || defaults.categories.expense,
+    income: ledger?.categories?.income || defaults.categories.income,
+    paymentMethods: ledger?.paymentMethods || defaults.paymentMethods,
+    accounts: ledger?.accounts || [],
+    savingsGoals: ledger?.savingsGoals || [],
+    categoryRules: ledger?.categoryRules || [],
+  };
+};
+
+// 계좌/카테고리 이름이 바뀌면 그 이름에 연결된 저축 목표도 함께 바꿉니다. 바뀐 목표가 없으면 null을 반환합니다.
+const renameGoalLinks = (goals, field, oldName, newName) => (
+  goals.some(goal => goal[field] === oldName)
+    ? goals.map(goal => (goal[field] === oldName ? { ...goal, [field]: newName } : goal))
+    : null
+);
+
+// 카테고리/결제 수단 이름이 바뀌면 자동 분류 규칙도 함께 바꿉니다. 카테고리는 같은 유형(type)의 규칙만 바꿉니다.
+const renameRuleLinks = (rules, field, oldName, newName, type) => {
+  const isLinked = (rule) => rule[field] === oldName && (!type || rule.type === type);
+  return rules.some(isLinked) ? rules.map(rule => (isLinked(rule) ? { ...rule, [field]: newName } : rule)) : null;
+};
+
+// 이름을 바꾸면 지난 내역을 서버에서 모두 찾아 함께 바꿔야 하므로 오프라인에서는 막습니다.
+const OFFLINE_RENAME_MESSAGE = "오프라인 상태에서는 이름을 바꿀 수 없습니다. 연결된 뒤에 다시 시도해주세요.";
+
+// planFieldRename으로 찾은 변경을 서버 응답을 기다리지 않고 커밋하고, 바뀔 지난 내역 수를 반환합니다.
+const commitFieldRenames = (renames, showMessage) => {
+  Promise.all(renames.map(rename => rename.commit())).catch(error => {
+    console.error("지난 내역 이름 변경 실패:", error);
+    showMessage(`지난 내역 이름 변경 실패: ${error.message}`);
+  });
+  return renames.reduce((sum, rename) => sum + rename.count, 0);
+};
+
+const useLedgerLists = () => {
+  const { ledger } = useContext(AppContext);
+  return useMemo(() => getLedgerLists(ledger), [ledger]);
+};
+
+const activeNames = (items) => items.filter(item => !item.archived).map(item => item.name);
+
+const ENTRY_TYPE_LABELS = { expense: '지출', income: '수입', transfer: '이체' };
+
+// 연말정산 공제 구분. 결제수단/지출 카테고리의 taxGroup에 저장하며, 없으면 기본 목록의 이름으로 정합니다.
+const PAYMENT_TAX_GROUP_LABELS = { credit: '신용카드', debit: '체크카드', cash: '현금영수증 대상', none: '공제 제외' };
+const CATEGORY_TAX_GROUP_LABELS = { medical: '의료비', education: '교육비', donation: '기부금' };
+const DEFAULT_PAYMENT_TAX_GROUPS = { '현금': 'cash', '신용카드': 'credit', '체크카드': 'debit', '간편결제': 'credit', '계좌이체': 'cash', '상품권': 'none', '포인트': 'none' };
+const DEFAULT_CATEGORY_TAX_GROUPS = { '의료비': 'medical', '교육비': 'education' };
+
+const getTaxGroups = (lists) => ({
+  paymentGroups: Object.fromEntries(lists.paymentMethods.map(item => [item.name, item.taxGroup ?? DEFAULT_PAYMENT_TAX_GROUPS[item.name]])),
+  categoryGroups: Object.fromEntries(lists.expense.map(item => [item.name, item.taxGroup ?? DEFAULT_CATEGORY_TAX_GROUPS[item.name]])),
+});
+
+const ACCOUNT_KINDS = [
+  { value: 'bank', label: '은행 계좌' },
+  { value: 'card', label: '신용카드' },
+  { value: 'cash', label: '현금' },
+  { value: 'savings', label: '저축/투자' },
+];
+const ACCOUNT_KIND_LABELS = Object.fromEntries(ACCOUNT_KINDS.map(({ value, label }) => [value, label]));
+
+const formatMonthKey = (monthKey) => {
+  const [year, month] = monthKey.split('-');
+  return `${year}년 ${Number(month)}월`;
+};
+
+const INSTALLMENT_MONTH_OPTIONS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 18, 24, MAX_INSTALLMENT_MONTHS];
+
+// 내역 목록에 표시할 제목. 이체는 카테고리 대신 출금/입금 계좌를 보여줍니다.
+const getEntryTitle = (entry) => {
+  if (entry.type === 'transfer') return `${entry.fromAccount} → ${entry.toAccount}`;
+  return entry.splitLines?.length > 1 ? `${entry.category} 외 ${entry.splitLines.length - 1}개` : entry.category;
+};
+
+// 외화 금액은 통화 기호와 통화별 소수 자릿수로 표시합니다 (예: US$12.50, JP¥1,200).
+const formatForeignAmount = (amount, currency) => amount.toLocaleString('ko-KR', { style: 'currency', currency });
+
+const CategoryIcon = ({ icon, className = 'w-4 h-4' }) => {
+  const Icon = CATEGORY_ICONS[icon];
+  return Icon ? <Icon className={className} /> : null;
+};
+
+const DEFAULT_BUDGET_ALERT_THRESHOLD = 80; // 예산 대비 사용률(%)이 이 값 이상이면 경고
+
 const App = () => {
   const [db, setDb] = useState(null);
+  const [storage, setStorage] = useState(null); // 영수증 첨부파일 저장소
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [authUser, setAuthUser] = useState(null); // { uid, isAnonymous, email }
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [ledgerId, setLedgerId] = useState(localStorage.getItem('householdLedgerId') || '');
+  const [ledger, setLedger] = useState(null); // 가계부 문서 데이터 (예산 등 공유 설정), id 포함
+  const [profile, setProfile] = useState(null); // 사용자 프로필 (참여한 가계부 목록), 로딩 전에는 null
   const [showLedgerSetup, setShowLedgerSetup] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [modalContent, setModalContent] = useState('');
-  const [activeTab, setActiveTab] = useState('dashboard'); // 'dashboard', 'input', 'history', 'settings'
+  // 검색 조건이 담긴 내역 링크(?tab=history&...)로 열면 내역 탭에서 시작합니다.
+  const [activeTab, setActiveTab] = useState(() => (new URLSearchParams(window.location.search).get('tab') === 'history' ? 'history' : 'dashboard')); // 'dashboard', 'input', 'history', 'report', 'tax', 'settle', 'settings'
 
   // Firebase Initialization and Authentication
   useEffect(() => {
     try {
       const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      const firestore = initLedgerFirestore(app);
       const firebaseAuth = getAuth(app);
+      const firebaseStorage = getStorage(app);
+
+      if (useFirebaseEmulators && !emulatorsConnected) {
+        connectAuthEmulator(firebaseAuth, 'http://127.0.0.1:9099', { disableWarnings: true });
+        connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+        connectStorageEmulator(firebaseStorage, '127.0.0.1', 9199);
+        emulatorsConnected = true;
+      }
 
       setDb(firestore);
+      setStorage(firebaseStorage);
       setAuth(firebaseAuth);
 
       const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
         if (user) {
+          // 이메일 계정으로 로그인한 경우 브라우저 저장소가 비어 있어도 마지막 가계부를 복원합니다.
+          try {
+            const profileSnap = await getDoc(userProfileRef(firestore, user.uid));
+            const savedLedgerId = profileSnap.exists() ? profileSnap.data().lastLedgerId : null;
+            if (savedLedgerId) {
+              setLedgerId(savedLedgerId);
+              localStorage.setItem('householdLedgerId', savedLedgerId);
+            }
+          } catch (error) {
+            console.error("사용자 프로필 로딩 실패:", error);
+          }
           setUserId(user.uid);
+          setAuthUser({ uid: user.uid, isAnonymous: user.isAnonymous, email: user.email });
         } else {
           try {
             // Use anonymous sign-in by default for simplicity
@@ -89,21 +259,186 @@ const App = () => {
     setModalContent('');
   }, []);
 
-  const handleCreateLedger = async () => {
+  // Subscribe to the ledger document for shared settings
+  useEffect(() => {
+    if (!db || !ledgerId) {
+      setLedger(null);
+      return;
+    }
+
+    // 가계부를 전환하는 동안 이전 가계부의 설정이 보이지 않도록 비웁니다.
+    setLedger(null);
+    const ledgerRef = ledgerDocRef(db, ledgerId);
+    const unsubscribe = onSnapshot(ledgerRef, (docSnap) => {
+      setLedger(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+    }, (error) => {
+      console.error("Error fetching ledger:", error);
+      if (error.code === 'permission-denied') {
+        // 구성원에서 제외되었거나 초대받지 않은 가계부
+        localStorage.removeItem('householdLedgerId');
+        setLedgerId('');
+        if (userId) {
+          removeProfileLedger(db, userId, ledgerId).catch(profileError => {
+            console.error("가계부 목록 정리 실패:", profileError);
+          });
+        }
+        showMessage("이 가계부에 접근할 권한이 없습니다. 초대 코드로 다시 참여해주세요. (예전처럼 가계부 ID로 참여했다면 소유자에게 새 초대 코드를 받아야 합니다.)");
+        return;
+      }
+      showMessage(`가계부 정보 로딩 실패: ${error.message}`);
+    });
+
+    return () => unsubscribe();
+  }, [db, ledgerId, userId, showMessage]);
+
+  // 참여한 가계부 목록 (헤더의 가계부 전환 메뉴)
+  useEffect(() => {
+    if (!db || !userId) {
+      setProfile(null);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(userProfileRef(db, userId), (docSnap) => {
+      setProfile(docSnap.exists() ? docSnap.data() : {});
+    }, (error) => {
+      console.error("Error fetching user profile:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  const userLedgers = useMemo(() => getProfileLedgers(profile), [profile]);
+
+  // 목록에 없는 가계부(이 기능 이전에 참여한 가계부)는 추가하고, 가계부 이름이 바뀌면 목록의 이름도 맞춥니다.
+  useEffect(() => {
+    if (!db || !userId || !profile || !ledger || ledger.id !== ledgerId || !getMemberRole(ledger, userId)) return;
+
+    const saved = profile.ledgers?.[ledgerId];
+    const name = ledger.name || '';
+    if (saved && saved.name === name) return;
+
+    saveProfileLedger(db, userId, ledgerId, saved ? { name } : { name, joinedAt: serverTimestamp() }).catch(error => {
+      console.error("가계부 목록 저장 실패:", error);
+    });
+  }, [db, userId, profile, ledger, ledgerId]);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // 아직 서버에 전송되지 않은 내역 수 (로컬 캐시에 남아 있으므로 새로고침 후에도 유지됩니다)
+  // 화면들이 구독 중인 모든 기간의 내역을 셉니다. 어느 탭에서든 지난달 이후 내역은 항상 포함되도록 따로 구독해 둡니다.
+  const recentRange = useMemo(() => {
+    const today = new Date();
+    return { start: getMonthRange(today.getFullYear(), today.getMonth() - 1).start, end: null };
+  }, []);
+  useLedgerEntries(db, ledgerId, recentRange);
+  const pendingEntryCount = usePendingEntryCount(ledgerId);
+
+  // 현재 가계부를 사용자 프로필에 기억합니다.
+  useEffect(() => {
+    if (!db || !ledgerId || !userId) return;
+
+    setDoc(userProfileRef(db, userId), { lastLedgerId: ledgerId }, { merge: true }).catch(error => {
+      console.error("사용자 프로필 저장 실패:", error);
+    });
+  }, [db, ledgerId, userId]);
+
+  // 역할이 생기기 전에 만든 가계부는 소유자가 열 때 소유자를 owner로 등록하고, 가계부 ID로 참여했던 배우자를 편집자로 등록합니다.
+  // (보안 규칙은 members에 없는 사용자를 막으므로, 등록하지 않으면 배우자가 가계부를 열 수 없습니다.)
+  // 소유자에게 역할이 생기면 다시 실행되지 않으므로 내보낸 구성원이 되살아나지 않습니다.
+  useEffect(() => {
+    if (!db || !ledgerId || !userId || !ledger || ledger.ownerId !== userId || ledger.members?.[userId]?.role === 'owner') return;
+
+    findLegacyMemberIds(db, ledgerId, ledger)
+      .then(memberIds => {
+        const changes = ledger.members?.[userId]
+          ? { [`members.${userId}.role`]: 'owner' }
+          : { [`members.${userId}`]: { displayName: '', color: MEMBER_COLORS[0], role: 'owner', joinedAt: serverTimestamp() } };
+        const usedColors = [...Object.values(ledger.members || {}).map(member => member.color), MEMBER_COLORS[0]];
+        memberIds.forEach(memberId => {
+          const color = MEMBER_COLORS.find(item => !usedColors.includes(item)) || MEMBER_COLORS[0];
+          usedColors.push(color);
+          changes[`members.${memberId}`] = { displayName: '', color, role: 'editor', joinedAt: serverTimestamp() };
+        });
+        return updateDoc(ledgerDocRef(db, ledgerId), changes);
+      })
+      .catch(error => {
+        console.error("구성원 등록 실패:", error);
+      });
+  }, [db, ledgerId, userId, ledger]);
+
+  const role = getMemberRole(ledger, userId);
+  const canEdit = role === 'owner' || role === 'editor';
+  const hasPartner = Object.keys(ledger?.members || {}).length > 1; // 정산 탭은 구성원이 둘 이상일 때만 보입니다.
+
+  // 계정 연결(익명 → 이메일)은 onAuthStateChanged가 호출되지 않으므로 직접 갱신합니다.
+  const refreshAuthUser = useCallback(() => {
+    const user = auth?.currentUser;
+    if (user) {
+      setAuthUser({ uid: user.uid, isAnonymous: user.isAnonymous, email: user.email });
+    }
+  }, [auth]);
+
+  // 새로고침 없이 가계부를 전환합니다. 빈 값이면 가계부 설정 화면으로 돌아갑니다.
+  const selectLedger = useCallback((nextLedgerId) => {
+    if (nextLedgerId) {
+      localStorage.setItem('householdLedgerId', nextLedgerId);
+    } else {
+      localStorage.removeItem('householdLedgerId');
+    }
+    setLedgerId(nextLedgerId);
+  }, []);
+
+  const handleSignOut = async () => {
+    try {
+      selectLedger('');
+      await signOut(auth); // 로그아웃 후에는 onAuthStateChanged에서 다시 익명으로 로그인합니다.
+    } catch (error) {
+      console.error("로그아웃 실패:", error);
+      showMessage(`로그아웃 실패: ${error.message}`);
+    }
+  };
+
+  // 앱을 열 때 아직 기록되지 않은 반복 내역을 자동으로 추가합니다.
+  useEffect(() => {
+    if (!db || !ledgerId || !userId || !canEdit) return;
+
+    postDueRecurringEntries(db, ledgerId, userId).catch(error => {
+      console.error("반복 내역 자동 등록 실패:", error);
+    });
+  }, [db, ledgerId, userId, canEdit]);
+
+  const handleCreateLedger = async (name) => {
     if (!db || !userId) {
       showMessage("Firebase가 준비되지 않았습니다. 잠시 후 다시 시도해주세요.");
       return;
     }
+    if (!name.trim()) {
+      showMessage("가계부 이름을 입력해주세요.");
+      return;
+    }
     const newLedgerId = crypto.randomUUID();
-    const ledgerRef = doc(db, `artifacts/${appId}/public/data/household_ledgers`, newLedgerId);
+    const ledgerRef = ledgerDocRef(db, newLedgerId);
     try {
       await setDoc(ledgerRef, {
+        name: name.trim(),
         ownerId: userId,
         createdAt: serverTimestamp(),
+        members: {
+          [userId]: { displayName: '', color: MEMBER_COLORS[0], role: 'owner', joinedAt: serverTimestamp() },
+        },
+        ...buildDefaultLedgerLists(),
       });
-      setLedgerId(newLedgerId);
-      localStorage.setItem('householdLedgerId', newLedgerId);
-      showMessage(`새 가계부가 생성되었습니다! 가계부 ID: ${newLedgerId}. 이 ID를 배우자와 공유하세요.`);
+      selectLedger(newLedgerId);
+      showMessage("새 가계부가 생성되었습니다! 설정 탭에서 초대 코드를 만들어 배우자와 공유하세요.");
       setShowLedgerSetup(false);
     } catch (error) {
       console.error("가계부 생성 실패:", error);
@@ -111,26 +446,22 @@ const App = () => {
     }
   };
 
-  const handleJoinLedger = async (inputLedgerId) => {
+  const handleJoinLedger = async (inviteInput) => {
     if (!db || !userId) {
       showMessage("Firebase가 준비되지 않았습니다. 잠시 후 다시 시도해주세요.");
       return;
     }
-    if (!inputLedgerId) {
-      showMessage("가계부 ID를 입력해주세요.");
+    const invite = parseInviteInput(inviteInput);
+    if (!invite) {
+      showMessage("초대 링크 또는 초대 코드를 입력해주세요.");
       return;
     }
-    const ledgerRef = doc(db, `artifacts/${appId}/public/data/household_ledgers`, inputLedgerId);
     try {
-      const docSnap = await getDoc(ledgerRef);
-      if (docSnap.exists()) {
-        setLedgerId(inputLedgerId);
-        localStorage.setItem('householdLedgerId', inputLedgerId);
-        showMessage(`가계부에 성공적으로 참여했습니다!`);
-        setShowLedgerSetup(false);
-      } else {
-        showMessage("존재하지 않는 가계부 ID입니다.");
-      }
+      await acceptInvite(db, invite.ledgerId, invite.code, userId);
+      selectLedger(invite.ledgerId);
+      window.history.replaceState(null, '', window.location.pathname); // 초대 링크 파라미터 제거
+      showMessage(`가계부에 성공적으로 참여했습니다!`);
+      setShowLedgerSetup(false);
     } catch (error) {
       console.error("가계부 참여 실패:", error);
       showMessage(`가계부 참여 실패: ${error.message}`);
@@ -150,7 +481,13 @@ const App = () => {
       <LedgerSetup
         onCreate={handleCreateLedger}
         onJoin={handleJoinLedger}
+        initialInvite={getInviteFromUrl()}
+        auth={auth}
+        authUser={authUser}
         userId={userId}
+        onCancel={ledgerId ? () => setShowLedgerSetup(false) : null}
+        ledgers={userLedgers.filter(item => item.id !== ledgerId)}
+        onSelect={selectLedger}
         showMessage={showMessage}
         closeModal={closeModal}
         showModal={showModal}
@@ -160,29 +497,45 @@ const App = () => {
   }
 
   return (
-    <AppContext.Provider value={{ db, auth, userId, ledgerId, showMessage }}>
+    <AppContext.Provider value={{ db, storage, auth, authUser, userId, ledgerId, ledger, role, canEdit, isOnline, userLedgers, selectLedger, showMessage, refreshAuthUser, handleSignOut }}>
       <div className="min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50 font-inter text-gray-800 flex flex-col">
         {/* Header */}
         <header className="bg-white shadow-sm p-4 flex items-center justify-between sticky top-0 z-10">
-          <h1 className="text-2xl font-bold text-indigo-700">부부 가계부</h1>
-          <div className="text-sm text-gray-500">
-            <span className="font-semibold">ID:</span> {userId?.substring(0, 8)}...
+          <div className="flex items-center space-x-3 min-w-0">
+            <h1 className="text-2xl font-bold text-indigo-700 whitespace-nowrap">부부 가계부</h1>
+            <LedgerSwitcher
+              ledgers={userLedgers}
+              currentLedger={ledger}
+              ledgerId={ledgerId}
+              onSelect={selectLedger}
+              onAdd={() => setShowLedgerSetup(true)}
+            />
+          </div>
+          <div className="flex items-center space-x-3 text-sm text-gray-500">
+            <SyncStatusBadge isOnline={isOnline} pendingCount={pendingEntryCount} />
+            <MemberName ledger={ledger} uid={userId} />
           </div>
         </header>
 
         {/* Main Content */}
         <main className="flex-grow p-4 overflow-y-auto">
           {activeTab === 'dashboard' && <DashboardTab />}
-          {activeTab === 'input' && <InputTab />}
+          {activeTab === 'input' && canEdit && <InputTab />}
           {activeTab === 'history' && <HistoryTab />}
-          {activeTab === 'settings' && <SettingsTab setLedgerId={setLedgerId} setShowLedgerSetup={setShowLedgerSetup} />}
+          {activeTab === 'report' && <ReportTab />}
+          {activeTab === 'tax' && <TaxTab />}
+          {activeTab === 'settle' && hasPartner && <SettlementTab />}
+          {activeTab === 'settings' && <SettingsTab onAddLedger={() => setShowLedgerSetup(true)} />}
         </main>
 
         {/* Navigation Bar */}
         <nav className="bg-white shadow-lg p-3 flex justify-around items-center sticky bottom-0 z-10 rounded-t-xl">
           <NavItem icon={<Home className="w-6 h-6" />} label="대시보드" active={activeTab === 'dashboard'} onClick={() => setActiveTab('dashboard')} />
-          <NavItem icon={<PlusCircle className="w-6 h-6" />} label="입력" active={activeTab === 'input'} onClick={() => setActiveTab('input')} />
+          {canEdit && <NavItem icon={<PlusCircle className="w-6 h-6" />} label="입력" active={activeTab === 'input'} onClick={() => setActiveTab('input')} />}
           <NavItem icon={<Calendar className="w-6 h-6" />} label="내역" active={activeTab === 'history'} onClick={() => setActiveTab('history')} />
+          <NavItem icon={<BarChart3 className="w-6 h-6" />} label="리포트" active={activeTab === 'report'} onClick={() => setActiveTab('report')} />
+          <NavItem icon={<Calculator className="w-6 h-6" />} label="연말정산" active={activeTab === 'tax'} onClick={() => setActiveTab('tax')} />
+          {hasPartner && <NavItem icon={<Scale className="w-6 h-6" />} label="정산" active={activeTab === 'settle'} onClick={() => setActiveTab('settle')} />}
           <NavItem icon={<Settings className="w-6 h-6" />} label="설정" active={activeTab === 'settings'} onClick={() => setActiveTab('settings')} />
         </nav>
 
@@ -205,631 +558,5784 @@ const App = () => {
   );
 };
 
-const NavItem = ({ icon, label, active, onClick }) => (
-  <button
-    className={`flex flex-col items-center p-2 rounded-lg transition duration-200 ${active ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:text-indigo-600 hover:bg-gray-50'}`}
-    onClick={onClick}
-  >
-    {icon}
-    <span className="text-xs mt-1">{label}</span>
-  </button>
-);
-
-const LedgerSetup = ({ onCreate, onJoin, userId, showMessage, closeModal, showModal, modalContent }) => {
-  const [joinLedgerId, setJoinLedgerId] = useState('');
-
-  return (
-    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50 p-4">
-      <div className="bg-white rounded-xl shadow-2xl p-8 max-w-md w-full text-center">
-        <h2 className="text-3xl font-bold text-indigo-700 mb-6">가계부 설정</h2>
-        <p className="text-gray-600 mb-8">
-          환영합니다! 가계부를 새로 만들거나, 배우자가 만든 가계부에 참여할 수 있습니다.
-        </p>
+// --- 계정 및 구성원 ---
 
-        <div className="space-y-6">
-          <div className="p-6 bg-indigo-50 rounded-lg border border-indigo-200">
-            <h3 className="text-xl font-semibold text-indigo-800 mb-4">새 가계부 만들기</h3>
-            <p className="text-gray-700 mb-4">
-              새로운 가계부를 생성하고 배우자와 공유할 ID를 받으세요.
-            </p>
-            <button
-              onClick={onCreate}
-              className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-md"
-            >
-              새 가계부 만들기
-            </button>
-          </div>
+const MEMBER_COLORS = ['#6366f1', '#ec4899', '#14b8a6', '#f59e0b', '#3b82f6', '#8b5cf6', '#ef4444', '#22c55e'];
 
-          <div className="p-6 bg-purple-50 rounded-lg border border-purple-200">
-            <h3 className="text-xl font-semibold text-purple-800 mb-4">기존 가계부 참여</h3>
-            <p className="text-gray-700 mb-4">
-              배우자가 알려준 가계부 ID를 입력하여 참여하세요.
-            </p>
-            <input
-              type="text"
-              value={joinLedgerId}
-              onChange={(e) => setJoinLedgerId(e.target.value)}
-              placeholder="가계부 ID 입력"
-              className="w-full p-3 border border-gray-300 rounded-md mb-4 focus:ring-indigo-500 focus:border-indigo-500"
-            />
-            <button
-              onClick={() => onJoin(joinLedgerId)}
-              className="w-full bg-purple-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-purple-700 transition duration-200 shadow-md"
-            >
-              가계부 참여하기
-            </button>
-          </div>
-        </div>
+// 구성원 이름이 없으면 기존처럼 UID 앞부분을 보여줍니다.
+const getMemberLabel = (ledger, uid) => {
+  if (!uid) return '';
+  return ledger?.members?.[uid]?.displayName || `${uid.substring(0, 8)}...`;
+};
 
-        <p className="text-sm text-gray-500 mt-8">
-          현재 사용자 ID: <span className="font-mono">{userId?.substring(0, 8)}...</span>
-        </p>
+// 부부 정산의 분담 방식. 저장은 splitShares({ uid: % })로만 하고 화면에서는 아래 방식으로 구분합니다.
+const SPLIT_MODE_OPTIONS = [
+  { value: 'equal', label: '반반' },
+  { value: 'percent', label: '비율 지정' },
+  { value: 'single', label: '한 사람 부담' },
+];
 
-        {showModal && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-lg shadow-xl p-6 max-w-sm w-full text-center">
-              <p className="text-lg font-medium text-gray-800 mb-6">{modalContent}</p>
-              <button
-                onClick={closeModal}
-                className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 transition duration-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
-              >
-                확인
-              </button>
-            </div>
-          </div>
-        )}
-      </div>
-    </div>
-  );
+const getSplitMode = (splitShares) => {
+  if (!splitShares) return 'equal';
+  const percents = Object.values(splitShares).filter(percent => percent > 0);
+  if (percents.length === 1) return 'single';
+  return percents.every(percent => Math.abs(percent - percents[0]) < 0.01) ? 'equal' : 'percent';
 };
 
-const DashboardTab = () => {
-  const { db, ledgerId, showMessage } = useContext(AppContext);
-  const [entries, setEntries] = useState([]);
-  const [currentMonth, setCurrentMonth] = useState(new Date());
+const describeSplit = (entry, ledger) => {
+  const shares = Object.entries(entry.splitShares).filter(([, percent]) => percent > 0);
+  const mode = getSplitMode(entry.splitShares);
+  const splitLabel = mode === 'single'
+    ? `${getMemberLabel(ledger, shares[0][0])} 부담`
+    : mode === 'equal'
+      ? (shares.length === 2 ? '반반' : `${shares.length}명이 똑같이`)
+      : shares.map(([uid, percent]) => `${getMemberLabel(ledger, uid)} ${Math.round(percent * 10) / 10}%`).join(' / ');
+  return `${getMemberLabel(ledger, entry.paidBy)} 결제 · ${splitLabel}`;
+};
 
-  useEffect(() => {
-    if (!db || !ledgerId) return;
+const MemberName = ({ ledger, uid }) => (
+  <span className="inline-flex items-center">
+    <span
+      className="inline-block w-2 h-2 rounded-full mr-1"
+      style={{ backgroundColor: ledger?.members?.[uid]?.color || '#9ca3af' }}
+    />
+    {getMemberLabel(ledger, uid)}
+  </span>
+);
 
-    const q = query(
-      collection(db, `artifacts/${appId}/public/data/household_ledgers/${ledgerId}/entries`),
-    );
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': '이메일 형식이 올바르지 않습니다.',
+  'auth/missing-password': '비밀번호를 입력해주세요.',
+  'auth/weak-password': '비밀번호는 6자 이상이어야 합니다.',
+  'auth/email-already-in-use': '이미 가입된 이메일입니다. 로그인해주세요.',
+  'auth/credential-already-in-use': '이미 다른 계정에 연결된 이메일입니다. 로그인해주세요.',
+  'auth/invalid-credential': '이메일 또는 비밀번호가 올바르지 않습니다.',
+  'auth/wrong-password': '이메일 또는 비밀번호가 올바르지 않습니다.',
+  'auth/user-not-found': '이메일 또는 비밀번호가 올바르지 않습니다.',
+  'auth/too-many-requests': '시도가 너무 많습니다. 잠시 후 다시 시도해주세요.',
+};
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setEntries(fetchedEntries);
-    }, (error) => {
-      console.error("Error fetching entries:", error);
-      showMessage(`데이터 로딩 실패: ${error.message}`);
-    });
+const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error.code] || error.message;
 
-    return () => unsubscribe();
-  }, [db, ledgerId, currentMonth, showMessage]);
-
-  const filteredEntries = useMemo(() => {
-    const start = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-    const end = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0, 23, 59, 59);
-
-    return entries.filter(entry => {
-      const entryDate = entry.date?.toDate ? entry.date.toDate() : new Date(entry.date);
-      return entryDate >= start && entryDate <= end;
-    }).sort((a,b) => { // Sort by date descending
-        const dateA = a.date?.toDate ? a.date.toDate() : new Date(a.date);
-        const dateB = b.date?.toDate ? b.date.toDate() : new Date(b.date);
-        return dateB - dateA;
-    });
-  }, [entries, currentMonth]);
+// 회원가입은 현재 익명 계정에 이메일을 연결하는 방식이라 기존 기록(UID)이 그대로 유지됩니다.
+const EmailAuthForm = ({ auth, showMessage, allowSignUp = true, onLinked }) => {
+  const [mode, setMode] = useState(allowSignUp ? 'signup' : 'signin');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const { totalIncome, totalExpense, netBalance, categoryExpenses } = useMemo(() => {
-    let income = 0;
-    let expense = 0;
-    const categories = {};
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!auth) {
+      showMessage("Firebase가 준비되지 않았습니다. 잠시 후 다시 시도해주세요.");
+      return;
+    }
 
-    filteredEntries.forEach(entry => {
-      if (entry.type === 'income') {
-        income += entry.amount;
+    setIsSubmitting(true);
+    try {
+      if (mode === 'signup') {
+        await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+        onLinked?.();
+        showMessage("계정이 연결되었습니다. 이제 다른 기기에서도 이 이메일로 로그인할 수 있습니다.");
       } else {
-        expense += entry.amount;
-        categories[entry.category] = (categories[entry.category] || 0) + entry.amount;
+        await signInWithEmailAndPassword(auth, email.trim(), password);
+        showMessage("로그인되었습니다.");
       }
-    });
-
-    return {
-      totalIncome: income,
-      totalExpense: expense,
-      netBalance: income - expense,
-      categoryExpenses: Object.entries(categories).sort(([, a], [, b]) => b - a),
-    };
-  }, [filteredEntries]);
+      setPassword('');
+    } catch (error) {
+      console.error("계정 인증 실패:", error);
+      showMessage(getAuthErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
 
-  const trendData = useMemo(() => {
-    const monthlyData = {};
-    const today = new Date();
-    // Get data for the last 6 months including current
-    for (let i = 0; i < 6; i++) {
-      const date = new Date(today.getFullYear(), today.getMonth() - i, 1);
-      const monthKey = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-      monthlyData[monthKey] = { income: 0, expense: 0, month: `${date.getMonth() + 1}월` };
-    }
-
-    entries.forEach(entry => {
-      const entryDate = entry.date?.toDate ? entry.date.toDate() : new Date(entry.date);
-      const monthKey = `${entryDate.getFullYear()}-${(entryDate.getMonth() + 1).toString().padStart(2, '0')}`;
-      if (monthlyData[monthKey]) {
-        if (entry.type === 'income') {
-          monthlyData[monthKey].income += entry.amount;
-        } else {
-          monthlyData[monthKey].expense += entry.amount;
-        }
-      }
-    });
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="이메일"
+        autoComplete="email"
+        className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        required
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="비밀번호 (6자 이상)"
+        autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+        className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        required
+      />
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-indigo-700 transition duration-200 shadow-md disabled:opacity-50"
+      >
+        {mode === 'signup' ? '이메일 계정 만들기' : '로그인'}
+      </button>
+      {allowSignUp && (
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'signup' ? 'signin' : 'signup')}
+          className="w-full text-sm text-indigo-600 hover:underline"
+        >
+          {mode === 'signup' ? '이미 계정이 있어요 (로그인)' : '새 계정 만들기'}
+        </button>
+      )}
+    </form>
+  );
+};
 
-    return Object.values(monthlyData).sort((a, b) => {
-      const [yearA, monthA] = a.month.slice(0, -1).split('-').map(Number); // remove '월'
-      const [yearB, monthB] = b.month.slice(0, -1).split('-').map(Number); // remove '월'
-      if (yearA !== yearB) return yearA - yearB;
-      return monthA - monthB;
-    });
-  }, [entries]);
+const AccountSettings = () => {
+  const { db, auth, authUser, userId, ledgerId, ledger, showMessage, refreshAuthUser, handleSignOut } = useContext(AppContext);
+  const member = ledger?.members?.[userId];
+  const [displayName, setDisplayName] = useState('');
+  const [color, setColor] = useState(MEMBER_COLORS[0]);
 
-  const formatCurrency = (amount) => amount.toLocaleString('ko-KR');
+  useEffect(() => {
+    setDisplayName(member?.displayName || '');
+    setColor(member?.color || MEMBER_COLORS[0]);
+  }, [member]);
 
-  const handleMonthChange = (direction) => {
-    setCurrentMonth(prevMonth => {
-      const newMonth = new Date(prevMonth);
-      newMonth.setMonth(prevMonth.getMonth() + direction);
-      return newMonth;
-    });
+  const handleSaveProfile = async () => {
+    const name = displayName.trim();
+    if (!name) {
+      showMessage("표시 이름을 입력해주세요. (예: 아내, 남편)");
+      return;
+    }
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), {
+        [`members.${userId}.displayName`]: name,
+        [`members.${userId}.color`]: color,
+      });
+      showMessage("프로필이 저장되었습니다.");
+    } catch (error) {
+      console.error("프로필 저장 실패:", error);
+      showMessage(`프로필 저장 실패: ${error.message}`);
+    }
   };
 
-  const monthDisplay = currentMonth.toLocaleString('ko-KR', { year: 'numeric', month: 'long' });
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3 flex items-center"><UserCircle className="w-5 h-5 mr-2" /> 내 계정</h3>
 
-  // 지출이 수입보다 클 때 알림
-  const showBudgetAlert = totalExpense > totalIncome && totalIncome > 0; // 총 수입이 0보다 클 때만 (초기 상태 방지)
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 mb-3">
+        <label className="block text-sm font-medium text-gray-700 mb-1">표시 이름</label>
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          placeholder="예: 아내, 남편"
+          className="w-full p-2 border border-gray-300 rounded-md mb-3 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <label className="block text-sm font-medium text-gray-700 mb-1">색상</label>
+        <div className="flex space-x-2 mb-3">
+          {MEMBER_COLORS.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setColor(option)}
+              className={`w-7 h-7 rounded-full border-2 ${color === option ? 'border-gray-800' : 'border-transparent'}`}
+              style={{ backgroundColor: option }}
+              aria-label={option}
+            />
+          ))}
+        </div>
+        <button
+          onClick={handleSaveProfile}
+          className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md font-semibold hover:bg-indigo-700 transition duration-200"
+        >
+          프로필 저장
+        </button>
+      </div>
 
-  return (
-    <div className="space-y-6">
-      {showBudgetAlert && (
-        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded-lg flex items-center" role="alert">
-          <AlertCircle className="w-6 h-6 mr-3" />
-          <p className="font-semibold">경고: 이번 달 지출이 수입보다 많습니다!</p>
+      {authUser?.isAnonymous ? (
+        <div className="p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+          <p className="text-sm text-yellow-800 mb-3">
+            지금은 익명 계정입니다. 브라우저 데이터를 지우거나 휴대폰을 바꾸면 이 기기에서 가계부에 다시 접근할 수 없습니다.
+            이메일 계정을 연결해두세요.
+          </p>
+          <EmailAuthForm auth={auth} showMessage={showMessage} onLinked={refreshAuthUser} />
+        </div>
+      ) : (
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 flex items-center justify-between">
+          <span className="text-sm text-gray-700">{authUser?.email}</span>
+          <button
+            onClick={handleSignOut}
+            className="text-sm px-3 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100 flex items-center"
+          >
+            <LogOut className="w-4 h-4 mr-1" /> 로그아웃
+          </button>
         </div>
       )}
+    </div>
+  );
+};
 
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <div className="flex items-center justify-between mb-4">
-          <button onClick={() => handleMonthChange(-1)} className="p-2 rounded-full hover:bg-gray-100"><ChevronLeft /></button>
-          <h2 className="text-xl font-bold text-center">{monthDisplay}</h2>
-          <button onClick={() => handleMonthChange(1)} className="p-2 rounded-full hover:bg-gray-100"><ChevronRight /></button>
-        </div>
-        <div className="grid grid-cols-3 gap-4 text-center">
-          <div className="p-3 bg-green-50 rounded-lg">
-            <p className="text-sm text-gray-600">총 수입</p>
-            <p className="text-lg font-semibold text-green-700">{formatCurrency(totalIncome)}원</p>
+// --- 구성원 역할과 초대 ---
+
+const ROLE_LABELS = { owner: '소유자', editor: '편집자', viewer: '보기 전용' };
+const INVITE_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 헷갈리기 쉬운 0/O, 1/I 제외
+const INVITE_CODE_LENGTH = 10;
+const INVITE_EXPIRY_OPTIONS = [
+  { days: 1, label: '1일' },
+  { days: 7, label: '7일' },
+];
+
+// 역할 정보가 없는 예전 구성원은 편집자로 취급합니다 (firestore.rules와 동일).
+const getMemberRole = (ledger, uid) => {
+  if (!ledger || !uid) return null;
+  if (ledger.ownerId === uid) return 'owner';
+  const member = ledger.members?.[uid];
+  return member ? member.role || 'editor' : null;
+};
+
+const generateInviteCode = () => {
+  const values = crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH));
+  return Array.from(values, value => INVITE_CODE_CHARS[value % INVITE_CODE_CHARS.length]).join('');
+};
+
+const buildInviteLink = (ledgerId, code) => `${window.location.origin}/?ledger=${ledgerId}&invite=${code}`;
+
+const getInviteFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('ledger') && params.get('invite') ? window.location.href : '';
+};
+
+// 초대 링크(https://...?ledger=...&invite=...) 또는 '가계부ID:초대코드' 형식을 해석합니다.
+const parseInviteInput = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  try {
+    const params = new URL(value).searchParams;
+    if (params.get('ledger') && params.get('invite')) {
+      return { ledgerId: params.get('ledger'), code: params.get('invite').toUpperCase() };
+    }
+    return null;
+  } catch (error) {
+    const [ledgerId, code] = value.split(':').map(part => part.trim());
+    return ledgerId && code ? { ledgerId, code: code.toUpperCase() } : null;
+  }
+};
+
+// 초대 코드를 사용 처리하고 자신을 구성원에 추가합니다. 보안 규칙은 두 쓰기가 같은 트랜잭션에 있어야 허용합니다.
+const acceptInvite = async (db, ledgerId, code, userId) => {
+  const ledgerRef = ledgerDocRef(db, ledgerId);
+  const inviteRef = doc(ledgerCollectionRef(db, ledgerId, 'invites'), code);
+
+  await runTransaction(db, async (transaction) => {
+    const inviteSnap = await transaction.get(inviteRef);
+    if (!inviteSnap.exists()) {
+      throw new Error("유효하지 않은 초대 코드입니다.");
+    }
+    const invite = inviteSnap.data();
+    if (invite.usedBy) {
+      throw new Error("이미 사용된 초대 코드입니다.");
+    }
+    if (invite.expiresAt.toMillis() < Date.now()) {
+      throw new Error("만료된 초대 코드입니다. 새 초대 코드를 받아주세요.");
+    }
+
+    transaction.update(inviteRef, { usedBy: userId, usedAt: serverTimestamp() });
+    transaction.update(ledgerRef, {
+      [`members.${userId}`]: {
+        displayName: '',
+        color: MEMBER_COLORS[1],
+        role: invite.role,
+        inviteCode: code,
+        joinedAt: serverTimestamp(),
+      },
+    });
+  });
+};
+
+const MembersSettings = () => {
+  const { db, ledgerId, ledger, userId, role, showMessage } = useContext(AppContext);
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviteExpiryDays, setInviteExpiryDays] = useState(7);
+  const [removingMemberId, setRemovingMemberId] = useState(null);
+  const isOwner = role === 'owner';
+
+  useEffect(() => {
+    if (!db || !ledgerId || !isOwner) return;
+
+    const unsubscribe = onSnapshot(ledgerCollectionRef(db, ledgerId, 'invites'), (snapshot) => {
+      const now = Date.now();
+      setInvites(snapshot.docs
+        .map(doc => ({ code: doc.id, ...doc.data() }))
+        .filter(invite => !invite.usedBy && invite.expiresAt?.toMillis() > now));
+    }, (error) => {
+      console.error("Error fetching invites:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, ledgerId, isOwner]);
+
+  const members = Object.entries(ledger?.members || {}).sort(([, a], [, b]) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : 0));
+
+  const handleCreateInvite = async () => {
+    const code = generateInviteCode();
+    try {
+      await setDoc(doc(ledgerCollectionRef(db, ledgerId, 'invites'), code), {
+        role: inviteRole,
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+        expiresAt: new Date(Date.now() + inviteExpiryDays * 24 * 60 * 60 * 1000),
+        usedBy: null,
+      });
+    } catch (error) {
+      console.error("초대 코드 생성 실패:", error);
+      showMessage(`초대 코드 생성 실패: ${error.message}`);
+    }
+  };
+
+  const handleCopyInvite = async (code) => {
+    try {
+      await navigator.clipboard.writeText(buildInviteLink(ledgerId, code));
+      showMessage("초대 링크가 복사되었습니다. 배우자에게 보내주세요.");
+    } catch (error) {
+      showMessage(`초대 코드: ${ledgerId}:${code}`);
+    }
+  };
+
+  const handleRevokeInvite = async (code) => {
+    try {
+      await deleteDoc(doc(ledgerCollectionRef(db, ledgerId, 'invites'), code));
+    } catch (error) {
+      console.error("초대 코드 취소 실패:", error);
+      showMessage(`초대 코드 취소 실패: ${error.message}`);
+    }
+  };
+
+  const handleRoleChange = async (memberId, newRole) => {
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), {
+        [`members.${memberId}.role`]: newRole,
+      });
+    } catch (error) {
+      console.error("역할 변경 실패:", error);
+      showMessage(`역할 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleRemoveMember = async () => {
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), {
+        [`members.${removingMemberId}`]: deleteField(),
+      });
+      showMessage("구성원을 내보냈습니다.");
+    } catch (error) {
+      console.error("구성원 내보내기 실패:", error);
+      showMessage(`구성원 내보내기 실패: ${error.message}`);
+    } finally {
+      setRemovingMemberId(null);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3 flex items-center"><Users className="w-5 h-5 mr-2" /> 구성원</h3>
+      <div className="space-y-2 mb-4">
+        {members.map(([memberId, member]) => {
+          const memberRole = getMemberRole(ledger, memberId);
+          return (
+            <div key={memberId} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-100 text-sm">
+              <span>
+                <MemberName ledger={ledger} uid={memberId} />
+                {memberId === userId && <span className="ml-1 text-xs text-gray-500">(나)</span>}
+              </span>
+              {isOwner && memberRole !== 'owner' ? (
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={memberRole}
+                    onChange={(e) => handleRoleChange(memberId, e.target.value)}
+                    className="p-1 border border-gray-200 rounded text-xs bg-white"
+                  >
+                    <option value="editor">{ROLE_LABELS.editor}</option>
+                    <option value="viewer">{ROLE_LABELS.viewer}</option>
+                  </select>
+                  <button onClick={() => setRemovingMemberId(memberId)} className="text-xs px-2 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100 text-red-500">
+                    내보내기
+                  </button>
+                </div>
+              ) : (
+                <span className="text-xs text-gray-500">{ROLE_LABELS[memberRole]}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {isOwner && (
+        <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+          <p className="text-sm text-gray-700 mb-3">
+            초대 코드는 한 번만 사용할 수 있고, 기간이 지나면 만료됩니다.
+          </p>
+          <div className="flex space-x-2 mb-3">
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="flex-1 p-2 border border-gray-300 rounded-md bg-white text-sm"
+            >
+              <option value="editor">{ROLE_LABELS.editor}</option>
+              <option value="viewer">{ROLE_LABELS.viewer}</option>
+            </select>
+            <select
+              value={inviteExpiryDays}
+              onChange={(e) => setInviteExpiryDays(Number(e.target.value))}
+              className="flex-1 p-2 border border-gray-300 rounded-md bg-white text-sm"
+            >
+              {INVITE_EXPIRY_OPTIONS.map(option => <option key={option.days} value={option.days}>{option.label} 후 만료</option>)}
+            </select>
           </div>
-          <div className="p-3 bg-teal-50 rounded-lg"> {/* 민트색으로 구분 */}
-            <p className="text-sm text-gray-600">총 지출</p>
-            <p className="text-lg font-semibold text-teal-700">{formatCurrency(totalExpense)}원</p>
+          <button
+            onClick={handleCreateInvite}
+            className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md font-semibold hover:bg-indigo-700 transition duration-200 mb-3"
+          >
+            초대 코드 만들기
+          </button>
+          {invites.map(invite => (
+            <div key={invite.code} className="flex items-center justify-between p-2 bg-white rounded border border-indigo-100 text-sm mb-2">
+              <div>
+                <p className="font-mono font-semibold">{invite.code}</p>
+                <p className="text-xs text-gray-500">
+                  {ROLE_LABELS[invite.role]} · {invite.expiresAt.toDate().toLocaleString('ko-KR')}까지
+                </p>
+              </div>
+              <div className="flex space-x-1">
+                <button onClick={() => handleCopyInvite(invite.code)} className="p-1 rounded hover:bg-gray-100 text-indigo-600" title="초대 링크 복사">
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleRevokeInvite(invite.code)} className="p-1 rounded hover:bg-gray-100 text-red-500" title="초대 취소">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {removingMemberId && (
+        <ConfirmModal
+          message={`${getMemberLabel(ledger, removingMemberId)}님을 가계부에서 내보낼까요? 기존 기록은 유지됩니다.`}
+          confirmLabel="내보내기"
+          onConfirm={handleRemoveMember}
+          onCancel={() => setRemovingMemberId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+const ADD_LEDGER_OPTION = '__add__';
+
+// 헤더의 가계부 전환 메뉴. 방금 참여해 아직 목록에 없는 가계부도 보여줍니다.
+const LedgerSwitcher = ({ ledgers, currentLedger, ledgerId, onSelect, onAdd }) => {
+  const options = ledgers.some(item => item.id === ledgerId)
+    ? ledgers
+    : [...ledgers, { id: ledgerId, name: currentLedger?.name || DEFAULT_LEDGER_NAME }];
+
+  const handleChange = (e) => {
+    if (e.target.value === ADD_LEDGER_OPTION) {
+      onAdd();
+    } else {
+      onSelect(e.target.value);
+    }
+  };
+
+  return (
+    <select
+      value={ledgerId}
+      onChange={handleChange}
+      aria-label="가계부 전환"
+      className="min-w-0 max-w-[10rem] p-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white focus:ring-indigo-500 focus:border-indigo-500"
+    >
+      {options.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+      <option value={ADD_LEDGER_OPTION}>+ 가계부 추가</option>
+    </select>
+  );
+};
+
+const SyncStatusBadge = ({ isOnline, pendingCount }) => {
+  if (!isOnline) {
+    return (
+      <span className="inline-flex items-center px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs font-medium" title="오프라인 상태에서 입력한 내역은 연결되면 자동으로 동기화됩니다.">
+        <WifiOff className="w-3 h-3 mr-1" /> 오프라인{pendingCount > 0 && ` · 대기 ${pendingCount}건`}
+      </span>
+    );
+  }
+  if (pendingCount > 0) {
+    return (
+      <span className="inline-flex items-center px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-medium">
+        <CloudUpload className="w-3 h-3 mr-1" /> 동기화 중 {pendingCount}건
+      </span>
+    );
+  }
+  return null;
+};
+
+const NavItem = ({ icon, label, active, onClick }) => (
+  <button
+    className={`flex flex-col items-center p-2 rounded-lg transition duration-200 ${active ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:text-indigo-600 hover:bg-gray-50'}`}
+    onClick={onClick}
+  >
+    {icon}
+    <span className="text-xs mt-1">{label}</span>
+  </button>
+);
+
+const LedgerSetup = ({ onCreate, onJoin, initialInvite, auth, authUser, userId, onCancel, ledgers, onSelect, showMessage, closeModal, showModal, modalContent }) => {
+  const [joinLedgerId, setJoinLedgerId] = useState(initialInvite || '');
+  const [newLedgerName, setNewLedgerName] = useState('우리집');
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-8 max-w-md w-full text-center">
+        <h2 className="text-3xl font-bold text-indigo-700 mb-6">가계부 설정</h2>
+        <p className="text-gray-600 mb-8">
+          환영합니다! 가계부를 새로 만들거나, 배우자가 만든 가계부에 참여할 수 있습니다.
+        </p>
+
+        <div className="space-y-6">
+          {ledgers.length > 0 && (
+            <div className="p-6 bg-gray-50 rounded-lg border border-gray-200">
+              <h3 className="text-xl font-semibold text-gray-800 mb-4">내 가계부</h3>
+              <div className="space-y-2">
+                {ledgers.map(item => (
+                  <button
+                    key={item.id}
+                    onClick={() => onSelect(item.id)}
+                    className="w-full bg-white border border-gray-300 text-gray-800 py-3 px-4 rounded-lg font-medium hover:bg-indigo-50 transition duration-200"
+                  >
+                    {item.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="p-6 bg-indigo-50 rounded-lg border border-indigo-200">
+            <h3 className="text-xl font-semibold text-indigo-800 mb-4">새 가계부 만들기</h3>
+            <p className="text-gray-700 mb-4">
+              새로운 가계부를 생성하고 배우자와 공유할 ID를 받으세요.
+            </p>
+            <input
+              type="text"
+              value={newLedgerName}
+              onChange={(e) => setNewLedgerName(e.target.value)}
+              placeholder="가계부 이름 (예: 우리집, 부모님 용돈, 여행 계좌)"
+              className="w-full p-3 border border-gray-300 rounded-md mb-4 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              onClick={() => onCreate(newLedgerName)}
+              className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-md"
+            >
+              새 가계부 만들기
+            </button>
           </div>
-          <div className={`p-3 rounded-lg ${netBalance >= 0 ? 'bg-blue-50' : 'bg-orange-50'}`}>
-            <p className="text-sm text-gray-600">순수입/순지출</p>
-            <p className={`text-lg font-semibold ${netBalance >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>
-              {formatCurrency(netBalance)}원
+
+          <div className="p-6 bg-purple-50 rounded-lg border border-purple-200">
+            <h3 className="text-xl font-semibold text-purple-800 mb-4">기존 가계부 참여</h3>
+            <p className="text-gray-700 mb-4">
+              배우자가 보내준 초대 링크나 초대 코드를 입력하여 참여하세요.
             </p>
+            <input
+              type="text"
+              value={joinLedgerId}
+              onChange={(e) => setJoinLedgerId(e.target.value)}
+              placeholder="초대 링크 또는 초대 코드 입력"
+              className="w-full p-3 border border-gray-300 rounded-md mb-4 focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              onClick={() => onJoin(joinLedgerId)}
+              className="w-full bg-purple-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-purple-700 transition duration-200 shadow-md"
+            >
+              가계부 참여하기
+            </button>
           </div>
         </div>
-      </div>
 
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <h3 className="text-lg font-bold mb-4">월별 지출 카테고리</h3>
-        {categoryExpenses.length > 0 ? (
-          <div className="space-y-3">
-            {categoryExpenses.map(([category, amount]) => (
-              <div key={category} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
-                <span className="text-gray-700">{category}</span>
-                <span className="font-medium text-teal-600">{formatCurrency(amount)}원</span> {/* 민트색으로 구분 */}
-              </div>
-            ))}
+        {authUser?.isAnonymous && (
+          <div className="p-6 mt-6 bg-gray-50 rounded-lg border border-gray-200 text-left">
+            <h3 className="text-xl font-semibold text-gray-800 mb-2 text-center">이메일로 로그인</h3>
+            <p className="text-gray-600 text-sm mb-4 text-center">
+              다른 기기에서 만든 계정이 있다면 로그인하여 가계부를 이어서 사용하세요.
+            </p>
+            <EmailAuthForm auth={auth} showMessage={showMessage} allowSignUp={false} />
           </div>
-        ) : (
-          <p className="text-gray-500 text-center">이번 달 지출 내역이 없습니다.</p>
         )}
-      </div>
 
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <h3 className="text-lg font-bold mb-4">월별 수입/지출 추이 (지난 6개월)</h3>
-        <ResponsiveContainer width="100%" height={250}>
-          <LineChart
-            data={trendData}
-            margin={{ top: 5, right: 10, left: 0, bottom: 5 }}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="w-full mt-6 bg-gray-100 text-gray-700 py-3 px-6 rounded-lg font-semibold hover:bg-gray-200 transition duration-200"
           >
-            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
-            <XAxis dataKey="month" stroke="#666" />
-            <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
-            <Tooltip formatter={(value) => `${formatCurrency(value)}원`} />
-            <Legend />
-            <Line type="monotone" dataKey="income" name="수입" stroke="#22c55e" activeDot={{ r: 8 }} strokeWidth={2} />
-            <Line type="monotone" dataKey="expense" name="지출" stroke="#20c997" activeDot={{ r: 8 }} strokeWidth={2} /> {/* 민트색 */}
-          </LineChart>
-        </ResponsiveContainer>
+            현재 가계부로 돌아가기
+          </button>
+        )}
+
+        <p className="text-sm text-gray-500 mt-8">
+          현재 사용자: <span className="font-mono">{authUser?.email || `${userId?.substring(0, 8)}...`}</span>
+        </p>
+
+        {showModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl p-6 max-w-sm w-full text-center">
+              <p className="text-lg font-medium text-gray-800 mb-6">{modalContent}</p>
+              <button
+                onClick={closeModal}
+                className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 transition duration-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+              >
+                확인
+              </button>
+            </div>
+          </div>
+        )}
       </div>
+    </div>
+  );
+};
 
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <h3 className="text-lg font-bold mb-4">월별 지출 카테고리 비율</h3>
-        <ResponsiveContainer width="100%" height={250}>
-          <BarChart
-            data={categoryExpenses.map(([name, value]) => ({ name, value }))}
-            margin={{ top: 5, right: 10, left: 0, bottom: 5 }}
-          >
-            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
-            <XAxis dataKey="name" stroke="#666" />
-            <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
-            <Tooltip formatter={(value) => `${formatCurrency(value)}원`} />
-            <Bar dataKey="value" fill="#20c997" name="지출액" radius={[10, 10, 0, 0]} /> {/* 민트색 */}
-          </BarChart>
-        </ResponsiveContainer>
+const UPCOMING_RECURRING_DAYS = 30;
+
+const TREND_MONTHS = 6;
+
+const FORECAST_MONTHS = 3; // 추이 그래프에 점선으로 이어 그릴 예상 개월 수
+
+const GOAL_STATUS_STYLES = {
+  achieved: { label: '달성', className: 'bg-blue-100 text-blue-700', barClassName: 'bg-blue-500' },
+  'on-track': { label: '순조로움', className: 'bg-green-100 text-green-700', barClassName: 'bg-green-500' },
+  behind: { label: '뒤처짐', className: 'bg-orange-100 text-orange-700', barClassName: 'bg-orange-400' },
+  overdue: { label: '기한 지남', className: 'bg-red-100 text-red-700', barClassName: 'bg-red-500' },
+};
+
+const CARD_FORECAST_LOOKBACK_MONTHS = 2; // 일시불 사용분은 지난 두 달부터 보면 다가오는 결제일을 모두 포함합니다.
+
+const DashboardTab = () => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const [recurringTemplates, setRecurringTemplates] = useState([]);
+  const [currentMonth, setCurrentMonth] = useState(new Date());
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  // 선택한 달과 추이 그래프 기간(선택한 달까지 최근 6개월)만 불러옵니다. 두 기간이 겹치면 리스너를 공유합니다.
+  const monthRange = useMemo(
+    () => getMonthRange(currentMonth.getFullYear(), currentMonth.getMonth()),
+    [currentMonth]
+  );
+  const trendRange = useMemo(
+    () => getTrendRange(currentMonth.getFullYear(), currentMonth.getMonth(), TREND_MONTHS),
+    [currentMonth]
+  );
+  const monthEntries = useLedgerEntries(db, ledgerId, monthRange, handleEntriesError);
+  const trendEntries = useLedgerEntries(db, ledgerId, trendRange, handleEntriesError);
+  // 할부는 구매월과 상관없이 매달 회차 금액만 집계하므로 진행 중인 할부를 따로 불러와 합칩니다.
+  const installmentEntries = useInstallmentEntries(db, ledgerId, handleEntriesError);
+
+  // 계좌 잔액은 가장 이른 계좌 시작일부터 오늘까지의 내역으로 계산합니다. 계좌가 없으면 불러오지 않습니다.
+  const accountsRange = useMemo(() => getAccountsRange(lists.accounts, todayDateString()), [lists.accounts]);
+  const accountEntries = useLedgerEntries(db, lists.accounts.length > 0 ? ledgerId : null, accountsRange, handleEntriesError);
+  const accountBalances = useMemo(
+    () => computeAccountBalances(lists.accounts, accountEntries),
+    [lists.accounts, accountEntries]
+  );
+  const netWorth = getNetWorth(accountBalances);
+
+  // 카드 결제 예정은 최근 몇 달 사용분과 남은 할부 회차로 계산합니다. 마감일/결제일이 있는 카드가 없으면 불러오지 않습니다.
+  const hasBillingCards = lists.accounts.some(isBillingCard);
+  const cardForecastRange = useMemo(() => {
+    const today = new Date();
+    return { start: getMonthRange(today.getFullYear(), today.getMonth() - CARD_FORECAST_LOOKBACK_MONTHS).start, end: null };
+  }, []);
+  const recentCardEntries = useLedgerEntries(db, hasBillingCards ? ledgerId : null, cardForecastRange, handleEntriesError);
+  const cardForecast = useMemo(
+    () => forecastCardPayments(lists.accounts, mergeEntries(recentCardEntries, installmentEntries), todayDateString()),
+    [lists.accounts, recentCardEntries, installmentEntries]
+  );
+
+  // 저축 목표는 가장 이른 목표 시작일부터 오늘까지의 내역으로 계산합니다.
+  const activeGoals = useMemo(() => lists.savingsGoals.filter(goal => !goal.archived), [lists.savingsGoals]);
+  const goalsRange = useMemo(() => getGoalsRange(activeGoals, todayDateString()), [activeGoals]);
+  const goalEntries = useLedgerEntries(db, activeGoals.length > 0 ? ledgerId : null, goalsRange, handleEntriesError);
+  const goalProgress = useMemo(
+    () => activeGoals.map(goal => computeGoalProgress(goal, goalEntries, todayDateString())),
+    [activeGoals, goalEntries]
+  );
+
+  const activeInstallments = useMemo(
+    () => getActiveInstallments(installmentEntries, todayDateString().substring(0, 7)),
+    [installmentEntries]
+  );
+
+  useEffect(() => {
+    if (!db || !ledgerId) return;
+
+    const unsubscribe = onSnapshot(ledgerCollectionRef(db, ledgerId, 'recurring'), (snapshot) => {
+      setRecurringTemplates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error("Error fetching recurring templates:", error);
+    });
+
+    return () => unsubscribe();
+  }, [db, ledgerId]);
+
+  const upcomingRecurring = useMemo(() => {
+    const today = todayDateString();
+    const until = addDaysToDateString(today, UPCOMING_RECURRING_DAYS);
+    return recurringTemplates
+      .filter(template => template.active)
+      .flatMap(template => getRecurringOccurrences(template, today, until).map(dateString => ({ template, dateString })))
+      .sort((a, b) => a.dateString.localeCompare(b.dateString));
+  }, [recurringTemplates]);
+
+  const filteredEntries = useMemo(
+    () => sortEntriesByDateDesc(
+      spreadInstallments(mergeEntries(monthEntries, installmentEntries)).filter(entry => isInRange(entry, monthRange))
+    ),
+    [monthEntries, installmentEntries, monthRange]
+  );
+
+  const { totalIncome, totalExpense, netBalance, categoryExpenses, tagExpenses } = useMemo(
+    () => summarizeEntries(filteredEntries),
+    [filteredEntries]
+  );
+
+  const trendSourceEntries = useMemo(
+    () => spreadInstallments(mergeEntries(trendEntries, installmentEntries)),
+    [trendEntries, installmentEntries]
+  );
+  const trendData = useMemo(
+    () => buildMonthlyTrend(trendSourceEntries, currentMonth.getFullYear(), currentMonth.getMonth(), TREND_MONTHS),
+    [trendSourceEntries, currentMonth]
+  );
+
+  // 지출 예측은 오늘이 속한 달을 볼 때만 계산합니다. 지난 달들의 소비 패턴은 추이 그래프용으로 불러온 내역을 씁니다.
+  const today = todayDateString();
+  const isCurrentMonth = toMonthKey(monthRange.start) === today.substring(0, 7);
+  const forecastHistory = useMemo(
+    () => trendSourceEntries.filter(entry => isInRange(entry, { start: trendRange.start, end: monthRange.start })),
+    [trendSourceEntries, trendRange, monthRange]
+  );
+  const monthForecast = useMemo(
+    () => (isCurrentMonth ? forecastMonthEnd({ entries: filteredEntries, historyEntries: forecastHistory, templates: recurringTemplates, today }) : null),
+    [isCurrentMonth, filteredEntries, forecastHistory, recurringTemplates, today]
+  );
+  const chartData = useMemo(() => {
+    if (!monthForecast) return trendData;
+    const futureRows = forecastMonthlyTrend({
+      historyEntries: forecastHistory,
+      installmentEntries,
+      templates: recurringTemplates,
+      fromMonthKey: monthForecast.monthKey,
+      monthCount: FORECAST_MONTHS,
+    });
+    // 예상선은 이번 달 예상치에서 시작해 실제 추이와 이어지도록 합니다.
+    return [
+      ...trendData.slice(0, -1),
+      { ...trendData[trendData.length - 1], forecastIncome: monthForecast.projectedIncome, forecastExpense: monthForecast.projectedExpense },
+      ...futureRows.map(({ monthKey, month, income, expense }) => ({ monthKey, month, forecastIncome: income, forecastExpense: expense })),
+    ];
+  }, [monthForecast, trendData, forecastHistory, installmentEntries, recurringTemplates]);
+
+  const formatCurrency = (amount) => amount.toLocaleString('ko-KR');
+
+  const handleMonthChange = (direction) => {
+    setCurrentMonth(prevMonth => {
+      const newMonth = new Date(prevMonth);
+      newMonth.setMonth(prevMonth.getMonth() + direction);
+      return newMonth;
+    });
+  };
+
+  const monthDisplay = currentMonth.toLocaleString('ko-KR', { year: 'numeric', month: 'long' });
+
+  // 지출이 수입보다 클 때 알림
+  const showBudgetAlert = totalExpense > totalIncome && totalIncome > 0; // 총 수입이 0보다 클 때만 (초기 상태 방지)
+
+  const budgetAlertThreshold = ledger?.budgetAlertThreshold ?? DEFAULT_BUDGET_ALERT_THRESHOLD;
+  const budgetStatus = useMemo(
+    () => computeBudgetStatus(ledger?.budgets, categoryExpenses, budgetAlertThreshold),
+    [ledger, categoryExpenses, budgetAlertThreshold]
+  );
+  const budgetAlerts = budgetStatus.filter(status => status.level !== 'ok');
+
+  // 하루 사용 가능 금액은 예산을 정했으면 예산 합계, 아니면 이번 달 예상 수입을 기준으로 합니다.
+  const budgetTotal = Object.values(ledger?.budgets || {}).reduce((sum, budget) => sum + (budget > 0 ? budget : 0), 0);
+  const safeDailySpending = monthForecast
+    ? getSafeDailySpending(monthForecast, budgetTotal > 0 ? budgetTotal : monthForecast.projectedIncome)
+    : 0;
+
+  return (
+    <div className="space-y-6">
+      {showBudgetAlert && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded-lg flex items-center" role="alert">
+          <AlertCircle className="w-6 h-6 mr-3" />
+          <p className="font-semibold">경고: 이번 달 지출이 수입보다 많습니다!</p>
+        </div>
+      )}
+
+      {budgetAlerts.map(status => (
+        <div
+          key={status.category}
+          className={`border-l-4 p-4 rounded-lg flex items-center ${status.level === 'over' ? 'bg-red-100 border-red-500 text-red-700' : 'bg-yellow-100 border-yellow-500 text-yellow-800'}`}
+          role="alert"
+        >
+          <AlertCircle className="w-6 h-6 mr-3" />
+          <p className="font-semibold">
+            {status.level === 'over'
+              ? `${status.category} 예산을 ${formatCurrency(-status.remaining)}원 초과했습니다!`
+              : `${status.category} 예산의 ${Math.floor(status.percent)}%를 사용했습니다.`}
+          </p>
+        </div>
+      ))}
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <button onClick={() => handleMonthChange(-1)} className="p-2 rounded-full hover:bg-gray-100"><ChevronLeft /></button>
+          <h2 className="text-xl font-bold text-center">{monthDisplay}</h2>
+          <button onClick={() => handleMonthChange(1)} className="p-2 rounded-full hover:bg-gray-100"><ChevronRight /></button>
+        </div>
+        <div className="grid grid-cols-3 gap-4 text-center">
+          <div className="p-3 bg-green-50 rounded-lg">
+            <p className="text-sm text-gray-600">총 수입</p>
+            <p className="text-lg font-semibold text-green-700">{formatCurrency(totalIncome)}원</p>
+          </div>
+          <div className="p-3 bg-teal-50 rounded-lg"> {/* 민트색으로 구분 */}
+            <p className="text-sm text-gray-600">총 지출</p>
+            <p className="text-lg font-semibold text-teal-700">{formatCurrency(totalExpense)}원</p>
+          </div>
+          <div className={`p-3 rounded-lg ${netBalance >= 0 ? 'bg-blue-50' : 'bg-orange-50'}`}>
+            <p className="text-sm text-gray-600">순수입/순지출</p>
+            <p className={`text-lg font-semibold ${netBalance >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>
+              {formatCurrency(netBalance)}원
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {monthForecast && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-1 flex items-center"><TrendingUp className="w-5 h-5 mr-2 text-gray-500" /> 월말 예상</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            {monthForecast.daysElapsed}일 지남 · {monthForecast.daysLeft}일 남음 · 카테고리별 소비 패턴과 남은 반복 내역으로 계산했습니다.
+          </p>
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div className="p-3 bg-green-50 rounded-lg">
+              <p className="text-sm text-gray-600">예상 수입</p>
+              <p className="text-lg font-semibold text-green-700">{formatCurrency(monthForecast.projectedIncome)}원</p>
+            </div>
+            <div className="p-3 bg-teal-50 rounded-lg">
+              <p className="text-sm text-gray-600">예상 지출</p>
+              <p className="text-lg font-semibold text-teal-700">{formatCurrency(monthForecast.projectedExpense)}원</p>
+            </div>
+            <div className={`p-3 rounded-lg ${monthForecast.projectedNet >= 0 ? 'bg-blue-50' : 'bg-orange-50'}`}>
+              <p className="text-sm text-gray-600">예상 순수입</p>
+              <p className={`text-lg font-semibold ${monthForecast.projectedNet >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>
+                {formatCurrency(monthForecast.projectedNet)}원
+              </p>
+            </div>
+          </div>
+          <div className="mt-4 p-3 bg-gray-50 rounded-lg flex justify-between items-center">
+            <span className="text-sm text-gray-700">
+              남은 기간 하루에 쓸 수 있는 금액
+              <span className="block text-xs text-gray-500">
+                {budgetTotal > 0 ? `예산 합계 ${formatCurrency(budgetTotal)}원` : '예상 수입'} 기준 · 남은 반복 지출 {formatCurrency(monthForecast.upcomingExpense)}원 제외
+              </span>
+            </span>
+            <span className={`text-lg font-semibold ${safeDailySpending > 0 ? 'text-gray-800' : 'text-red-600'}`}>{formatCurrency(safeDailySpending)}원</span>
+          </div>
+          {monthForecast.categories.length > 0 && (
+            <div className="mt-4 space-y-2">
+              {monthForecast.categories.slice(0, 5).map(({ category, spent, projected }) => (
+                <div key={category} className="flex justify-between items-center text-sm">
+                  <span className="text-gray-700 flex items-center">
+                    <CategoryIcon icon={lists.expense.find(item => item.name === category)?.icon} className="w-4 h-4 mr-2 text-gray-500" />
+                    {category}
+                  </span>
+                  <span className="text-gray-600">
+                    {formatCurrency(spent)}원 → <span className="font-medium text-teal-600">{formatCurrency(projected)}원</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {accountBalances.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-bold">계좌별 잔액</h3>
+            <p className="text-sm text-gray-600">
+              순자산 <span className={`text-lg font-semibold ${netWorth >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>{formatCurrency(netWorth)}원</span>
+            </p>
+          </div>
+          <div className="space-y-3">
+            {accountBalances.filter(account => !account.archived || account.balance !== 0).map(account => (
+              <div key={account.name} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
+                <span className="text-gray-700">
+                  {account.name}
+                  <span className="text-xs text-gray-500 ml-2">{ACCOUNT_KIND_LABELS[account.kind]}</span>
+                </span>
+                <span className={`font-medium ${account.balance >= 0 ? 'text-gray-800' : 'text-orange-700'}`}>{formatCurrency(account.balance)}원</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {goalProgress.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-4 flex items-center"><PiggyBank className="w-5 h-5 mr-2 text-gray-500" /> 저축 목표</h3>
+          <div className="space-y-4">
+            {goalProgress.map(({ goal, saved, percent, monthsLeft, requiredMonthly, status }) => (
+              <div key={goal.name}>
+                <div className="flex justify-between items-center text-sm mb-1">
+                  <span className="text-gray-700 font-medium">
+                    {goal.name}
+                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${GOAL_STATUS_STYLES[status].className}`}>{GOAL_STATUS_STYLES[status].label}</span>
+                  </span>
+                  <span className="text-gray-600">
+                    {formatCurrency(saved)}원 / {formatCurrency(goal.targetAmount)}원
+                  </span>
+                </div>
+                <div className="w-full h-3 bg-gray-100 rounded-full overflow-hidden">
+                  <div className={`h-full rounded-full ${GOAL_STATUS_STYLES[status].barClassName}`} style={{ width: `${Math.max(percent, 0)}%` }} />
+                </div>
+                <p className="text-xs mt-1 text-right text-gray-500">
+                  {status === 'achieved'
+                    ? '목표 금액을 모았습니다!'
+                    : status === 'overdue'
+                      ? `마감일(${new Date(goal.deadline).toLocaleDateString('ko-KR')})이 지났습니다.`
+                      : `${new Date(goal.deadline).toLocaleDateString('ko-KR')}까지 ${monthsLeft}개월 · 매달 ${formatCurrency(requiredMonthly)}원 필요`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {cardForecast.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-4">다가오는 카드 결제</h3>
+          <div className="space-y-4">
+            {cardForecast.map(({ card, payments }) => (
+              <div key={card.name}>
+                <p className="text-gray-700 font-medium flex items-center mb-1">
+                  <CreditCard className="w-4 h-4 mr-2 text-gray-500" />
+                  {card.name}
+                  {card.paymentAccount && <span className="text-xs text-gray-500 ml-2">{card.paymentAccount}에서 출금</span>}
+                </p>
+                {payments.length > 0 ? payments.map(payment => (
+                  <div key={payment.paymentDate} className="flex justify-between items-center py-1 text-sm">
+                    <span className="text-gray-600">
+                      {new Date(payment.paymentDate).toLocaleDateString('ko-KR')} 결제
+                      <span className="text-xs text-gray-400"> · {new Date(payment.closingDate).toLocaleDateString('ko-KR')} 마감 · {payment.count}건</span>
+                    </span>
+                    <span className="font-medium text-teal-600">{formatCurrency(payment.amount)}원</span>
+                  </div>
+                )) : (
+                  <p className="text-sm text-gray-500">결제 예정 금액이 없습니다.</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">월별 지출 카테고리</h3>
+        {categoryExpenses.length > 0 ? (
+          <div className="space-y-3">
+            {categoryExpenses.map(([category, amount]) => (
+              <div key={category} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
+                <span className="text-gray-700 flex items-center">
+                  <CategoryIcon icon={lists.expense.find(item => item.name === category)?.icon} className="w-4 h-4 mr-2 text-gray-500" />
+                  {category}
+                </span>
+                <span className="font-medium text-teal-600">{formatCurrency(amount)}원</span> {/* 민트색으로 구분 */}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">이번 달 지출 내역이 없습니다.</p>
+        )}
+        {tagExpenses.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            <p className="text-sm font-medium text-gray-700 mb-2">태그별 지출</p>
+            <div className="flex flex-wrap gap-2">
+              {tagExpenses.map(([tag, amount]) => (
+                <span key={tag} className="px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700">
+                  #{tag} <span className="font-medium text-teal-600">{formatCurrency(amount)}원</span>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {budgetStatus.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-4">카테고리별 예산 현황</h3>
+          <div className="space-y-4">
+            {budgetStatus.map(status => (
+              <div key={status.category}>
+                <div className="flex justify-between items-center text-sm mb-1">
+                  <span className="text-gray-700 font-medium">{status.category}</span>
+                  <span className="text-gray-600">
+                    {formatCurrency(status.spent)}원 / {formatCurrency(status.budget)}원
+                  </span>
+                </div>
+                <div className="w-full h-3 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${status.level === 'over' ? 'bg-red-500' : status.level === 'warning' ? 'bg-yellow-400' : 'bg-teal-500'}`}
+                    style={{ width: `${Math.min(status.percent, 100)}%` }}
+                  />
+                </div>
+                <p className={`text-xs mt-1 text-right ${status.remaining < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                  {status.remaining >= 0 ? `남은 예산 ${formatCurrency(status.remaining)}원` : `${formatCurrency(-status.remaining)}원 초과`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {activeInstallments.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-4">진행 중인 할부</h3>
+          <div className="space-y-3">
+            {activeInstallments.map(({ entry, totalCount, paidCount, nextAmount, remainingAmount, endMonthKey }) => (
+              <div key={entry.id} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
+                <div>
+                  <p className="text-gray-700">
+                    {getEntryTitle(entry)}{entry.memo && <span className="text-sm text-gray-500"> · {entry.memo}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {paidCount}/{totalCount}회 · {formatMonthKey(endMonthKey)} 종료 · 다음 달 {formatCurrency(nextAmount)}원
+                    {entry.account && ` · ${entry.account}`}
+                  </p>
+                </div>
+                <span className="font-medium text-teal-600">남은 {formatCurrency(remainingAmount)}원</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {upcomingRecurring.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-lg font-bold mb-4">다가오는 반복 내역 ({UPCOMING_RECURRING_DAYS}일 이내)</h3>
+          <div className="space-y-3">
+            {upcomingRecurring.map(({ template, dateString }) => (
+              <div key={`${template.id}_${dateString}`} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0">
+                <div>
+                  <p className="text-gray-700">{getEntryTitle(template)}{template.memo && <span className="text-sm text-gray-500"> · {template.memo}</span>}</p>
+                  <p className="text-xs text-gray-500">{new Date(dateString).toLocaleDateString('ko-KR')} · {describeRecurrence(template)}</p>
+                </div>
+                <span className={`font-medium ${template.type === 'income' ? 'text-green-700' : template.type === 'transfer' ? 'text-indigo-600' : 'text-teal-600'}`}>
+                  {template.type === 'expense' ? '-' : template.type === 'income' ? '+' : ''}{formatCurrency(template.amount)}원
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">
+          월별 수입/지출 추이 (선택한 달까지 6개월)
+          {monthForecast && <span className="block text-xs font-normal text-gray-500">점선은 이번 달 말과 앞으로 {FORECAST_MONTHS}개월 예상입니다.</span>}
+        </h3>
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart
+            data={chartData}
+            margin={{ top: 5, right: 10, left: 0, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+            <XAxis dataKey="month" stroke="#666" />
+            <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
+            <Tooltip formatter={(value) => `${formatCurrency(value)}원`} />
+            <Legend />
+            <Line type="monotone" dataKey="income" name="수입" stroke="#22c55e" activeDot={{ r: 8 }} strokeWidth={2} />
+            <Line type="monotone" dataKey="expense" name="지출" stroke="#20c997" activeDot={{ r: 8 }} strokeWidth={2} /> {/* 민트색 */}
+            {monthForecast && <Line type="monotone" dataKey="forecastIncome" name="예상 수입" stroke="#22c55e" strokeDasharray="5 5" strokeWidth={2} dot={false} />}
+            {monthForecast && <Line type="monotone" dataKey="forecastExpense" name="예상 지출" stroke="#20c997" strokeDasharray="5 5" strokeWidth={2} dot={false} />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">월별 지출 카테고리 비율</h3>
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart
+            data={categoryExpenses.map(([name, value]) => ({ name, value }))}
+            margin={{ top: 5, right: 10, left: 0, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+            <XAxis dataKey="name" stroke="#666" />
+            <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
+            <Tooltip formatter={(value) => `${formatCurrency(value)}원`} />
+            <Bar dataKey="value" fill="#20c997" name="지출액" radius={[10, 10, 0, 0]} /> {/* 민트색 */}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+const toDateInputValue = (value) => {
+  const date = value?.toDate ? value.toDate() : new Date(value);
+  return date.toISOString().split('T')[0];
+};
+
+// 첨부파일 미리보기. 사진은 저장해 둔 작은 미리보기를, PDF는 아이콘을 보여줍니다.
+const AttachmentThumbnail = ({ attachment, onClick, onRemove }) => (
+  <div className="relative w-16 h-16">
+    <button
+      type="button"
+      onClick={onClick}
+      className="w-16 h-16 rounded-md border border-gray-200 overflow-hidden bg-gray-50 flex items-center justify-center"
+      title={attachment.name}
+    >
+      {attachment.thumbnail
+        ? <img src={attachment.thumbnail} alt={attachment.name} className="w-full h-full object-cover" />
+        : <FileText className="w-6 h-6 text-gray-400" />}
+    </button>
+    {onRemove && (
+      <button
+        type="button"
+        onClick={onRemove}
+        className="absolute -top-1 -right-1 bg-white rounded-full border border-gray-300 p-0.5 hover:bg-gray-100"
+        title="첨부 삭제"
+      >
+        <X className="w-3 h-3" />
+      </button>
+    )}
+  </div>
+);
+
+// 첨부파일 원본 보기. 열 때마다 다운로드 주소를 받아옵니다.
+const AttachmentViewer = ({ attachments, initialIndex = 0, onClose }) => {
+  const { storage } = useContext(AppContext);
+  const [index, setIndex] = useState(initialIndex);
+  const [url, setUrl] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const attachment = attachments[index];
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrl(null);
+    setLoadError(null);
+    getAttachmentUrl(storage, attachment)
+      .then(nextUrl => {
+        if (!cancelled) setUrl(nextUrl);
+      })
+      .catch(error => {
+        console.error("첨부파일 불러오기 실패:", error);
+        if (!cancelled) setLoadError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, attachment]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-4 max-w-3xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-3">
+          <p className="text-sm font-medium text-gray-700 truncate">
+            {attachment.name}
+            {attachments.length > 1 && <span className="text-gray-500 ml-2">{index + 1}/{attachments.length}</span>}
+          </p>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100"><X className="w-5 h-5" /></button>
+        </div>
+        <div className="flex items-center justify-center min-h-[200px]">
+          {loadError ? (
+            <p className="text-sm text-red-600">첨부파일을 불러오지 못했습니다: {loadError}</p>
+          ) : !url ? (
+            <p className="text-sm text-gray-500">불러오는 중...</p>
+          ) : isPdfAttachment(attachment) ? (
+            <iframe src={url} title={attachment.name} className="w-full h-[70vh] border-0" />
+          ) : (
+            <img src={url} alt={attachment.name} className="max-w-full max-h-[70vh] object-contain" />
+          )}
+        </div>
+        <div className="flex items-center justify-between mt-3">
+          <button
+            onClick={() => setIndex(index - 1)}
+            disabled={index === 0}
+            className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-30"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          {url && (
+            <a href={url} target="_blank" rel="noopener noreferrer" className="text-sm text-indigo-600 hover:underline">새 창에서 열기</a>
+          )}
+          <button
+            onClick={() => setIndex(index + 1)}
+            disabled={index === attachments.length - 1}
+            className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-30"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// allowAttachments: 영수증 첨부 (반복 내역 템플릿에서는 사용하지 않습니다)
+// confirmEntry: 저장 전 확인 (entryData를 받아 true면 계속 진행). 첨부파일을 올리기 전에 묻습니다.
+const EntryForm = ({ initialEntry, onSubmit, confirmEntry, submitLabel, resetOnSuccess = false, allowAttachments = false, dateLabel = '날짜', children }) => {
+  const { storage, ledgerId, ledger, isOnline, showMessage } = useContext(AppContext);
+  const [type, setType] = useState(initialEntry?.type || 'expense');
+  const [amount, setAmount] = useState((initialEntry && isForeignEntry(initialEntry) ? initialEntry.originalAmount : initialEntry?.amount)?.toString() || '');
+  const [currency, setCurrency] = useState(initialEntry?.currency || BASE_CURRENCY);
+  const [exchangeRate, setExchangeRate] = useState(initialEntry?.exchangeRate?.toString() || ''); // 1 외화당 원
+  const [category, setCategory] = useState(initialEntry?.category || '');
+  const [subcategory, setSubcategory] = useState(initialEntry?.subcategory || '');
+  const [paymentMethod, setPaymentMethod] = useState(initialEntry?.paymentMethod || '');
+  const [account, setAccount] = useState(initialEntry?.account || '');
+  const [fromAccount, setFromAccount] = useState(initialEntry?.fromAccount || '');
+  const [toAccount, setToAccount] = useState(initialEntry?.toAccount || '');
+  const [installmentMonths, setInstallmentMonths] = useState(initialEntry?.installmentMonths?.toString() || '');
+  const [installmentRate, setInstallmentRate] = useState(initialEntry?.installmentRate?.toString() || '');
+  const [savingsGoal, setSavingsGoal] = useState(initialEntry?.savingsGoal || '');
+  const [cashReceipt, setCashReceipt] = useState(initialEntry?.cashReceipt === undefined ? '' : String(initialEntry.cashReceipt)); // '' | 'true' | 'false'
+  const [paidBy, setPaidBy] = useState(initialEntry?.paidBy || ''); // 비어 있으면 정산하지 않습니다.
+  const [splitMode, setSplitMode] = useState(() => getSplitMode(initialEntry?.splitShares));
+  const [splitPercents, setSplitPercents] = useState(() => Object.fromEntries(
+    Object.entries(initialEntry?.splitShares || {}).map(([uid, percent]) => [uid, percent.toString()])
+  ));
+  const [splitOwner, setSplitOwner] = useState(() => (
+    getSplitMode(initialEntry?.splitShares) === 'single' ? Object.keys(initialEntry.splitShares).find(uid => initialEntry.splitShares[uid] > 0) : ''
+  ));
+  const [memo, setMemo] = useState(initialEntry?.memo || '');
+  const [tags, setTags] = useState((initialEntry?.tags || []).join(', '));
+  const [isSplit, setIsSplit] = useState(!!initialEntry?.splitLines);
+  const [splitLines, setSplitLines] = useState(() => (
+    (initialEntry?.splitLines || []).map(line => ({ category: line.category, amount: line.amount.toString() }))
+  ));
+  const [attachments, setAttachments] = useState(initialEntry?.attachments || []); // 이미 올린 첨부파일
+  const [pendingAttachments, setPendingAttachments] = useState([]); // 저장할 때 올릴 파일 (압축 완료)
+  const [isUploading, setIsUploading] = useState(false);
+  const [date, setDate] = useState(initialEntry?.date ? toDateInputValue(initialEntry.date) : new Date().toISOString().split('T')[0]);
+  const lists = useLedgerLists();
+
+  // 보관된 항목은 새 입력에서는 숨기되, 수정 중인 내역이 이미 쓰고 있다면 그대로 보여줍니다.
+  const typeCategories = type === 'expense' ? lists.expense : lists.income;
+  const categoryOptions = typeCategories.filter(item => !item.archived || item.name === initialEntry?.category);
+  const subcategoryOptions = typeCategories.find(item => item.name === category)?.subcategories || [];
+  const splitCategoryOptions = typeCategories.filter(item => (
+    !item.archived || (initialEntry?.splitLines || []).some(line => line.category === item.name)
+  ));
+  const paymentMethodOptions = lists.paymentMethods.filter(item => !item.archived || item.name === initialEntry?.paymentMethod);
+  const accountOptions = lists.accounts.filter(item => (
+    !item.archived || [initialEntry?.account, initialEntry?.fromAccount, initialEntry?.toAccount].includes(item.name)
+  ));
+  const savingsGoalOptions = lists.savingsGoals.filter(item => !item.archived || item.name === initialEntry?.savingsGoal);
+  const memberIds = Object.keys(ledger?.members || {});
+  const canSplit = type === 'expense' && (memberIds.length > 1 || !!initialEntry?.paidBy);
+
+  // 환율표에 등록한 통화만 고를 수 있습니다. 수정 중인 내역의 통화는 환율표에서 지웠더라도 보여줍니다.
+  const currencyOptions = [...new Set([BASE_CURRENCY, ...Object.keys(ledger?.exchangeRates || {}).sort(), initialEntry?.currency || BASE_CURRENCY])];
+  const isForeign = currency !== BASE_CURRENCY;
+  const baseAmount = isForeign ? convertToBaseCurrency(parseFloat(amount), parseFloat(exchangeRate)) : parseFloat(amount);
+
+  // 통화나 날짜를 바꾸면 환율표에서 그날의 환율을 다시 채웁니다. 직접 고친 환율은 그대로 저장합니다.
+  const fillExchangeRate = (newCurrency, newDate) => {
+    const rate = findExchangeRate(ledger?.exchangeRates, newCurrency, newDate);
+    setExchangeRate(rate ? rate.toString() : '');
+  };
+
+  const handleCurrencyChange = (newCurrency) => {
+    setCurrency(newCurrency);
+    fillExchangeRate(newCurrency, date);
+  };
+
+  const handleDateChange = (newDate) => {
+    setDate(newDate);
+    if (isForeign) fillExchangeRate(currency, newDate);
+  };
+
+  // 메모에 맞는 자동 분류 규칙이 있고 아직 반영하지 않았다면 제안합니다. 보관된 카테고리로 가는 규칙은 제안하지 않습니다.
+  const ruleSuggestion = useMemo(() => {
+    if (type === 'transfer' || isSplit) return null;
+    const rule = findMatchingRule(lists.categoryRules, memo, type);
+    if (!rule || !categoryOptions.some(item => item.name === rule.category)) return null;
+    const currentTags = normalizeTags(tags);
+    const isApplied = category === rule.category
+      && (type !== 'expense' || !rule.paymentMethod || paymentMethod === rule.paymentMethod)
+      && (rule.tags || []).every(tag => currentTags.includes(tag));
+    return isApplied ? null : rule;
+  }, [type, isSplit, memo, tags, category, paymentMethod, lists.categoryRules, categoryOptions]);
+
+  const handleApplyRule = () => {
+    if (category !== ruleSuggestion.category) {
+      setCategory(ruleSuggestion.category);
+      setSubcategory('');
+    }
+    if (type === 'expense' && ruleSuggestion.paymentMethod) {
+      setPaymentMethod(ruleSuggestion.paymentMethod);
+    }
+    setTags(normalizeTags([...normalizeTags(tags), ...(ruleSuggestion.tags || [])]).join(', '));
+  };
+
+  // 현금영수증 대상 결제수단(현금, 계좌이체 등)이면 연말정산을 위해 발급 여부를 기록합니다.
+  const needsCashReceipt = type === 'expense' && getTaxGroups(lists).paymentGroups[paymentMethod] === 'cash';
+
+  const installmentPreview = useMemo(() => {
+    if (!(installmentMonths > 1) || isNaN(baseAmount) || baseAmount <= 0) return null;
+    const schedule = getInstallmentSchedule({ amount: baseAmount, installmentMonths: parseInt(installmentMonths, 10), installmentRate: parseFloat(installmentRate) || 0 });
+    return { firstAmount: schedule[0].amount, totalInterest: schedule.reduce((sum, payment) => sum + payment.interest, 0) };
+  }, [baseAmount, installmentMonths, installmentRate]);
+
+  const attachmentCount = attachments.length + pendingAttachments.length;
+  const canAttach = isOnline && attachmentCount < MAX_ATTACHMENT_COUNT;
+
+  const handleSelectFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = ''; // 같은 파일을 다시 고를 수 있도록
+    if (attachmentCount + files.length > MAX_ATTACHMENT_COUNT) {
+      showMessage(`첨부파일은 ${MAX_ATTACHMENT_COUNT}개까지 붙일 수 있습니다.`);
+      return;
+    }
+    try {
+      const prepared = await Promise.all(files.map(prepareAttachment));
+      setPendingAttachments(prev => [...prev, ...prepared]);
+    } catch (error) {
+      console.error("첨부파일 준비 실패:", error);
+      showMessage(`첨부파일 준비 실패: ${error.message}`);
+    }
+  };
+
+  // 하나라도 실패하면 이번에 올린 파일을 지우고 오류를 알립니다.
+  const uploadPendingAttachments = async () => {
+    const results = await Promise.allSettled(pendingAttachments.map(item => uploadAttachment(storage, ledgerId, item)));
+    const uploaded = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      deleteAttachments(storage, uploaded).catch(error => console.error("첨부파일 정리 실패:", error));
+      throw failed.reason;
+    }
+    return uploaded;
+  };
+
+  // 결제한 사람을 고른 경우 분담 비율을 만듭니다. 잘못 입력하면 오류 문구를 반환합니다.
+  const buildSplitShares = () => {
+    if (splitMode === 'equal') return { splitShares: getEqualShares(memberIds) };
+    if (splitMode === 'single') {
+      return splitOwner ? { splitShares: { [splitOwner]: 100 } } : { error: "비용을 부담할 사람을 선택해주세요." };
+    }
+    const shares = {};
+    for (const uid of memberIds) {
+      const percent = parseFloat(splitPercents[uid] || '0');
+      if (isNaN(percent) || percent < 0) return { error: "분담 비율은 0 이상의 숫자로 입력해주세요." };
+      if (percent > 0) shares[uid] = percent;
+    }
+    const total = Object.values(shares).reduce((sum, percent) => sum + percent, 0);
+    return Math.abs(total - 100) < 0.01 ? { splitShares: shares } : { error: "분담 비율의 합이 100%가 되어야 합니다." };
+  };
+
+  // 나눈 금액의 합계는 입력한 금액(외화면 외화 금액)과 같아야 합니다. 잘못 입력하면 오류 문구를 반환합니다.
+  const buildSplitLines = () => {
+    const lines = splitLines.map(line => ({ category: line.category, amount: parseFloat(line.amount) }));
+    if (lines.length < 2) return { error: "두 개 이상의 카테고리로 나눠주세요." };
+    if (lines.some(line => !line.category)) return { error: "나눈 금액마다 카테고리를 선택해주세요." };
+    if (lines.some(line => isNaN(line.amount) || line.amount <= 0)) return { error: "나눈 금액을 0보다 크게 입력해주세요." };
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (Math.abs(total - parseFloat(amount)) > 0.005) return { error: "나눈 금액의 합계가 전체 금액과 같아야 합니다." };
+    return { lines };
+  };
+  const splitRemaining = (parseFloat(amount) || 0) - splitLines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+
+  const handleToggleSplit = () => {
+    if (!isSplit && splitLines.length === 0) {
+      setSplitLines([{ category, amount }, { category: '', amount: '' }]);
+    }
+    setIsSplit(!isSplit);
+  };
+
+  const updateSplitLine = (index, field, value) => {
+    setSplitLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const useSplit = isSplit && type !== 'transfer';
+    const splitResult = useSplit ? buildSplitLines() : {};
+    if (splitResult.error) {
+      showMessage(splitResult.error);
+      return;
+    }
+
+    const validationError = validateEntryInput({
+      type, amount, category: useSplit ? getPrimaryCategory(splitResult.lines) : category, paymentMethod, fromAccount, toAccount,
+      installmentRate: type === 'expense' && installmentMonths ? installmentRate : '',
+    });
+    if (validationError) {
+      showMessage(validationError);
+      return;
+    }
+    if (isForeign && !(parseFloat(exchangeRate) > 0)) {
+      showMessage("유효한 환율을 입력해주세요.");
+      return;
+    }
+
+    const entryData = {
+      date: new Date(date),
+      type,
+      amount: baseAmount,
+      memo,
+    };
+    if (isForeign) {
+      entryData.currency = currency;
+      entryData.originalAmount = parseFloat(amount);
+      entryData.exchangeRate = parseFloat(exchangeRate);
+    }
+
+    if (type === 'transfer') {
+      entryData.fromAccount = fromAccount;
+      entryData.toAccount = toAccount;
+    } else if (useSplit) {
+      entryData.category = getPrimaryCategory(splitResult.lines);
+      entryData.splitLines = splitResult.lines;
+      if (account) {
+        entryData.account = account;
+      }
+    } else {
+      entryData.category = category;
+      if (subcategory && subcategoryOptions.includes(subcategory)) {
+        entryData.subcategory = subcategory;
+      }
+      if (account) {
+        entryData.account = account;
+      }
+    }
+    if (type === 'expense') {
+      entryData.paymentMethod = paymentMethod;
+    }
+    if (type !== 'income' && savingsGoal) {
+      entryData.savingsGoal = savingsGoal;
+    }
+    if (normalizeTags(tags).length > 0) {
+      entryData.tags = normalizeTags(tags);
+    }
+    if (needsCashReceipt && cashReceipt) {
+      entryData.cashReceipt = cashReceipt === 'true';
+    }
+    if (canSplit && paidBy) {
+      const { splitShares, error } = buildSplitShares();
+      if (error) {
+        showMessage(error);
+        return;
+      }
+      entryData.paidBy = paidBy;
+      entryData.splitShares = splitShares;
+    }
+    if (type === 'expense' && installmentMonths) {
+      entryData.installmentMonths = parseInt(installmentMonths, 10);
+      if (parseFloat(installmentRate) > 0) {
+        entryData.installmentRate = parseFloat(installmentRate);
+      }
+    }
+
+    if (confirmEntry && !(await confirmEntry(entryData))) {
+      return;
+    }
+
+    if (allowAttachments) {
+      let uploaded = [];
+      if (pendingAttachments.length > 0) {
+        if (!isOnline) {
+          showMessage("첨부파일은 인터넷에 연결된 상태에서만 올릴 수 있습니다.");
+          return;
+        }
+        setIsUploading(true);
+        try {
+          uploaded = await uploadPendingAttachments();
+        } catch (error) {
+          console.error("첨부파일 업로드 실패:", error);
+          showMessage(`첨부파일 업로드 실패: ${error.message}`);
+          return;
+        } finally {
+          setIsUploading(false);
+        }
+      }
+      if (attachments.length + uploaded.length > 0) {
+        entryData.attachments = [...attachments, ...uploaded];
+      }
+    }
+
+    const succeeded = await onSubmit(entryData);
+    if (succeeded && resetOnSuccess) {
+      // Reset form
+      setAmount('');
+      setCurrency(BASE_CURRENCY);
+      setExchangeRate('');
+      setCategory('');
+      setSubcategory('');
+      setPaymentMethod('');
+      setAccount('');
+      setFromAccount('');
+      setToAccount('');
+      setInstallmentMonths('');
+      setInstallmentRate('');
+      setSavingsGoal('');
+      setCashReceipt('');
+      setPaidBy('');
+      setSplitMode('equal');
+      setSplitPercents({});
+      setSplitOwner('');
+      setMemo('');
+      setTags('');
+      setIsSplit(false);
+      setSplitLines([]);
+      setAttachments([]);
+      setPendingAttachments([]);
+      setDate(new Date().toISOString().split('T')[0]);
+    }
+  };
+
+  const handleTypeChange = (newType) => {
+    if (newType === type) return;
+    setType(newType);
+    setCategory(''); // 수입/지출 카테고리는 서로 다르므로 초기화
+    setSubcategory('');
+    setIsSplit(false);
+    setSplitLines([]);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{dateLabel}</label>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => handleDateChange(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          required
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">유형</label>
+        <div className="flex space-x-4">
+          <button
+            type="button"
+            onClick={() => handleTypeChange('expense')}
+            className={`flex-1 py-3 px-4 rounded-md font-semibold transition duration-200 ${type === 'expense' ? 'bg-teal-500 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`} // 민트색
+          >
+            <Wallet className="inline-block mr-2 w-5 h-5" /> 지출
+          </button>
+          <button
+            type="button"
+            onClick={() => handleTypeChange('income')}
+            className={`flex-1 py-3 px-4 rounded-md font-semibold transition duration-200 ${type === 'income' ? 'bg-green-500 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            <PiggyBank className="inline-block mr-2 w-5 h-5" /> 수입
+          </button>
+          {(accountOptions.length > 0 || type === 'transfer') && (
+            <button
+              type="button"
+              onClick={() => handleTypeChange('transfer')}
+              className={`flex-1 py-3 px-4 rounded-md font-semibold transition duration-200 ${type === 'transfer' ? 'bg-indigo-500 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              <ArrowLeftRight className="inline-block mr-2 w-5 h-5" /> 이체
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">금액 ({isForeign ? currency : '원'})</label>
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            step={isForeign ? 'any' : undefined}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={isForeign ? '예: 12.5' : '예: 15000'}
+            className="flex-grow min-w-0 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+            required
+          />
+          {currencyOptions.length > 1 && (
+            <select
+              value={currency}
+              onChange={(e) => handleCurrencyChange(e.target.value)}
+              className="w-28 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+              aria-label="통화"
+            >
+              {currencyOptions.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          )}
+        </div>
+        {isForeign && (
+          <div className="mt-2 flex items-center space-x-2 text-sm">
+            <label className="text-gray-700 whitespace-nowrap">환율 (1 {currency}당 원)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={exchangeRate}
+              onChange={(e) => setExchangeRate(e.target.value)}
+              className="w-32 p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+              required
+            />
+            <span className="text-gray-600">= {isNaN(baseAmount) ? '-' : baseAmount.toLocaleString('ko-KR')}원</span>
+          </div>
+        )}
+      </div>
+
+      {type === 'transfer' ? (
+        <div className="flex space-x-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">출금 계좌</label>
+            <select
+              value={fromAccount}
+              onChange={(e) => setFromAccount(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+              required
+            >
+              <option value="">선택하세요</option>
+              {accountOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+            </select>
+          </div>
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">입금 계좌</label>
+            <select
+              value={toAccount}
+              onChange={(e) => setToAccount(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+              required
+            >
+              <option value="">선택하세요</option>
+              {accountOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+            </select>
+          </div>
+        </div>
+      ) : isSplit ? (
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-gray-700">카테고리별 금액</label>
+            <button type="button" onClick={handleToggleSplit} className="text-sm text-indigo-600 hover:underline">나누지 않기</button>
+          </div>
+          <div className="space-y-2">
+            {splitLines.map((line, index) => (
+              <div key={index} className="flex space-x-2">
+                <select
+                  value={line.category}
+                  onChange={(e) => updateSplitLine(index, 'category', e.target.value)}
+                  className="flex-grow min-w-0 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                >
+                  <option value="">카테고리</option>
+                  {splitCategoryOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={line.amount}
+                  onChange={(e) => updateSplitLine(index, 'amount', e.target.value)}
+                  placeholder="금액"
+                  className="w-32 p-3 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setSplitLines(prev => prev.filter((_, i) => i !== index))}
+                  disabled={splitLines.length <= 2}
+                  className="p-2 rounded hover:bg-gray-200 text-red-500 disabled:opacity-30"
+                  title="삭제"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center justify-between mt-2 text-sm">
+            <button
+              type="button"
+              onClick={() => setSplitLines(prev => [...prev, { category: '', amount: splitRemaining > 0 ? splitRemaining.toString() : '' }])}
+              className="text-indigo-600 hover:underline"
+            >
+              + 카테고리 추가
+            </button>
+            <span className={Math.abs(splitRemaining) > 0.005 ? 'text-orange-600' : 'text-gray-500'}>
+              {Math.abs(splitRemaining) > 0.005 ? `남은 금액 ${Math.round(splitRemaining * 100) / 100}` : '합계가 맞습니다'}
+            </span>
+          </div>
+        </div>
+      ) : (
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-gray-700">카테고리</label>
+            <button type="button" onClick={handleToggleSplit} className="text-sm text-indigo-600 hover:underline">여러 카테고리로 나누기</button>
+          </div>
+          <select
+            value={category}
+            onChange={(e) => {
+              setCategory(e.target.value);
+              setSubcategory('');
+            }}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            required
+          >
+            <option value="">선택하세요</option>
+            {categoryOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {type !== 'transfer' && !isSplit && subcategoryOptions.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">세부 카테고리 (선택 사항)</label>
+          <select
+            value={subcategory}
+            onChange={(e) => setSubcategory(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">선택 안 함</option>
+            {subcategoryOptions.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {type === 'expense' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">결제 수단</label>
+          <select
+            value={paymentMethod}
+            onChange={(e) => setPaymentMethod(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            required
+          >
+            <option value="">선택하세요</option>
+            {paymentMethodOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {needsCashReceipt && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">현금영수증</label>
+          <select
+            value={cashReceipt}
+            onChange={(e) => setCashReceipt(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">모름 (나중에 입력)</option>
+            <option value="true">발급받음</option>
+            <option value="false">발급받지 않음</option>
+          </select>
+        </div>
+      )}
+
+      {canSplit && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">결제한 사람 (부부 정산)</label>
+          <select
+            value={paidBy}
+            onChange={(e) => setPaidBy(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">정산하지 않음 (공동 지출)</option>
+            {memberIds.map(uid => <option key={uid} value={uid}>{getMemberLabel(ledger, uid)}</option>)}
+          </select>
+          {paidBy && (
+            <div className="mt-2 space-y-2">
+              <div className="flex space-x-1">
+                {SPLIT_MODE_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setSplitMode(option.value)}
+                    className={`flex-1 py-2 px-2 text-sm rounded-md font-medium transition duration-200 ${splitMode === option.value ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {splitMode === 'single' && (
+                <select
+                  value={splitOwner}
+                  onChange={(e) => setSplitOwner(e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                >
+                  <option value="">부담할 사람 선택</option>
+                  {memberIds.map(uid => <option key={uid} value={uid}>{getMemberLabel(ledger, uid)}</option>)}
+                </select>
+              )}
+              {splitMode === 'percent' && memberIds.map(uid => (
+                <div key={uid} className="flex items-center justify-between">
+                  <label className="text-sm text-gray-700 flex-1">{getMemberLabel(ledger, uid)}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={splitPercents[uid] ?? ''}
+                    onChange={(e) => setSplitPercents(prev => ({ ...prev, [uid]: e.target.value }))}
+                    className="w-24 p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <span className="ml-1 text-sm text-gray-500">%</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {type !== 'transfer' && accountOptions.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">계좌 (선택 사항)</label>
+          <select
+            value={account}
+            onChange={(e) => setAccount(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">선택 안 함</option>
+            {accountOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {type === 'expense' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">할부</label>
+          <div className="flex space-x-4">
+            <select
+              value={installmentMonths}
+              onChange={(e) => setInstallmentMonths(e.target.value)}
+              className="flex-1 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="">일시불</option>
+              {INSTALLMENT_MONTH_OPTIONS.map(months => <option key={months} value={months}>{months}개월</option>)}
+            </select>
+            {installmentMonths && (
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={installmentRate}
+                onChange={(e) => setInstallmentRate(e.target.value)}
+                placeholder="수수료율 (연 %, 무이자면 비움)"
+                className="flex-1 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            )}
+          </div>
+          {installmentPreview && (
+            <p className="text-xs text-gray-500 mt-1">
+              첫 달 {installmentPreview.firstAmount.toLocaleString('ko-KR')}원
+              {installmentPreview.totalInterest > 0 && ` · 총 수수료 ${installmentPreview.totalInterest.toLocaleString('ko-KR')}원`}
+              {' '}· 월별 통계에는 매달 회차 금액만 반영됩니다.
+            </p>
+          )}
+        </div>
+      )}
+
+      {type !== 'income' && savingsGoalOptions.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">저축 목표 (선택 사항)</label>
+          <select
+            value={savingsGoal}
+            onChange={(e) => setSavingsGoal(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">선택 안 함 (연결된 계좌/카테고리로 자동 반영)</option>
+            {savingsGoalOptions.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">메모 (선택 사항)</label>
+        <textarea
+          value={memo}
+          onChange={(e) => setMemo(e.target.value)}
+          placeholder="상세 내역을 입력하세요"
+          rows="2"
+          className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        ></textarea>
+        {ruleSuggestion && (
+          <div className="mt-2 flex items-center justify-between p-2 bg-indigo-50 rounded-md text-sm">
+            <span className="text-indigo-800 flex items-center min-w-0">
+              <Wand2 className="w-4 h-4 mr-1 flex-shrink-0" />
+              <span className="truncate">
+                {[ruleSuggestion.category, type === 'expense' && ruleSuggestion.paymentMethod, ...(ruleSuggestion.tags || []).map(tag => `#${tag}`)].filter(Boolean).join(' · ')}
+              </span>
+            </span>
+            <button type="button" onClick={handleApplyRule} className="ml-2 px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex-shrink-0">
+              적용
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">태그 (선택 사항, 쉼표로 구분)</label>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="예: 제주여행 2026, 경조사"
+          className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+
+      {allowAttachments && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">영수증 첨부 (사진/PDF, 선택 사항)</label>
+          {attachmentCount > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {attachments.map(attachment => (
+                <AttachmentThumbnail
+                  key={attachment.path}
+                  attachment={attachment}
+                  onRemove={() => setAttachments(prev => prev.filter(item => item.path !== attachment.path))}
+                />
+              ))}
+              {pendingAttachments.map((attachment, index) => (
+                <AttachmentThumbnail
+                  key={`pending-${index}`}
+                  attachment={attachment}
+                  onRemove={() => setPendingAttachments(prev => prev.filter((_, i) => i !== index))}
+                />
+              ))}
+            </div>
+          )}
+          <label className={`inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm ${canAttach ? 'cursor-pointer text-gray-700 hover:bg-gray-50' : 'text-gray-400 opacity-50'}`}>
+            <Paperclip className="w-4 h-4 mr-2" /> 파일 선택
+            <input type="file" accept={ACCEPTED_ATTACHMENT_TYPES} multiple onChange={handleSelectFiles} disabled={!canAttach} className="hidden" />
+          </label>
+          {!isOnline && <p className="text-xs text-gray-500 mt-1">오프라인에서는 첨부파일을 올릴 수 없습니다.</p>}
+        </div>
+      )}
+
+      {children}
+
+      <button
+        type="submit"
+        disabled={isUploading}
+        className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-lg disabled:opacity-50"
+      >
+        {isUploading ? '첨부파일 올리는 중...' : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+// 내역 탭과 연말정산 탭에서 함께 쓰는 수정 창
+const EntryEditModal = ({ entry, onClose }) => {
+  const { db, storage, ledgerId, userId, showMessage } = useContext(AppContext);
+
+  // 오프라인에서도 바로 닫히도록 서버 응답을 기다리지 않습니다. 빼낸 첨부파일은 수정이 서버에 반영된 뒤 저장소에서도 지웁니다.
+  const handleUpdateEntry = (entryData) => {
+    const removedAttachments = getRemovedAttachments(entry.attachments, entryData.attachments);
+    updateEntry(db, ledgerId, userId, entry, entryData)
+      .then(() => deleteAttachments(storage, removedAttachments).catch(error => {
+        console.error("첨부파일 삭제 실패:", error);
+        showMessage(`첨부파일 삭제 실패: ${error.message}`);
+      }))
+      .catch(error => {
+        console.error("내역 수정 실패:", error);
+        showMessage(`내역 수정 실패: ${error.message}`);
+      });
+    onClose();
+    showMessage("내역이 수정되었습니다.");
+    return true;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-md w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-indigo-700">내역 수정</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100"><X className="w-5 h-5" /></button>
+        </div>
+        <EntryForm key={entry.id} initialEntry={entry} onSubmit={handleUpdateEntry} submitLabel="수정 저장" allowAttachments />
+      </div>
+    </div>
+  );
+};
+
+// 중복과 큰 금액을 찾을 때 비교하는 최근 기간
+const ANOMALY_LOOKBACK_DAYS = 90;
+
+const getAnomalyRange = () => ({ start: new Date(addDaysToDateString(todayDateString(), -ANOMALY_LOOKBACK_DAYS)), end: null });
+
+// 입력하려는 내역이 중복이거나 평소보다 훨씬 큰 금액이면 확인 문구를 만듭니다. 문제가 없으면 null입니다.
+const describeEntryWarnings = (entryData, { duplicates, outlier }, ledger) => {
+  const warnings = [];
+  if (duplicates.length > 0) {
+    const [duplicate] = duplicates;
+    warnings.push(`${getMemberLabel(ledger, duplicate.recordedBy)}님이 ${toEntryDate(duplicate.date).toLocaleDateString('ko-KR')}에 같은 금액의 ${duplicate.category} 내역을 이미 기록했습니다.`);
+  }
+  if (outlier) {
+    warnings.push(`${entryData.category} 평소 금액(${Math.round(outlier.median).toLocaleString('ko-KR')}원)의 ${Math.floor(outlier.ratio)}배입니다.`);
+  }
+  return warnings.length > 0 ? `${warnings.join(' ')} 그래도 추가할까요?` : null;
+};
+
+const InputTab = () => {
+  const { db, ledgerId, ledger, userId, isOnline, showMessage } = useContext(AppContext);
+  const [pendingConfirm, setPendingConfirm] = useState(null); // { message, resolve }
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+  const anomalyRange = useMemo(getAnomalyRange, []);
+  const recentEntries = useLedgerEntries(db, ledgerId, anomalyRange, handleEntriesError);
+
+  // 배우자가 이미 기록한 것 같은 내역이나 평소보다 훨씬 큰 금액은 추가하기 전에 한 번 더 묻습니다.
+  const confirmEntry = (entryData) => {
+    const message = describeEntryWarnings(entryData, checkNewEntry({ ...entryData, recordedBy: userId }, recentEntries), ledger);
+    if (!message) return true;
+    return new Promise(resolve => setPendingConfirm({ message, resolve }));
+  };
+
+  const closeConfirm = (confirmed) => {
+    pendingConfirm.resolve(confirmed);
+    setPendingConfirm(null);
+  };
+
+  // 서버 응답을 기다리지 않습니다. 오프라인이면 로컬 캐시에 저장되고 연결될 때 전송됩니다.
+  const handleSubmit = async (entryData) => {
+    if (!db || !ledgerId || !userId) {
+      showMessage("Firebase가 준비되지 않았거나 가계부 ID가 설정되지 않았습니다.");
+      return false;
+    }
+
+    addEntry(db, ledgerId, userId, entryData).catch(error => {
+      console.error("내역 추가 실패:", error);
+      showMessage(`내역 추가 실패: ${error.message}`);
+    });
+    showMessage(isOnline
+      ? "내역이 성공적으로 추가되었습니다!"
+      : "오프라인 상태라 기기에 먼저 저장했습니다. 연결되면 자동으로 동기화됩니다.");
+    return true;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 max-w-md mx-auto">
+      <h2 className="text-2xl font-bold text-indigo-700 mb-6 text-center">새 내역 입력</h2>
+      <EntryForm onSubmit={handleSubmit} confirmEntry={confirmEntry} submitLabel="내역 추가" resetOnSuccess allowAttachments />
+
+      {pendingConfirm && (
+        <ConfirmModal
+          message={pendingConfirm.message}
+          confirmLabel="추가"
+          onConfirm={() => closeConfirm(true)}
+          onCancel={() => closeConfirm(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+// --- 내역 검색 조건 (URL에 저장하여 새로고침하거나 배우자에게 링크를 보내도 유지됩니다) ---
+
+const HISTORY_SORT_OPTIONS = [
+  { value: 'date-desc', label: '최신순' },
+  { value: 'date-asc', label: '오래된순' },
+  { value: 'amount-desc', label: '금액 높은순' },
+  { value: 'amount-asc', label: '금액 낮은순' },
+  { value: 'category', label: '카테고리순' },
+];
+
+// 검색 조건 키와 URL 파라미터 이름. 카테고리는 여러 개이므로 cat 파라미터를 반복합니다.
+const HISTORY_FILTER_PARAMS = {
+  from: 'from', to: 'to', type: 'type', paymentMethod: 'pay', recordedBy: 'by', query: 'q', minAmount: 'min', maxAmount: 'max', sort: 'sort',
+};
+
+const monthToDateRange = (monthKey) => {
+  const range = getMonthRangeFromKey(monthKey);
+  return range
+    ? { from: toDateInputValue(range.start), to: addDaysToDateString(toDateInputValue(range.end), -1) }
+    : { from: '', to: '' };
+};
+
+const getDefaultHistoryFilters = () => ({
+  ...monthToDateRange(todayDateString().substring(0, 7)),
+  type: 'all',
+  categories: [],
+  tags: [],
+  paymentMethod: 'all',
+  recordedBy: 'all',
+  query: '',
+  minAmount: '',
+  maxAmount: '',
+  sort: 'date-desc',
+});
+
+const parseHistoryFilters = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = getDefaultHistoryFilters();
+  if (params.get('tab') !== 'history') return filters;
+
+  Object.entries(HISTORY_FILTER_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) filters[key] = params.get(param);
+  });
+  filters.categories = params.getAll('cat');
+  filters.tags = params.getAll('tag');
+  return filters;
+};
+
+// 기간은 항상 포함하고(빈 값은 전체 기간), 나머지는 기본값과 다를 때만 남깁니다.
+const buildHistorySearch = (filters) => {
+  const defaults = getDefaultHistoryFilters();
+  const params = new URLSearchParams({ tab: 'history' });
+  Object.entries(HISTORY_FILTER_PARAMS).forEach(([key, param]) => {
+    if (key === 'from' || key === 'to' || filters[key] !== defaults[key]) params.set(param, filters[key]);
+  });
+  filters.categories.forEach(category => params.append('cat', category));
+  filters.tags.forEach(tag => params.append('tag', tag));
+  return `?${params.toString()}`;
+};
+
+// --- 파일 내보내기 ---
+
+// 내역 CSV와 엑셀 명세서가 같은 열을 씁니다. 날짜는 Date로 두어 형식에 맞게 변환되도록 합니다.
+const ENTRY_EXPORT_HEADERS = ["날짜", "유형", "카테고리", "세부카테고리", "금액", "결제수단", "계좌", "할부개월", "메모", "기록자", "통화", "외화 금액", "환율", "태그", "분할 내역"];
+
+const toEntryExportRow = (entry, ledger) => [
+  toEntryDate(entry.date),
+  ENTRY_TYPE_LABELS[entry.type],
+  entry.category,
+  entry.subcategory,
+  entry.amount,
+  entry.paymentMethod,
+  entry.type === 'transfer' ? getEntryTitle(entry) : entry.account,
+  entry.installmentMonths,
+  entry.memo,
+  getMemberLabel(ledger, entry.recordedBy),
+  entry.currency,
+  entry.originalAmount,
+  entry.exchangeRate,
+  (entry.tags || []).join(', '),
+  formatCategoryLines(entry),
+];
+
+const AnomalyEntrySummary = ({ entry, ledger }) => (
+  <div>
+    <p className="text-sm text-gray-800">
+      {getEntryTitle(entry)} <span className="font-medium">{entry.amount.toLocaleString('ko-KR')}원</span>
+    </p>
+    <p className="text-xs text-gray-500">
+      {toEntryDate(entry.date).toLocaleDateString('ko-KR')} · 기록자: <MemberName ledger={ledger} uid={entry.recordedBy} />
+      {entry.memo && ` · ${entry.memo}`}
+    </p>
+  </div>
+);
+
+// 최근 내역 중 중복으로 보이거나 평소보다 훨씬 큰 내역. 중복은 한쪽으로 합치고, 문제없으면 검토 완료로 표시합니다.
+// 검토 완료 표시는 가계부 문서(reviewedAnomalies)에 저장하므로 배우자 화면에서도 사라집니다.
+const AnomalyReview = ({ onEdit }) => {
+  const { db, ledgerId, ledger, userId, canEdit, showMessage } = useContext(AppContext);
+  const [isOpen, setIsOpen] = useState(false);
+  const [mergingPair, setMergingPair] = useState(null); // { keep, remove }
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+  const anomalyRange = useMemo(getAnomalyRange, []);
+  const entries = useLedgerEntries(db, ledgerId, anomalyRange, handleEntriesError);
+  const reviewed = ledger?.reviewedAnomalies;
+  const duplicatePairs = useMemo(() => findDuplicatePairs(entries, reviewed), [entries, reviewed]);
+  const outliers = useMemo(() => findOutlierEntries(entries, reviewed), [entries, reviewed]);
+  const count = duplicatePairs.length + outliers.length;
+
+  // 지워졌거나 기간이 지난 내역의 검토 완료 키는 이때 함께 지워 가계부 문서가 계속 커지지 않게 합니다.
+  const handleDismiss = async (key) => {
+    const changes = { [`reviewedAnomalies.${key}`]: true };
+    getStaleReviewKeys(reviewed, entries).forEach(staleKey => {
+      changes[`reviewedAnomalies.${staleKey}`] = deleteField();
+    });
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), changes);
+      showMessage("검토 완료로 표시했습니다.");
+    } catch (error) {
+      console.error("검토 완료 표시 실패:", error);
+      showMessage(`검토 완료 표시 실패: ${error.message}`);
+    }
+  };
+
+  const handleMerge = () => {
+    const { keep, remove } = mergingPair;
+    mergeDuplicateEntry(db, ledgerId, userId, keep, remove).catch(error => {
+      console.error("내역 합치기 실패:", error);
+      showMessage(`내역 합치기 실패: ${error.message}`);
+    });
+    showMessage("중복 내역을 하나로 합쳤습니다.");
+    setMergingPair(null);
+  };
+
+  if (count === 0) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <button onClick={() => setIsOpen(prev => !prev)} className="w-full flex justify-between items-center">
+        <h3 className="text-lg font-bold flex items-center">
+          <AlertCircle className="w-5 h-5 mr-2 text-orange-500" /> 확인이 필요한 내역 ({count}건)
+        </h3>
+        <span className="text-sm text-indigo-600">{isOpen ? '접기' : '검토하기'}</span>
+      </button>
+      {isOpen && (
+        <div className="mt-4 space-y-3">
+          <p className="text-xs text-gray-500">
+            최근 {ANOMALY_LOOKBACK_DAYS}일 동안 {DUPLICATE_WINDOW_DAYS}일 안에 서로 다른 사람이 같은 금액으로 기록한 내역과, 카테고리의 평소 금액보다 훨씬 큰 내역입니다.
+          </p>
+          {duplicatePairs.map(({ key, entries: pair }) => (
+            <div key={key} className="p-3 bg-orange-50 rounded-lg border border-orange-100">
+              <p className="text-sm font-medium text-orange-800 mb-2">중복으로 보이는 내역</p>
+              {pair.map((entry, index) => (
+                <div key={entry.id} className="flex justify-between items-center py-1">
+                  <AnomalyEntrySummary entry={entry} ledger={ledger} />
+                  {canEdit && (
+                    <button
+                      onClick={() => setMergingPair({ keep: entry, remove: pair[1 - index] })}
+                      className="ml-2 text-sm text-indigo-600 hover:underline whitespace-nowrap"
+                    >
+                      이 내역으로 합치기
+                    </button>
+                  )}
+                </div>
+              ))}
+              {canEdit && (
+                <div className="text-right mt-1">
+                  <button onClick={() => handleDismiss(key)} className="text-sm text-gray-600 hover:underline">중복 아님</button>
+                </div>
+              )}
+            </div>
+          ))}
+          {outliers.map(({ key, entry, outlier }) => (
+            <div key={key} className="p-3 bg-yellow-50 rounded-lg border border-yellow-100">
+              <p className="text-sm font-medium text-yellow-800 mb-2">
+                평소 {entry.category} 금액({Math.round(outlier.median).toLocaleString('ko-KR')}원)의 {Math.floor(outlier.ratio)}배
+              </p>
+              <div className="flex justify-between items-center">
+                <AnomalyEntrySummary entry={entry} ledger={ledger} />
+                {canEdit && (
+                  <div className="ml-2 flex space-x-3 whitespace-nowrap">
+                    <button onClick={() => onEdit(entry)} className="text-sm text-indigo-600 hover:underline">금액 수정</button>
+                    <button onClick={() => handleDismiss(key)} className="text-sm text-gray-600 hover:underline">정상 금액</button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {mergingPair && (
+        <ConfirmModal
+          message={`${getMemberLabel(ledger, mergingPair.remove.recordedBy)}님이 기록한 내역을 지우고 하나로 합칠까요? 메모, 태그, 첨부파일은 남기는 내역으로 옮겨집니다.`}
+          confirmLabel="합치기"
+          onConfirm={handleMerge}
+          onCancel={() => setMergingPair(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+const HistoryTab = () => {
+  const { db, storage, ledgerId, ledger, userId, canEdit, showMessage } = useContext(AppContext);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [viewingAttachments, setViewingAttachments] = useState(null); // { attachments, index }
+  const [deletingEntry, setDeletingEntry] = useState(null);
+  const [revisionEntryId, setRevisionEntryId] = useState(null); // null: 닫힘, 'all': 전체 이력, 그 외: 특정 내역
+  const [showImport, setShowImport] = useState(false);
+  const [filters, setFilters] = useState(() => parseHistoryFilters(window.location.search));
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+
+  const lists = useLedgerLists();
+  const categoryIcons = useMemo(
+    () => Object.fromEntries([...lists.expense, ...lists.income].map(item => [item.name, item.icon])),
+    [lists]
+  );
+  const filterCategories = useMemo(() => {
+    const items = [
+      ...(filters.type === 'all' || filters.type === 'income' ? lists.income : []),
+      ...(filters.type === 'all' || filters.type === 'expense' ? lists.expense : []),
+    ];
+    return [...new Map(items.map(item => [item.name, item])).values()];
+  }, [lists, filters.type]);
+  const memberIds = Object.keys(ledger?.members || {});
+  const billingCards = useMemo(
+    () => new Map(lists.accounts.filter(isBillingCard).map(card => [card.name, card])),
+    [lists.accounts]
+  );
+
+  // 할부 조건과 카드 지출이 청구되는 결제일. 할부는 첫 회차 결제일(카드) 또는 첫 달 금액을 보여줍니다.
+  const describeBilling = (entry) => {
+    if (entry.type !== 'expense') return null;
+    const card = billingCards.get(entry.account);
+    const installmentLabel = entry.installmentMonths > 1
+      ? `${entry.installmentMonths}개월 할부${entry.installmentRate ? ` (연 ${entry.installmentRate}%)` : ''}`
+      : null;
+    if (card) {
+      const [firstPayment] = getCardPayments(card, [entry]);
+      const paymentDate = new Date(firstPayment.paymentDate).toLocaleDateString('ko-KR');
+      return installmentLabel ? `${installmentLabel} · ${paymentDate}부터 결제` : `${paymentDate} 결제`;
+    }
+    return installmentLabel && `${installmentLabel} · 첫 달 ${getInstallmentAmounts(entry)[0].toLocaleString('ko-KR')}원`;
+  };
+
+  const updateFilter = (key, value) => setFilters(prevFilters => ({ ...prevFilters, [key]: value }));
+
+  const toggleFilterCategory = (name) => setFilters(prevFilters => ({
+    ...prevFilters,
+    categories: prevFilters.categories.includes(name)
+      ? prevFilters.categories.filter(category => category !== name)
+      : [...prevFilters.categories, name],
+  }));
+
+  const toggleFilterTag = (name) => setFilters(prevFilters => ({
+    ...prevFilters,
+    tags: prevFilters.tags.includes(name)
+      ? prevFilters.tags.filter(tag => tag !== name)
+      : [...prevFilters.tags, name],
+  }));
+
+  useEffect(() => {
+    window.history.replaceState(null, '', buildHistorySearch(filters));
+  }, [filters]);
+
+  // 다른 탭으로 이동하면 검색 조건을 주소에서 지웁니다.
+  useEffect(() => () => {
+    window.history.replaceState(null, '', window.location.pathname);
+  }, []);
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  // 기간을 비우면 그쪽으로는 제한 없이 불러옵니다.
+  const dateRange = useMemo(() => getDateStringRange(filters.from, filters.to), [filters.from, filters.to]);
+  const entries = useLedgerEntries(db, ledgerId, dateRange, handleEntriesError);
+
+  const filteredAndSortedEntries = useMemo(
+    () => sortEntries(filterEntries(entries, filters), filters.sort),
+    [entries, filters]
+  );
+  // 불러온 기간에 쓰인 태그와 주소로 받은 태그를 함께 보여줍니다.
+  const filterTags = useMemo(() => [...new Set([...collectTags(entries), ...filters.tags])], [entries, filters.tags]);
+
+  const activeFilterCount = [
+    filters.query.trim() !== '',
+    filters.categories.length > 0,
+    filters.tags.length > 0,
+    filters.paymentMethod !== 'all',
+    filters.recordedBy !== 'all',
+    filters.minAmount !== '' || filters.maxAmount !== '',
+  ].filter(Boolean).length;
+
+  const handleResetFilters = () => {
+    setFilters(getDefaultHistoryFilters());
+  };
+
+  const handleCopyFilterLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showMessage("검색 조건 링크가 복사되었습니다. 배우자에게 보내주세요.");
+    } catch (error) {
+      showMessage(`링크 복사 실패: ${error.message}`);
+    }
+  };
+
+  const handleDownloadCsv = () => {
+    if (filteredAndSortedEntries.length === 0) {
+      showMessage("다운로드할 내역이 없습니다.");
+      return;
+    }
+
+    const rows = [ENTRY_EXPORT_HEADERS, ...filteredAndSortedEntries.map(entry => toEntryExportRow(entry, ledger))];
+    downloadCsv(`가계부_내역_${filters.from || '처음'}_${filters.to || '현재'}.csv`, rows);
+    showMessage("CSV 파일이 다운로드되었습니다.");
+  };
+
+  const handleDeleteEntry = () => {
+    // 첨부파일은 내역 삭제가 서버에 반영된 뒤에 지웁니다. 삭제가 거부되면 내역과 파일이 그대로 남습니다.
+    const { attachments } = deletingEntry;
+    deleteEntry(db, ledgerId, userId, deletingEntry)
+      .then(() => deleteAttachments(storage, attachments).catch(error => {
+        console.error("첨부파일 삭제 실패:", error);
+        showMessage(`첨부파일 삭제 실패: ${error.message}`);
+      }))
+      .catch(error => {
+        console.error("내역 삭제 실패:", error);
+        showMessage(`내역 삭제 실패: ${error.message}`);
+      });
+    showMessage("내역이 삭제되었습니다.");
+    setDeletingEntry(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-indigo-700 mb-6 text-center">내역 조회 및 필터링</h2>
+
+        <div className="relative mb-4">
+          <Search className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(e) => updateFilter('query', e.target.value)}
+            placeholder="메모, 카테고리 검색"
+            className="w-full p-3 pl-10 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">시작일</label>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">종료일</label>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">월 선택</label>
+            <input
+              type="month"
+              value={filters.from.substring(0, 7) === filters.to.substring(0, 7) ? filters.from.substring(0, 7) : ''}
+              onChange={(e) => setFilters(prevFilters => ({ ...prevFilters, ...monthToDateRange(e.target.value) }))}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">유형</label>
+            <select
+              value={filters.type}
+              onChange={(e) => setFilters(prevFilters => ({ ...prevFilters, type: e.target.value, categories: [] }))}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="all">전체</option>
+              <option value="income">수입</option>
+              <option value="expense">지출</option>
+              <option value="transfer">이체</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">정렬</label>
+            <select
+              value={filters.sort}
+              onChange={(e) => updateFilter('sort', e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              {HISTORY_SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          <div className="flex items-end">
+            <button
+              onClick={() => setShowAdvancedFilters(prev => !prev)}
+              className="w-full p-3 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 flex items-center justify-center"
+            >
+              <SlidersHorizontal className="w-5 h-5 mr-2" />
+              상세 필터{activeFilterCount > 0 && ` (${activeFilterCount})`}
+            </button>
+          </div>
+        </div>
+
+        {showAdvancedFilters && (
+          <div className="space-y-4 mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            {filterCategories.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">카테고리 (여러 개 선택 가능)</label>
+                <div className="flex flex-wrap gap-2">
+                  {filterCategories.map(item => (
+                    <button
+                      key={item.name}
+                      onClick={() => toggleFilterCategory(item.name)}
+                      className={`px-3 py-1 rounded-full text-sm border flex items-center ${filters.categories.includes(item.name) ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                    >
+                      <CategoryIcon icon={item.icon} className="w-4 h-4 mr-1" />
+                      {item.name}{item.archived ? ' (보관됨)' : ''}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {filterTags.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">태그 (하나라도 있으면 표시)</label>
+                <div className="flex flex-wrap gap-2">
+                  {filterTags.map(tag => (
+                    <button
+                      key={tag}
+                      onClick={() => toggleFilterTag(tag)}
+                      className={`px-3 py-1 rounded-full text-sm border ${filters.tags.includes(tag) ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {(filters.type === 'all' || filters.type === 'expense') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">결제 수단</label>
+                  <select
+                    value={filters.paymentMethod}
+                    onChange={(e) => updateFilter('paymentMethod', e.target.value)}
+                    className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                  >
+                    <option value="all">전체</option>
+                    {lists.paymentMethods.map(item => <option key={item.name} value={item.name}>{item.name}{item.archived ? ' (보관됨)' : ''}</option>)}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">기록자</label>
+                <select
+                  value={filters.recordedBy}
+                  onChange={(e) => updateFilter('recordedBy', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                >
+                  <option value="all">전체</option>
+                  {memberIds.map(uid => <option key={uid} value={uid}>{getMemberLabel(ledger, uid)}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">최소 금액 (원)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.minAmount}
+                  onChange={(e) => updateFilter('minAmount', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">최대 금액 (원)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.maxAmount}
+                  onChange={(e) => updateFilter('maxAmount', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex space-x-2 mb-6">
+          <button
+            onClick={handleResetFilters}
+            className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition duration-200"
+          >
+            조건 초기화
+          </button>
+          <button
+            onClick={handleCopyFilterLink}
+            className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition duration-200 flex items-center justify-center"
+          >
+            <Copy className="w-4 h-4 mr-2" /> 검색 링크 복사
+          </button>
+        </div>
+
+        <button
+          onClick={handleDownloadCsv}
+          className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-green-700 transition duration-200 shadow-md flex items-center justify-center mb-3"
+        >
+          <Download className="w-5 h-5 mr-2" /> CSV로 내보내기
+        </button>
+        {canEdit && (
+          <button
+            onClick={() => setShowImport(true)}
+            className="w-full bg-white text-green-700 border border-green-600 py-3 px-6 rounded-lg font-semibold text-lg hover:bg-green-50 transition duration-200 flex items-center justify-center mb-3"
+          >
+            <Upload className="w-5 h-5 mr-2" /> CSV 가져오기
+          </button>
+        )}
+        <button
+          onClick={() => setRevisionEntryId('all')}
+          className="w-full bg-gray-100 text-gray-700 py-3 px-6 rounded-lg font-semibold hover:bg-gray-200 transition duration-200 flex items-center justify-center"
+        >
+          <History className="w-5 h-5 mr-2" /> 전체 변경 이력 보기
+        </button>
+      </div>
+
+      <AnomalyReview onEdit={setEditingEntry} />
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">내역 목록 ({filteredAndSortedEntries.length}건)</h3>
+        {filteredAndSortedEntries.length > 0 ? (
+          <div className="space-y-3">
+            {filteredAndSortedEntries.map(entry => (
+              <div key={entry.id} className="flex flex-col sm:flex-row justify-between items-start sm:items-center py-3 px-4 bg-gray-50 rounded-lg border border-gray-100">
+                <div className="flex-grow">
+                  <p className="text-xs text-gray-500 mb-1">
+                    {entry.date?.toDate ? entry.date.toDate().toLocaleDateString('ko-KR') : new Date(entry.date).toLocaleDateString('ko-KR')}
+                  </p>
+                  <p className="text-base font-semibold text-gray-800 flex items-center">
+                    {entry.type === 'transfer'
+                      ? <ArrowLeftRight className="w-4 h-4 mr-1 text-gray-500" />
+                      : <CategoryIcon icon={categoryIcons[entry.category]} className="w-4 h-4 mr-1 text-gray-500" />}
+                    {getEntryTitle(entry)}
+                    {entry.subcategory && <span className="ml-1 text-sm font-normal text-gray-500">· {entry.subcategory}</span>}
+                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${entry.type === 'income' ? 'bg-green-100 text-green-700' : entry.type === 'transfer' ? 'bg-indigo-100 text-indigo-700' : 'bg-teal-100 text-teal-700'}`}> {/* 민트색 */}
+                      {ENTRY_TYPE_LABELS[entry.type]}
+                    </span>
+                    {entry.recurringId && <Repeat className="inline-block ml-2 w-4 h-4 text-gray-400" aria-label="반복 내역" />}
+                  </p>
+                  {entry.splitLines && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {getCategoryLines(entry).map(line => `${line.category} ${line.amount.toLocaleString('ko-KR')}원`).join(' · ')}
+                    </p>
+                  )}
+                  {entry.memo && <p className="text-sm text-gray-600 mt-1">{entry.memo}</p>}
+                  {entry.tags?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {entry.tags.map(tag => <span key={tag} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">#{tag}</span>)}
+                    </div>
+                  )}
+                  {entry.savingsGoal && <p className="text-xs text-indigo-600 mt-1 flex items-center"><PiggyBank className="w-3 h-3 mr-1" /> {entry.savingsGoal}</p>}
+                  {entry.paidBy && entry.splitShares && (
+                    <p className="text-xs text-gray-500 mt-1 flex items-center"><Scale className="w-3 h-3 mr-1" /> {describeSplit(entry, ledger)}</p>
+                  )}
+                  {entry.attachments?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {entry.attachments.map((attachment, index) => (
+                        <AttachmentThumbnail
+                          key={attachment.path}
+                          attachment={attachment}
+                          onClick={() => setViewingAttachments({ attachments: entry.attachments, index })}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="text-right mt-2 sm:mt-0">
+                  <p className={`text-lg font-bold ${entry.type === 'income' ? 'text-green-700' : entry.type === 'transfer' ? 'text-indigo-700' : 'text-teal-700'}`}> {/* 민트색 */}
+                    {entry.type === 'expense' ? '-' : ''}{entry.amount.toLocaleString('ko-KR')}원
+                  </p>
+                  {isForeignEntry(entry) && (
+                    <p className="text-xs text-gray-500">{formatForeignAmount(entry.originalAmount, entry.currency)} · 1 {entry.currency} = {entry.exchangeRate.toLocaleString('ko-KR')}원</p>
+                  )}
+                  {(entry.paymentMethod || entry.account) && (
+                    <p className="text-xs text-gray-500">{[entry.paymentMethod, entry.account].filter(Boolean).join(' · ')}</p>
+                  )}
+                  {describeBilling(entry) && <p className="text-xs text-gray-500">{describeBilling(entry)}</p>}
+                  {entry.cashReceipt !== undefined && <p className="text-xs text-gray-500">현금영수증 {entry.cashReceipt ? '발급' : '미발급'}</p>}
+                  <p className="text-xs text-gray-400">기록자: <MemberName ledger={ledger} uid={entry.recordedBy} /></p>
+                  <p className={`text-xs inline-flex items-center ${entry.hasPendingWrites ? 'text-yellow-700' : 'text-gray-400'}`}>
+                    {entry.hasPendingWrites ? (
+                      <><CloudUpload className="w-3 h-3 mr-1" /> 동기화 대기</>
+                    ) : (
+                      <><Cloud className="w-3 h-3 mr-1" /> 동기화됨</>
+                    )}
+                  </p>
+                  <div className="flex justify-end space-x-1 mt-1">
+                    <button onClick={() => setRevisionEntryId(entry.id)} className="p-1 rounded hover:bg-gray-200 text-gray-500" title="변경 이력">
+                      <History className="w-4 h-4" />
+                    </button>
+                    {canEdit && (
+                      <>
+                        <button onClick={() => setEditingEntry(entry)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => setDeletingEntry(entry)} className="p-1 rounded hover:bg-gray-200 text-red-500" title="삭제">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">선택된 조건에 해당하는 내역이 없습니다.</p>
+        )}
+      </div>
+
+      {editingEntry && <EntryEditModal entry={editingEntry} onClose={() => setEditingEntry(null)} />}
+
+      {viewingAttachments && (
+        <AttachmentViewer
+          attachments={viewingAttachments.attachments}
+          initialIndex={viewingAttachments.index}
+          onClose={() => setViewingAttachments(null)}
+        />
+      )}
+
+      {deletingEntry && (
+        <ConfirmModal
+          message={`${getEntryTitle(deletingEntry)} ${deletingEntry.amount.toLocaleString('ko-KR')}원 내역을 삭제할까요?`}
+          confirmLabel="삭제"
+          onConfirm={handleDeleteEntry}
+          onCancel={() => setDeletingEntry(null)}
+        />
+      )}
+
+      {revisionEntryId && (
+        <RevisionHistoryModal
+          entryId={revisionEntryId === 'all' ? null : revisionEntryId}
+          onClose={() => setRevisionEntryId(null)}
+        />
+      )}
+
+      {showImport && <CsvImportModal onClose={() => setShowImport(false)} />}
+    </div>
+  );
+};
+
+// --- 리포트 ---
+
+const REPORT_YEAR_COUNT = 10; // 연도 선택에 보여줄 최근 연도 수
+
+// 변화율 표시. 지출이 늘면 주황색, 줄면 초록색입니다.
+const ChangeBadge = ({ value }) => {
+  if (value === null) return <span className="text-gray-400">-</span>;
+  return (
+    <span className={value > 0 ? 'text-orange-600' : value < 0 ? 'text-green-600' : 'text-gray-500'}>
+      {value > 0 ? '+' : ''}{Math.round(value)}%
+    </span>
+  );
+};
+
+const STATEMENT_ENTRIES_PER_BLOCK = 30; // PDF에서 한 번에 이미지로 만들 내역 행 수
+
+// PDF로 만들 명세서. 화면 밖에 그리며, data-pdf-block 단위로 페이지가 나뉩니다.
+const StatementDocument = React.forwardRef(({ title, report, chartData, entries, ledger }, ref) => {
+  const formatCurrency = (amount) => amount.toLocaleString('ko-KR');
+  const entryBlocks = [];
+  for (let i = 0; i < entries.length; i += STATEMENT_ENTRIES_PER_BLOCK) {
+    entryBlocks.push(entries.slice(i, i + STATEMENT_ENTRIES_PER_BLOCK));
+  }
+
+  return (
+    <div ref={ref} style={{ position: 'fixed', left: -10000, top: 0, width: 800 }} className="bg-white text-gray-800 p-4 space-y-4">
+      <div data-pdf-block className="space-y-3 p-2">
+        <h1 className="text-2xl font-bold text-indigo-700">{title}</h1>
+        <p className="text-sm text-gray-600">{report.from} ~ {report.to} · {new Date().toLocaleDateString('ko-KR')} 발행</p>
+        <div className="grid grid-cols-4 gap-2 text-center">
+          {[
+            { label: '총 수입', value: report.totalIncome },
+            { label: '총 지출', value: report.totalExpense },
+            { label: '순수입/순지출', value: report.netBalance },
+            { label: '일평균 지출', value: report.averageDailyExpense },
+          ].map(item => (
+            <div key={item.label} className="p-2 border border-gray-200 rounded">
+              <p className="text-xs text-gray-600">{item.label}</p>
+              <p className="font-semibold">{formatCurrency(item.value)}원</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div data-pdf-block className="p-2">
+        <h2 className="text-lg font-bold mb-2">월별 수입/지출</h2>
+        <BarChart width={760} height={260} data={chartData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis dataKey="label" stroke="#666" />
+          <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
+          <Legend />
+          <Bar dataKey="income" fill="#22c55e" name="수입" isAnimationActive={false} />
+          <Bar dataKey="expense" fill="#20c997" name="지출" isAnimationActive={false} />
+        </BarChart>
+        <table className="w-full text-sm mt-2">
+          <thead>
+            <tr className="border-b border-gray-300 text-gray-600">
+              <th className="py-1 text-left font-medium">월</th>
+              <th className="py-1 text-right font-medium">수입</th>
+              <th className="py-1 text-right font-medium">지출</th>
+              <th className="py-1 text-right font-medium">순수입</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.months.map(month => (
+              <tr key={month.monthKey} className="border-b border-gray-100">
+                <td className="py-1">{formatMonthKey(month.monthKey)}</td>
+                <td className="py-1 text-right">{formatCurrency(month.income)}</td>
+                <td className="py-1 text-right">{formatCurrency(month.expense)}</td>
+                <td className="py-1 text-right">{formatCurrency(month.net)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div data-pdf-block className="p-2">
+        <h2 className="text-lg font-bold mb-2">카테고리별 지출</h2>
+        {report.categories.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-300 text-gray-600">
+                <th className="py-1 text-left font-medium">카테고리</th>
+                <th className="py-1 text-right font-medium">지출</th>
+                <th className="py-1 text-right font-medium">비중</th>
+                <th className="py-1 text-right font-medium">전년 대비</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.categories.map(item => (
+                <tr key={item.category} className="border-b border-gray-100">
+                  <td className="py-1">{item.category}</td>
+                  <td className="py-1 text-right">{formatCurrency(item.amount)}</td>
+                  <td className="py-1 text-right">{item.percent.toFixed(1)}%</td>
+                  <td className="py-1 text-right"><ChangeBadge value={item.yearOverYear} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-500">이 기간의 지출 내역이 없습니다.</p>
+        )}
+      </div>
+
+      {entryBlocks.map((block, index) => (
+        <div key={index} data-pdf-block className="p-2">
+          {index === 0 && <h2 className="text-lg font-bold mb-2">전체 내역 ({entries.length}건)</h2>}
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="border-b border-gray-300 text-gray-600">
+                <th className="py-1 text-left font-medium">날짜</th>
+                <th className="py-1 text-left font-medium">유형</th>
+                <th className="py-1 text-left font-medium">카테고리</th>
+                <th className="py-1 text-left font-medium">메모</th>
+                <th className="py-1 text-left font-medium">결제수단</th>
+                <th className="py-1 text-right font-medium">금액</th>
+                <th className="py-1 text-left font-medium pl-2">기록자</th>
+              </tr>
+            </thead>
+            <tbody>
+              {block.map(entry => (
+                <tr key={`${entry.id}-${entry.installmentIndex ?? ''}`} className="border-b border-gray-100">
+                  <td className="py-1">{toEntryDate(entry.date).toLocaleDateString('ko-KR')}</td>
+                  <td className="py-1">{ENTRY_TYPE_LABELS[entry.type]}</td>
+                  <td className="py-1">{getEntryTitle(entry)}{entry.subcategory ? ` · ${entry.subcategory}` : ''}</td>
+                  <td className="py-1">
+                    {entry.memo}
+                    {entry.installmentMonths > 1 && ` (할부 ${entry.installmentIndex + 1}/${entry.installmentMonths})`}
+                  </td>
+                  <td className="py-1">{entry.paymentMethod || entry.account}</td>
+                  <td className="py-1 text-right">{formatCurrency(entry.amount)}</td>
+                  <td className="py-1 pl-2">{getMemberLabel(ledger, entry.recordedBy)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+});
+
+// 월별 보기의 기간. 달을 비우면 빈 기간이 되어 조회하지 않습니다.
+const getMonthPeriod = (monthKey) => {
+  const range = getMonthRangeFromKey(monthKey);
+  if (!range) return { from: '', to: '' };
+  return { from: `${monthKey}-01`, to: addDaysToDateString(range.end.toISOString().split('T')[0], -1) };
+};
+
+const ReportTab = () => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const today = todayDateString();
+  const currentYear = Number(today.slice(0, 4));
+  const [mode, setMode] = useState('year'); // 'month' | 'year' | 'custom'
+  const [reportMonth, setReportMonth] = useState(today.slice(0, 7));
+  const [year, setYear] = useState(currentYear);
+  const [customFrom, setCustomFrom] = useState(`${currentYear}-01-01`);
+  const [customTo, setCustomTo] = useState(today);
+  const [pdfFilename, setPdfFilename] = useState(null); // 만드는 중인 PDF 파일 이름
+  const [isExportingXlsx, setIsExportingXlsx] = useState(false);
+  const statementRef = useRef(null);
+
+  const { from, to } = mode === 'month'
+    ? getMonthPeriod(reportMonth)
+    : mode === 'year' ? { from: `${year}-01-01`, to: `${year}-12-31` } : { from: customFrom, to: customTo };
+  const isValidRange = !!from && !!to && from <= to;
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  // 기간(전월 대비용 전달 포함)과 전년 같은 기간을 따로 불러옵니다. 할부는 회차 금액으로 나눠 집계합니다.
+  const queryRange = useMemo(() => (isValidRange ? getReportQueryRange(from, to) : null), [isValidRange, from, to]);
+  const previousYearRange = useMemo(() => {
+    if (!isValidRange) return null;
+    const previousYear = getPreviousYearRange(from, to);
+    return getDateStringRange(previousYear.from, previousYear.to);
+  }, [isValidRange, from, to]);
+  const reportLedgerId = isValidRange ? ledgerId : null;
+  const entries = useLedgerEntries(db, reportLedgerId, queryRange, handleEntriesError);
+  const previousYearEntries = useLedgerEntries(db, reportLedgerId, previousYearRange, handleEntriesError);
+  const installmentEntries = useInstallmentEntries(db, reportLedgerId, handleEntriesError);
+
+  const reportEntries = useMemo(
+    () => spreadInstallments(mergeEntries(entries, installmentEntries)),
+    [entries, installmentEntries]
+  );
+
+  const report = useMemo(() => {
+    if (!isValidRange) return null;
+    return buildReport(
+      reportEntries,
+      spreadInstallments(mergeEntries(previousYearEntries, installmentEntries)),
+      from,
+      to,
+      today
+    );
+  }, [isValidRange, reportEntries, previousYearEntries, installmentEntries, from, to, today]);
+
+  // 명세서에 싣는 기간 안의 전체 내역 (날짜순)
+  const statementEntries = useMemo(() => {
+    if (!isValidRange) return [];
+    const range = getDateStringRange(from, to);
+    return sortEntries(reportEntries.filter(entry => isInRange(entry, range)), 'date-asc');
+  }, [isValidRange, reportEntries, from, to]);
+
+  const formatCurrency = (amount) => amount.toLocaleString('ko-KR');
+  const spansYears = from.slice(0, 4) !== to.slice(0, 4);
+  const chartData = report?.months.map(month => ({
+    ...month,
+    label: spansYears ? `${month.monthKey.slice(2, 4)}.${month.monthKey.slice(5)}` : `${Number(month.monthKey.slice(5))}월`,
+  })) || [];
+
+  const handleDownloadCsv = () => {
+    if (!report) return;
+    const round = (value) => (value === null ? '' : Math.round(value * 10) / 10);
+    downloadCsv(`가계부_리포트_${from}_${to}.csv`, [
+      ['기간', from, to],
+      [],
+      ['월', '수입', '지출', '순수입'],
+      ...report.months.map(month => [formatMonthKey(month.monthKey), month.income, month.expense, month.net]),
+      ['합계', report.totalIncome, report.totalExpense, report.netBalance],
+      ['일평균 지출', report.averageDailyExpense],
+      [],
+      ['카테고리', '지출', '비중(%)', `${formatMonthKey(report.lastMonthKey)} 지출`, '전월 대비(%)', '전년 같은 기간', '전년 대비(%)'],
+      ...report.categories.map(item => [
+        item.category, item.amount, round(item.percent), item.lastMonthAmount, round(item.monthOverMonth), item.previousYearAmount, round(item.yearOverYear),
+      ]),
+      [],
+      ['메모(가맹점)', '지출', '건수'],
+      ...report.topMemos.map(item => [item.memo, item.amount, item.count]),
+    ]);
+    showMessage("리포트 CSV 파일이 다운로드되었습니다.");
+  };
+
+  const periodLabel = mode === 'month' ? formatMonthKey(reportMonth) : mode === 'year' ? `${year}년` : `${from} ~ ${to}`;
+  const statementTitle = `${ledger?.name || DEFAULT_LEDGER_NAME} ${periodLabel} 명세서`;
+
+  // 명세서를 화면 밖에 그린 뒤(아래 effect) 이미지로 떠서 PDF를 만듭니다.
+  const handleDownloadPdf = () => {
+    if (!report) return;
+    setPdfFilename(`가계부_명세서_${from}_${to}.pdf`);
+  };
+
+  useEffect(() => {
+    if (!pdfFilename) return;
+    downloadPdf(statementRef.current, pdfFilename)
+      .then(() => showMessage("PDF 명세서가 다운로드되었습니다."))
+      .catch(error => {
+        console.error("PDF 명세서 생성 실패:", error);
+        showMessage(`PDF 명세서 생성 실패: ${error.message}`);
+      })
+      .finally(() => setPdfFilename(null));
+  }, [pdfFilename, showMessage]);
+
+  const handleDownloadXlsx = async () => {
+    if (!report) return;
+    setIsExportingXlsx(true);
+    try {
+      await downloadXlsx(`가계부_명세서_${from}_${to}.xlsx`, {
+        title: statementTitle,
+        report,
+        entryHeaders: ENTRY_EXPORT_HEADERS,
+        entryRows: statementEntries.map(entry => ({
+          monthKey: toMonthKey(toEntryDate(entry.date)),
+          cells: toEntryExportRow(entry, ledger),
+        })),
+      });
+      showMessage("엑셀 명세서가 다운로드되었습니다.");
+    } catch (error) {
+      console.error("엑셀 명세서 생성 실패:", error);
+      showMessage(`엑셀 명세서 생성 실패: ${error.message}`);
+    } finally {
+      setIsExportingXlsx(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-indigo-700 mb-4">리포트</h2>
+        <div className="flex space-x-1 mb-4">
+          {[{ key: 'month', label: '월별' }, { key: 'year', label: '연도별' }, { key: 'custom', label: '기간 지정' }].map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => setMode(tab.key)}
+              className={`flex-1 py-2 px-2 text-sm rounded-md font-medium transition duration-200 ${mode === tab.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {mode === 'month' ? (
+          <input
+            type="month"
+            value={reportMonth}
+            onChange={(e) => setReportMonth(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        ) : mode === 'year' ? (
+          <select
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value))}
+            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            {Array.from({ length: REPORT_YEAR_COUNT }, (_, i) => currentYear - i).map(option => (
+              <option key={option} value={option}>{option}년</option>
+            ))}
+          </select>
+        ) : (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">시작일</label>
+              <input
+                type="date"
+                value={customFrom}
+                onChange={(e) => setCustomFrom(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">종료일</label>
+              <input
+                type="date"
+                value={customTo}
+                onChange={(e) => setCustomTo(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+          </div>
+        )}
+        {mode === 'custom' && !isValidRange && <p className="text-sm text-red-600 mt-2">시작일이 종료일보다 늦습니다.</p>}
+        <button
+          onClick={handleDownloadCsv}
+          disabled={!report}
+          className="w-full mt-4 bg-green-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-green-700 transition duration-200 shadow-md flex items-center justify-center disabled:opacity-50"
+        >
+          <Download className="w-5 h-5 mr-2" /> 리포트 CSV 다운로드
+        </button>
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <button
+            onClick={handleDownloadPdf}
+            disabled={!report || !!pdfFilename}
+            className="bg-white border border-indigo-600 text-indigo-700 py-2 px-4 rounded-lg font-medium hover:bg-indigo-50 transition duration-200 flex items-center justify-center disabled:opacity-50"
+          >
+            <FileText className="w-4 h-4 mr-2" /> {pdfFilename ? 'PDF 만드는 중...' : 'PDF 명세서'}
+          </button>
+          <button
+            onClick={handleDownloadXlsx}
+            disabled={!report || isExportingXlsx}
+            className="bg-white border border-green-600 text-green-700 py-2 px-4 rounded-lg font-medium hover:bg-green-50 transition duration-200 flex items-center justify-center disabled:opacity-50"
+          >
+            <FileSpreadsheet className="w-4 h-4 mr-2" /> {isExportingXlsx ? '엑셀 만드는 중...' : '엑셀 명세서'}
+          </button>
+        </div>
+      </div>
+
+      {pdfFilename && report && (
+        <StatementDocument
+          ref={statementRef}
+          title={statementTitle}
+          report={report}
+          chartData={chartData}
+          entries={statementEntries}
+          ledger={ledger}
+        />
+      )}
+
+      {report && (
+        <>
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-sm text-gray-600">총 수입</p>
+                <p className="text-lg font-semibold text-green-700">{formatCurrency(report.totalIncome)}원</p>
+              </div>
+              <div className="p-3 bg-teal-50 rounded-lg">
+                <p className="text-sm text-gray-600">총 지출</p>
+                <p className="text-lg font-semibold text-teal-700">{formatCurrency(report.totalExpense)}원</p>
+              </div>
+              <div className={`p-3 rounded-lg ${report.netBalance >= 0 ? 'bg-blue-50' : 'bg-orange-50'}`}>
+                <p className="text-sm text-gray-600">순수입/순지출</p>
+                <p className={`text-lg font-semibold ${report.netBalance >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>{formatCurrency(report.netBalance)}원</p>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">일평균 지출</p>
+                <p className="text-lg font-semibold text-gray-800">{formatCurrency(report.averageDailyExpense)}원</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-lg font-bold mb-4">월별 수입/지출</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={chartData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                <XAxis dataKey="label" stroke="#666" />
+                <YAxis stroke="#666" tickFormatter={(value) => formatCurrency(value / 1000) + '천'} />
+                <Tooltip formatter={(value) => `${formatCurrency(value)}원`} />
+                <Legend />
+                <Bar dataKey="income" fill="#22c55e" name="수입" radius={[4, 4, 0, 0]} />
+                <Bar dataKey="expense" fill="#20c997" name="지출" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+            <div className="overflow-x-auto mt-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-600">
+                    <th className="py-2 text-left font-medium">월</th>
+                    <th className="py-2 text-right font-medium">수입</th>
+                    <th className="py-2 text-right font-medium">지출</th>
+                    <th className="py-2 text-right font-medium">순수입</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.months.map(month => (
+                    <tr key={month.monthKey} className="border-b border-gray-100">
+                      <td className="py-2">{formatMonthKey(month.monthKey)}</td>
+                      <td className="py-2 text-right text-green-700">{formatCurrency(month.income)}</td>
+                      <td className="py-2 text-right text-teal-700">{formatCurrency(month.expense)}</td>
+                      <td className={`py-2 text-right ${month.net >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>{formatCurrency(month.net)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="py-2">합계</td>
+                    <td className="py-2 text-right text-green-700">{formatCurrency(report.totalIncome)}</td>
+                    <td className="py-2 text-right text-teal-700">{formatCurrency(report.totalExpense)}</td>
+                    <td className={`py-2 text-right ${report.netBalance >= 0 ? 'text-blue-700' : 'text-orange-700'}`}>{formatCurrency(report.netBalance)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-lg font-bold mb-1">카테고리별 지출</h3>
+            <p className="text-xs text-gray-500 mb-4">
+              전월 대비는 {formatMonthKey(report.lastMonthKey)}과 그 전달, 전년 대비는 {report.previousYear.from} ~ {report.previousYear.to}와 비교합니다.
+            </p>
+            {report.categories.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 text-gray-600">
+                      <th className="py-2 text-left font-medium">카테고리</th>
+                      <th className="py-2 text-right font-medium">지출</th>
+                      <th className="py-2 text-right font-medium">비중</th>
+                      <th className="py-2 text-right font-medium">전월 대비</th>
+                      <th className="py-2 text-right font-medium">전년 대비</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.categories.map(item => (
+                      <tr key={item.category} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2">{item.category}</td>
+                        <td className="py-2 text-right">{formatCurrency(item.amount)}</td>
+                        <td className="py-2 text-right text-gray-600">{item.percent.toFixed(1)}%</td>
+                        <td className="py-2 text-right"><ChangeBadge value={item.monthOverMonth} /></td>
+                        <td className="py-2 text-right"><ChangeBadge value={item.yearOverYear} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-500 text-center">이 기간의 지출 내역이 없습니다.</p>
+            )}
+          </div>
+
+          {report.topMemos.length > 0 && (
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-bold mb-4">많이 쓴 곳 (메모 기준)</h3>
+              <div className="space-y-2">
+                {report.topMemos.map((item, index) => (
+                  <div key={item.memo} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0 text-sm">
+                    <span className="text-gray-700">
+                      <span className="text-gray-400 mr-2">{index + 1}</span>{item.memo}
+                      <span className="text-xs text-gray-500 ml-2">{item.count}건</span>
+                    </span>
+                    <span className="font-medium text-teal-600">{formatCurrency(item.amount)}원</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- 연말정산 ---
+
+const TAX_ISSUE_LABELS = {
+  'no-payment-method': '결제수단 없음',
+  'unknown-payment-method': '공제 구분이 없는 결제수단',
+  'cash-receipt-unknown': '현금영수증 발급 여부 미입력',
+};
+
+const TaxTab = () => {
+  const { db, ledgerId, ledger, canEdit, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const currentYear = Number(todayDateString().slice(0, 4));
+  const [year, setYear] = useState(currentYear - 1); // 연말정산은 보통 지난해 기준입니다.
+  const [person, setPerson] = useState('all'); // 'all' 또는 기록자 uid
+  const [salary, setSalary] = useState('');
+  const [editingEntry, setEditingEntry] = useState(null);
+  const memberIds = Object.keys(ledger?.members || {});
+  const savedSalary = ledger?.taxSettings?.salaries?.[person];
+
+  // 대상자를 바꾸거나 배우자가 총급여를 수정하면 입력값을 다시 채웁니다.
+  useEffect(() => {
+    setSalary(savedSalary ? savedSalary.toString() : '');
+  }, [person, savedSalary]);
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  // 할부도 구입한 해에 전액이 사용액으로 잡히므로 나누지 않고 그대로 집계합니다.
+  const yearRange = useMemo(() => getDateStringRange(`${year}-01-01`, `${year}-12-31`), [year]);
+  const entries = useLedgerEntries(db, ledgerId, yearRange, handleEntriesError);
+
+  const parsedSalary = parseFloat(salary) || 0;
+  const result = useMemo(() => computeTaxDeduction(
+    person === 'all' ? entries : entries.filter(entry => entry.recordedBy === person),
+    { salary: parsedSalary, rules: ledger?.taxSettings?.rules, ...getTaxGroups(lists) }
+  ), [entries, person, parsedSalary, ledger?.taxSettings?.rules, lists]);
+
+  const formatCurrency = (amount) => Math.round(amount).toLocaleString('ko-KR');
+  const { card, rules } = result;
+
+  const handleSaveSalary = async () => {
+    const parsedAmount = parseFloat(salary);
+    if (isNaN(parsedAmount) || parsedAmount < 0) {
+      showMessage("유효한 총급여를 입력해주세요.");
+      return;
+    }
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), { [`taxSettings.salaries.${person}`]: parsedAmount });
+      showMessage("총급여가 저장되었습니다.");
+    } catch (error) {
+      console.error("총급여 저장 실패:", error);
+      showMessage(`총급여 저장 실패: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-indigo-700 mb-2">연말정산 도우미</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          공제 규칙을 단순화한 예상 금액입니다. 공제율과 한도, 결제수단과 카테고리의 공제 구분은 설정 탭에서 바꿀 수 있습니다.
+        </p>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">연도</label>
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              {Array.from({ length: REPORT_YEAR_COUNT }, (_, i) => currentYear - i).map(option => (
+                <option key={option} value={option}>{option}년</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">대상 (기록자 기준)</label>
+            <select
+              value={person}
+              onChange={(e) => setPerson(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="all">전체</option>
+              {memberIds.map(uid => <option key={uid} value={uid}>{getMemberLabel(ledger, uid)}</option>)}
+            </select>
+          </div>
+        </div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">총급여 (원)</label>
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            min="0"
+            value={salary}
+            onChange={(e) => setSalary(e.target.value)}
+            placeholder="예: 50000000"
+            className="flex-grow p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          {canEdit && (
+            <button
+              onClick={handleSaveSalary}
+              className="bg-indigo-600 text-white px-4 rounded-lg font-semibold hover:bg-indigo-700 transition duration-200"
+            >
+              저장
+            </button>
+          )}
+        </div>
+        {parsedSalary === 0 && <p className="text-xs text-orange-600 mt-2">총급여를 입력해야 공제 문턱을 반영한 금액을 볼 수 있습니다.</p>}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="grid grid-cols-2 gap-4 text-center">
+          <div className="p-3 bg-indigo-50 rounded-lg">
+            <p className="text-sm text-gray-600">예상 소득공제 (카드 등)</p>
+            <p className="text-lg font-semibold text-indigo-700">{formatCurrency(card.deduction)}원</p>
+          </div>
+          <div className="p-3 bg-green-50 rounded-lg">
+            <p className="text-sm text-gray-600">예상 세액공제 (의료비·교육비·기부금)</p>
+            <p className="text-lg font-semibold text-green-700">{formatCurrency(result.totalCredit)}원</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-1">신용카드 등 사용액</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          총급여의 {rules.card.thresholdPercent}%({formatCurrency(card.threshold)}원)를 넘게 쓴 금액부터 공제되며, 공제율이 낮은 신용카드 사용액부터 문턱을 채웁니다.
+        </p>
+        <div className="space-y-2 mb-4 text-sm">
+          {[
+            { key: 'credit', label: '신용카드', rate: rules.card.creditRate },
+            { key: 'debit', label: '체크카드', rate: rules.card.debitRate },
+            { key: 'cash', label: '현금영수증 (발급분)', rate: rules.card.cashRate },
+          ].map(item => (
+            <div key={item.key} className="flex justify-between">
+              <span className="text-gray-700">{item.label} <span className="text-xs text-gray-500">공제율 {item.rate}%</span></span>
+              <span className="font-medium">{formatCurrency(card[item.key])}원</span>
+            </div>
+          ))}
+          <div className="flex justify-between border-t border-gray-200 pt-2 font-semibold">
+            <span>합계</span>
+            <span>{formatCurrency(card.total)}원</span>
+          </div>
+        </div>
+        {card.shortfall > 0 ? (
+          <p className="text-sm text-orange-600">공제 문턱까지 {formatCurrency(card.shortfall)}원 남았습니다.</p>
+        ) : (
+          <p className="text-sm text-green-700">문턱을 넘은 사용액에 대해 {formatCurrency(card.deduction)}원이 공제될 것으로 예상됩니다{rules.card.cap ? ` (한도 ${formatCurrency(rules.card.cap)}원)` : ''}.</p>
+        )}
+        {result.paymentMethods.length > 0 && (
+          <div className="mt-4 space-y-1">
+            <p className="text-sm font-medium text-gray-700">결제수단별 지출</p>
+            {result.paymentMethods.map(item => (
+              <div key={item.paymentMethod} className="flex justify-between text-sm py-1 border-b border-gray-100 last:border-b-0">
+                <span className="text-gray-700">
+                  {item.paymentMethod}
+                  <span className={`ml-2 text-xs ${item.group ? 'text-gray-500' : 'text-orange-600'}`}>{item.group ? PAYMENT_TAX_GROUP_LABELS[item.group] : '공제 구분 없음'}</span>
+                </span>
+                <span>{formatCurrency(item.amount)}원 <span className="text-xs text-gray-500">{item.count}건</span></span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">의료비·교육비·기부금</h3>
+        <div className="space-y-3">
+          {result.credits.map(item => {
+            const rule = rules[item.group];
+            return (
+              <div key={item.group} className="text-sm py-2 border-b border-gray-100 last:border-b-0">
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-800">{CATEGORY_TAX_GROUP_LABELS[item.group]}</span>
+                  <span className="font-semibold text-green-700">{formatCurrency(item.credit)}원</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  지출 {formatCurrency(item.amount)}원 · 공제 대상 {formatCurrency(item.eligibleAmount)}원 · 공제율 {rule.rate}%
+                  {rule.thresholdPercent ? ` · 총급여의 ${rule.thresholdPercent}% 초과분` : ''}
+                  {rule.cap ? ` · 대상 한도 ${formatCurrency(rule.cap)}원` : ''}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-1 flex items-center">
+          <AlertCircle className="w-5 h-5 mr-2 text-orange-500" /> 확인이 필요한 내역 ({result.issues.length}건)
+        </h3>
+        <p className="text-xs text-gray-500 mb-4">아래 지출은 공제 계산에서 빠져 있습니다. 수정해서 정보를 채워주세요.</p>
+        {result.issues.length > 0 ? (
+          <div className="space-y-2">
+            {result.issues.map(({ entry, reason }) => (
+              <div key={entry.id} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0 text-sm">
+                <div>
+                  <p className="text-gray-800">
+                    {toEntryDate(entry.date).toLocaleDateString('ko-KR')} · {getEntryTitle(entry)}
+                    {entry.memo && <span className="text-gray-500"> · {entry.memo}</span>}
+                  </p>
+                  <p className="text-xs text-orange-600">{TAX_ISSUE_LABELS[reason]}{entry.paymentMethod ? ` (${entry.paymentMethod})` : ''}</p>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <span className="font-medium text-teal-700">{formatCurrency(entry.amount)}원</span>
+                  {canEdit && (
+                    <button onClick={() => setEditingEntry(entry)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">모든 지출을 공제 계산에 반영했습니다.</p>
+        )}
+      </div>
+
+      {editingEntry && <EntryEditModal entry={editingEntry} onClose={() => setEditingEntry(null)} />}
+    </div>
+  );
+};
+// --- 부부 정산 ---
+
+const SettlementTab = () => {
+  const { db, userId, ledgerId, ledger, canEdit, showMessage } = useContext(AppContext);
+  const today = todayDateString();
+  const thisMonthKey = today.slice(0, 7);
+  const lastMonthKey = addDaysToDateString(`${thisMonthKey}-01`, -1).slice(0, 7);
+  const [from, setFrom] = useState(`${thisMonthKey}-01`);
+  const [to, setTo] = useState(today);
+  const [deletingSettlement, setDeletingSettlement] = useState(null);
+  const [editingEntry, setEditingEntry] = useState(null);
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  const range = useMemo(() => getDateStringRange(from, to), [from, to]);
+  const entries = useLedgerEntries(db, ledgerId, range, handleEntriesError);
+  const settlements = useSettlements(db, ledgerId, range, handleEntriesError);
+
+  const result = useMemo(() => computeSettlement(entries, settlements), [entries, settlements]);
+  const splitEntries = useMemo(() => sortEntriesByDateDesc(entries.filter(entry => entry.type === 'expense' && entry.paidBy && entry.splitShares)), [entries]);
+  const memberIds = [...new Set([...Object.keys(ledger?.members || {}), ...Object.keys(result.members)])];
+
+  const formatCurrency = (amount) => Math.round(amount).toLocaleString('ko-KR');
+  const setPeriod = (period) => {
+    setFrom(period.from);
+    setTo(period.to);
+  };
+
+  // 정산 기록은 조회 기간 안에 남겨야 같은 기간의 잔액이 0이 됩니다. 기간이 끝나지 않았으면 오늘 날짜로 기록합니다.
+  // 내역 저장과 마찬가지로 서버 응답을 기다리지 않습니다. 오프라인이면 연결될 때 전송됩니다.
+  const handleRecord = (transfer) => {
+    let date = to && to < today ? to : today;
+    if (from && date < from) date = from;
+    addSettlement(db, ledgerId, userId, {
+      date: new Date(date),
+      from: transfer.from,
+      to: transfer.to,
+      amount: transfer.amount,
+      memo: from || to ? `${from || '처음'} ~ ${to || '오늘'} 정산` : '전체 기간 정산',
+    }).catch(error => {
+      console.error("정산 기록 실패:", error);
+      showMessage(`정산 기록 실패: ${error.message}`);
+    });
+    showMessage("정산 기록이 추가되었습니다.");
+  };
+
+  const handleDeleteSettlement = () => {
+    deleteSettlement(db, ledgerId, deletingSettlement.id).catch(error => {
+      console.error("정산 기록 취소 실패:", error);
+      showMessage(`정산 기록 취소 실패: ${error.message}`);
+    });
+    showMessage("정산 기록이 취소되었습니다.");
+    setDeletingSettlement(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-indigo-700 mb-2">부부 정산</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          결제한 사람과 분담 방식을 입력한 지출만 계산합니다. 정산 완료로 기록하면 그 기간의 잔액이 0이 됩니다.
+        </p>
+        <div className="flex space-x-2 mb-4">
+          {[
+            { label: '이번 달', period: getMonthPeriod(thisMonthKey) },
+            { label: '지난 달', period: getMonthPeriod(lastMonthKey) },
+            { label: '전체', period: { from: '', to: '' } },
+          ].map(({ label, period }) => (
+            <button
+              key={label}
+              onClick={() => setPeriod(period)}
+              className={`flex-1 py-2 px-3 text-sm rounded-md font-medium transition duration-200 ${from === period.from && to === period.to ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">시작일</label>
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">종료일</label>
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500" />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">누가 누구에게</h3>
+        {result.transfers.length > 0 ? (
+          <div className="space-y-3">
+            {result.transfers.map(transfer => (
+              <div key={`${transfer.from}-${transfer.to}`} className="flex justify-between items-center p-3 bg-indigo-50 rounded-lg">
+                <p className="text-gray-800">
+                  <span className="font-semibold">{getMemberLabel(ledger, transfer.from)}</span> → <span className="font-semibold">{getMemberLabel(ledger, transfer.to)}</span>
+                  <span className="ml-2 text-lg font-bold text-indigo-700">{formatCurrency(transfer.amount)}원</span>
+                </p>
+                {canEdit && (
+                  <button
+                    onClick={() => handleRecord(transfer)}
+                    className="bg-indigo-600 text-white px-3 py-2 text-sm rounded-lg font-semibold hover:bg-indigo-700 transition duration-200"
+                  >
+                    정산 완료로 기록
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">
+            {result.entryCount > 0 ? '이 기간에는 주고받을 돈이 없습니다.' : '이 기간에 정산할 지출이 없습니다.'}
+          </p>
+        )}
+
+        {Object.keys(result.members).length > 0 && (
+          <table className="w-full text-sm mt-6">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-200">
+                <th className="text-left py-2 font-medium">구성원</th>
+                <th className="text-right py-2 font-medium">낸 금액</th>
+                <th className="text-right py-2 font-medium">부담할 금액</th>
+                <th className="text-right py-2 font-medium">정산</th>
+                <th className="text-right py-2 font-medium">잔액</th>
+              </tr>
+            </thead>
+            <tbody>
+              {memberIds.filter(uid => result.members[uid]).map(uid => {
+                const member = result.members[uid];
+                return (
+                  <tr key={uid} className="border-b border-gray-100 last:border-b-0">
+                    <td className="py-2 text-gray-800">{getMemberLabel(ledger, uid)}</td>
+                    <td className="py-2 text-right">{formatCurrency(member.paid)}</td>
+                    <td className="py-2 text-right">{formatCurrency(member.share)}</td>
+                    <td className="py-2 text-right">{formatCurrency(member.sent - member.received)}</td>
+                    <td className={`py-2 text-right font-semibold ${member.balance > 0 ? 'text-teal-700' : member.balance < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                      {member.balance > 0 ? '+' : ''}{formatCurrency(member.balance)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        <p className="text-xs text-gray-500 mt-2">잔액이 +이면 받을 돈, -이면 줄 돈입니다. 정산 열은 보낸 금액에서 받은 금액을 뺀 값입니다.</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">정산 기록 ({settlements.length}건)</h3>
+        {settlements.length > 0 ? (
+          <div className="space-y-2">
+            {[...settlements].reverse().map(settlement => (
+              <div key={settlement.id} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0 text-sm">
+                <div>
+                  <p className="text-gray-800">
+                    {toEntryDate(settlement.date).toLocaleDateString('ko-KR')} · {getMemberLabel(ledger, settlement.from)} → {getMemberLabel(ledger, settlement.to)}
+                  </p>
+                  {settlement.memo && <p className="text-xs text-gray-500">{settlement.memo}</p>}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-indigo-700">{formatCurrency(settlement.amount)}원</span>
+                  {canEdit && (
+                    <button onClick={() => setDeletingSettlement(settlement)} className="text-xs text-red-600 hover:underline">취소</button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">이 기간의 정산 기록이 없습니다.</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-bold mb-4">정산 대상 지출 ({splitEntries.length}건)</h3>
+        {splitEntries.length > 0 ? (
+          <div className="space-y-2">
+            {splitEntries.map(entry => (
+              <div key={entry.id} className="flex justify-between items-center py-2 border-b border-gray-100 last:border-b-0 text-sm">
+                <div>
+                  <p className="text-gray-800">
+                    {toEntryDate(entry.date).toLocaleDateString('ko-KR')} · {getEntryTitle(entry)}
+                    {entry.memo && <span className="text-gray-500"> · {entry.memo}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeSplit(entry, ledger)}</p>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <span className="font-medium text-red-600">{formatCurrency(entry.amount)}원</span>
+                  {canEdit && (
+                    <button onClick={() => setEditingEntry(entry)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">지출을 입력할 때 결제한 사람을 선택하면 여기에 표시됩니다.</p>
+        )}
+      </div>
+
+      {editingEntry && <EntryEditModal entry={editingEntry} onClose={() => setEditingEntry(null)} />}
+
+      {deletingSettlement && (
+        <ConfirmModal
+          message="이 정산 기록을 취소할까요? 잔액이 정산 전으로 돌아갑니다."
+          confirmLabel="정산 취소"
+          onConfirm={handleDeleteSettlement}
+          onCancel={() => setDeletingSettlement(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+// --- CSV 가져오기 ---
+
+const CsvImportModal = ({ onClose }) => {
+  const { db, ledgerId, userId, isOnline, showMessage } = useContext(AppContext);
+  const [rows, setRows] = useState([]);
+  const [existingEntries, setExistingEntries] = useState([]);
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const [headerRowIndex, setHeaderRowIndex] = useState(0);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({ type: 'expense', expenseCategory: FALLBACK_CATEGORIES.expense, incomeCategory: FALLBACK_CATEGORIES.income, paymentMethod: '' });
+  const [includeDuplicates, setIncludeDuplicates] = useState({}); // 중복 의심 행 중 사용자가 포함하기로 한 행
+  const lists = useLedgerLists();
+
+  const headers = rows[headerRowIndex] || [];
+
+  // 중복 확인에는 파일의 첫 날짜부터 마지막 날짜까지의 기존 내역만 불러옵니다.
+  const importRange = useMemo(() => {
+    if (mapping.date === undefined || mapping.date === '') return null;
+    const dates = rows.slice(headerRowIndex + 1)
+      .map(cells => parseImportDate(cells[Number(mapping.date)]))
+      .filter(Boolean)
+      .sort();
+    if (dates.length === 0) return null;
+    return { start: new Date(dates[0]), end: new Date(addDaysToDateString(dates[dates.length - 1], 1)) };
+  }, [rows, headerRowIndex, mapping.date]);
+
+  useEffect(() => {
+    if (!db || !ledgerId || !importRange) {
+      setExistingEntries([]);
+      return;
+    }
+
+    let cancelled = false;
+    setIsCheckingDuplicates(true);
+    fetchEntries(db, ledgerId, importRange)
+      .then(fetchedEntries => {
+        if (!cancelled) setExistingEntries(fetchedEntries);
+      })
+      .catch(error => {
+        console.error("기존 내역 확인 실패:", error);
+        showMessage(`기존 내역 확인 실패: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsCheckingDuplicates(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [db, ledgerId, importRange, showMessage]);
+
+  const previewRows = useMemo(
+    () => buildImportRows(rows.slice(headerRowIndex + 1), mapping, defaults, existingEntries, lists),
+    [rows, headerRowIndex, mapping, defaults, existingEntries, lists]
+  );
+  const importableRows = previewRows.filter(row => row.errors.length === 0 && (!row.duplicate || includeDuplicates[row.index]));
+  const errorCount = previewRows.filter(row => row.errors.length > 0).length;
+  const duplicateCount = previewRows.filter(row => row.duplicate).length;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const parsedRows = parseCsv(await decodeCsvFile(file));
+      if (parsedRows.length < 2) {
+        showMessage("가져올 내역이 없습니다.");
+        return;
+      }
+      const detectedHeaderRow = detectHeaderRow(parsedRows);
+      setRows(parsedRows);
+      setHeaderRowIndex(detectedHeaderRow);
+      setMapping(guessColumnMapping(parsedRows[detectedHeaderRow]));
+      setIncludeDuplicates({});
+    } catch (error) {
+      console.error("CSV 읽기 실패:", error);
+      showMessage(`CSV 읽기 실패: ${error.message}`);
+    }
+  };
+
+  const handleHeaderRowChange = (value) => {
+    const index = Math.max(0, Math.min(rows.length - 1, (parseInt(value, 10) || 1) - 1));
+    setHeaderRowIndex(index);
+    setMapping(guessColumnMapping(rows[index]));
+  };
+
+  // 서버 응답을 기다리지 않습니다. 오프라인이면 기기에 먼저 저장되고 연결될 때 전송됩니다.
+  const handleImport = () => {
+    if (importableRows.length === 0) {
+      showMessage("가져올 수 있는 내역이 없습니다.");
+      return;
+    }
+    if (mapping.date === '') {
+      showMessage("날짜 열을 지정해주세요.");
+      return;
+    }
+
+    try {
+      importEntries(db, ledgerId, importableRows.map(row => {
+        const entryData = {
+          date: new Date(row.dateString),
+          type: row.type,
+          amount: row.amount,
+          category: row.category,
+          memo: row.memo,
+          recordedBy: userId,
+          importedAt: serverTimestamp(),
+        };
+        if (row.subcategory) {
+          entryData.subcategory = row.subcategory;
+        }
+        if (row.type === 'expense') {
+          entryData.paymentMethod = row.paymentMethod;
+        }
+        if (row.account) {
+          entryData.account = row.account;
+        }
+        if (row.installmentMonths > 1) {
+          entryData.installmentMonths = row.installmentMonths;
+        }
+        if (row.tags.length > 0) {
+          entryData.tags = row.tags;
+        }
+        if (row.splitLines) {
+          entryData.splitLines = row.splitLines;
+        }
+        if (row.currency) {
+          entryData.currency = row.currency;
+          entryData.originalAmount = row.originalAmount;
+          entryData.exchangeRate = row.exchangeRate;
+        }
+        return entryData;
+      })).catch(error => {
+        console.error("CSV 가져오기 실패:", error);
+        showMessage(`CSV 가져오기 실패: ${error.message}`);
+      });
+      showMessage(isOnline
+        ? `${importableRows.length}건의 내역을 가져왔습니다.`
+        : `오프라인 상태라 ${importableRows.length}건의 내역을 기기에 먼저 저장했습니다. 연결되면 자동으로 동기화됩니다.`);
+      onClose();
+    } catch (error) {
+      console.error("CSV 가져오기 실패:", error);
+      showMessage(`CSV 가져오기 실패: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-2xl w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-indigo-700">CSV 가져오기</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100"><X className="w-5 h-5" /></button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-3">
+          이 앱에서 내보낸 CSV나 카드사/은행 거래내역 CSV를 선택하세요. (UTF-8, EUC-KR 모두 지원)
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="w-full mb-4 text-sm" />
+
+        {rows.length > 0 && (
+          <>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">헤더 행 번호</label>
+              <input
+                type="number"
+                min="1"
+                max={rows.length}
+                value={headerRowIndex + 1}
+                onChange={(e) => handleHeaderRowChange(e.target.value)}
+                className="w-24 p-2 border border-gray-300 rounded-md"
+              />
+            </div>
+
+            <h4 className="font-semibold mb-2">열 연결</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-md bg-white text-sm"
+                  >
+                    <option value="">사용 안 함</option>
+                    {headers.map((header, index) => <option key={index} value={index}>{header || `${index + 1}번째 열`}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <h4 className="font-semibold mb-2">기본값 (열이 없거나 비어 있을 때)</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">유형</label>
+                <select
+                  value={defaults.type}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, type: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  <option value="expense">지출</option>
+                  <option value="income">수입</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">결제 수단</label>
+                <select
+                  value={defaults.paymentMethod}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  <option value="">선택하세요</option>
+                  {activeNames(lists.paymentMethods).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">지출 카테고리</label>
+                <select
+                  value={defaults.expenseCategory}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, expenseCategory: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  {activeNames(lists.expense).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">수입 카테고리</label>
+                <select
+                  value={defaults.incomeCategory}
+                  onChange={(e) => setDefaults(prev => ({ ...prev, incomeCategory: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md bg-white text-sm"
+                >
+                  {activeNames(lists.income).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <h4 className="font-semibold mb-2">
+              미리보기 ({previewRows.length}건 · 오류 {errorCount}건 · 중복 의심 {duplicateCount}건)
+            </h4>
+            <div className="space-y-2 mb-4 max-h-80 overflow-y-auto">
+              {previewRows.map(row => (
+                <div
+                  key={row.index}
+                  className={`p-2 rounded border text-sm ${row.errors.length > 0 ? 'bg-red-50 border-red-200' : row.duplicate ? 'bg-yellow-50 border-yellow-200' : 'bg-gray-50 border-gray-100'}`}
+                >
+                  <div className="flex justify-between">
+                    <span>
+                      {row.dateString || '-'} · {ENTRY_TYPE_LABELS[row.type]} · {row.category || '-'}
+                      {row.subcategory && ` > ${row.subcategory}`}
+                      {row.paymentMethod && ` · ${row.paymentMethod}`}
+                      {row.account && ` · ${row.account}`}
+                      {row.installmentMonths > 1 && ` · ${row.installmentMonths}개월 할부`}
+                    </span>
+                    <span className="font-medium">{isNaN(row.amount) ? '-' : `${row.amount.toLocaleString('ko-KR')}원`}</span>
+                  </div>
+                  {row.memo && <p className="text-xs text-gray-600">{row.memo}</p>}
+                  {row.errors.map(error => <p key={error} className="text-xs text-red-600">{error}</p>)}
+                  {row.errors.length === 0 && row.duplicate && (
+                    <label className="flex items-center text-xs text-yellow-800 mt-1">
+                      <input
+                        type="checkbox"
+                        checked={!!includeDuplicates[row.index]}
+                        onChange={(e) => setIncludeDuplicates(prev => ({ ...prev, [row.index]: e.target.checked }))}
+                        className="mr-1"
+                      />
+                      이미 있는 내역과 같아 보입니다 (날짜·금액·메모 일치). 그래도 가져오기
+                    </label>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={handleImport}
+              disabled={isCheckingDuplicates || importableRows.length === 0}
+              className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-green-700 transition duration-200 shadow-md disabled:opacity-50"
+            >
+              {importableRows.length}건 가져오기
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ConfirmModal = ({ message, confirmLabel = '확인', onConfirm, onCancel }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-40 p-4">
+    <div className="bg-white rounded-lg shadow-xl p-6 max-w-sm w-full text-center">
+      <p className="text-lg font-medium text-gray-800 mb-6">{message}</p>
+      <div className="flex space-x-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-200 transition duration-200"
+        >
+          취소
+        </button>
+        <button
+          onClick={onConfirm}
+          className="flex-1 bg-red-500 text-white py-2 px-4 rounded-md hover:bg-red-600 transition duration-200"
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+const REVISION_FIELD_LABELS = {
+  date: '날짜',
+  type: '유형',
+  amount: '금액',
+  category: '카테고리',
+  subcategory: '세부카테고리',
+  paymentMethod: '결제수단',
+  account: '계좌',
+  fromAccount: '출금 계좌',
+  toAccount: '입금 계좌',
+  installmentMonths: '할부',
+  installmentRate: '할부 수수료율',
+  savingsGoal: '저축 목표',
+  cashReceipt: '현금영수증',
+  memo: '메모',
+  attachments: '첨부파일',
+  paidBy: '결제한 사람',
+  splitShares: '분담',
+  currency: '통화',
+  originalAmount: '외화 금액',
+  exchangeRate: '환율',
+  tags: '태그',
+  splitLines: '분할',
+};
+
+const formatRevisionValue = (field, value, ledger) => {
+  if (value === undefined || value === null || value === '') return '(없음)';
+  if (field === 'date') return (value?.toDate ? value.toDate() : new Date(value)).toLocaleDateString('ko-KR');
+  if (field === 'type') return ENTRY_TYPE_LABELS[value];
+  if (field === 'amount') return `${value.toLocaleString('ko-KR')}원`;
+  if (field === 'installmentMonths') return `${value}개월`;
+  if (field === 'installmentRate') return `연 ${value}%`;
+  if (field === 'cashReceipt') return value ? '발급' : '미발급';
+  if (field === 'attachments') return value.length > 0 ? value.map(attachment => attachment.name).join(', ') : '(없음)';
+  if (field === 'splitLines') return value.map(line => `${line.category} ${line.amount.toLocaleString('ko-KR')}`).join(' / ');
+  if (field === 'tags') return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : '(없음)';
+  if (field === 'exchangeRate') return `${value.toLocaleString('ko-KR')}원`;
+  if (field === 'paidBy') return getMemberLabel(ledger, value);
+  if (field === 'splitShares') return Object.entries(value).map(([uid, percent]) => `${getMemberLabel(ledger, uid)} ${Math.round(percent * 10) / 10}%`).join(' / ');
+  return String(value);
+};
+
+const isSameRevisionValue = (field, a, b) => {
+  if (field === 'date') {
+    const toTime = (value) => (value?.toDate ? value.toDate() : new Date(value)).getTime();
+    return toTime(a) === toTime(b);
+  }
+  if (field === 'attachments') {
+    const toPaths = (value) => (value || []).map(attachment => attachment.path).join('|');
+    return toPaths(a) === toPaths(b);
+  }
+  if (field === 'tags') return (a || []).join('|') === (b || []).join('|');
+  if (field === 'splitLines') return JSON.stringify(a || null) === JSON.stringify(b || null);
+  if (field === 'splitShares') {
+    const toKey = (value) => Object.entries(value || {}).sort(([uidA], [uidB]) => uidA.localeCompare(uidB)).map(pair => pair.join(':')).join('|');
+    return toKey(a) === toKey(b);
+  }
+  return (a ?? '') === (b ?? '');
+};
+
+// entryId가 없으면 가계부 전체의 최근 변경 이력을 보여줍니다 (삭제된 내역 포함).
+const RevisionHistoryModal = ({ entryId, onClose }) => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const [revisions, setRevisions] = useState([]);
+
+  useEffect(() => {
+    if (!db || !ledgerId) return;
+
+    const revisionsRef = ledgerCollectionRef(db, ledgerId, 'revisions');
+    // 특정 내역 조회 시 복합 색인이 필요하지 않도록 정렬은 클라이언트에서 처리합니다.
+    const q = entryId
+      ? query(revisionsRef, where('entryId', '==', entryId))
+      : query(revisionsRef, orderBy('changedAt', 'desc'), limit(50));
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const fetchedRevisions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      fetchedRevisions.sort((a, b) => (b.changedAt?.toMillis?.() ?? Date.now()) - (a.changedAt?.toMillis?.() ?? Date.now()));
+      setRevisions(fetchedRevisions);
+    }, (error) => {
+      console.error("Error fetching revisions:", error);
+      showMessage(`변경 이력 로딩 실패: ${error.message}`);
+    });
+
+    return () => unsubscribe();
+  }, [db, ledgerId, entryId, showMessage]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-40 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-md w-full max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-indigo-700">{entryId ? '내역 변경 이력' : '전체 변경 이력'}</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100"><X className="w-5 h-5" /></button>
+        </div>
+        {revisions.length > 0 ? (
+          <div className="space-y-3">
+            {revisions.map(revision => {
+              const before = revision.before || {};
+              const after = revision.after || {};
+              const changedFields = revision.action === 'delete'
+                ? []
+                : Object.keys(REVISION_FIELD_LABELS).filter(field => !isSameRevisionValue(field, before[field], after[field]));
+
+              return (
+                <div key={revision.id} className="p-3 bg-gray-50 rounded-lg border border-gray-100 text-sm">
+                  <div className="flex justify-between items-center mb-1">
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${revision.action === 'delete' ? 'bg-red-100 text-red-700' : 'bg-indigo-100 text-indigo-700'}`}>
+                      {revision.action === 'delete' ? '삭제' : '수정'}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {revision.changedAt?.toDate ? revision.changedAt.toDate().toLocaleString('ko-KR') : '저장 중...'}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-400 mb-2">변경자: <MemberName ledger={ledger} uid={revision.changedBy} /></p>
+                  {revision.action === 'delete' ? (
+                    <p className="text-gray-700">
+                      {formatRevisionValue('date', before.date)} · {before.category} · {formatRevisionValue('amount', before.amount)}
+                      {before.memo && ` · ${before.memo}`}
+                    </p>
+                  ) : changedFields.length > 0 ? (
+                    <ul className="space-y-1">
+                      {changedFields.map(field => (
+                        <li key={field} className="text-gray-700">
+                          <span className="font-medium">{REVISION_FIELD_LABELS[field]}</span>: {' '}
+                          <span className="line-through text-gray-400">{formatRevisionValue(field, before[field], ledger)}</span>
+                          {' → '}
+                          <span>{formatRevisionValue(field, after[field], ledger)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-gray-500">변경된 항목이 없습니다.</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-gray-500 text-center">변경 이력이 없습니다.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const LIST_EDITOR_TABS = [
+  { key: 'expense', label: '지출 카테고리' },
+  { key: 'income', label: '수입 카테고리' },
+  { key: 'paymentMethods', label: '결제 수단' },
+];
+
+const CategorySettings = () => {
+  const { db, ledgerId, ledger, isOnline, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const [activeList, setActiveList] = useState('expense');
+  const [newName, setNewName] = useState('');
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [editingSubcategories, setEditingSubcategories] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isCategoryList = activeList !== 'paymentMethods';
+  const items = lists[activeList];
+
+  const ledgerRef = () => ledgerDocRef(db, ledgerId);
+
+  // 목록 전체를 가계부 문서에 저장합니다. 카테고리는 수입/지출을 함께 저장해야 기본값이 섞이지 않습니다.
+  const saveItems = async (nextItems, extraFields = {}) => {
+    const update = isCategoryList
+      ? { categories: { expense: lists.expense, income: lists.income, [activeList]: nextItems } }
+      : { paymentMethods: nextItems };
+    await updateDoc(ledgerRef(), { ...update, ...extraFields });
+  };
+
+  const handleSwitchList = (key) => {
+    setActiveList(key);
+    setEditingIndex(null);
+    setNewName('');
+  };
+
+  const handleAdd = async () => {
+    const name = newName.trim();
+    if (!name) {
+      showMessage("이름을 입력해주세요.");
+      return;
+    }
+    if (items.some(item => item.name === name)) {
+      showMessage("이미 있는 이름입니다.");
+      return;
+    }
+    const newItem = isCategoryList ? { name, icon: null, archived: false, subcategories: [] } : { name, archived: false };
+    try {
+      await saveItems([...items, newItem]);
+      setNewName('');
+    } catch (error) {
+      console.error("항목 추가 실패:", error);
+      showMessage(`항목 추가 실패: ${error.message}`);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= items.length) return;
+    const nextItems = [...items];
+    [nextItems[index], nextItems[targetIndex]] = [nextItems[targetIndex], nextItems[index]];
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("순서 변경 실패:", error);
+      showMessage(`순서 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleToggleArchive = async (index) => {
+    const nextItems = items.map((item, i) => (i === index ? { ...item, archived: !item.archived } : item));
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("보관 상태 변경 실패:", error);
+      showMessage(`보관 상태 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleIconChange = async (index, icon) => {
+    const nextItems = items.map((item, i) => (i === index ? { ...item, icon: icon || null } : item));
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("아이콘 변경 실패:", error);
+      showMessage(`아이콘 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleStartEdit = (index) => {
+    setEditingIndex(index);
+    setEditingName(items[index].name);
+    setEditingSubcategories((items[index].subcategories || []).join(', '));
+  };
+
+  const handleSaveEdit = async () => {
+    const item = items[editingIndex];
+    const name = editingName.trim();
+    if (!name) {
+      showMessage("이름을 입력해주세요.");
+      return;
+    }
+    if (name !== item.name && items.some(other => other.name === name)) {
+      showMessage("이미 있는 이름입니다.");
+      return;
+    }
+
+    const updatedItem = { ...item, name };
+    if (isCategoryList) {
+      updatedItem.subcategories = [...new Set(editingSubcategories.split(',').map(sub => sub.trim()).filter(Boolean))];
+    }
+    const nextItems = items.map((other, i) => (i === editingIndex ? updatedItem : other));
+
+    // 지출 카테고리 이름이 바뀌면 예산도 새 이름으로 옮깁니다.
+    const extraFields = {};
+    if (activeList === 'expense' && name !== item.name && ledger?.budgets?.[item.name] !== undefined) {
+      const { [item.name]: budget, ...otherBudgets } = ledger.budgets;
+      extraFields.budgets = { ...otherBudgets, [name]: budget };
+    }
+    const renamedGoals = activeList === 'expense' && name !== item.name && renameGoalLinks(lists.savingsGoals, 'category', item.name, name);
+    if (renamedGoals) {
+      extraFields.savingsGoals = renamedGoals;
+    }
+    const renamedRules = name !== item.name && (isCategoryList
+      ? renameRuleLinks(lists.categoryRules, 'category', item.name, name, activeList)
+      : renameRuleLinks(lists.categoryRules, 'paymentMethod', item.name, name));
+    if (renamedRules) {
+      extraFields.categoryRules = renamedRules;
+    }
+
+    if (name !== item.name && !isOnline) {
+      showMessage(OFFLINE_RENAME_MESSAGE);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      // 지난 내역을 먼저 찾고 목록을 바꿉니다. 찾지 못하면 목록도 그대로 둡니다.
+      const renames = name === item.name ? [] : [isCategoryList
+        ? await planFieldRename(db, ledgerId, 'category', item.name, name, activeList)
+        : await planFieldRename(db, ledgerId, 'paymentMethod', item.name, name)];
+      await saveItems(nextItems, extraFields);
+      const renamedCount = commitFieldRenames(renames, showMessage);
+      setEditingIndex(null);
+      showMessage(name !== item.name
+        ? `'${item.name}'을(를) '${name}'(으)로 바꾸고 지난 내역 ${renamedCount}건을 함께 수정했습니다.`
+        : "저장되었습니다.");
+    } catch (error) {
+      console.error("이름 변경 실패:", error);
+      showMessage(`이름 변경 실패: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">카테고리 및 결제 수단</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        보관한 항목은 새 입력에서 숨겨지지만 지난 내역과 필터에는 그대로 남습니다.
+      </p>
+      <div className="flex space-x-1 mb-3">
+        {LIST_EDITOR_TABS.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => handleSwitchList(tab.key)}
+            className={`flex-1 py-2 px-2 text-sm rounded-md font-medium transition duration-200 ${activeList === tab.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2 mb-3">
+        {items.map((item, index) => (
+          <div key={item.name} className={`p-2 rounded-lg border ${item.archived ? 'bg-gray-100 border-gray-200 text-gray-400' : 'bg-gray-50 border-gray-100'}`}>
+            {editingIndex === index ? (
+              <div className="space-y-2">
+                <input
+                  type="text"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                />
+                {isCategoryList && (
+                  <input
+                    type="text"
+                    value={editingSubcategories}
+                    onChange={(e) => setEditingSubcategories(e.target.value)}
+                    placeholder="세부 카테고리 (쉼표로 구분, 예: 외식, 장보기)"
+                    className="w-full p-2 border border-gray-300 rounded-md text-sm"
+                  />
+                )}
+                <div className="flex space-x-2">
+                  <button onClick={() => setEditingIndex(null)} className="flex-1 py-1 text-sm rounded bg-white border border-gray-200 hover:bg-gray-100">취소</button>
+                  <button onClick={handleSaveEdit} disabled={isSaving} className="flex-1 py-1 text-sm rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+                    {isSaving ? '저장 중...' : '저장'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-center">
+                {isCategoryList && (
+                  <select
+                    value={item.icon || ''}
+                    onChange={(e) => handleIconChange(index, e.target.value)}
+                    className="w-16 mr-2 p-1 border border-gray-200 rounded text-xs bg-white"
+                    title="아이콘"
+                  >
+                    <option value="">없음</option>
+                    {Object.keys(CATEGORY_ICONS).map(icon => <option key={icon} value={icon}>{icon}</option>)}
+                  </select>
+                )}
+                {isCategoryList && <CategoryIcon icon={item.icon} className="w-4 h-4 mr-2 text-gray-500" />}
+                <div className="flex-grow text-sm">
+                  <span className="font-medium">{item.name}</span>
+                  {item.archived && <span className="ml-1 text-xs">(보관됨)</span>}
+                  {item.subcategories?.length > 0 && (
+                    <p className="text-xs text-gray-500">{item.subcategories.join(', ')}</p>
+                  )}
+                </div>
+                <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="위로">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleMove(index, 1)} disabled={index === items.length - 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="아래로">
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleStartEdit(index)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="이름 변경">
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleToggleArchive(index)} className="p-1 rounded hover:bg-gray-200 text-gray-500" title={item.archived ? '복원' : '보관'}>
+                  {item.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={isCategoryList ? '새 카테고리 (예: 반려동물)' : '새 결제 수단 (예: 현대카드)'}
+          className="flex-grow p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <button onClick={handleAdd} className="px-4 bg-indigo-600 text-white rounded-md font-semibold hover:bg-indigo-700 transition duration-200">
+          추가
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 잔액을 추적할 계좌(은행 계좌, 신용카드, 현금, 저축 등) 목록. 내역과 이체에서 이름으로 참조합니다.
+const RULE_MATCH_TYPE_LABELS = { contains: '포함', regex: '정규식' };
+const RULE_SUGGESTION_LOOKBACK_DAYS = 180; // 규칙 추천에 쓰는 최근 내역 기간
+const RULE_PREVIEW_COUNT = 10;
+const EMPTY_RULE_FORM = { matchType: 'contains', pattern: '', type: 'expense', category: '', paymentMethod: '', tags: '' };
+
+const RuleSettings = () => {
+  const { db, ledgerId, userId, isOnline, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const rules = lists.categoryRules;
+  const [form, setForm] = useState(EMPTY_RULE_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [applyScope, setApplyScope] = useState('uncategorized'); // 'uncategorized' | 'imported' | 'both'
+  const [plannedUpdates, setPlannedUpdates] = useState(null);
+
+  const handleEntriesError = useCallback((error) => {
+    showMessage(`데이터 로딩 실패: ${error.message}`);
+  }, [showMessage]);
+
+  const suggestionRange = useMemo(() => {
+    const today = todayDateString();
+    return getDateStringRange(addDaysToDateString(today, -RULE_SUGGESTION_LOOKBACK_DAYS), today);
+  }, []);
+  const recentEntries = useLedgerEntries(db, ledgerId, suggestionRange, handleEntriesError);
+  const suggestions = useMemo(
+    () => suggestRulesFromEntries(recentEntries, rules, Object.values(FALLBACK_CATEGORIES)).slice(0, 5),
+    [recentEntries, rules]
+  );
+
+  const formCategories = form.type === 'income' ? lists.income : lists.expense;
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  // 규칙이 바뀌면 미리 본 일괄 적용 목록은 더 이상 맞지 않으므로 닫습니다.
+  const saveRules = async (nextRules, successMessage) => {
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), { categoryRules: nextRules });
+      setPlannedUpdates(null);
+      if (successMessage) showMessage(successMessage);
+      return true;
+    } catch (error) {
+      console.error("자동 분류 규칙 저장 실패:", error);
+      showMessage(`자동 분류 규칙 저장 실패: ${error.message}`);
+      return false;
+    }
+  };
+
+  const handleSubmitRule = async () => {
+    if (!isValidRulePattern(form.matchType, form.pattern)) {
+      showMessage(form.matchType === 'regex' ? "올바른 정규식을 입력해주세요." : "메모에 포함될 문구를 입력해주세요.");
+      return;
+    }
+    if (!form.category) {
+      showMessage("카테고리를 선택해주세요.");
+      return;
+    }
+    const rule = {
+      id: editingId || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      matchType: form.matchType,
+      pattern: form.pattern.trim(),
+      type: form.type,
+      category: form.category,
+      paymentMethod: form.type === 'expense' ? form.paymentMethod : '',
+      tags: normalizeTags(form.tags),
+    };
+    const nextRules = editingId ? rules.map(other => (other.id === editingId ? rule : other)) : [...rules, rule];
+    if (await saveRules(nextRules, editingId ? "규칙이 수정되었습니다." : "규칙이 추가되었습니다.")) {
+      setForm(EMPTY_RULE_FORM);
+      setEditingId(null);
+    }
+  };
+
+  const handleStartEdit = (rule) => {
+    setEditingId(rule.id);
+    setForm({ ...EMPTY_RULE_FORM, ...rule, tags: (rule.tags || []).join(', ') });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_RULE_FORM);
+  };
+
+  const handleMove = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= rules.length) return;
+    const nextRules = [...rules];
+    [nextRules[index], nextRules[targetIndex]] = [nextRules[targetIndex], nextRules[index]];
+    saveRules(nextRules);
+  };
+
+  const handleDelete = (rule) => {
+    if (rule.id === editingId) handleCancelEdit();
+    saveRules(rules.filter(other => other.id !== rule.id), "규칙이 삭제되었습니다.");
+  };
+
+  const handleAddSuggestion = ({ count, ...suggestion }) => {
+    saveRules([...rules, { ...suggestion, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }], `'${suggestion.pattern}' 규칙이 추가되었습니다.`);
+  };
+
+  // 전체 내역 중 대상 내역에 규칙을 적용했을 때 바뀔 목록을 미리 보여줍니다.
+  const handlePreviewApply = async () => {
+    const fallbackCategories = Object.values(FALLBACK_CATEGORIES);
+    const isTarget = (entry) => {
+      const uncategorized = !entry.category || fallbackCategories.includes(entry.category);
+      if (applyScope === 'uncategorized') return uncategorized;
+      if (applyScope === 'imported') return !!entry.importedAt;
+      return uncategorized || !!entry.importedAt;
+    };
+    try {
+      const entries = await fetchEntries(db, ledgerId);
+      setPlannedUpdates(planRuleApplications(entries.filter(isTarget), rules));
+    } catch (error) {
+      console.error("내역 불러오기 실패:", error);
+      showMessage(`내역 불러오기 실패: ${error.message}`);
+    }
+  };
+
+  // 서버 응답을 기다리지 않습니다. 오프라인이면 기기에 먼저 저장되고 연결될 때 전송됩니다.
+  const handleApply = () => {
+    patchEntries(db, ledgerId, userId, plannedUpdates).catch(error => {
+      console.error("규칙 일괄 적용 실패:", error);
+      showMessage(`규칙 일괄 적용 실패: ${error.message}`);
+    });
+    showMessage(isOnline
+      ? `${plannedUpdates.length}건의 내역에 규칙을 적용했습니다.`
+      : `오프라인 상태라 ${plannedUpdates.length}건의 규칙 적용을 기기에 먼저 저장했습니다. 연결되면 자동으로 동기화됩니다.`);
+    setPlannedUpdates(null);
+  };
+
+  const describeRuleResult = (rule) => [
+    rule.category,
+    rule.type === 'expense' && rule.paymentMethod,
+    ...(rule.tags || []).map(tag => `#${tag}`),
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">자동 분류 규칙</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        메모에 맞는 규칙이 있으면 입력할 때 카테고리, 결제 수단, 태그를 제안합니다. 위에 있는 규칙이 먼저 적용됩니다.
+      </p>
+      {rules.length > 0 ? (
+        <div className="space-y-2 mb-4">
+          {rules.map((rule, index) => (
+            <div key={rule.id} className={`flex items-center p-2 rounded-lg ${rule.id === editingId ? 'bg-indigo-50' : 'bg-gray-50'}`}>
+              <div className="flex-grow text-sm min-w-0">
+                <p className="font-medium truncate">
+                  <span className="text-xs text-gray-500 mr-1">[{ENTRY_TYPE_LABELS[rule.type]} · {RULE_MATCH_TYPE_LABELS[rule.matchType]}]</span>
+                  {rule.pattern}
+                </p>
+                <p className="text-xs text-gray-500">→ {describeRuleResult(rule)}</p>
+              </div>
+              <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="위로">
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="아래로">
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleStartEdit(rule)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleDelete(rule)} className="p-1 rounded hover:bg-gray-200 text-red-500" title="삭제">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">등록된 규칙이 없습니다.</p>
+      )}
+
+      <div className="p-3 border border-gray-200 rounded-lg space-y-2 mb-4">
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={form.type}
+            onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value, category: '' }))}
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="expense">지출</option>
+            <option value="income">수입</option>
+          </select>
+          <select
+            value={form.matchType}
+            onChange={(e) => updateForm('matchType', e.target.value)}
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            {RULE_MATCH_TYPES.map(matchType => <option key={matchType} value={matchType}>메모 {RULE_MATCH_TYPE_LABELS[matchType]}</option>)}
+          </select>
+          <input
+            type="text"
+            value={form.pattern}
+            onChange={(e) => updateForm('pattern', e.target.value)}
+            placeholder={form.matchType === 'regex' ? '예: ^(GS25|CU)' : '예: 스타벅스'}
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={form.category}
+            onChange={(e) => updateForm('category', e.target.value)}
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+          >
+            <option value="">카테고리</option>
+            {formCategories.filter(item => !item.archived || item.name === form.category).map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+          <select
+            value={form.paymentMethod}
+            onChange={(e) => updateForm('paymentMethod', e.target.value)}
+            disabled={form.type !== 'expense'}
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white disabled:opacity-50"
+          >
+            <option value="">결제 수단 유지</option>
+            {lists.paymentMethods.filter(item => !item.archived || item.name === form.paymentMethod).map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+          <input
+            type="text"
+            value={form.tags}
+            onChange={(e) => updateForm('tags', e.target.value)}
+            placeholder="태그 (쉼표로 구분)"
+            className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleSubmitRule}
+            className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-700 transition duration-200"
+          >
+            {editingId ? '규칙 수정' : '규칙 추가'}
+          </button>
+          {editingId && (
+            <button onClick={handleCancelEdit} className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition duration-200">
+              취소
+            </button>
+          )}
+        </div>
+      </div>
+
+      {suggestions.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">추천 규칙 (같은 메모로 자주 입력한 내역)</p>
+          <div className="space-y-2">
+            {suggestions.map(suggestion => (
+              <div key={`${suggestion.type}-${suggestion.pattern}`} className="flex items-center justify-between p-2 bg-indigo-50 rounded-lg text-sm">
+                <span className="min-w-0 truncate">
+                  <span className="font-medium">{suggestion.pattern}</span>
+                  <span className="text-gray-600"> → {describeRuleResult(suggestion)}</span>
+                  <span className="text-xs text-gray-500"> ({suggestion.count}건)</span>
+                </span>
+                <button onClick={() => handleAddSuggestion(suggestion)} className="ml-2 px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex-shrink-0">
+                  추가
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">기존 내역에 일괄 적용</p>
+          <div className="flex space-x-2 mb-2">
+            <select
+              value={applyScope}
+              onChange={(e) => {
+                setApplyScope(e.target.value);
+                setPlannedUpdates(null);
+              }}
+              className="flex-grow p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="uncategorized">미분류 내역 ({Object.values(FALLBACK_CATEGORIES).join(', ')})</option>
+              <option value="imported">CSV로 가져온 내역</option>
+              <option value="both">미분류 + 가져온 내역</option>
+            </select>
+            <button onClick={handlePreviewApply} className="bg-gray-100 text-gray-700 px-4 rounded-lg hover:bg-gray-200 transition duration-200">
+              미리 보기
+            </button>
+          </div>
+          {plannedUpdates && (
+            plannedUpdates.length > 0 ? (
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="space-y-1 mb-3 text-sm">
+                  {plannedUpdates.slice(0, RULE_PREVIEW_COUNT).map(({ entry, rule }) => (
+                    <p key={entry.id} className="truncate">
+                      <span className="text-gray-500">{toEntryDate(entry.date).toLocaleDateString('ko-KR')}</span> {entry.memo}
+                      <span className="text-gray-600"> : {entry.category} → {describeRuleResult(rule)}</span>
+                    </p>
+                  ))}
+                  {plannedUpdates.length > RULE_PREVIEW_COUNT && <p className="text-xs text-gray-500">외 {plannedUpdates.length - RULE_PREVIEW_COUNT}건</p>}
+                </div>
+                <button
+                  onClick={handleApply}
+                  className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-700 transition duration-200 flex items-center justify-center"
+                >
+                  <Wand2 className="w-4 h-4 mr-2" /> {plannedUpdates.length}건에 적용
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">규칙으로 바꿀 내역이 없습니다.</p>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LedgerAccountSettings = () => {
+  const { db, ledgerId, isOnline, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const items = lists.accounts;
+  const emptyForm = () => ({ name: '', kind: 'bank', openingBalance: '', openingDate: todayDateString(), closingDay: '', paymentDay: '', paymentAccount: '' });
+  const [newAccount, setNewAccount] = useState(emptyForm);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editingAccount, setEditingAccount] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const saveItems = (nextItems, extraFields = {}) => updateDoc(ledgerDocRef(db, ledgerId), { accounts: nextItems, ...extraFields });
+
+  // 입력값을 검사해 저장할 계좌 객체를 만듭니다. 문제가 있으면 메시지를 띄우고 null을 반환합니다.
+  const toAccountItem = (form, originalName) => {
+    const name = form.name.trim();
+    if (!name) {
+      showMessage("이름을 입력해주세요.");
+      return null;
+    }
+    if (name !== originalName && items.some(item => item.name === name)) {
+      showMessage("이미 있는 이름입니다.");
+      return null;
+    }
+    const openingBalance = form.openingBalance === '' ? 0 : parseFloat(form.openingBalance);
+    if (isNaN(openingBalance)) {
+      showMessage("유효한 시작 잔액을 입력해주세요.");
+      return null;
+    }
+    if (!form.openingDate) {
+      showMessage("시작일을 입력해주세요.");
+      return null;
+    }
+    const account = { name, kind: form.kind, openingBalance, openingDate: form.openingDate };
+    if (form.kind === 'card') {
+      const closingDay = parseInt(form.closingDay, 10);
+      const paymentDay = parseInt(form.paymentDay, 10);
+      if ([closingDay, paymentDay].some(day => isNaN(day) || day < 1 || day > 31)) {
+        showMessage("마감일과 결제일을 1~31 사이로 입력해주세요.");
+        return null;
+      }
+      Object.assign(account, { closingDay, paymentDay, paymentAccount: form.paymentAccount || null });
+    }
+    return account;
+  };
+
+  const handleAdd = async () => {
+    const account = toAccountItem(newAccount);
+    if (!account) return;
+    try {
+      await saveItems([...items, { ...account, archived: false }]);
+      setNewAccount(emptyForm());
+    } catch (error) {
+      console.error("계좌 추가 실패:", error);
+      showMessage(`계좌 추가 실패: ${error.message}`);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= items.length) return;
+    const nextItems = [...items];
+    [nextItems[index], nextItems[targetIndex]] = [nextItems[targetIndex], nextItems[index]];
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("순서 변경 실패:", error);
+      showMessage(`순서 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleToggleArchive = async (index) => {
+    const nextItems = items.map((item, i) => (i === index ? { ...item, archived: !item.archived } : item));
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("보관 상태 변경 실패:", error);
+      showMessage(`보관 상태 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleStartEdit = (index) => {
+    const item = items[index];
+    setEditingIndex(index);
+    setEditingAccount({
+      name: item.name,
+      kind: item.kind || 'bank',
+      openingBalance: (item.openingBalance || 0).toString(),
+      openingDate: item.openingDate || todayDateString(),
+      closingDay: item.closingDay?.toString() || '',
+      paymentDay: item.paymentDay?.toString() || '',
+      paymentAccount: item.paymentAccount || '',
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    const item = items[editingIndex];
+    const account = toAccountItem(editingAccount, item.name);
+    if (!account) return;
+    // 카드가 아닌 종류로 바꾸면 결제 주기 정보는 지웁니다.
+    const { closingDay, paymentDay, paymentAccount, ...baseItem } = item;
+    const nextItems = items.map((other, i) => {
+      if (i === editingIndex) return { ...baseItem, ...account };
+      return other.paymentAccount === item.name ? { ...other, paymentAccount: account.name } : other;
+    });
+    const renamedGoals = account.name !== item.name && renameGoalLinks(lists.savingsGoals, 'account', item.name, account.name);
+
+    if (account.name !== item.name && !isOnline) {
+      showMessage(OFFLINE_RENAME_MESSAGE);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const renames = account.name === item.name ? [] : await Promise.all(['account', 'fromAccount', 'toAccount'].map(field => (
+        planFieldRename(db, ledgerId, field, item.name, account.name)
+      )));
+      await saveItems(nextItems, renamedGoals ? { savingsGoals: renamedGoals } : {});
+      const renamedCount = commitFieldRenames(renames, showMessage);
+      setEditingIndex(null);
+      showMessage(account.name !== item.name
+        ? `'${item.name}'을(를) '${account.name}'(으)로 바꾸고 지난 내역 ${renamedCount}건을 함께 수정했습니다.`
+        : "저장되었습니다.");
+    } catch (error) {
+      console.error("계좌 변경 실패:", error);
+      showMessage(`계좌 변경 실패: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderFields = (form, setForm) => (
+    <div className="grid grid-cols-2 gap-2">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="이름 (예: 국민은행 월급통장)"
+        className="col-span-2 p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <select
+        value={form.kind}
+        onChange={(e) => setForm(prev => ({ ...prev, kind: e.target.value }))}
+        className="p-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {ACCOUNT_KINDS.map(kind => <option key={kind.value} value={kind.value}>{kind.label}</option>)}
+      </select>
+      <input
+        type="number"
+        value={form.openingBalance}
+        onChange={(e) => setForm(prev => ({ ...prev, openingBalance: e.target.value }))}
+        placeholder="시작 잔액 (원)"
+        className="p-2 border border-gray-300 rounded-md text-sm text-right focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <label className="col-span-2 flex items-center text-sm text-gray-700">
+        <span className="mr-2 whitespace-nowrap">시작일</span>
+        <input
+          type="date"
+          value={form.openingDate}
+          onChange={(e) => setForm(prev => ({ ...prev, openingDate: e.target.value }))}
+          className="flex-grow p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </label>
+      {form.kind === 'card' && (
+        <>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={form.closingDay}
+            onChange={(e) => setForm(prev => ({ ...prev, closingDay: e.target.value }))}
+            placeholder="마감일 (말일은 31)"
+            className="p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={form.paymentDay}
+            onChange={(e) => setForm(prev => ({ ...prev, paymentDay: e.target.value }))}
+            placeholder="결제일"
+            className="p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            value={form.paymentAccount}
+            onChange={(e) => setForm(prev => ({ ...prev, paymentAccount: e.target.value }))}
+            className="col-span-2 p-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">결제 계좌 (선택 사항)</option>
+            {items.filter(item => item.kind !== 'card' && !item.archived).map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+          </select>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">계좌</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        시작일의 잔액을 입력하면 이후 내역과 이체를 반영해 대시보드에 잔액과 순자산을 보여줍니다. 신용카드는 사용액이 음수(부채)로 쌓이고, 마감일과 결제일로 결제 예정 금액을 계산합니다.
+      </p>
+
+      {items.length > 0 && (
+        <div className="space-y-2 mb-3">
+          {items.map((item, index) => (
+            <div key={item.name} className={`p-2 rounded-lg border ${item.archived ? 'bg-gray-100 border-gray-200 text-gray-400' : 'bg-gray-50 border-gray-100'}`}>
+              {editingIndex === index ? (
+                <div className="space-y-2">
+                  {renderFields(editingAccount, setEditingAccount)}
+                  <div className="flex space-x-2">
+                    <button onClick={() => setEditingIndex(null)} className="flex-1 py-1 text-sm rounded bg-white border border-gray-200 hover:bg-gray-100">취소</button>
+                    <button onClick={handleSaveEdit} disabled={isSaving} className="flex-1 py-1 text-sm rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+                      {isSaving ? '저장 중...' : '저장'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center">
+                  <div className="flex-grow text-sm">
+                    <span className="font-medium">{item.name}</span>
+                    <span className="ml-1 text-xs text-gray-500">{ACCOUNT_KIND_LABELS[item.kind]}</span>
+                    {item.archived && <span className="ml-1 text-xs">(보관됨)</span>}
+                    <p className="text-xs text-gray-500">
+                      {item.openingDate || '처음'}부터 · 시작 잔액 {(item.openingBalance || 0).toLocaleString('ko-KR')}원
+                    </p>
+                    {item.kind === 'card' && (
+                      <p className="text-xs text-gray-500">
+                        {isBillingCard(item)
+                          ? `매월 ${item.closingDay >= 31 ? '말일' : `${item.closingDay}일`} 마감 · ${item.paymentDay}일 결제${item.paymentAccount ? ` (${item.paymentAccount})` : ''}`
+                          : '마감일과 결제일을 입력하면 결제 예정 금액을 볼 수 있습니다.'}
+                      </p>
+                    )}
+                  </div>
+                  <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="위로">
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleMove(index, 1)} disabled={index === items.length - 1} className="p-1 rounded hover:bg-gray-200 disabled:opacity-30" title="아래로">
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleStartEdit(index)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleToggleArchive(index)} className="p-1 rounded hover:bg-gray-200 text-gray-500" title={item.archived ? '복원' : '보관'}>
+                    {item.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {renderFields(newAccount, setNewAccount)}
+        <button onClick={handleAdd} className="w-full py-2 bg-indigo-600 text-white rounded-md font-semibold hover:bg-indigo-700 transition duration-200">
+          계좌 추가
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// 저축 목표 목록. 내역은 이름으로 목표를 지정하고, 연결된 계좌로의 이체나 연결된 카테고리 지출은 자동으로 반영됩니다.
+const SavingsGoalSettings = () => {
+  const { db, ledgerId, isOnline, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const items = lists.savingsGoals;
+  const emptyForm = () => ({ name: '', targetAmount: '', deadline: '', startDate: todayDateString(), initialAmount: '', account: '', category: '' });
+  const [newGoal, setNewGoal] = useState(emptyForm);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editingGoal, setEditingGoal] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const saveItems = (nextItems) => updateDoc(ledgerDocRef(db, ledgerId), { savingsGoals: nextItems });
+
+  // 입력값을 검사해 저장할 목표 객체를 만듭니다. 문제가 있으면 메시지를 띄우고 null을 반환합니다.
+  const toGoalItem = (form, originalName) => {
+    const name = form.name.trim();
+    if (!name) {
+      showMessage("이름을 입력해주세요.");
+      return null;
+    }
+    if (name !== originalName && items.some(item => item.name === name)) {
+      showMessage("이미 있는 이름입니다.");
+      return null;
+    }
+    const targetAmount = parseFloat(form.targetAmount);
+    if (isNaN(targetAmount) || targetAmount <= 0) {
+      showMessage("유효한 목표 금액을 입력해주세요.");
+      return null;
+    }
+    const initialAmount = form.initialAmount === '' ? 0 : parseFloat(form.initialAmount);
+    if (isNaN(initialAmount) || initialAmount < 0) {
+      showMessage("유효한 모아둔 금액을 입력해주세요.");
+      return null;
+    }
+    if (!form.startDate || !form.deadline || form.deadline < form.startDate) {
+      showMessage("시작일과 그 이후의 마감일을 입력해주세요.");
+      return null;
+    }
+    return {
+      name,
+      targetAmount,
+      initialAmount,
+      startDate: form.startDate,
+      deadline: form.deadline,
+      account: form.account || null,
+      category: form.category || null,
+    };
+  };
+
+  const handleAdd = async () => {
+    const goal = toGoalItem(newGoal);
+    if (!goal) return;
+    try {
+      await saveItems([...items, { ...goal, archived: false }]);
+      setNewGoal(emptyForm());
+    } catch (error) {
+      console.error("저축 목표 추가 실패:", error);
+      showMessage(`저축 목표 추가 실패: ${error.message}`);
+    }
+  };
+
+  const handleToggleArchive = async (index) => {
+    const nextItems = items.map((item, i) => (i === index ? { ...item, archived: !item.archived } : item));
+    try {
+      await saveItems(nextItems);
+    } catch (error) {
+      console.error("보관 상태 변경 실패:", error);
+      showMessage(`보관 상태 변경 실패: ${error.message}`);
+    }
+  };
+
+  const handleStartEdit = (index) => {
+    const item = items[index];
+    setEditingIndex(index);
+    setEditingGoal({
+      name: item.name,
+      targetAmount: item.targetAmount.toString(),
+      deadline: item.deadline,
+      startDate: item.startDate,
+      initialAmount: (item.initialAmount || 0).toString(),
+      account: item.account || '',
+      category: item.category || '',
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    const item = items[editingIndex];
+    const goal = toGoalItem(editingGoal, item.name);
+    if (!goal) return;
+    const nextItems = items.map((other, i) => (i === editingIndex ? { ...item, ...goal } : other));
+
+    if (goal.name !== item.name && !isOnline) {
+      showMessage(OFFLINE_RENAME_MESSAGE);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const renames = goal.name === item.name ? [] : [await planFieldRename(db, ledgerId, 'savingsGoal', item.name, goal.name)];
+      await saveItems(nextItems);
+      const renamedCount = commitFieldRenames(renames, showMessage);
+      setEditingIndex(null);
+      showMessage(goal.name !== item.name
+        ? `'${item.name}'을(를) '${goal.name}'(으)로 바꾸고 지난 내역 ${renamedCount}건을 함께 수정했습니다.`
+        : "저장되었습니다.");
+    } catch (error) {
+      console.error("저축 목표 변경 실패:", error);
+      showMessage(`저축 목표 변경 실패: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderFields = (form, setForm) => (
+    <div className="grid grid-cols-2 gap-2">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="이름 (예: 여름 휴가)"
+        className="col-span-2 p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <input
+        type="number"
+        min="0"
+        value={form.targetAmount}
+        onChange={(e) => setForm(prev => ({ ...prev, targetAmount: e.target.value }))}
+        placeholder="목표 금액 (원)"
+        className="p-2 border border-gray-300 rounded-md text-sm text-right focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <input
+        type="number"
+        min="0"
+        value={form.initialAmount}
+        onChange={(e) => setForm(prev => ({ ...prev, initialAmount: e.target.value }))}
+        placeholder="이미 모은 금액 (원)"
+        className="p-2 border border-gray-300 rounded-md text-sm text-right focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <label className="flex items-center text-sm text-gray-700">
+        <span className="mr-2 whitespace-nowrap">시작일</span>
+        <input
+          type="date"
+          value={form.startDate}
+          onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+          className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </label>
+      <label className="flex items-center text-sm text-gray-700">
+        <span className="mr-2 whitespace-nowrap">마감일</span>
+        <input
+          type="date"
+          value={form.deadline}
+          onChange={(e) => setForm(prev => ({ ...prev, deadline: e.target.value }))}
+          className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </label>
+      <select
+        value={form.account}
+        onChange={(e) => setForm(prev => ({ ...prev, account: e.target.value }))}
+        className="p-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        <option value="">연결 계좌 없음</option>
+        {lists.accounts.filter(item => item.kind !== 'card').map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+      </select>
+      <select
+        value={form.category}
+        onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+        className="p-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        <option value="">연결 카테고리 없음</option>
+        {lists.expense.map(item => <option key={item.name} value={item.name}>{item.name}</option>)}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">저축 목표</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        입력할 때 목표를 고르거나, 목표에 계좌를 연결하면 그 계좌로의 이체가, 카테고리를 연결하면 그 카테고리 지출이 자동으로 모은 금액에 반영됩니다.
+      </p>
+
+      {items.length > 0 && (
+        <div className="space-y-2 mb-3">
+          {items.map((item, index) => (
+            <div key={item.name} className={`p-2 rounded-lg border ${item.archived ? 'bg-gray-100 border-gray-200 text-gray-400' : 'bg-gray-50 border-gray-100'}`}>
+              {editingIndex === index ? (
+                <div className="space-y-2">
+                  {renderFields(editingGoal, setEditingGoal)}
+                  <div className="flex space-x-2">
+                    <button onClick={() => setEditingIndex(null)} className="flex-1 py-1 text-sm rounded bg-white border border-gray-200 hover:bg-gray-100">취소</button>
+                    <button onClick={handleSaveEdit} disabled={isSaving} className="flex-1 py-1 text-sm rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+                      {isSaving ? '저장 중...' : '저장'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center">
+                  <div className="flex-grow text-sm">
+                    <span className="font-medium">{item.name}</span>
+                    {item.archived && <span className="ml-1 text-xs">(보관됨)</span>}
+                    <p className="text-xs text-gray-500">
+                      {item.targetAmount.toLocaleString('ko-KR')}원 · {item.startDate} ~ {item.deadline}
+                      {[item.account, item.category].filter(Boolean).map(link => ` · ${link}`).join('')}
+                    </p>
+                  </div>
+                  <button onClick={() => handleStartEdit(index)} className="p-1 rounded hover:bg-gray-200 text-indigo-600" title="수정">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleToggleArchive(index)} className="p-1 rounded hover:bg-gray-200 text-gray-500" title={item.archived ? '복원' : '보관'}>
+                    {item.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {renderFields(newGoal, setNewGoal)}
+        <button onClick={handleAdd} className="w-full py-2 bg-indigo-600 text-white rounded-md font-semibold hover:bg-indigo-700 transition duration-200">
+          저축 목표 추가
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const BudgetSettings = () => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const [budgets, setBudgets] = useState({});
+  const [threshold, setThreshold] = useState(DEFAULT_BUDGET_ALERT_THRESHOLD.toString());
+
+  // 가계부 문서가 바뀌면(배우자가 수정한 경우 포함) 입력값을 다시 채웁니다.
+  useEffect(() => {
+    const savedBudgets = ledger?.budgets || {};
+    setBudgets(Object.fromEntries(Object.entries(savedBudgets).map(([category, amount]) => [category, amount.toString()])));
+    setThreshold((ledger?.budgetAlertThreshold ?? DEFAULT_BUDGET_ALERT_THRESHOLD).toString());
+  }, [ledger]);
+
+  const handleSaveBudgets = async () => {
+    const parsedThreshold = parseFloat(threshold);
+    if (isNaN(parsedThreshold) || parsedThreshold <= 0 || parsedThreshold > 100) {
+      showMessage("경고 기준은 1~100% 사이로 입력해주세요.");
+      return;
+    }
+
+    const parsedBudgets = {};
+    for (const [category, value] of Object.entries(budgets)) {
+      if (value === '') continue;
+      const parsedAmount = parseFloat(value);
+      if (isNaN(parsedAmount) || parsedAmount < 0) {
+        showMessage(`${category}: 유효한 예산 금액을 입력해주세요.`);
+        return;
+      }
+      if (parsedAmount > 0) {
+        parsedBudgets[category] = parsedAmount;
+      }
+    }
+
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), {
+        budgets: parsedBudgets,
+        budgetAlertThreshold: parsedThreshold,
+      });
+      showMessage("예산이 저장되었습니다.");
+    } catch (error) {
+      console.error("예산 저장 실패:", error);
+      showMessage(`예산 저장 실패: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">월 예산 설정</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        카테고리별 한 달 예산을 입력하세요. 비워두면 예산을 사용하지 않습니다.
+      </p>
+      <div className="space-y-2 mb-4">
+        {activeNames(lists.expense).map(category => (
+          <div key={category} className="flex items-center justify-between">
+            <label className="text-sm text-gray-700 flex-1">{category}</label>
+            <input
+              type="number"
+              min="0"
+              value={budgets[category] ?? ''}
+              onChange={(e) => setBudgets(prev => ({ ...prev, [category]: e.target.value }))}
+              placeholder="예산 (원)"
+              className="w-36 p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-between mb-4">
+        <label className="text-sm text-gray-700 flex-1">경고 기준 (예산 사용률 %)</label>
+        <input
+          type="number"
+          min="1"
+          max="100"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          className="w-36 p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+      <button
+        onClick={handleSaveBudgets}
+        className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-md"
+      >
+        예산 저장
+      </button>
+    </div>
+  );
+};
+
+// 비율은 %, 한도는 원 단위입니다. 한도를 비우면 제한이 없습니다.
+const TAX_RULE_FIELDS = [
+  { rule: 'card', key: 'thresholdPercent', label: '카드 등 공제 문턱 (총급여의 %)' },
+  { rule: 'card', key: 'creditRate', label: '신용카드 공제율 (%)' },
+  { rule: 'card', key: 'debitRate', label: '체크카드 공제율 (%)' },
+  { rule: 'card', key: 'cashRate', label: '현금영수증 공제율 (%)' },
+  { rule: 'card', key: 'cap', label: '카드 등 공제 한도 (원)', optional: true },
+  { rule: 'medical', key: 'thresholdPercent', label: '의료비 문턱 (총급여의 %)' },
+  { rule: 'medical', key: 'rate', label: '의료비 세액공제율 (%)' },
+  { rule: 'medical', key: 'cap', label: '의료비 대상 한도 (원)', optional: true },
+  { rule: 'education', key: 'rate', label: '교육비 세액공제율 (%)' },
+  { rule: 'education', key: 'cap', label: '교육비 대상 한도 (원)', optional: true },
+  { rule: 'donation', key: 'rate', label: '기부금 세액공제율 (%)' },
+  { rule: 'donation', key: 'cap', label: '기부금 대상 한도 (원)', optional: true },
+];
+
+const TaxSettings = () => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const lists = useLedgerLists();
+  const [ruleValues, setRuleValues] = useState({});
+  const [paymentGroups, setPaymentGroups] = useState({});
+  const [categoryGroups, setCategoryGroups] = useState({});
+
+  // 가계부 문서가 바뀌면(배우자가 수정한 경우 포함) 입력값을 다시 채웁니다.
+  useEffect(() => {
+    const rules = getTaxRules(ledger?.taxSettings?.rules);
+    setRuleValues(Object.fromEntries(TAX_RULE_FIELDS.map(({ rule, key }) => [`${rule}.${key}`, rules[rule][key]?.toString() ?? ''])));
+    const taxGroups = getTaxGroups(getLedgerLists(ledger));
+    setPaymentGroups(taxGroups.paymentGroups);
+    setCategoryGroups(taxGroups.categoryGroups);
+  }, [ledger]);
+
+  const handleResetRules = () => {
+    setRuleValues(Object.fromEntries(TAX_RULE_FIELDS.map(({ rule, key }) => [`${rule}.${key}`, DEFAULT_TAX_RULES[rule][key]?.toString() ?? ''])));
+  };
+
+  const handleSave = async () => {
+    const rules = Object.fromEntries(Object.keys(DEFAULT_TAX_RULES).map(rule => [rule, {}]));
+    for (const { rule, key, label, optional } of TAX_RULE_FIELDS) {
+      const value = ruleValues[`${rule}.${key}`] ?? '';
+      if (value === '' && optional) {
+        rules[rule][key] = null;
+        continue;
+      }
+      const parsedValue = parseFloat(value);
+      if (isNaN(parsedValue) || parsedValue < 0) {
+        showMessage(`${label}: 0 이상의 숫자를 입력해주세요.`);
+        return;
+      }
+      rules[rule][key] = parsedValue;
+    }
+
+    // 공제 구분은 이름이 바뀌어도 유지되도록 결제수단/카테고리 항목에 함께 저장합니다.
+    // 기본 구분이 있는 카테고리는 '해당 없음'도 저장해야 기본값으로 돌아가지 않습니다.
+    const withTaxGroup = (item, group, keepNone = false) => {
+      const { taxGroup, ...rest } = item;
+      return group && (group !== 'none' || keepNone) ? { ...rest, taxGroup: group } : rest;
+    };
+    const expense = lists.expense.map(item => (
+      withTaxGroup(item, categoryGroups[item.name], item.taxGroup !== undefined || !!DEFAULT_CATEGORY_TAX_GROUPS[item.name])
+    ));
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), {
+        'taxSettings.rules': rules,
+        paymentMethods: lists.paymentMethods.map(item => withTaxGroup(item, paymentGroups[item.name], true)),
+        categories: { expense, income: lists.income },
+      });
+      showMessage("연말정산 설정이 저장되었습니다.");
+    } catch (error) {
+      console.error("연말정산 설정 저장 실패:", error);
+      showMessage(`연말정산 설정 저장 실패: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">연말정산 공제 설정</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        매년 바뀌는 세법에 맞춰 공제율과 한도를 고칠 수 있습니다. 결제수단과 카테고리를 공제 항목에 연결하세요.
+      </p>
+      <div className="space-y-2 mb-3">
+        {TAX_RULE_FIELDS.map(({ rule, key, label, optional }) => (
+          <div key={`${rule}.${key}`} className="flex items-center justify-between">
+            <label className="text-sm text-gray-700 flex-1">{label}</label>
+            <input
+              type="number"
+              min="0"
+              value={ruleValues[`${rule}.${key}`] ?? ''}
+              onChange={(e) => setRuleValues(prev => ({ ...prev, [`${rule}.${key}`]: e.target.value }))}
+              placeholder={optional ? '한도 없음' : ''}
+              className="w-36 p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+        ))}
+      </div>
+      <button onClick={handleResetRules} className="text-sm text-indigo-600 hover:underline mb-4">기본값으로 되돌리기</button>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">결제수단별 공제 구분</p>
+      <div className="space-y-2 mb-4">
+        {lists.paymentMethods.map(item => (
+          <div key={item.name} className="flex items-center justify-between">
+            <label className="text-sm text-gray-700 flex-1">{item.name}{item.archived ? ' (보관됨)' : ''}</label>
+            <select
+              value={paymentGroups[item.name] || ''}
+              onChange={(e) => setPaymentGroups(prev => ({ ...prev, [item.name]: e.target.value }))}
+              className="w-36 p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="">지정 안 함</option>
+              {PAYMENT_TAX_GROUPS.map(group => <option key={group} value={group}>{PAYMENT_TAX_GROUP_LABELS[group]}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">세액공제 카테고리</p>
+      <div className="space-y-2 mb-4">
+        {lists.expense.map(item => (
+          <div key={item.name} className="flex items-center justify-between">
+            <label className="text-sm text-gray-700 flex-1">{item.name}{item.archived ? ' (보관됨)' : ''}</label>
+            <select
+              value={categoryGroups[item.name] || 'none'}
+              onChange={(e) => setCategoryGroups(prev => ({ ...prev, [item.name]: e.target.value }))}
+              className="w-36 p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+            >
+              <option value="none">해당 없음</option>
+              {CATEGORY_TAX_GROUPS.map(group => <option key={group} value={group}>{CATEGORY_TAX_GROUP_LABELS[group]}</option>)}
+            </select>
+          </div>
+        ))}
       </div>
+
+      <button
+        onClick={handleSave}
+        className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-md"
+      >
+        연말정산 설정 저장
+      </button>
     </div>
   );
 };
 
-const InputTab = () => {
-  const { db, ledgerId, userId, showMessage } = useContext(AppContext);
-  const [type, setType] = useState('expense');
-  const [amount, setAmount] = useState('');
-  const [category, setCategory] = useState('');
-  const [paymentMethod, setPaymentMethod] = useState('');
-  const [memo, setMemo] = useState('');
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-
-  const expenseCategories = ['식비', '교통비', '통신비', '문화생활비', '의료비', '교육비', '주거비(월세/관리비)', '경조사비', '의류/미용', '취미/여가', '대출상환', '세금/보험', '선물/기부', '차량유지', '기타 지출'];
-  const incomeCategories = ['급여', '부수입', '투자수입', '상여금', '용돈', '환급금', '기타 수입'];
-  const paymentMethods = ['현금', '신용카드', '체크카드', '간편결제', '계좌이체', '상품권', '포인트', '기타 결제'];
+const ExchangeRateSettings = () => {
+  const { db, ledgerId, ledger, showMessage } = useContext(AppContext);
+  const [currency, setCurrency] = useState('');
+  const [rateDate, setRateDate] = useState(todayDateString());
+  const [rate, setRate] = useState('');
+  const [deletingCurrency, setDeletingCurrency] = useState(null);
+  const latestRates = getLatestExchangeRates(ledger?.exchangeRates);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!db || !ledgerId || !userId) {
-      showMessage("Firebase가 준비되지 않았거나 가계부 ID가 설정되지 않았습니다.");
-      return;
+  const saveExchangeRates = async (exchangeRates, successMessage) => {
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), { exchangeRates });
+      showMessage(successMessage);
+      return true;
+    } catch (error) {
+      console.error("환율 저장 실패:", error);
+      showMessage(`환율 저장 실패: ${error.message}`);
+      return false;
     }
+  };
 
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      showMessage("유효한 금액을 입력해주세요.");
-      return;
-    }
-    if (!category) {
-      showMessage("카테고리를 선택해주세요.");
+  const handleAddRate = async () => {
+    const code = currency.trim().toUpperCase();
+    const parsedRate = parseFloat(rate);
+    if (!/^[A-Z]{3}$/.test(code) || code === BASE_CURRENCY) {
+      showMessage("통화 코드는 USD, JPY처럼 영문 3자로 입력해주세요.");
       return;
     }
-    if (type === 'expense' && !paymentMethod) {
-      showMessage("결제 수단을 선택해주세요.");
+    if (isNaN(parsedRate) || parsedRate <= 0) {
+      showMessage("유효한 환율을 입력해주세요.");
       return;
     }
-
-    const entryData = {
-      date: new Date(date),
-      type,
-      amount: parsedAmount,
-      category,
-      memo,
-      recordedBy: userId,
-    };
-
-    if (type === 'expense') {
-      entryData.paymentMethod = paymentMethod;
+    const saved = await saveExchangeRates(
+      mergeExchangeRates(ledger?.exchangeRates, [{ currency: code, date: rateDate, rate: parsedRate }]),
+      `${code} 환율이 저장되었습니다.`
+    );
+    if (saved) {
+      setCurrency('');
+      setRate('');
     }
+  };
 
+  // 한국은행 ECOS 등에서 받은 환율 파일(날짜, 통화, 환율 열)을 가져옵니다. 날짜가 없으면 오늘 환율로 기록합니다.
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
     try {
-      await addDoc(collection(db, `artifacts/${appId}/public/data/household_ledgers/${ledgerId}/entries`), entryData);
-      showMessage("내역이 성공적으로 추가되었습니다!");
-      // Reset form
-      setAmount('');
-      setCategory('');
-      setPaymentMethod('');
-      setMemo('');
-      setDate(new Date().toISOString().split('T')[0]);
+      const { rates, skipped } = parseExchangeRateRows(parseCsv(await decodeCsvFile(file)), todayDateString());
+      if (rates.length === 0) {
+        showMessage("파일에서 환율을 찾지 못했습니다. 날짜, 통화, 환율 열이 있는지 확인해주세요.");
+        return;
+      }
+      await saveExchangeRates(
+        mergeExchangeRates(ledger?.exchangeRates, rates),
+        `환율 ${rates.length}건을 가져왔습니다.${skipped > 0 ? ` (${skipped}행 건너뜀)` : ''}`
+      );
     } catch (error) {
-      console.error("내역 추가 실패:", error);
-      showMessage(`내역 추가 실패: ${error.message}`);
+      console.error("환율 파일 읽기 실패:", error);
+      showMessage(`환율 파일 읽기 실패: ${error.message}`);
     }
   };
 
-  return (
-    <div className="bg-white rounded-xl shadow-lg p-6 max-w-md mx-auto">
-      <h2 className="text-2xl font-bold text-indigo-700 mb-6 text-center">새 내역 입력</h2>
-      <form onSubmit={handleSubmit} className="space-y-4">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">날짜</label>
-          <input
-            type="date"
-            value={date}
-            onChange={(e) => setDate(e.target.value)}
-            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
-            required
-          />
-        </div>
-
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">유형</label>
-          <div className="flex space-x-4">
-            <button
-              type="button"
-              onClick={() => setType('expense')}
-              className={`flex-1 py-3 px-4 rounded-md font-semibold transition duration-200 ${type === 'expense' ? 'bg-teal-500 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`} // 민트색
-            >
-              <Wallet className="inline-block mr-2 w-5 h-5" /> 지출
-            </button>
-            <button
-              type="button"
-              onClick={() => setType('income')}
-              className={`flex-1 py-3 px-4 rounded-md font-semibold transition duration-200 ${type === 'income' ? 'bg-green-500 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
-            >
-              <PiggyBank className="inline-block mr-2 w-5 h-5" /> 수입
-            </button>
-          </div>
-        </div>
-
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">금액 (원)</label>
-          <input
-            type="number"
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-            placeholder="예: 15000"
-            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
-            required
-          />
-        </div>
-
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">카테고리</label>
-          <select
-            value={category}
-            onChange={(e) => setCategory(e.target.value)}
-            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-            required
-          >
-            <option value="">선택하세요</option>
-            {type === 'expense' ? (
-              expenseCategories.map(cat => <option key={cat} value={cat}>{cat}</option>)
-            ) : (
-              incomeCategories.map(cat => <option key={cat} value={cat}>{cat}</option>)
-            )}
-          </select>
-        </div>
-
-        {type === 'expense' && (
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">결제 수단</label>
-            <select
-              value={paymentMethod}
-              onChange={(e) => setPaymentMethod(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-              required
-            >
-              <option value="">선택하세요</option>
-              {paymentMethods.map(method => <option key={method} value={method}>{method}</option>)}
-            </select>
-          </div>
-        )}
+  // 이미 입력한 외화 내역은 저장된 환율과 원화 금액을 그대로 유지합니다.
+  const handleDeleteCurrency = async () => {
+    const { [deletingCurrency]: removed, ...rest } = ledger?.exchangeRates || {};
+    await saveExchangeRates(rest, `${deletingCurrency} 환율이 삭제되었습니다.`);
+    setDeletingCurrency(null);
+  };
 
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">메모 (선택 사항)</label>
-          <textarea
-            value={memo}
-            onChange={(e) => setMemo(e.target.value)}
-            placeholder="상세 내역을 입력하세요"
-            rows="2"
-            className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
-          ></textarea>
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">외화 환율</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        여기에 등록한 통화로 내역을 입력할 수 있고, 원화로 환산한 금액이 합계와 차트에 반영됩니다. 내역 날짜 이전의 가장 최근 환율을 사용합니다.
+      </p>
+      {latestRates.length > 0 ? (
+        <div className="space-y-2 mb-4">
+          {latestRates.map(item => (
+            <div key={item.currency} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+              <span className="font-medium text-gray-800">{item.currency}</span>
+              <span className="flex-1 text-right text-gray-700 mr-3">
+                1 {item.currency} = {item.rate.toLocaleString('ko-KR')}원
+                <span className="block text-xs text-gray-500">{item.date} 기준 · 환율 {item.count}건</span>
+              </span>
+              <button onClick={() => setDeletingCurrency(item.currency)} className="p-1 rounded hover:bg-gray-200 text-red-500" title="삭제">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
         </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">등록된 환율이 없습니다.</p>
+      )}
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        <input
+          type="text"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          placeholder="통화 (예: USD)"
+          maxLength={3}
+          className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 uppercase"
+        />
+        <input
+          type="date"
+          value={rateDate}
+          onChange={(e) => setRateDate(e.target.value)}
+          className="p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={rate}
+          onChange={(e) => setRate(e.target.value)}
+          placeholder="1단위당 원"
+          className="p-2 border border-gray-300 rounded-md text-right focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+      <button
+        onClick={handleAddRate}
+        className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-md mb-3"
+      >
+        환율 저장
+      </button>
+      <label className="w-full bg-white text-indigo-700 border border-indigo-600 py-3 px-6 rounded-lg font-semibold hover:bg-indigo-50 transition duration-200 flex items-center justify-center cursor-pointer">
+        <Upload className="w-5 h-5 mr-2" /> 환율 파일(CSV) 가져오기
+        <input type="file" accept=".csv,text/csv" onChange={handleImportFile} className="hidden" />
+      </label>
+      <p className="text-xs text-gray-500 mt-2">파일의 각 행에 날짜, 통화 코드, 환율이 있으면 됩니다. JPY(100)처럼 100단위 고시 환율도 읽습니다.</p>
 
-        <button
-          type="submit"
-          className="w-full bg-indigo-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition duration-200 shadow-lg"
-        >
-          내역 추가
-        </button>
-      </form>
+      {deletingCurrency && (
+        <ConfirmModal
+          message={`${deletingCurrency} 환율을 모두 삭제할까요? 이미 입력한 내역의 금액은 바뀌지 않습니다.`}
+          confirmLabel="삭제"
+          onConfirm={handleDeleteCurrency}
+          onCancel={() => setDeletingCurrency(null)}
+        />
+      )}
     </div>
   );
 };
 
-const HistoryTab = () => {
-  const { db, ledgerId, showMessage } = useContext(AppContext);
-  const [entries, setEntries] = useState([]);
-  const [filterMonth, setFilterMonth] = useState(new Date().toISOString().substring(0, 7)); //YYYY-MM
-  const [filterType, setFilterType] = useState('all'); // 'all', 'income', 'expense'
-  const [filterCategory, setFilterCategory] = useState('all'); // 'all', specific category
-  const [filterPaymentMethod, setFilterPaymentMethod] = useState('all'); // 'all', specific method
-
-  const expenseCategories = ['식비', '교통비', '통신비', '문화생활비', '의료비', '교육비', '주거비(월세/관리비)', '경조사비', '의류/미용', '취미/여가', '대출상환', '세금/보험', '선물/기부', '차량유지', '기타 지출'];
-  const incomeCategories = ['급여', '부수입', '투자수입', '상여금', '용돈', '환급금', '기타 수입'];
-  const paymentMethods = ['현금', '신용카드', '체크카드', '간편결제', '계좌이체', '상품권', '포인트', '기타 결제'];
+const RecurringSettings = () => {
+  const { db, ledgerId, userId, showMessage } = useContext(AppContext);
+  const [templates, setTemplates] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [deletingTemplate, setDeletingTemplate] = useState(null);
+  const [frequency, setFrequency] = useState('monthly');
+  const [dayOfMonth, setDayOfMonth] = useState('1');
+  const [dayOfWeek, setDayOfWeek] = useState('1');
+  const [monthOfYear, setMonthOfYear] = useState('1');
 
   useEffect(() => {
     if (!db || !ledgerId) return;
 
-    const q = query(
-      collection(db, `artifacts/${appId}/public/data/household_ledgers/${ledgerId}/entries`),
-    );
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setEntries(fetchedEntries);
+    const unsubscribe = onSnapshot(ledgerCollectionRef(db, ledgerId, 'recurring'), (snapshot) => {
+      setTemplates(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
     }, (error) => {
-      console.error("Error fetching entries:", error);
-      showMessage(`데이터 로딩 실패: ${error.message}`);
+      console.error("Error fetching recurring templates:", error);
+      showMessage(`반복 내역 로딩 실패: ${error.message}`);
     });
 
     return () => unsubscribe();
   }, [db, ledgerId, showMessage]);
 
-  const filteredAndSortedEntries = useMemo(() => {
-    let filtered = entries.filter(entry => {
-      const entryDate = entry.date?.toDate ? entry.date.toDate() : new Date(entry.date);
-      const entryMonth = entryDate.toISOString().substring(0, 7);
-
-      const matchesMonth = filterMonth === 'all' || entryMonth === filterMonth;
-      const matchesType = filterType === 'all' || entry.type === filterType;
-      const matchesCategory = filterCategory === 'all' || entry.category === filterCategory;
-      const matchesPaymentMethod = filterPaymentMethod === 'all' || entry.paymentMethod === filterPaymentMethod;
-
-      return matchesMonth && matchesType && matchesCategory && matchesPaymentMethod;
-    });
-
-    // Sort by date descending
-    filtered.sort((a, b) => {
-      const dateA = a.date?.toDate ? a.date.toDate() : new Date(a.date);
-      const dateB = b.date?.toDate ? b.date.toDate() : new Date(b.date);
-      return dateB - dateA;
-    });
-
-    return filtered;
-  }, [entries, filterMonth, filterType, filterCategory, filterPaymentMethod]);
-
-  const handleDownloadCsv = () => {
-    if (filteredAndSortedEntries.length === 0) {
-      showMessage("다운로드할 내역이 없습니다.");
-      return;
+  const handleAddTemplate = async (entryData) => {
+    const rule = { frequency };
+    if (frequency === 'weekly') {
+      rule.dayOfWeek = parseInt(dayOfWeek, 10);
+    } else {
+      const parsedDay = parseInt(dayOfMonth, 10);
+      if (isNaN(parsedDay) || parsedDay < 1 || parsedDay > 31) {
+        showMessage("1~31 사이의 날짜를 입력해주세요.");
+        return false;
+      }
+      rule.dayOfMonth = parsedDay;
+      if (frequency === 'yearly') {
+        rule.monthOfYear = parseInt(monthOfYear, 10);
+      }
     }
 
-    const headers = ["날짜", "유형", "카테고리", "금액", "결제수단", "메모", "기록자"];
-    const csvRows = [];
-    csvRows.push(headers.map(h => `"${h}"`).join(',')); // 헤더도 쌍따옴표로 감싸기
+    const { date, ...templateData } = entryData;
+    try {
+      await addDoc(ledgerCollectionRef(db, ledgerId, 'recurring'), {
+        ...templateData,
+        ...rule,
+        startDate: date.toISOString().split('T')[0],
+        lastPostedDate: null,
+        active: true,
+        createdBy: userId,
+        createdAt: serverTimestamp(),
+      });
+      const postedCount = await postDueRecurringEntries(db, ledgerId, userId);
+      setShowForm(false);
+      showMessage(postedCount > 0
+        ? `반복 내역이 등록되었습니다. 지난 발생분 ${postedCount}건을 내역에 추가했습니다.`
+        : "반복 내역이 등록되었습니다.");
+      return true;
+    } catch (error) {
+      console.error("반복 내역 등록 실패:", error);
+      showMessage(`반복 내역 등록 실패: ${error.message}`);
+      return false;
+    }
+  };
 
-    filteredAndSortedEntries.forEach(entry => {
-      const dateStr = entry.date?.toDate ? entry.date.toDate().toLocaleDateString('ko-KR') : new Date(entry.date).toLocaleDateString('ko-KR');
-      const row = [
-        `"${dateStr}"`,
-        `"${entry.type === 'income' ? '수입' : '지출'}"`,
-        `"${entry.category}"`,
-        entry.amount,
-        `"${entry.paymentMethod || ''}"`,
-        `"${entry.memo?.replace(/"/g, '""') || ''}"`, // 메모가 undefined일 경우 처리 및 쌍따옴표 이스케이프
-        `"${entry.recordedBy?.substring(0, 8) || ''}"`
-      ];
-      csvRows.push(row.join(','));
-    });
+  const handleToggleActive = async (template) => {
+    try {
+      await updateDoc(doc(ledgerCollectionRef(db, ledgerId, 'recurring'), template.id), {
+        active: !template.active,
+      });
+    } catch (error) {
+      console.error("반복 내역 변경 실패:", error);
+      showMessage(`반복 내역 변경 실패: ${error.message}`);
+    }
+  };
 
-    const csvString = '\ufeff' + csvRows.join('\n'); // UTF-8 BOM 추가하여 한글 깨짐 방지
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = `가계부_내역_${filterMonth || '전체'}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    showMessage("CSV 파일이 다운로드되었습니다.");
+  // 이미 기록된 발생분은 그대로 두고 템플릿만 삭제합니다.
+  const handleDeleteTemplate = async () => {
+    try {
+      await deleteDoc(doc(ledgerCollectionRef(db, ledgerId, 'recurring'), deletingTemplate.id));
+      showMessage("반복 내역이 삭제되었습니다.");
+    } catch (error) {
+      console.error("반복 내역 삭제 실패:", error);
+      showMessage(`반복 내역 삭제 실패: ${error.message}`);
+    } finally {
+      setDeletingTemplate(null);
+    }
   };
 
   return (
-    <div className="space-y-6">
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <h2 className="text-2xl font-bold text-indigo-700 mb-6 text-center">내역 조회 및 필터링</h2>
+    <div className="mb-6">
+      <h3 className="text-lg font-bold mb-3">반복 내역</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        월세, 급여, 구독료처럼 정기적인 내역은 앱을 열 때 자동으로 기록됩니다.
+      </p>
+      {templates.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {templates.map(template => (
+            <div key={template.id} className={`p-3 rounded-lg border text-sm ${template.active ? 'bg-gray-50 border-gray-100' : 'bg-gray-100 border-gray-200 text-gray-400'}`}>
+              <div className="flex justify-between items-center">
+                <span className="font-medium">{getEntryTitle(template)}</span>
+                <span className={template.type === 'income' ? 'text-green-700' : template.type === 'transfer' ? 'text-indigo-700' : 'text-teal-700'}>
+                  {template.type === 'expense' ? '-' : template.type === 'income' ? '+' : ''}{template.amount.toLocaleString('ko-KR')}원
+                </span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {describeRecurrence(template)} · {template.startDate}부터{template.memo && ` · ${template.memo}`}
+              </p>
+              <div className="flex justify-end space-x-2 mt-2">
+                <button onClick={() => handleToggleActive(template)} className="text-xs px-2 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100 text-gray-600">
+                  {template.active ? '일시 중지' : '다시 시작'}
+                </button>
+                <button onClick={() => setDeletingTemplate(template)} className="text-xs px-2 py-1 rounded bg-white border border-gray-200 hover:bg-gray-100 text-red-500">
+                  삭제
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">월 선택</label>
-            <input
-              type="month"
-              value={filterMonth}
-              onChange={(e) => setFilterMonth(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">유형</label>
-            <select
-              value={filterType}
-              onChange={(e) => setFilterType(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-            >
-              <option value="all">전체</option>
-              <option value="income">수입</option>
-              <option value="expense">지출</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">카테고리</label>
-            <select
-              value={filterCategory}
-              onChange={(e) => setCategory(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-            >
-              <option value="all">전체</option>
-              {filterType !== 'expense' && incomeCategories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
-              {filterType !== 'income' && expenseCategories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
-            </select>
-          </div>
-          {filterType !== 'income' && (
+      {showForm ? (
+        <div className="p-4 border border-indigo-200 rounded-lg">
+          <EntryForm onSubmit={handleAddTemplate} submitLabel="반복 내역 등록" dateLabel="시작일">
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">결제 수단</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">반복 주기</label>
               <select
-                value={paymentMethod}
-                onChange={(e) => setPaymentMethod(e.target.value)}
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
                 className="w-full p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
               >
-                <option value="all">전체</option>
-                {paymentMethods.map(method => <option key={method} value={method}>{method}</option>)}
+                <option value="monthly">매월</option>
+                <option value="weekly">매주</option>
+                <option value="yearly">매년</option>
               </select>
             </div>
-          )}
+            <div className="flex space-x-2">
+              {frequency === 'yearly' && (
+                <select
+                  value={monthOfYear}
+                  onChange={(e) => setMonthOfYear(e.target.value)}
+                  className="flex-1 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                >
+                  {Array.from({ length: 12 }, (_, i) => <option key={i + 1} value={i + 1}>{i + 1}월</option>)}
+                </select>
+              )}
+              {frequency === 'weekly' ? (
+                <select
+                  value={dayOfWeek}
+                  onChange={(e) => setDayOfWeek(e.target.value)}
+                  className="flex-1 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                >
+                  {WEEKDAY_LABELS.map((label, i) => <option key={label} value={i}>{label}요일</option>)}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={dayOfMonth}
+                  onChange={(e) => setDayOfMonth(e.target.value)}
+                  placeholder="일 (1~31)"
+                  className="flex-1 p-3 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              )}
+            </div>
+          </EntryForm>
+          <button onClick={() => setShowForm(false)} className="w-full mt-2 py-2 text-gray-600 hover:text-gray-800">
+            취소
+          </button>
         </div>
-
+      ) : (
         <button
-          onClick={handleDownloadCsv}
-          className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-green-700 transition duration-200 shadow-md flex items-center justify-center mb-6"
+          onClick={() => setShowForm(true)}
+          className="w-full bg-indigo-100 text-indigo-700 py-3 px-6 rounded-lg font-semibold hover:bg-indigo-200 transition duration-200 flex items-center justify-center"
         >
-          <Download className="w-5 h-5 mr-2" /> CSV로 내보내기
+          <Repeat className="w-5 h-5 mr-2" /> 반복 내역 추가
         </button>
-      </div>
+      )}
 
-      <div className="bg-white rounded-xl shadow-lg p-6">
-        <h3 className="text-lg font-bold mb-4">내역 목록 ({filteredAndSortedEntries.length}건)</h3>
-        {filteredAndSortedEntries.length > 0 ? (
-          <div className="space-y-3">
-            {filteredAndSortedEntries.map(entry => (
-              <div key={entry.id} className="flex flex-col sm:flex-row justify-between items-start sm:items-center py-3 px-4 bg-gray-50 rounded-lg border border-gray-100">
-                <div className="flex-grow">
-                  <p className="text-xs text-gray-500 mb-1">
-                    {entry.date?.toDate ? entry.date.toDate().toLocaleDateString('ko-KR') : new Date(entry.date).toLocaleDateString('ko-KR')}
-                  </p>
-                  <p className="text-base font-semibold text-gray-800">
-                    {entry.category}
-                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${entry.type === 'income' ? 'bg-green-100 text-green-700' : 'bg-teal-100 text-teal-700'}`}> {/* 민트색 */}
-                      {entry.type === 'income' ? '수입' : '지출'}
-                    </span>
-                  </p>
-                  {entry.memo && <p className="text-sm text-gray-600 mt-1">{entry.memo}</p>}
-                </div>
-                <div className="text-right mt-2 sm:mt-0">
-                  <p className={`text-lg font-bold ${entry.type === 'income' ? 'text-green-700' : 'text-teal-700'}`}> {/* 민트색 */}
-                    {entry.type === 'expense' ? '-' : ''}{entry.amount.toLocaleString('ko-KR')}원
-                  </p>
-                  {entry.paymentMethod && <p className="text-xs text-gray-500">{entry.paymentMethod}</p>}
-                  <p className="text-xs text-gray-400">기록자: {entry.recordedBy?.substring(0, 8)}...</p>
-                </div>
-              </div>
-            ))}
-          </div>
-        ) : (
-          <p className="text-gray-500 text-center">선택된 조건에 해당하는 내역이 없습니다.</p>
-        )}
-      </div>
+      {deletingTemplate && (
+        <ConfirmModal
+          message={`'${getEntryTitle(deletingTemplate)}' 반복 내역을 삭제할까요? 이미 기록된 내역은 유지됩니다.`}
+          confirmLabel="삭제"
+          onConfirm={handleDeleteTemplate}
+          onCancel={() => setDeletingTemplate(null)}
+        />
+      )}
     </div>
   );
 };
 
-const SettingsTab = () => {
-  const { ledgerId, showMessage } = useContext(AppContext);
-  const ledgerIdRef = useRef(localStorage.getItem('householdLedgerId'));
+const SettingsTab = ({ onAddLedger }) => {
+  const { db, ledgerId, ledger, userId, role, canEdit, userLedgers, selectLedger, showMessage } = useContext(AppContext);
+  const [ledgerName, setLedgerName] = useState(ledger?.name || '');
+  const [showLeaveConfirm, setShowLeaveConfirm] = useState(false);
+
+  useEffect(() => {
+    setLedgerName(ledger?.name || '');
+  }, [ledger?.name]);
+
+  const handleSaveLedgerName = async () => {
+    if (!ledgerName.trim()) {
+      showMessage("가계부 이름을 입력해주세요.");
+      return;
+    }
+    try {
+      await updateDoc(ledgerDocRef(db, ledgerId), { name: ledgerName.trim() });
+      showMessage("가계부 이름이 저장되었습니다.");
+    } catch (error) {
+      console.error("가계부 이름 저장 실패:", error);
+      showMessage(`가계부 이름 저장 실패: ${error.message}`);
+    }
+  };
 
-  const handleResetLedger = () => {
-    localStorage.removeItem('householdLedgerId');
-    // Forcing a reload to clear all state and trigger LedgerSetup
-    window.location.reload(); 
+  // 먼저 다른 가계부로 전환해 두어야 구성원에서 빠진 뒤 권한 오류가 표시되지 않습니다.
+  const handleLeaveLedger = async () => {
+    const leavingLedgerId = ledgerId;
+    const nextLedger = userLedgers.find(item => item.id !== leavingLedgerId);
+    setShowLeaveConfirm(false);
+    selectLedger(nextLedger ? nextLedger.id : '');
+    try {
+      await leaveLedger(db, leavingLedgerId, userId);
+      await removeProfileLedger(db, userId, leavingLedgerId);
+      showMessage("가계부에서 나왔습니다.");
+    } catch (error) {
+      console.error("가계부 나가기 실패:", error);
+      selectLedger(leavingLedgerId);
+      showMessage(`가계부 나가기 실패: ${error.message}`);
+    }
   };
 
   // Daily Reminder (Client-side browser notification)
@@ -894,11 +6400,56 @@ const SettingsTab = () => {
       <h2 className="text-2xl font-bold text-indigo-700 mb-6 text-center">설정</h2>
 
       <div className="mb-6 p-4 bg-indigo-50 rounded-lg border border-indigo-200 text-center">
-        <p className="text-gray-700 text-lg font-medium mb-2">현재 가계부 ID</p>
-        <p className="font-mono text-xl text-indigo-800 break-all">{ledgerIdRef.current}</p>
-        <p className="text-sm text-gray-600 mt-2">이 ID를 배우자와 공유하여 같은 가계부를 사용하세요.</p>
+        <p className="text-gray-700 text-lg font-medium mb-2">현재 가계부</p>
+        {canEdit ? (
+          <div className="flex space-x-2 mb-2">
+            <input
+              type="text"
+              value={ledgerName}
+              onChange={(e) => setLedgerName(e.target.value)}
+              placeholder="가계부 이름"
+              className="flex-grow min-w-0 p-2 border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              onClick={handleSaveLedgerName}
+              className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 transition duration-200"
+            >
+              저장
+            </button>
+          </div>
+        ) : (
+          <p className="text-xl font-semibold text-indigo-800 mb-2">{ledger?.name || DEFAULT_LEDGER_NAME}</p>
+        )}
+        <p className="font-mono text-xs text-gray-500 break-all">{ledgerId}</p>
+        <p className="text-sm text-gray-600 mt-2">
+          내 역할: {ROLE_LABELS[role]} · 배우자는 아래 구성원 메뉴의 초대 코드로 참여할 수 있습니다.
+        </p>
       </div>
 
+      <AccountSettings />
+
+      <MembersSettings />
+
+      {canEdit && (
+        <>
+          <CategorySettings />
+
+          <RuleSettings />
+
+          <LedgerAccountSettings />
+
+          <BudgetSettings />
+
+          <TaxSettings />
+
+          <ExchangeRateSettings />
+
+          <SavingsGoalSettings />
+
+          <RecurringSettings />
+        </>
+      )}
+
       <div className="mb-6">
         <h3 className="text-lg font-bold mb-3">알림 설정</h3>
         <p className="text-sm text-gray-600 mb-3">
@@ -913,16 +6464,39 @@ const SettingsTab = () => {
       </div>
 
       <button
-        onClick={handleResetLedger}
-        className="w-full bg-red-500 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-red-600 transition duration-200 shadow-md flex items-center justify-center"
+        onClick={onAddLedger}
+        className="w-full bg-indigo-100 text-indigo-700 py-3 px-6 rounded-lg font-semibold text-lg hover:bg-indigo-200 transition duration-200 flex items-center justify-center mb-3"
       >
-        <X className="w-5 h-5 mr-2" /> 가계부 연결 해제
+        <PlusCircle className="w-5 h-5 mr-2" /> 다른 가계부 만들기/참여
       </button>
-      <p className="text-sm text-gray-500 mt-4 text-center">
-        연결을 해제하면 새로운 가계부를 만들거나 다른 가계부에 참여할 수 있습니다.
-        <br />
-        (기존 데이터는 삭제되지 않습니다.)
-      </p>
+      {role === 'owner' ? (
+        <p className="text-sm text-gray-500 text-center">
+          소유자는 가계부를 나갈 수 없습니다. 헤더의 메뉴에서 다른 가계부로 전환할 수 있습니다.
+        </p>
+      ) : (
+        <>
+          <button
+            onClick={() => setShowLeaveConfirm(true)}
+            className="w-full bg-red-500 text-white py-3 px-6 rounded-lg font-semibold text-lg hover:bg-red-600 transition duration-200 shadow-md flex items-center justify-center"
+          >
+            <LogOut className="w-5 h-5 mr-2" /> 가계부 나가기
+          </button>
+          <p className="text-sm text-gray-500 mt-4 text-center">
+            나가면 이 가계부의 내역을 볼 수 없으며, 다시 참여하려면 새 초대 코드가 필요합니다.
+            <br />
+            (기존 데이터는 삭제되지 않습니다.)
+          </p>
+        </>
+      )}
+
+      {showLeaveConfirm && (
+        <ConfirmModal
+          message={`'${ledger?.name || DEFAULT_LEDGER_NAME}' 가계부에서 나갈까요?`}
+          confirmLabel="나가기"
+          onConfirm={handleLeaveLedger}
+          onCancel={() => setShowLeaveConfirm(false)}
+        />
+      )}
     </div>
   );
 };
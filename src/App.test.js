@@ -1,8 +1,38 @@
 import { render, screen } from '@testing-library/react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { getDoc } from 'firebase/firestore';
 import App from './App';
 
-test('renders learn react link', () => {
+jest.mock('firebase/app');
+jest.mock('firebase/auth');
+jest.mock('firebase/firestore');
+jest.mock('firebase/storage');
+
+// jsdom에는 recharts의 ResponsiveContainer가 사용하는 ResizeObserver가 없습니다.
+global.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  onAuthStateChanged.mockImplementation(() => () => {});
+});
+
+test('shows a loading screen until authentication is ready', () => {
+  render(<App />);
+  expect(screen.getByText('로딩 중...')).toBeInTheDocument();
+});
+
+test('asks a signed-in user without a ledger to create or join one', async () => {
+  getDoc.mockResolvedValue({ exists: () => false });
+  onAuthStateChanged.mockImplementation((auth, callback) => {
+    callback({ uid: 'user-1', isAnonymous: true, email: null });
+    return () => {};
+  });
+
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: '새 가계부 만들기' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '가계부 참여하기' })).toBeInTheDocument();
 });
@@ -0,0 +1,93 @@
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { appId } from './ledgerData';
+
+// 영수증 첨부파일
+// - 파일은 Firebase Storage의 artifacts/{appId}/ledgers/{ledgerId}/attachments/ 아래에 두고,
+//   내역 문서의 attachments 배열에 { path, name, contentType, size, thumbnail } 형태로 연결합니다.
+// - 사진은 올리기 전에 브라우저에서 줄이고, 목록에서 바로 보여줄 작은 미리보기(data URL)를 함께 저장합니다.
+// - 저장소 접근은 모두 이 모듈을 거치므로 에뮬레이터 연결 여부는 호출하는 쪽의 storage 인스턴스로 정해집니다.
+
+export const MAX_ATTACHMENT_COUNT = 5; // 내역 하나에 붙일 수 있는 파일 수
+export const ACCEPTED_ATTACHMENT_TYPES = 'image/*,application/pdf';
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // storage.rules와 같은 값
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.8;
+const THUMBNAIL_DIMENSION = 160;
+const THUMBNAIL_QUALITY = 0.6;
+
+const attachmentsPath = (ledgerId) => `artifacts/${appId}/ledgers/${ledgerId}/attachments`;
+
+export const isPdfAttachment = (attachment) => attachment.contentType === 'application/pdf';
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name}: 이미지를 읽을 수 없습니다.`));
+  };
+  image.src = url;
+});
+
+// 긴 변이 maxDimension을 넘지 않게 줄여 그립니다. 투명한 부분은 JPEG에서 검게 나오지 않도록 흰색으로 채웁니다.
+const drawScaled = (image, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const canvasToJpeg = (canvas, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('이미지 압축에 실패했습니다.'))), 'image/jpeg', quality);
+});
+
+// 올릴 파일을 준비합니다. 사진은 줄여서 JPEG로 바꾸고 미리보기를 만들며, PDF는 그대로 올립니다.
+export const prepareAttachment = async (file) => {
+  const isPdf = file.type === 'application/pdf';
+  if (!isPdf && !file.type.startsWith('image/')) {
+    throw new Error(`${file.name}: 사진 또는 PDF만 첨부할 수 있습니다.`);
+  }
+  if (isPdf) {
+    if (file.size > MAX_ATTACHMENT_SIZE) throw new Error(`${file.name}: 10MB 이하의 파일만 첨부할 수 있습니다.`);
+    return { file, name: file.name, contentType: file.type, thumbnail: null };
+  }
+
+  const image = await loadImage(file);
+  const blob = await canvasToJpeg(drawScaled(image, MAX_IMAGE_DIMENSION), IMAGE_QUALITY);
+  return {
+    file: blob,
+    name: `${file.name.replace(/\.[^.]+$/, '')}.jpg`,
+    contentType: 'image/jpeg',
+    thumbnail: drawScaled(image, THUMBNAIL_DIMENSION).toDataURL('image/jpeg', THUMBNAIL_QUALITY),
+  };
+};
+
+// 같은 이름의 파일도 겹치지 않도록 올린 시각과 임의의 문자열로 저장합니다.
+export const uploadAttachment = async (storage, ledgerId, { file, name, contentType, thumbnail }) => {
+  const path = `${attachmentsPath(ledgerId)}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  await uploadBytes(ref(storage, path), file, { contentType, customMetadata: { name } });
+  return { path, name, contentType, size: file.size, thumbnail };
+};
+
+export const getAttachmentUrl = (storage, attachment) => getDownloadURL(ref(storage, attachment.path));
+
+// 이미 지워진 파일은 무시합니다.
+export const deleteAttachments = (storage, attachments = []) => Promise.all(attachments.map(attachment => (
+  deleteObject(ref(storage, attachment.path)).catch(error => {
+    if (error.code !== 'storage/object-not-found') throw error;
+  })
+)));
+
+// 수정하면서 빠진 첨부파일 (저장소에서도 지워야 하는 파일)
+export const getRemovedAttachments = (before = [], after = []) => (
+  before.filter(attachment => !after.some(other => other.path === attachment.path))
+);
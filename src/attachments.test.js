@@ -0,0 +1,74 @@
+import { prepareAttachment, getRemovedAttachments } from './attachments';
+
+test('lists attachments removed while editing an entry', () => {
+  const receipt = { path: 'a/1', name: '영수증.jpg' };
+  const warranty = { path: 'a/2', name: '보증서.pdf' };
+  expect(getRemovedAttachments([receipt, warranty], [warranty, { path: 'a/3' }])).toEqual([receipt]);
+  expect(getRemovedAttachments([receipt], undefined)).toEqual([receipt]);
+  expect(getRemovedAttachments(undefined, [receipt])).toEqual([]);
+});
+
+describe('preparing attachments', () => {
+  const MB = 1024 * 1024;
+  const fakeFile = (name, type, size) => ({ name, type, size });
+
+  // jsdom에는 이미지 디코딩과 canvas가 없으므로 크기만 가진 이미지와 그린 크기를 기록하는 canvas로 바꿉니다.
+  let imageSize;
+  let canvases;
+  beforeEach(() => {
+    imageSize = { width: 4000, height: 3000 };
+    canvases = [];
+    global.URL.createObjectURL = jest.fn(() => 'blob:photo');
+    global.URL.revokeObjectURL = jest.fn();
+    global.Image = class {
+      set src(url) {
+        Object.assign(this, imageSize);
+        setTimeout(() => this.onload());
+      }
+    };
+    const createElement = document.createElement.bind(document);
+    jest.spyOn(document, 'createElement').mockImplementation((tagName) => {
+      if (tagName !== 'canvas') return createElement(tagName);
+      const canvas = {
+        getContext: () => ({ fillRect: jest.fn(), drawImage: jest.fn() }),
+        toBlob: (callback, type, quality) => callback({ type, quality, size: 1234 }),
+        toDataURL: (type) => `data:${type};base64,thumb`,
+      };
+      canvases.push(canvas);
+      return canvas;
+    });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uploads PDFs as they are, up to 10MB', async () => {
+    const pdf = fakeFile('보증서.pdf', 'application/pdf', 10 * MB);
+    await expect(prepareAttachment(pdf)).resolves.toEqual({ file: pdf, name: '보증서.pdf', contentType: 'application/pdf', thumbnail: null });
+    await expect(prepareAttachment(fakeFile('큰 파일.pdf', 'application/pdf', 10 * MB + 1)))
+      .rejects.toThrow('큰 파일.pdf: 10MB 이하의 파일만 첨부할 수 있습니다.');
+    expect(canvases).toHaveLength(0);
+  });
+
+  test('rejects files that are neither photos nor PDFs', async () => {
+    await expect(prepareAttachment(fakeFile('메모.txt', 'text/plain', 100)))
+      .rejects.toThrow('메모.txt: 사진 또는 PDF만 첨부할 수 있습니다.');
+  });
+
+  test('shrinks photos to JPEG with a small thumbnail', async () => {
+    const prepared = await prepareAttachment(fakeFile('영수증.png', 'image/png', 8 * MB));
+    expect(prepared).toEqual({
+      file: { type: 'image/jpeg', quality: 0.8, size: 1234 },
+      name: '영수증.jpg',
+      contentType: 'image/jpeg',
+      thumbnail: 'data:image/jpeg;base64,thumb',
+    });
+    expect(canvases.map(({ width, height }) => [width, height])).toEqual([[1600, 1200], [160, 120]]);
+  });
+
+  test('does not enlarge small photos', async () => {
+    imageSize = { width: 800, height: 600 };
+    await prepareAttachment(fakeFile('영수증.jpg', 'image/jpeg', 100000));
+    expect(canvases[0]).toMatchObject({ width: 800, height: 600 });
+  });
+});
@@ -0,0 +1,270 @@
+import { toEntryDate, findMatchingRule, normalizeTags, getPrimaryCategory, validateEntryInput, MAX_INSTALLMENT_MONTHS, BASE_CURRENCY, CURRENCY_CODE_PATTERN, convertToBaseCurrency } from './ledgerData';
+
+// CSV 가져오기
+// - 이 앱에서 내보낸 CSV와 국내 카드사/은행 거래내역 CSV를 읽어 가져올 내역 미리보기 행으로 바꿉니다.
+// - 파일 읽기(decodeCsvFile)를 빼면 모두 순수 함수이며, 화면(CsvImportModal)은 열 연결과 기본값만 정합니다.
+
+export const IMPORT_FIELDS = [
+  { key: 'date', label: '날짜', required: true },
+  { key: 'type', label: '유형 (수입/지출)' },
+  { key: 'amount', label: '금액' },
+  { key: 'withdrawal', label: '출금액 (은행 내역)' },
+  { key: 'deposit', label: '입금액 (은행 내역)' },
+  { key: 'category', label: '카테고리' },
+  { key: 'subcategory', label: '세부카테고리' },
+  { key: 'paymentMethod', label: '결제수단' },
+  { key: 'account', label: '계좌' },
+  { key: 'installmentMonths', label: '할부개월' },
+  { key: 'memo', label: '메모' },
+  { key: 'tags', label: '태그' },
+  { key: 'splitLines', label: '분할 내역' },
+  { key: 'currency', label: '통화 (외화 내역)' },
+  { key: 'originalAmount', label: '외화 금액' },
+  { key: 'exchangeRate', label: '환율 (1단위당 원)' },
+];
+
+// 우리 앱의 내보내기 형식과 국내 카드사/은행 명세서에서 자주 쓰는 열 이름
+const IMPORT_HEADER_ALIASES = {
+  date: ['날짜', '일자', '거래일', '거래일자', '거래일시', '이용일', '이용일자', '이용일시', '승인일', '승인일자', '승인일시'],
+  type: ['유형', '구분', '거래구분'],
+  amount: ['금액', '거래금액', '이용금액', '승인금액', '결제금액', '결제예정금액'],
+  withdrawal: ['출금', '출금액', '출금금액', '찾으신금액'],
+  deposit: ['입금', '입금액', '입금금액', '맡기신금액'],
+  category: ['카테고리', '분류'],
+  subcategory: ['세부카테고리', '소분류'],
+  paymentMethod: ['결제수단'],
+  account: ['계좌', '계좌명'],
+  installmentMonths: ['할부개월', '할부', '할부기간'],
+  memo: ['메모', '내용', '적요', '거래내용', '가맹점', '가맹점명', '이용가맹점', '이용하신곳', '이용처'],
+  tags: ['태그'],
+  splitLines: ['분할 내역'],
+  currency: ['통화'],
+  originalAmount: ['외화 금액'],
+  exchangeRate: ['환율'],
+};
+
+// 쌍따옴표로 감싼 필드, 이스케이프된 쌍따옴표("")와 필드 내 줄바꿈을 지원하는 간단한 CSV 파서
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// 카드사/은행 파일은 헤더 위에 안내 문구가 있는 경우가 많아, 알려진 열 이름이 가장 많은 행을 헤더로 봅니다.
+export const detectHeaderRow = (rows) => {
+  const knownHeaders = new Set(Object.values(IMPORT_HEADER_ALIASES).flat());
+  let bestIndex = 0;
+  let bestScore = 0;
+  rows.slice(0, 20).forEach((cells, index) => {
+    const score = cells.filter(cell => knownHeaders.has(cell.trim())).length;
+    if (score > bestScore) {
+      bestIndex = index;
+      bestScore = score;
+    }
+  });
+  return bestIndex;
+};
+
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const index = headers.findIndex(header => IMPORT_HEADER_ALIASES[key].includes(header.trim()));
+    mapping[key] = index >= 0 ? index.toString() : '';
+  });
+  return mapping;
+};
+
+// '2025. 5. 3.'(내보내기 형식), '2025-05-03', '2025/05/03', '2025.05.03 14:22', '20250503' 등을 'YYYY-MM-DD'로 변환
+export const parseImportDate = (value) => {
+  const text = (value || '').trim();
+  const match = text.match(/^(\d{4})[.\-/\s]*(\d{1,2})[.\-/\s]*(\d{1,2})/);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+};
+
+const parseImportAmount = (value) => {
+  const cleaned = (value || '').replace(/[,\s원₩]/g, '');
+  return cleaned === '' ? NaN : parseFloat(cleaned);
+};
+
+const parseImportType = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (['수입', '입금', 'income'].includes(text)) return 'income';
+  if (['지출', '출금', '결제', 'expense'].includes(text)) return 'expense';
+  if (['이체', 'transfer'].includes(text)) return 'transfer';
+  return null;
+};
+
+// '3', '3개월', '03' 등을 개월 수로 변환합니다. 빈 값이나 '일시불'은 1입니다.
+const parseImportInstallmentMonths = (value) => {
+  const text = (value || '').trim();
+  if (text === '' || text === '일시불') return 1;
+  const match = text.match(/^(\d+)(개월)?$/);
+  return match ? Number(match[1]) : NaN;
+};
+
+// 내보낸 CSV의 '분할 내역' 열(formatCategoryLines)을 splitLines로 되돌립니다. 형식이 맞지 않으면 null입니다.
+const parseImportSplitLines = (value) => {
+  const lines = value.split('/').map(part => /^(.+?)\s+([\d,]+)$/.exec(part.trim()));
+  if (lines.some(match => !match)) return null;
+  const splitLines = lines.map(([, category, amount]) => ({ category, amount: parseImportAmount(amount) }));
+  return splitLines.every(line => line.amount > 0) ? splitLines : null;
+};
+
+const importDuplicateKey = (dateString, amount, memo) => `${dateString}|${amount}|${(memo || '').trim()}`;
+
+// 파일의 데이터 행을 가져올 내역 미리보기 행으로 바꿉니다. errors가 빈 행만 가져올 수 있고,
+// duplicate는 같은 날짜, 금액, 메모의 내역이 가계부나 파일 앞쪽에 이미 있다는 뜻입니다.
+export const buildImportRows = (dataRows, mapping, defaults, existingEntries, lists) => {
+  const cell = (cells, key) => (mapping[key] === '' ? '' : (cells[Number(mapping[key])] || '').trim());
+  const existingKeys = new Set(existingEntries.map(entry => importDuplicateKey(
+    toEntryDate(entry.date).toISOString().split('T')[0], entry.amount, entry.memo
+  )));
+  const seenKeys = new Set();
+
+  return dataRows.map((cells, index) => {
+    let type = parseImportType(cell(cells, 'type')) || defaults.type;
+    let amount = parseImportAmount(cell(cells, 'amount'));
+    // 은행 내역처럼 입금/출금 열이 나뉜 경우 값이 있는 쪽으로 유형을 정합니다.
+    if (isNaN(amount)) {
+      const deposit = parseImportAmount(cell(cells, 'deposit'));
+      const withdrawal = parseImportAmount(cell(cells, 'withdrawal'));
+      if (deposit > 0) {
+        type = 'income';
+        amount = deposit;
+      } else if (withdrawal > 0) {
+        type = 'expense';
+        amount = withdrawal;
+      }
+    }
+
+    // 외화 내역은 입력 화면처럼 외화 금액과 환율로 원화 금액을 계산합니다.
+    const currency = cell(cells, 'currency').toUpperCase();
+    const isForeign = currency !== '' && currency !== BASE_CURRENCY;
+    const originalAmount = parseImportAmount(cell(cells, 'originalAmount'));
+    const exchangeRate = parseImportAmount(cell(cells, 'exchangeRate'));
+    if (isForeign && originalAmount > 0 && exchangeRate > 0) {
+      amount = convertToBaseCurrency(originalAmount, exchangeRate);
+    }
+
+    const dateString = parseImportDate(cell(cells, 'date'));
+    const memo = cell(cells, 'memo');
+    // 파일에 없는 카테고리/결제 수단은 메모에 맞는 자동 분류 규칙으로 채우고, 그래도 없으면 기본값을 씁니다.
+    const rule = type === 'transfer' ? null : findMatchingRule(lists.categoryRules, memo, type);
+    const splitText = cell(cells, 'splitLines');
+    const splitLines = splitText && type !== 'transfer' ? parseImportSplitLines(splitText) : null;
+    const category = (splitLines && getPrimaryCategory(splitLines))
+      || cell(cells, 'category') || rule?.category || (type === 'income' ? defaults.incomeCategory : defaults.expenseCategory);
+    const subcategory = cell(cells, 'subcategory');
+    const paymentMethod = type === 'expense' ? (cell(cells, 'paymentMethod') || rule?.paymentMethod || defaults.paymentMethod) : '';
+    const account = cell(cells, 'account');
+    const installmentMonths = parseImportInstallmentMonths(cell(cells, 'installmentMonths'));
+    const tags = normalizeTags([...normalizeTags(cell(cells, 'tags')), ...(rule?.tags || [])]);
+
+    const errors = [];
+    if (!dateString) {
+      errors.push("날짜 형식을 알 수 없습니다.");
+    }
+    // 이체는 출금/입금 계좌를 함께 맞춰야 해서 가져오지 않고 직접 입력하도록 합니다.
+    if (type === 'transfer') {
+      errors.push("이체 내역은 가져올 수 없습니다. 직접 입력해주세요.");
+      return { index, dateString, type, amount, category: '', subcategory: '', paymentMethod: '', account: '', memo, tags: [], splitLines: null, currency: null, errors, duplicate: false };
+    }
+    const validationError = validateEntryInput({ type, amount: isNaN(amount) ? '' : amount, category, paymentMethod });
+    if (validationError) {
+      errors.push(validationError);
+    }
+    // 보관된 항목도 과거 내역을 가져올 때는 허용합니다.
+    const categoryItem = (type === 'income' ? lists.income : lists.expense).find(item => item.name === category);
+    if (category && !categoryItem) {
+      errors.push(`알 수 없는 카테고리: ${category}`);
+    }
+    if (isForeign && !CURRENCY_CODE_PATTERN.test(currency)) {
+      errors.push(`알 수 없는 통화: ${currency}`);
+    } else if (isForeign && !(originalAmount > 0)) {
+      errors.push("유효한 외화 금액을 입력해주세요.");
+    } else if (isForeign && !(exchangeRate > 0)) {
+      errors.push("유효한 환율을 입력해주세요.");
+    }
+    if (splitText && !splitLines) {
+      errors.push(`분할 내역 형식을 알 수 없습니다: ${splitText}`);
+    } else if (splitLines) {
+      const lineTotal = splitLines.reduce((sum, line) => sum + line.amount, 0);
+      if (lineTotal !== amount) {
+        errors.push(`분할 내역 합계(${lineTotal.toLocaleString('ko-KR')}원)가 금액과 다릅니다.`);
+      }
+      const categoryList = type === 'income' ? lists.income : lists.expense;
+      splitLines.filter(line => line.category !== category && !categoryList.some(item => item.name === line.category))
+        .forEach(line => errors.push(`알 수 없는 카테고리: ${line.category}`));
+    }
+    if (subcategory && categoryItem && !(categoryItem.subcategories || []).includes(subcategory)) {
+      errors.push(`알 수 없는 세부 카테고리: ${subcategory}`);
+    }
+    if (paymentMethod && !lists.paymentMethods.some(item => item.name === paymentMethod)) {
+      errors.push(`알 수 없는 결제 수단: ${paymentMethod}`);
+    }
+    if (account && !lists.accounts.some(item => item.name === account)) {
+      errors.push(`알 수 없는 계좌: ${account}`);
+    }
+    if (isNaN(installmentMonths) || installmentMonths < 1 || installmentMonths > MAX_INSTALLMENT_MONTHS) {
+      errors.push(`알 수 없는 할부 개월: ${cell(cells, 'installmentMonths')}`);
+    } else if (installmentMonths > 1 && type !== 'expense') {
+      errors.push("할부는 지출에만 입력할 수 있습니다.");
+    }
+
+    const key = importDuplicateKey(dateString, amount, memo);
+    const duplicate = !!dateString && (existingKeys.has(key) || seenKeys.has(key));
+    seenKeys.add(key);
+
+    const foreign = isForeign ? { currency, originalAmount, exchangeRate } : { currency: null };
+    return { index, dateString, type, amount, category, subcategory, paymentMethod, account, installmentMonths, memo, tags, splitLines, ...foreign, errors, duplicate };
+  });
+};
+
+// UTF-8로 읽히지 않으면 EUC-KR로 읽습니다.
+export const decodeCsvFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    // 국내 은행/카드사 파일은 EUC-KR(CP949)인 경우가 많습니다.
+    return new TextDecoder('euc-kr').decode(buffer);
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+// 파일 디코딩에 Node의 TextDecoder(EUC-KR 지원)를 쓰므로 node 환경에서 실행합니다.
+import { parseCsv, detectHeaderRow, guessColumnMapping, parseImportDate, buildImportRows, decodeCsvFile } from './csvImport';
+import { formatCategoryLines, getCategoryLines } from './ledgerData';
+
+const lists = {
+  expense: [{ name: '식비', subcategories: ['외식'] }, { name: '생활용품' }, { name: '기타 지출' }],
+  income: [{ name: '급여' }, { name: '기타 수입' }],
+  paymentMethods: [{ name: '카드' }, { name: '현금' }],
+  accounts: [{ name: '생활비 통장' }],
+  categoryRules: [{ type: 'expense', pattern: '스타벅스', matchType: 'contains', category: '식비', paymentMethod: '카드', tags: ['커피'] }],
+};
+const defaults = { type: 'expense', expenseCategory: '기타 지출', incomeCategory: '기타 수입', paymentMethod: '현금' };
+
+describe('csv parsing', () => {
+  test('handles quoted commas, escaped quotes, line breaks inside fields and CRLF', () => {
+    const text = '﻿날짜,메모,금액\r\n2025-01-05,"마트, 장보기",12000\r\n\r\n2025-01-06,"""특가""\n2개",3000';
+    expect(parseCsv(text)).toEqual([
+      ['날짜', '메모', '금액'],
+      ['2025-01-05', '마트, 장보기', '12000'],
+      ['2025-01-06', '"특가"\n2개', '3000'],
+    ]);
+  });
+
+  test('finds the header below a preamble and maps known column names', () => {
+    const rows = [['거래내역 조회'], ['조회기간', '2025-01-01 ~ 2025-01-31'], ['거래일시', '적요', '출금액', '입금액']];
+    expect(detectHeaderRow(rows)).toBe(2);
+    expect(guessColumnMapping(rows[2])).toMatchObject({ date: '0', memo: '1', withdrawal: '2', deposit: '3', amount: '' });
+  });
+
+  test('reads export, bank and card date formats and rejects impossible dates', () => {
+    expect(parseImportDate('2025. 5. 3.')).toBe('2025-05-03');
+    expect(parseImportDate('2025/05/03')).toBe('2025-05-03');
+    expect(parseImportDate('2025.05.03 14:22')).toBe('2025-05-03');
+    expect(parseImportDate('20250503')).toBe('2025-05-03');
+    expect(parseImportDate('2025-02-30')).toBeNull();
+    expect(parseImportDate('어제')).toBeNull();
+  });
+
+  test('decodes UTF-8 files and falls back to EUC-KR', async () => {
+    const toFile = (bytes) => ({ arrayBuffer: async () => new Uint8Array(bytes).buffer });
+    expect(await decodeCsvFile(toFile([...Buffer.from('날짜,금액', 'utf8')]))).toBe('날짜,금액');
+    expect(await decodeCsvFile(toFile([0xb3, 0xaf, 0xc2, 0xa5, 0x2c, 0xb1, 0xdd, 0xbe, 0xd7]))).toBe('날짜,금액');
+  });
+});
+
+describe('import rows', () => {
+  const mapping = { date: '0', memo: '1', withdrawal: '2', deposit: '3', amount: '', type: '', category: '', subcategory: '', paymentMethod: '', account: '', installmentMonths: '', tags: '' };
+
+  test('takes the type from split withdrawal/deposit columns and fills categories from rules or defaults', () => {
+    const rows = buildImportRows([
+      ['2025-01-05', '스타벅스 강남', '5,600', ''],
+      ['2025-01-25', '급여', '', '3,000,000'],
+      ['2025-01-26', '편의점', '2,000원', ''],
+    ], mapping, defaults, [], lists);
+    expect(rows.map(({ type, amount, category, paymentMethod, tags, errors }) => ({ type, amount, category, paymentMethod, tags, errors }))).toEqual([
+      { type: 'expense', amount: 5600, category: '식비', paymentMethod: '카드', tags: ['커피'], errors: [] },
+      { type: 'income', amount: 3000000, category: '기타 수입', paymentMethod: '', tags: [], errors: [] },
+      { type: 'expense', amount: 2000, category: '기타 지출', paymentMethod: '현금', tags: [], errors: [] },
+    ]);
+  });
+
+  test('flags duplicates of existing entries and of earlier rows in the file', () => {
+    const existing = [{ date: new Date('2025-01-05'), amount: 5600, memo: '스타벅스 강남' }];
+    const rows = buildImportRows([
+      ['2025-01-05', '스타벅스 강남', '5600', ''],
+      ['2025-01-07', '빵집', '4000', ''],
+      ['2025-01-07', '빵집', '4000', ''],
+    ], mapping, defaults, existing, lists);
+    expect(rows.map(row => row.duplicate)).toEqual([true, false, true]);
+  });
+
+  test('reports unknown names, bad dates and transfers as errors', () => {
+    const fullMapping = { ...mapping, withdrawal: '', amount: '2', type: '4', category: '5', account: '6', installmentMonths: '7' };
+    const rows = buildImportRows([
+      ['2025-01-05', '', '1000', '', '지출', '여행', '', ''],
+      ['날짜 없음', '', '1000', '', '', '', '', ''],
+      ['2025-01-05', '', '1000', '', '이체', '', '', ''],
+      ['2025-01-05', '', '1000', '', '', '', '비상금 통장', '3개월'],
+    ], fullMapping, defaults, [], lists);
+    expect(rows[0].errors).toEqual(['알 수 없는 카테고리: 여행']);
+    expect(rows[1].errors).toEqual(['날짜 형식을 알 수 없습니다.']);
+    expect(rows[2].errors).toEqual(['이체 내역은 가져올 수 없습니다. 직접 입력해주세요.']);
+    expect(rows[3]).toMatchObject({ installmentMonths: 3, errors: ['알 수 없는 계좌: 비상금 통장'] });
+  });
+
+  test('reads split lines back from an exported file and rejects lines that do not add up', () => {
+    const entry = { type: 'expense', amount: 50000, category: '식비', splitLines: [{ category: '식비', amount: 3 }, { category: '생활용품', amount: 2 }] };
+    const csvRows = parseCsv([
+      '날짜,유형,카테고리,금액,결제수단,메모,분할 내역',
+      `2025. 3. 2.,지출,식비,50000,카드,마트,${formatCategoryLines(entry)}`,
+      '2025. 3. 3.,지출,식비,50000,카드,마트,식비 30000 / 생활용품 10000',
+      '2025. 3. 4.,지출,식비,50000,카드,마트,식비 반 / 생활용품 반',
+    ].join('\n'));
+    const rows = buildImportRows(csvRows.slice(1), guessColumnMapping(csvRows[0]), defaults, [], lists);
+    expect(rows[0]).toMatchObject({ category: '식비', splitLines: getCategoryLines(entry), errors: [] });
+    expect(rows[1].errors).toEqual(['분할 내역 합계(40,000원)가 금액과 다릅니다.']);
+    expect(rows[2].errors).toEqual(['분할 내역 형식을 알 수 없습니다: 식비 반 / 생활용품 반']);
+  });
+
+  test('reads foreign currency columns back from an exported file', () => {
+    const csvRows = parseCsv([
+      '날짜,유형,카테고리,금액,결제수단,메모,통화,외화 금액,환율',
+      '2025. 3. 2.,지출,식비,18154,카드,뉴욕 식당,USD,12.5,1452.3',
+      '2025. 3. 3.,지출,식비,5000,카드,편의점,KRW,,',
+      '2025. 3. 4.,지출,식비,5000,카드,공항,usd,3,',
+      '2025. 3. 5.,지출,식비,5000,카드,공항,달러,3,1450',
+    ].join('\n'));
+    const rows = buildImportRows(csvRows.slice(1), guessColumnMapping(csvRows[0]), defaults, [], lists);
+    expect(rows[0]).toMatchObject({ amount: 18154, currency: 'USD', originalAmount: 12.5, exchangeRate: 1452.3, errors: [] });
+    expect(rows[1]).toMatchObject({ amount: 5000, currency: null, errors: [] });
+    expect(rows[2].errors).toEqual(['유효한 환율을 입력해주세요.']);
+    expect(rows[3].errors).toEqual(['알 수 없는 통화: 달러']);
+  });
+});
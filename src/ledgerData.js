@@ -0,0 +1,1685 @@
+import { useState, useEffect, useRef } from 'react';
+import { doc, getDoc, getDocs, getDocsFromServer, setDoc, updateDoc, deleteDoc, collection, query, onSnapshot, orderBy, where, serverTimestamp, writeBatch, deleteField, runTransaction } from 'firebase/firestore';
+
+// 가계부 데이터 접근 계층
+// - Firestore 경로와 내역(entries) 조회/저장은 모두 이 모듈을 거칩니다.
+// - 집계 함수는 Firebase 없이 테스트할 수 있도록 순수 함수로 작성합니다.
+// - 날짜는 입력 폼과 같이 'YYYY-MM-DD'의 UTC 자정으로 저장되므로 월 구분도 UTC 기준으로 합니다.
+
+export const appId = 'my-household-ledger-app'; // 앱을 식별하는 고유한 이름 (자유롭게 변경 가능, Firebase projectId와 다를 수 있음)
+
+const LEDGERS_PATH = `artifacts/${appId}/public/data/household_ledgers`;
+
+// --- 경로 ---
+
+export const userProfileRef = (db, uid) => doc(db, `artifacts/${appId}/users`, uid);
+
+export const ledgerDocRef = (db, ledgerId) => doc(db, LEDGERS_PATH, ledgerId);
+
+// 가계부 하위 컬렉션: entries, revisions, recurring, invites, settlements
+export const ledgerCollectionRef = (db, ledgerId, name) => collection(db, `${LEDGERS_PATH}/${ledgerId}/${name}`);
+
+// --- 사용자 프로필 ---
+// users/{uid} 문서: { lastLedgerId, ledgers: { [ledgerId]: { name, joinedAt } } }
+// 가계부 이름은 가계부 문서의 name이 원본이고, 프로필에는 전환 목록을 위해 복사해 둡니다.
+
+export const DEFAULT_LEDGER_NAME = '이름 없는 가계부';
+
+// 프로필의 가계부 목록을 참여한 순서대로 반환합니다.
+export const getProfileLedgers = (profile) => (
+  Object.entries(profile?.ledgers || {})
+    .map(([id, info]) => ({ id, name: info?.name || DEFAULT_LEDGER_NAME, joinedAt: info?.joinedAt?.toMillis?.() ?? Infinity }))
+    .sort((a, b) => a.joinedAt - b.joinedAt || a.name.localeCompare(b.name, 'ko'))
+);
+
+// fields는 기존 값과 합쳐집니다 (merge).
+export const saveProfileLedger = (db, uid, ledgerId, fields) => (
+  setDoc(userProfileRef(db, uid), { ledgers: { [ledgerId]: fields } }, { merge: true })
+);
+
+export const removeProfileLedger = (db, uid, ledgerId) => (
+  updateDoc(userProfileRef(db, uid), { [`ledgers.${ledgerId}`]: deleteField() })
+);
+
+// 구성원 목록에서 자신을 제외합니다. 소유자는 ownerId로 계속 소유자로 인정되므로 화면에서 막습니다.
+export const leaveLedger = (db, ledgerId, uid) => (
+  updateDoc(ledgerDocRef(db, ledgerId), { [`members.${uid}`]: deleteField() })
+);
+
+// 역할이 생기기 전에는 배우자가 가계부 ID만으로 참여해 가계부 문서에 기록이 남지 않았으므로, 내역의 기록자(recordedBy)로 찾습니다.
+// 캐시에 없는 내역까지 확인하도록 서버에서 읽습니다.
+export const findLegacyMemberIds = async (db, ledgerId, ledger) => {
+  const snapshot = await getDocsFromServer(query(ledgerCollectionRef(db, ledgerId, 'entries'), where('recordedBy', '!=', ledger.ownerId)));
+  return [...new Set(snapshot.docs.map(docSnap => docSnap.data().recordedBy))].filter(uid => !ledger.members?.[uid]);
+};
+
+// --- 날짜와 집계 (순수 함수) ---
+
+export const toEntryDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+export const toMonthKey = (date) => date.toISOString().substring(0, 7); // 'YYYY-MM'
+
+// 해당 월의 [start, end) 범위. monthIndex는 범위를 벗어나도 연도가 넘어가도록 처리됩니다.
+export const getMonthRange = (year, monthIndex) => ({
+  start: new Date(Date.UTC(year, monthIndex, 1)),
+  end: new Date(Date.UTC(year, monthIndex + 1, 1)),
+});
+
+// 'YYYY-MM' 형식이 아니면 null을 반환합니다 (전체 기간).
+export const getMonthRangeFromKey = (monthKey) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(monthKey || '');
+  return match ? getMonthRange(Number(match[1]), Number(match[2]) - 1) : null;
+};
+
+export const isInRange = (entry, range) => {
+  if (!range) return true;
+  const time = toEntryDate(entry.date).getTime();
+  return (!range.start || time >= range.start.getTime()) && (!range.end || time < range.end.getTime());
+};
+
+// 정렬 기준: date-desc(기본), date-asc, amount-desc, amount-asc, category
+const ENTRY_SORTERS = {
+  'date-desc': (a, b) => toEntryDate(b.date) - toEntryDate(a.date),
+  'date-asc': (a, b) => toEntryDate(a.date) - toEntryDate(b.date),
+  'amount-desc': (a, b) => b.amount - a.amount,
+  'amount-asc': (a, b) => a.amount - b.amount,
+  category: (a, b) => (a.category || '').localeCompare(b.category || '', 'ko') || toEntryDate(b.date) - toEntryDate(a.date),
+};
+
+export const sortEntries = (entries, sort = 'date-desc') => [...entries].sort(ENTRY_SORTERS[sort] || ENTRY_SORTERS['date-desc']);
+
+export const sortEntriesByDateDesc = (entries) => sortEntries(entries, 'date-desc');
+
+// 'YYYY-MM-DD' 시작일/종료일(모두 포함)을 조회 범위로 바꿉니다. 빈 값은 제한 없음입니다.
+export const getDateStringRange = (from, to) => ({
+  start: from ? new Date(from) : null,
+  end: to ? new Date(addDaysToDateString(to, 1)) : null,
+});
+
+// --- 분할 내역 ---
+// 한 내역을 여러 카테고리로 나누면 splitLines: [{ category, amount }]에 줄별 금액을 저장하고,
+// category에는 가장 큰 줄의 카테고리를 대표로 남깁니다 (아이콘, 정렬 등 카테고리 하나만 보여주는 곳에서 씁니다).
+// 줄 금액은 입력한 통화 기준이므로 집계할 때는 원화 금액(amount, 할부 회차 금액 포함)에 맞춰 비례 배분합니다.
+
+export const getPrimaryCategory = (splitLines) => (
+  splitLines.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).category
+);
+
+// 집계용 카테고리별 금액 ([{ category, amount }]). 반올림 차이는 마지막 줄에 더해 합계가 amount와 같습니다.
+export const getCategoryLines = (entry) => {
+  if (!(entry.splitLines?.length > 0)) return [{ category: entry.category, amount: entry.amount }];
+  const lineTotal = entry.splitLines.reduce((sum, line) => sum + line.amount, 0);
+  let remaining = entry.amount;
+  return entry.splitLines.map((line, index) => {
+    const amount = index === entry.splitLines.length - 1 ? remaining : Math.round(entry.amount * line.amount / lineTotal);
+    remaining -= amount;
+    return { category: line.category, amount };
+  });
+};
+
+// 내보내기 파일의 '분할 내역' 열 ('식비 30000 / 생활용품 20000'). CSV 가져오기가 같은 형식을 다시 읽습니다.
+export const formatCategoryLines = (entry) => (
+  entry.splitLines?.length > 0 ? getCategoryLines(entry).map(line => `${line.category} ${line.amount}`).join(' / ') : ''
+);
+
+export const getEntryCategories = (entry) => (
+  entry.splitLines?.length > 0 ? [...new Set(entry.splitLines.map(line => line.category))] : [entry.category]
+);
+
+// 내역에 쓰인 태그 (많이 쓴 순, 같으면 이름순)
+export const collectTags = (entries) => {
+  const counts = {};
+  entries.forEach(entry => (entry.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b, 'ko'));
+};
+
+// 내역 검색 조건. 'all'과 빈 값은 조건 없음으로 처리합니다.
+// 카테고리는 분할 내역의 줄 중 하나라도, 태그는 선택한 태그 중 하나라도 맞으면 포함합니다.
+// 검색어는 메모, 카테고리(분할 줄 포함), 세부 카테고리, 계좌 이름, 태그에서 대소문자 구분 없이 찾습니다.
+export const filterEntries = (entries, {
+  from = '', to = '', type = 'all', categories = [], tags = [], paymentMethod = 'all', recordedBy = 'all', query: keyword = '', minAmount = '', maxAmount = '',
+} = {}) => {
+  const range = getDateStringRange(from, to);
+  const text = keyword.trim().toLowerCase();
+  const min = minAmount === '' ? null : Number(minAmount);
+  const max = maxAmount === '' ? null : Number(maxAmount);
+
+  return entries.filter(entry => {
+    if (!isInRange(entry, range)) return false;
+    if (type !== 'all' && entry.type !== type) return false;
+    if (categories.length > 0 && !getEntryCategories(entry).some(category => categories.includes(category))) return false;
+    if (tags.length > 0 && !(entry.tags || []).some(tag => tags.includes(tag))) return false;
+    if (paymentMethod !== 'all' && entry.paymentMethod !== paymentMethod) return false;
+    if (recordedBy !== 'all' && entry.recordedBy !== recordedBy) return false;
+    if (min !== null && entry.amount < min) return false;
+    if (max !== null && entry.amount > max) return false;
+    const searchable = [entry.memo, ...getEntryCategories(entry), entry.subcategory, entry.account, entry.fromAccount, entry.toAccount, ...(entry.tags || [])];
+    if (text && !searchable.some(value => (value || '').toLowerCase().includes(text))) return false;
+    return true;
+  });
+};
+
+// 수입/지출 합계와 지출 카테고리별, 태그별 합계(금액이 큰 순). 계좌 간 이체(transfer)는 수입/지출이 아닙니다.
+// 분할 내역은 줄마다 해당 카테고리에 더하고, 태그는 내역 금액 전체를 태그마다 더합니다.
+// 할부 지출은 spreadInstallments로 나눈 뒤 넘기면 그 달의 회차 금액만 집계됩니다.
+export const summarizeEntries = (entries) => {
+  let income = 0;
+  let expense = 0;
+  const categories = {};
+  const tags = {};
+
+  entries.forEach(entry => {
+    if (entry.type === 'income') {
+      income += entry.amount;
+    } else if (entry.type === 'expense') {
+      expense += entry.amount;
+      getCategoryLines(entry).forEach(line => {
+        categories[line.category] = (categories[line.category] || 0) + line.amount;
+      });
+      (entry.tags || []).forEach(tag => {
+        tags[tag] = (tags[tag] || 0) + entry.amount;
+      });
+    }
+  });
+
+  return {
+    totalIncome: income,
+    totalExpense: expense,
+    netBalance: income - expense,
+    categoryExpenses: Object.entries(categories).sort(([, a], [, b]) => b - a),
+    tagExpenses: Object.entries(tags).sort(([, a], [, b]) => b - a),
+  };
+};
+
+// 월별 수입/지출 합계. 키는 'YYYY-MM'입니다.
+export const getMonthlyTotals = (entries) => {
+  const totals = {};
+  entries.forEach(entry => {
+    const monthKey = toMonthKey(toEntryDate(entry.date));
+    const month = totals[monthKey] || (totals[monthKey] = { income: 0, expense: 0 });
+    if (entry.type === 'income') {
+      month.income += entry.amount;
+    } else if (entry.type === 'expense') {
+      month.expense += entry.amount;
+    }
+  });
+  return totals;
+};
+
+// (year, monthIndex)로 끝나는 최근 monthCount개월의 추이 (오래된 달부터)
+export const getTrendRange = (year, monthIndex, monthCount) => ({
+  start: getMonthRange(year, monthIndex - monthCount + 1).start,
+  end: getMonthRange(year, monthIndex).end,
+});
+
+export const buildMonthlyTrend = (entries, year, monthIndex, monthCount = 6) => {
+  const totals = getMonthlyTotals(entries);
+  return Array.from({ length: monthCount }, (_, i) => {
+    const start = getMonthRange(year, monthIndex - monthCount + 1 + i).start;
+    const monthKey = toMonthKey(start);
+    return {
+      monthKey,
+      month: `${start.getUTCMonth() + 1}월`,
+      income: totals[monthKey]?.income || 0,
+      expense: totals[monthKey]?.expense || 0,
+    };
+  });
+};
+
+// 카테고리별 예산 대비 사용 현황. 예산이 설정된 카테고리만 반환하며 사용률이 높은 순으로 정렬합니다.
+export const computeBudgetStatus = (budgets, categoryExpenses, threshold) => {
+  const spentByCategory = Object.fromEntries(categoryExpenses);
+
+  return Object.entries(budgets || {})
+    .filter(([, budget]) => budget > 0)
+    .map(([category, budget]) => {
+      const spent = spentByCategory[category] || 0;
+      const percent = (spent / budget) * 100;
+      let level = 'ok';
+      if (percent >= 100) {
+        level = 'over';
+      } else if (percent >= threshold) {
+        level = 'warning';
+      }
+      return { category, budget, spent, remaining: budget - spent, percent, level };
+    })
+    .sort((a, b) => b.percent - a.percent);
+};
+
+// --- 계좌 잔액 ---
+// 계좌: { name, kind, openingBalance, openingDate('YYYY-MM-DD'), archived }
+// 잔액은 시작 잔액에 시작일 이후 내역을 더한 값입니다. 신용카드는 사용액만큼 음수(부채)가 되고 결제(이체)하면 줄어듭니다.
+
+// 가장 이른 시작일부터 untilDate(포함)까지. 시작일이 없는 항목이 있으면 처음부터입니다.
+const getSinceRange = (startDates, untilDate) => {
+  const dates = startDates.filter(Boolean).sort();
+  return {
+    start: dates.length === startDates.length && dates.length > 0 ? new Date(dates[0]) : null,
+    end: new Date(addDaysToDateString(untilDate, 1)),
+  };
+};
+
+// 잔액 계산에 필요한 기간
+export const getAccountsRange = (accounts, untilDate) => getSinceRange(accounts.map(account => account.openingDate), untilDate);
+
+export const computeAccountBalances = (accounts, entries) => {
+  const balances = new Map(accounts.map(account => [account.name, account.openingBalance || 0]));
+  const openingTimes = new Map(accounts.map(account => [account.name, account.openingDate ? new Date(account.openingDate).getTime() : -Infinity]));
+  const apply = (name, delta, time) => {
+    if (!balances.has(name) || time < openingTimes.get(name)) return;
+    balances.set(name, balances.get(name) + delta);
+  };
+
+  entries.forEach(entry => {
+    const time = toEntryDate(entry.date).getTime();
+    if (entry.type === 'transfer') {
+      apply(entry.fromAccount, -entry.amount, time);
+      apply(entry.toAccount, entry.amount, time);
+    } else if (entry.type === 'income') {
+      apply(entry.account, entry.amount, time);
+    } else if (entry.type === 'expense') {
+      apply(entry.account, -entry.amount, time);
+    }
+  });
+
+  return accounts.map(account => ({ ...account, balance: balances.get(account.name) }));
+};
+
+export const getNetWorth = (accountBalances) => accountBalances.reduce((sum, account) => sum + account.balance, 0);
+
+// --- 저축 목표 ---
+// 목표: { name, targetAmount, deadline('YYYY-MM-DD'), startDate, initialAmount, account, category, archived }
+// 시작일 이후 내역 중 이 목표로 지정한 내역(savingsGoal), 연결된 계좌로의 이체(빼면 차감), 연결된 카테고리 지출을 모은 금액으로 봅니다.
+
+export const getGoalsRange = (goals, untilDate) => getSinceRange(goals.map(goal => goal.startDate), untilDate);
+
+// 내역 하나가 목표에 더하는 금액. 다른 목표로 지정된 내역은 연결 계좌/카테고리와 맞아도 세지 않습니다.
+export const getGoalContribution = (goal, entry) => {
+  if (entry.savingsGoal) {
+    return entry.savingsGoal === goal.name && entry.type !== 'income' ? entry.amount : 0;
+  }
+  if (entry.type === 'transfer' && goal.account) {
+    if (entry.toAccount === goal.account) return entry.amount;
+    if (entry.fromAccount === goal.account) return -entry.amount;
+  }
+  if (entry.type === 'expense' && goal.category) {
+    return getCategoryLines(entry).filter(line => line.category === goal.category).reduce((sum, line) => sum + line.amount, 0);
+  }
+  return 0;
+};
+
+const monthsBetween = (fromDate, toDate) => {
+  const from = new Date(fromDate);
+  const to = new Date(toDate);
+  return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+};
+
+// 진행률과 마감일까지 남은 달(이번 달 포함) 동안 매달 모아야 할 금액.
+// 시작일부터 마감일까지 일정하게 모은다고 볼 때 지금까지 모았어야 할 금액(expected)보다 적으면 'behind'입니다.
+export const computeGoalProgress = (goal, entries, today) => {
+  const startTime = new Date(goal.startDate).getTime();
+  const saved = (goal.initialAmount || 0) + entries
+    .filter(entry => toEntryDate(entry.date).getTime() >= startTime)
+    .reduce((sum, entry) => sum + getGoalContribution(goal, entry), 0);
+  const remaining = Math.max(goal.targetAmount - saved, 0);
+  const monthsLeft = Math.max(monthsBetween(today, goal.deadline) + 1, 0);
+
+  const totalDays = Math.max((new Date(goal.deadline) - startTime) / 86400000, 1);
+  const elapsedDays = Math.min(Math.max((new Date(today) - startTime) / 86400000, 0), totalDays);
+  const expected = Math.round(goal.targetAmount * elapsedDays / totalDays);
+
+  let status = 'on-track';
+  if (remaining === 0) {
+    status = 'achieved';
+  } else if (today > goal.deadline) {
+    status = 'overdue';
+  } else if (saved < expected) {
+    status = 'behind';
+  }
+
+  return {
+    goal,
+    saved,
+    remaining,
+    percent: goal.targetAmount > 0 ? Math.min((saved / goal.targetAmount) * 100, 100) : 100,
+    monthsLeft,
+    requiredMonthly: monthsLeft > 0 ? Math.ceil(remaining / monthsLeft) : remaining,
+    expected,
+    status,
+  };
+};
+
+// --- 지출 예측 ---
+// 이번 달 말의 예상 수입/지출과 다음 몇 달의 추이를 추정합니다.
+// - 반복 내역에서 생긴 내역과 할부 회차는 날짜와 금액이 정해진 고정 항목이므로, 남은 발생분을 그대로 더합니다.
+// - 나머지(변동) 지출은 카테고리별 하루 평균으로 남은 날을 채웁니다. 달 초에는 이번 달 평균이 들쭉날쭉하므로
+//   지난 달들의 하루 평균과 섞되, 지난 날짜 비율만큼 이번 달 평균의 비중을 높입니다.
+// - 지난 달들은 가장 이른 내역이 있는 달부터 지난달까지로 봅니다 (가계부를 쓰기 전의 빈 달은 평균에서 뺍니다).
+
+const isFixedEntry = (entry) => !!entry.recurringId || entry.installmentMonths > 1;
+
+const toUtcDateString = (date) => date.toISOString().split('T')[0];
+
+// 고정 항목을 뺀 수입/지출 합계와 카테고리별 지출
+const sumVariableEntries = (entries) => {
+  const totals = { income: 0, expense: 0, categories: {} };
+  entries.filter(entry => !isFixedEntry(entry)).forEach(entry => {
+    if (entry.type === 'income') {
+      totals.income += entry.amount;
+    } else if (entry.type === 'expense') {
+      totals.expense += entry.amount;
+      getCategoryLines(entry).forEach(line => {
+        totals.categories[line.category] = (totals.categories[line.category] || 0) + line.amount;
+      });
+    }
+  });
+  return totals;
+};
+
+// monthKey 이전 달들의 변동 합계와 그 기간의 일수/개월 수. 이전 내역이 없으면 null입니다.
+const getForecastHistory = (historyEntries, monthKey) => {
+  const monthStart = getMonthRangeFromKey(monthKey).start;
+  const previous = historyEntries.filter(entry => toEntryDate(entry.date) < monthStart);
+  if (previous.length === 0) return null;
+  const earliest = new Date(Math.min(...previous.map(entry => toEntryDate(entry.date).getTime())));
+  const start = getMonthRange(earliest.getUTCFullYear(), earliest.getUTCMonth()).start;
+  return {
+    ...sumVariableEntries(previous),
+    dayCount: Math.round((monthStart - start) / 86400000),
+    monthCount: (monthStart.getUTCFullYear() - start.getUTCFullYear()) * 12 + monthStart.getUTCMonth() - start.getUTCMonth(),
+  };
+};
+
+// afterDate(미포함)부터 untilDate(포함)까지 사용 중인 반복 내역의 수입/지출 발생 금액. 이체는 빠집니다.
+const sumRecurringOccurrences = (templates, afterDate, untilDate) => {
+  const totals = { income: 0, expense: 0, categories: {} };
+  templates
+    .filter(template => template.active && (template.type === 'income' || template.type === 'expense'))
+    .forEach(template => {
+      const amount = template.amount * getRecurringOccurrences(template, afterDate, untilDate).length;
+      if (amount === 0) return;
+      totals[template.type] += amount;
+      if (template.type === 'expense') {
+        getCategoryLines({ ...template, amount }).forEach(line => {
+          totals.categories[line.category] = (totals.categories[line.category] || 0) + line.amount;
+        });
+      }
+    });
+  return totals;
+};
+
+// today('YYYY-MM-DD')가 속한 달의 말 예상치.
+// entries: 이번 달 내역(할부는 spreadInstallments로 나눈 것), historyEntries: 지난 달들의 내역(같은 방식), templates: 반복 내역
+// categories는 카테고리별 지금까지 지출(spent)과 월말 예상(projected)이며 예상이 큰 순입니다.
+export const forecastMonthEnd = ({ entries, historyEntries = [], templates = [], today }) => {
+  const monthKey = today.substring(0, 7);
+  const range = getMonthRangeFromKey(monthKey);
+  const totalDays = daysInMonth(range.start.getUTCFullYear(), range.start.getUTCMonth());
+  const daysElapsed = Number(today.substring(8, 10));
+  const daysLeft = totalDays - daysElapsed;
+
+  const actual = summarizeEntries(entries);
+  const spentByCategory = Object.fromEntries(actual.categoryExpenses);
+  const tomorrow = new Date(addDaysToDateString(today, 1));
+  const soFar = sumVariableEntries(entries.filter(entry => toEntryDate(entry.date) < tomorrow)).categories;
+  const history = getForecastHistory(historyEntries, monthKey);
+  const weight = history ? daysElapsed / totalDays : 1;
+  const upcoming = sumRecurringOccurrences(templates, today, addDaysToDateString(toUtcDateString(range.end), -1));
+
+  const categoryNames = new Set([
+    ...Object.keys(spentByCategory), ...Object.keys(history?.categories || {}), ...Object.keys(upcoming.categories),
+  ]);
+  const categories = [...categoryNames].map(category => {
+    const currentRate = (soFar[category] || 0) / daysElapsed;
+    const historyRate = history ? (history.categories[category] || 0) / history.dayCount : 0;
+    const spent = spentByCategory[category] || 0;
+    const projected = spent + Math.round((weight * currentRate + (1 - weight) * historyRate) * daysLeft) + (upcoming.categories[category] || 0);
+    return { category, spent, projected };
+  }).sort((a, b) => b.projected - a.projected);
+
+  const projectedIncome = actual.totalIncome + upcoming.income;
+  const projectedExpense = categories.reduce((sum, item) => sum + item.projected, 0);
+  return {
+    monthKey,
+    daysInMonth: totalDays,
+    daysElapsed,
+    daysLeft,
+    income: actual.totalIncome,
+    expense: actual.totalExpense,
+    upcomingIncome: upcoming.income,
+    upcomingExpense: upcoming.expense,
+    projectedIncome,
+    projectedExpense,
+    projectedNet: projectedIncome - projectedExpense,
+    categories,
+  };
+};
+
+// 오늘을 포함한 남은 날 동안 하루에 써도 되는 금액. limit(예산 합계 또는 예상 수입)에서
+// 지금까지의 지출과 남은 반복 지출을 빼고 남은 날로 나눕니다. 이미 넘었으면 0입니다.
+export const getSafeDailySpending = (forecast, limit) => (
+  Math.max(Math.floor((limit - forecast.expense - forecast.upcomingExpense) / (forecast.daysLeft + 1)), 0)
+);
+
+// fromMonthKey 다음 달부터 monthCount개월의 예상 수입/지출 (buildMonthlyTrend와 같은 행 형식).
+// 변동 수입/지출은 지난 달들의 월평균, 고정 항목은 반복 내역 발생분과 남은 할부 회차(installmentEntries)입니다.
+export const forecastMonthlyTrend = ({ historyEntries = [], installmentEntries = [], templates = [], fromMonthKey, monthCount = 3 }) => {
+  const history = getForecastHistory(historyEntries, fromMonthKey);
+  const averageIncome = history ? Math.round(history.income / history.monthCount) : 0;
+  const averageExpense = history ? Math.round(history.expense / history.monthCount) : 0;
+  const installments = spreadInstallments(installmentEntries).filter(entry => entry.type === 'expense' && entry.installmentMonths > 1);
+  const from = getMonthRangeFromKey(fromMonthKey).start;
+
+  return Array.from({ length: monthCount }, (_, i) => {
+    const range = getMonthRange(from.getUTCFullYear(), from.getUTCMonth() + 1 + i);
+    const recurring = sumRecurringOccurrences(
+      templates,
+      addDaysToDateString(toUtcDateString(range.start), -1),
+      addDaysToDateString(toUtcDateString(range.end), -1)
+    );
+    const installmentExpense = installments
+      .filter(entry => isInRange(entry, range))
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    return {
+      monthKey: toMonthKey(range.start),
+      month: `${range.start.getUTCMonth() + 1}월`,
+      income: averageIncome + recurring.income,
+      expense: averageExpense + recurring.expense + installmentExpense,
+    };
+  });
+};
+
+// --- 신용카드 결제 주기와 할부 ---
+// 카드 계좌는 closingDay(명세서 마감일)와 paymentDay(결제일)를 가집니다. 그 달에 없는 날(예: 31일)은 말일로 봅니다.
+// 마감일 당일 사용분까지 그 달 명세서에 포함되고, 결제일이 마감일보다 앞이면 다음 달에 결제합니다.
+
+export const MAX_INSTALLMENT_MONTHS = 36;
+
+const shiftMonth = (year, monthIndex, offset) => {
+  const date = new Date(Date.UTC(year, monthIndex + offset, 1));
+  return { year: date.getUTCFullYear(), monthIndex: date.getUTCMonth() };
+};
+
+const toClampedDateString = (year, monthIndex, day) => (
+  new Date(Date.UTC(year, monthIndex, Math.min(day, daysInMonth(year, monthIndex)))).toISOString().split('T')[0]
+);
+
+export const isBillingCard = (account) => account?.kind === 'card' && account.closingDay > 0 && account.paymentDay > 0;
+
+// 마감월의 명세서 마감일과 결제일 ('YYYY-MM-DD')
+export const getCardStatementDates = (card, year, monthIndex) => {
+  const paymentMonth = shiftMonth(year, monthIndex, card.paymentDay > card.closingDay ? 0 : 1);
+  return {
+    closingDate: toClampedDateString(year, monthIndex, card.closingDay),
+    paymentDate: toClampedDateString(paymentMonth.year, paymentMonth.monthIndex, card.paymentDay),
+  };
+};
+
+// 사용일이 속한 명세서의 마감월
+export const getBillingMonth = (card, date) => {
+  const usedAt = toEntryDate(date);
+  const year = usedAt.getUTCFullYear();
+  const monthIndex = usedAt.getUTCMonth();
+  const closesThisMonth = usedAt.getUTCDate() <= Math.min(card.closingDay, daysInMonth(year, monthIndex));
+  return shiftMonth(year, monthIndex, closesThisMonth ? 0 : 1);
+};
+
+// 회차별 원금과 할부 수수료. 원금은 원 단위로 나누고 나머지를 첫 회차에 더하며,
+// 수수료는 매달 남은 원금 × 연 수수료율(installmentRate, %) / 12 (원 미만 절사)입니다. 일시불은 1회차입니다.
+export const getInstallmentSchedule = (entry) => {
+  const months = entry.installmentMonths > 1 ? entry.installmentMonths : 1;
+  const monthlyRate = (entry.installmentRate || 0) / 100 / 12;
+  const base = Math.floor(entry.amount / months);
+  let remainingPrincipal = entry.amount;
+  return Array.from({ length: months }, (_, index) => {
+    const principal = index === 0 ? entry.amount - base * (months - 1) : base;
+    const interest = Math.floor(remainingPrincipal * monthlyRate);
+    remainingPrincipal -= principal;
+    return { principal, interest, amount: principal + interest };
+  });
+};
+
+export const getInstallmentAmounts = (entry) => getInstallmentSchedule(entry).map(payment => payment.amount);
+
+const getInstallmentMonths = (entry) => {
+  const purchasedAt = toEntryDate(entry.date);
+  return getInstallmentAmounts(entry).map((_, index) => shiftMonth(purchasedAt.getUTCFullYear(), purchasedAt.getUTCMonth(), index));
+};
+
+// 할부 지출을 구매월부터 매달 한 회차씩 나눈 내역으로 바꿉니다. 월별 집계는 이 결과로 계산합니다.
+// 회차 내역의 날짜는 매달 구매일과 같은 날(없으면 말일)이고, installmentIndex(0부터)를 가집니다.
+export const spreadInstallments = (entries) => entries.flatMap(entry => {
+  if (entry.type !== 'expense' || !(entry.installmentMonths > 1)) return [entry];
+  const purchaseDay = toEntryDate(entry.date).getUTCDate();
+  const amounts = getInstallmentAmounts(entry);
+  return getInstallmentMonths(entry).map(({ year, monthIndex }, index) => ({
+    ...entry,
+    date: new Date(toClampedDateString(year, monthIndex, purchaseDay)),
+    amount: amounts[index],
+    installmentIndex: index,
+  }));
+});
+
+// asOfMonthKey('YYYY-MM')까지 반영된 회차 수와 이후 남은 금액(수수료 포함), 마지막 회차 월
+export const getInstallmentStatus = (entry, asOfMonthKey) => {
+  const schedule = getInstallmentSchedule(entry);
+  const monthKeys = getInstallmentMonths(entry).map(({ year, monthIndex }) => toMonthKey(new Date(Date.UTC(year, monthIndex, 1))));
+  const paidCount = monthKeys.filter(monthKey => monthKey <= asOfMonthKey).length;
+  const remaining = schedule.slice(paidCount);
+  return {
+    entry,
+    totalCount: schedule.length,
+    paidCount,
+    nextAmount: remaining[0]?.amount ?? 0,
+    remainingAmount: remaining.reduce((sum, payment) => sum + payment.amount, 0),
+    totalInterest: schedule.reduce((sum, payment) => sum + payment.interest, 0),
+    endMonthKey: monthKeys[monthKeys.length - 1],
+  };
+};
+
+// 남은 회차가 있는 할부를 먼저 끝나는 순으로
+export const getActiveInstallments = (entries, asOfMonthKey) => (
+  entries
+    .filter(entry => entry.type === 'expense' && entry.installmentMonths > 1)
+    .map(entry => getInstallmentStatus(entry, asOfMonthKey))
+    .filter(status => status.paidCount < status.totalCount)
+    .sort((a, b) => a.endMonthKey.localeCompare(b.endMonthKey))
+);
+
+// 카드 사용 내역을 결제일별로 묶습니다. 할부는 회차마다 다음 달 명세서로 넘어갑니다.
+export const getCardPayments = (card, entries) => {
+  const payments = new Map();
+  entries.forEach(entry => {
+    if (entry.type !== 'expense' || entry.account !== card.name) return;
+    const billingMonth = getBillingMonth(card, entry.date);
+    getInstallmentAmounts(entry).forEach((amount, index) => {
+      const { year, monthIndex } = shiftMonth(billingMonth.year, billingMonth.monthIndex, index);
+      const { closingDate, paymentDate } = getCardStatementDates(card, year, monthIndex);
+      const payment = payments.get(paymentDate) || { closingDate, paymentDate, amount: 0, count: 0 };
+      payment.amount += amount;
+      payment.count += 1;
+      payments.set(paymentDate, payment);
+    });
+  });
+  return [...payments.values()].sort((a, b) => a.paymentDate.localeCompare(b.paymentDate));
+};
+
+// 사용 중인 카드별로 fromDate(포함) 이후의 결제 예정을 가까운 순으로 count개까지 보여줍니다.
+export const forecastCardPayments = (accounts, entries, fromDate, count = 2) => (
+  accounts
+    .filter(account => !account.archived && isBillingCard(account))
+    .map(card => ({
+      card,
+      payments: getCardPayments(card, entries).filter(payment => payment.paymentDate >= fromDate).slice(0, count),
+    }))
+);
+
+// --- 리포트 ---
+// 기간은 'YYYY-MM-DD' 문자열(from, to 모두 포함)입니다. 할부는 호출하는 쪽에서 spreadInstallments로 나눠서 넘깁니다.
+
+const TOP_MEMO_COUNT = 10;
+
+// from이 속한 달부터 to가 속한 달까지의 'YYYY-MM' 목록
+export const getMonthKeysBetween = (from, to) => {
+  const monthKeys = [];
+  let month = { year: Number(from.slice(0, 4)), monthIndex: Number(from.slice(5, 7)) - 1 };
+  const lastKey = to.slice(0, 7);
+  for (let key = toMonthKey(new Date(Date.UTC(month.year, month.monthIndex, 1))); key <= lastKey;) {
+    monthKeys.push(key);
+    month = shiftMonth(month.year, month.monthIndex, 1);
+    key = toMonthKey(new Date(Date.UTC(month.year, month.monthIndex, 1)));
+  }
+  return monthKeys;
+};
+
+// 1년 전 같은 기간 (2월 29일은 28일로)
+export const getPreviousYearRange = (from, to) => {
+  const shift = (dateString) => {
+    const year = Number(dateString.slice(0, 4)) - 1;
+    const monthIndex = Number(dateString.slice(5, 7)) - 1;
+    return toClampedDateString(year, monthIndex, Number(dateString.slice(8, 10)));
+  };
+  return { from: shift(from), to: shift(to) };
+};
+
+// 전월 대비 비교를 위해 from이 속한 달의 전달부터 조회합니다.
+export const getReportQueryRange = (from, to) => ({
+  start: getMonthRange(Number(from.slice(0, 4)), Number(from.slice(5, 7)) - 2).start,
+  end: new Date(addDaysToDateString(to, 1)),
+});
+
+const getCategoryTotals = (entries, range) => (
+  Object.fromEntries(summarizeEntries(entries.filter(entry => isInRange(entry, range))).categoryExpenses)
+);
+
+// 이전 값이 없으면 변화율을 계산할 수 없어 null입니다.
+const percentChange = (current, previous) => (previous > 0 ? ((current - previous) / previous) * 100 : null);
+
+const countDays = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+
+// 월별 수입/지출/순수입, 카테고리별 합계와 비중, 기간의 마지막 달 기준 전월 대비, 전년 같은 기간 대비 변화,
+// 지출이 많은 메모(가맹점) 순위와 일평균 지출(오늘 이후 날짜는 빼고 계산)
+export const buildReport = (entries, previousYearEntries, from, to, today) => {
+  const range = getDateStringRange(from, to);
+  const reportEntries = entries.filter(entry => isInRange(entry, range));
+  const { totalIncome, totalExpense, netBalance, categoryExpenses } = summarizeEntries(reportEntries);
+
+  const monthlyTotals = getMonthlyTotals(reportEntries);
+  const monthKeys = getMonthKeysBetween(from, to);
+  const months = monthKeys.map(monthKey => {
+    const { income = 0, expense = 0 } = monthlyTotals[monthKey] || {};
+    return { monthKey, income, expense, net: income - expense };
+  });
+
+  const lastMonthKey = monthKeys[monthKeys.length - 1];
+  const lastMonthRange = getMonthRangeFromKey(lastMonthKey);
+  const lastMonthTotals = getCategoryTotals(entries, lastMonthRange);
+  const previousMonthTotals = getCategoryTotals(entries, getMonthRange(lastMonthRange.start.getUTCFullYear(), lastMonthRange.start.getUTCMonth() - 1));
+  const previousYear = getPreviousYearRange(from, to);
+  const previousYearTotals = getCategoryTotals(previousYearEntries, getDateStringRange(previousYear.from, previousYear.to));
+
+  const categories = categoryExpenses.map(([category, amount]) => ({
+    category,
+    amount,
+    percent: totalExpense > 0 ? (amount / totalExpense) * 100 : 0,
+    lastMonthAmount: lastMonthTotals[category] || 0,
+    monthOverMonth: percentChange(lastMonthTotals[category] || 0, previousMonthTotals[category] || 0),
+    previousYearAmount: previousYearTotals[category] || 0,
+    yearOverYear: percentChange(amount, previousYearTotals[category] || 0),
+  }));
+
+  const memoTotals = new Map();
+  reportEntries.forEach(entry => {
+    const memo = (entry.memo || '').trim();
+    if (entry.type !== 'expense' || !memo) return;
+    const total = memoTotals.get(memo) || { memo, amount: 0, count: 0 };
+    total.amount += entry.amount;
+    total.count += 1;
+    memoTotals.set(memo, total);
+  });
+  const topMemos = [...memoTotals.values()].sort((a, b) => b.amount - a.amount).slice(0, TOP_MEMO_COUNT);
+
+  const days = today < from ? 0 : countDays(from, to < today ? to : today);
+
+  return {
+    from,
+    to,
+    months,
+    totalIncome,
+    totalExpense,
+    netBalance,
+    categories,
+    topMemos,
+    lastMonthKey,
+    previousYear,
+    averageDailyExpense: days > 0 ? Math.round(totalExpense / days) : 0,
+  };
+};
+
+// --- 연말정산 ---
+// 실제 세법을 단순화한 추정치입니다. 비율(%)과 한도(원)는 가계부 문서의 taxSettings.rules로 바꿀 수 있습니다.
+// 결제수단은 credit(신용카드), debit(체크카드), cash(현금영수증 대상), none(공제 제외)으로,
+// 지출 카테고리는 medical(의료비), education(교육비), donation(기부금)으로 공제 항목에 연결합니다.
+
+export const PAYMENT_TAX_GROUPS = ['credit', 'debit', 'cash', 'none'];
+export const CATEGORY_TAX_GROUPS = ['medical', 'education', 'donation'];
+
+// 카드 등 사용액은 소득공제(cap: 공제 금액 한도), 의료비/교육비/기부금은 세액공제(cap: 대상 지출 한도)입니다.
+// cap이 비어 있으면 한도가 없습니다.
+export const DEFAULT_TAX_RULES = {
+  card: { thresholdPercent: 25, creditRate: 15, debitRate: 30, cashRate: 30, cap: 3000000 },
+  medical: { thresholdPercent: 3, rate: 15, cap: 7000000 },
+  education: { rate: 15, cap: 3000000 },
+  donation: { rate: 15, cap: null },
+};
+
+// 저장된 규칙에 없는 값은 기본값으로 채웁니다.
+export const getTaxRules = (rules) => Object.fromEntries(
+  Object.entries(DEFAULT_TAX_RULES).map(([key, defaults]) => [key, { ...defaults, ...rules?.[key] }])
+);
+
+const applyCap = (amount, cap) => (cap > 0 ? Math.min(amount, cap) : amount);
+
+// paymentGroups/categoryGroups: 결제수단/카테고리 이름 -> 공제 구분. 총급여(salary)를 기준으로 문턱을 계산합니다.
+// 카드 등 사용액은 공제율이 낮은 신용카드부터 문턱(총급여의 thresholdPercent%)을 채운 뒤 넘는 금액에 공제율을 곱합니다.
+// issues: 공제를 추정할 수 없는 지출 (no-payment-method, unknown-payment-method, cash-receipt-unknown), 최신순
+export const computeTaxDeduction = (entries, { salary = 0, rules, paymentGroups = {}, categoryGroups = {} }) => {
+  const taxRules = getTaxRules(rules);
+  const cardSpending = { credit: 0, debit: 0, cash: 0 };
+  const categorySpending = { medical: 0, education: 0, donation: 0 };
+  const methodTotals = new Map();
+  const issues = [];
+
+  entries.forEach(entry => {
+    if (entry.type !== 'expense') return;
+    getCategoryLines(entry).forEach(line => {
+      const categoryGroup = categoryGroups[line.category];
+      if (categoryGroup in categorySpending) categorySpending[categoryGroup] += line.amount;
+    });
+
+    const group = paymentGroups[entry.paymentMethod];
+    if (entry.paymentMethod) {
+      const total = methodTotals.get(entry.paymentMethod) || { paymentMethod: entry.paymentMethod, group: group || null, amount: 0, count: 0 };
+      total.amount += entry.amount;
+      total.count += 1;
+      methodTotals.set(entry.paymentMethod, total);
+    }
+
+    if (!entry.paymentMethod) {
+      issues.push({ entry, reason: 'no-payment-method' });
+    } else if (!PAYMENT_TAX_GROUPS.includes(group)) {
+      issues.push({ entry, reason: 'unknown-payment-method' });
+    } else if (group === 'cash') {
+      if (entry.cashReceipt === undefined) issues.push({ entry, reason: 'cash-receipt-unknown' });
+      else if (entry.cashReceipt) cardSpending.cash += entry.amount;
+    } else if (group !== 'none') {
+      cardSpending[group] += entry.amount;
+    }
+  });
+
+  const { card: cardRules } = taxRules;
+  const threshold = Math.round(salary * cardRules.thresholdPercent / 100);
+  let remainingThreshold = threshold;
+  let cardDeduction = 0;
+  [['credit', cardRules.creditRate], ['debit', cardRules.debitRate], ['cash', cardRules.cashRate]].forEach(([group, rate]) => {
+    const belowThreshold = Math.min(remainingThreshold, cardSpending[group]);
+    remainingThreshold -= belowThreshold;
+    cardDeduction += (cardSpending[group] - belowThreshold) * rate / 100;
+  });
+  const cardTotal = cardSpending.credit + cardSpending.debit + cardSpending.cash;
+
+  const credits = CATEGORY_TAX_GROUPS.map(group => {
+    const { thresholdPercent = 0, rate, cap } = taxRules[group];
+    const amount = categorySpending[group];
+    const eligibleAmount = applyCap(Math.max(0, amount - Math.round(salary * thresholdPercent / 100)), cap);
+    return { group, amount, eligibleAmount, credit: Math.floor(eligibleAmount * rate / 100) };
+  });
+
+  return {
+    salary,
+    rules: taxRules,
+    paymentMethods: [...methodTotals.values()].sort((a, b) => b.amount - a.amount),
+    card: {
+      ...cardSpending,
+      total: cardTotal,
+      threshold,
+      shortfall: Math.max(0, threshold - cardTotal),
+      deduction: Math.floor(applyCap(cardDeduction, cardRules.cap)),
+    },
+    credits,
+    totalCredit: credits.reduce((sum, item) => sum + item.credit, 0),
+    issues: issues.sort((a, b) => toEntryDate(b.entry.date) - toEntryDate(a.entry.date)),
+  };
+};
+
+// --- 자동 분류 규칙 ---
+// 가계부 문서의 categoryRules 배열에 위에서부터 우선순위대로 저장합니다.
+// 규칙: { id, matchType: 'contains' | 'regex', pattern, type: 'expense' | 'income', category, paymentMethod, tags }
+// 메모가 pattern을 포함하거나(대소문자 무시) 정규식에 맞으면 카테고리, 결제수단(지출만), 태그를 채웁니다.
+
+export const RULE_MATCH_TYPES = ['contains', 'regex'];
+const MIN_RULE_SUGGESTION_COUNT = 3; // 같은 메모가 이만큼 반복되면 규칙으로 추천합니다.
+const RULE_SUGGESTION_AGREEMENT = 0.8; // 그중 이 비율 이상이 같은 카테고리여야 합니다.
+
+// 쉼표나 #으로 구분합니다. '#커피, 카페 #제주여행 2026' → ['커피', '카페', '제주여행 2026']
+export const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : (tags || '').split(/[,#]/))
+    .map(tag => tag.trim().replace(/^#+/, '').trim())
+    .filter(Boolean)
+)];
+
+export const isValidRulePattern = (matchType, pattern) => {
+  if (!pattern?.trim()) return false;
+  if (matchType !== 'regex') return true;
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const ruleMatchesMemo = (rule, memo) => {
+  if (!memo || !isValidRulePattern(rule.matchType, rule.pattern)) return false;
+  return rule.matchType === 'regex'
+    ? new RegExp(rule.pattern, 'i').test(memo)
+    : memo.toLowerCase().includes(rule.pattern.trim().toLowerCase());
+};
+
+// 유형(수입/지출)이 같은 규칙 중 처음 맞는 규칙
+export const findMatchingRule = (rules, memo, type) => (
+  (rules || []).find(rule => rule.type === type && ruleMatchesMemo(rule, memo)) || null
+);
+
+// 내역에 규칙을 적용했을 때 바뀌는 필드. 카테고리가 바뀌면 세부 카테고리는 지웁니다(undefined). 바뀔 것이 없으면 null입니다.
+export const getRuleChanges = (entry, rule) => {
+  const changes = {};
+  // 분할 내역은 줄마다 카테고리를 정했으므로 카테고리는 바꾸지 않습니다.
+  if (rule.category && !(entry.splitLines?.length > 0) && entry.category !== rule.category) {
+    changes.category = rule.category;
+    if (entry.subcategory) changes.subcategory = undefined;
+  }
+  if (entry.type === 'expense' && rule.paymentMethod && entry.paymentMethod !== rule.paymentMethod) {
+    changes.paymentMethod = rule.paymentMethod;
+  }
+  const tags = normalizeTags([...(entry.tags || []), ...(rule.tags || [])]);
+  if (tags.length > (entry.tags || []).length) {
+    changes.tags = tags;
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// 일괄 적용 목록 ([{ entry, rule, changes }]). 이체와 바뀔 것이 없는 내역은 뺍니다.
+export const planRuleApplications = (entries, rules) => entries.flatMap(entry => {
+  if (entry.type === 'transfer') return [];
+  const rule = findMatchingRule(rules, entry.memo, entry.type);
+  const changes = rule && getRuleChanges(entry, rule);
+  return changes ? [{ entry, rule, changes }] : [];
+});
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+};
+
+// 같은 메모로 여러 번 입력한 내역에서 규칙을 추천합니다. 이미 규칙이 있는 메모와 분류가 제각각인 메모는 뺍니다.
+// fallbackCategories(예: '기타 지출')로 분류된 내역은 학습에 쓰지 않습니다.
+export const suggestRulesFromEntries = (entries, rules, fallbackCategories = []) => {
+  const groups = {};
+  entries.forEach(entry => {
+    const memo = (entry.memo || '').trim();
+    if (entry.type === 'transfer' || !memo || !entry.category || fallbackCategories.includes(entry.category)) return;
+    const key = `${entry.type}|${memo.toLowerCase()}`;
+    if (!groups[key]) groups[key] = { type: entry.type, memo, entries: [] };
+    groups[key].entries.push(entry);
+  });
+
+  return Object.values(groups).flatMap(({ type, memo, entries: groupEntries }) => {
+    if (groupEntries.length < MIN_RULE_SUGGESTION_COUNT || findMatchingRule(rules, memo, type)) return [];
+    const [category, categoryCount] = mostCommon(groupEntries.map(entry => entry.category));
+    if (categoryCount / groupEntries.length < RULE_SUGGESTION_AGREEMENT) return [];
+    const [paymentMethod, paymentCount] = type === 'expense'
+      ? mostCommon(groupEntries.filter(entry => entry.category === category && entry.paymentMethod).map(entry => entry.paymentMethod))
+      : [null, 0];
+    return [{
+      matchType: 'contains',
+      pattern: memo,
+      type,
+      category,
+      paymentMethod: paymentCount / categoryCount >= RULE_SUGGESTION_AGREEMENT ? paymentMethod : '',
+      tags: [],
+      count: groupEntries.length,
+    }];
+  }).sort((a, b) => b.count - a.count);
+};
+
+// --- 외화 ---
+// 외화 내역은 amount에 원화 환산액을 저장하므로 합계, 추이, 리포트는 따로 처리하지 않아도 됩니다.
+// 원래 금액은 originalAmount, 통화는 currency(ISO 코드), 적용한 환율(1단위당 원)은 exchangeRate에 함께 남깁니다.
+// 가계부의 환율표(exchangeRates)는 { USD: { 'YYYY-MM-DD': 1380.5 } } 형태로 날짜별 환율을 보관합니다.
+
+export const BASE_CURRENCY = 'KRW';
+
+export const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+export const isForeignEntry = (entry) => !!entry.currency && entry.currency !== BASE_CURRENCY;
+
+export const convertToBaseCurrency = (amount, exchangeRate) => Math.round(amount * exchangeRate);
+
+// 내역 날짜 이전의 가장 최근 환율을 찾고, 없으면 가장 오래된 환율을 씁니다. 환율표에 없는 통화는 null입니다.
+export const findExchangeRate = (exchangeRates, currency, dateString) => {
+  const dates = Object.keys(exchangeRates?.[currency] || {}).sort();
+  if (dates.length === 0) return null;
+  const date = [...dates].reverse().find(rateDate => rateDate <= dateString) || dates[0];
+  return exchangeRates[currency][date];
+};
+
+// 통화별 가장 최근 환율 ([{ currency, date, rate, count }], 통화 코드순)
+export const getLatestExchangeRates = (exchangeRates) => Object.keys(exchangeRates || {}).sort().map(currency => {
+  const dates = Object.keys(exchangeRates[currency]).sort();
+  const date = dates[dates.length - 1];
+  return { currency, date, rate: exchangeRates[currency][date], count: dates.length };
+});
+
+const RATE_DATE_PATTERN = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/;
+// 날짜로 보이는 셀. 구분자가 없는 '20240105'나 점으로 구분한 날짜는 받지 않지만, 환율로 잘못 읽지 않도록 구분해 둡니다.
+const DATE_LIKE_PATTERN = /^\d{8}$|^\d{4}[-./]\d{1,2}[-./]\d{1,2}\.?$/;
+const RATE_PATTERN = /^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+
+// 'YYYY-MM-DD' 또는 'YYYY/MM/DD'이고 실제로 있는 날짜만 'YYYY-MM-DD'로 바꿉니다.
+const parseRateDate = (value) => {
+  const match = RATE_DATE_PATTERN.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.toISOString().split('T')[0] : null;
+};
+
+// 환율 파일의 행(CSV를 나눈 2차원 배열)을 읽습니다. 열 순서는 자유롭고 날짜, 통화, 환율 셀을 값의 모양으로 구분합니다.
+// 날짜가 없는 행은 defaultDate로 기록하고, 날짜가 있지만 형식이 맞지 않거나 없는 날짜인 행은 건너뜁니다.
+// 한국은행 고시처럼 'JPY(100)'으로 적힌 통화는 1단위 환율로 나눕니다.
+export const parseExchangeRateRows = (rows, defaultDate) => {
+  const rates = [];
+  let skipped = 0;
+  rows.forEach(cells => {
+    const values = cells.map(cell => cell.trim());
+    const dateCell = values.find(value => DATE_LIKE_PATTERN.test(value));
+    const date = dateCell === undefined ? defaultDate : parseRateDate(dateCell);
+    const unit = values.map(value => /^([A-Za-z]{3})\s*(?:\((\d+)\))?$/.exec(value)).find(Boolean);
+    const rate = values
+      .filter(value => !DATE_LIKE_PATTERN.test(value) && RATE_PATTERN.test(value))
+      .map(value => parseFloat(value.replace(/,/g, '')))
+      .find(value => Number.isFinite(value) && value > 0);
+    if (!date || !unit || rate === undefined) {
+      skipped++;
+      return;
+    }
+    const currency = unit[1].toUpperCase();
+    if (currency === BASE_CURRENCY) {
+      skipped++;
+      return;
+    }
+    rates.push({ currency, date, rate: rate / (unit[2] ? Number(unit[2]) : 1) });
+  });
+  return { rates, skipped };
+};
+
+// 외화 반복 내역은 발생일의 환율(환율표에 없으면 등록할 때의 환율)로 원화 금액을 다시 계산합니다.
+export const getRecurringAmount = (template, exchangeRates, dateString) => {
+  if (!isForeignEntry(template) || !(template.originalAmount > 0)) return { amount: template.amount };
+  const exchangeRate = findExchangeRate(exchangeRates, template.currency, dateString) ?? template.exchangeRate;
+  return { amount: convertToBaseCurrency(template.originalAmount, exchangeRate), exchangeRate };
+};
+
+// 같은 통화, 같은 날짜의 환율은 새 값으로 덮어씁니다.
+export const mergeExchangeRates = (exchangeRates, rates) => {
+  const merged = Object.fromEntries(Object.entries(exchangeRates || {}).map(([currency, byDate]) => [currency, { ...byDate }]));
+  rates.forEach(({ currency, date, rate }) => {
+    if (!CURRENCY_CODE_PATTERN.test(currency)) return;
+    merged[currency] = { ...merged[currency], [date]: rate };
+  });
+  return merged;
+};
+
+// --- 부부 정산 ---
+// 지출의 paidBy(결제한 구성원 uid)와 splitShares({ uid: 부담 비율(%) }, 합계 100)로 누가 누구에게 얼마를 줘야 하는지 계산합니다.
+// 둘 중 하나라도 없는 지출(예전 내역, 공동 통장에서 낸 생활비 등)은 정산에서 빠집니다.
+// 정산 기록(settlements 컬렉션: { date, from, to, amount })은 from이 to에게 돈을 보낸 것으로 반영합니다.
+
+export const getEqualShares = (memberIds) => Object.fromEntries(memberIds.map(uid => [uid, 100 / memberIds.length]));
+
+// 줄 사람과 받을 사람을 금액이 큰 순서로 짝지어 송금 목록([{ from, to, amount }])을 만듭니다.
+const getSettlementTransfers = (balances) => {
+  const byAmount = (a, b) => b.amount - a.amount;
+  const debtors = Object.entries(balances).filter(([, member]) => member.balance < 0).map(([uid, member]) => ({ uid, amount: -member.balance })).sort(byAmount);
+  const creditors = Object.entries(balances).filter(([, member]) => member.balance > 0).map(([uid, member]) => ({ uid, amount: member.balance })).sort(byAmount);
+
+  const transfers = [];
+  let debtorIndex = 0;
+  let creditorIndex = 0;
+  while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+    const debtor = debtors[debtorIndex];
+    const creditor = creditors[creditorIndex];
+    const amount = Math.min(debtor.amount, creditor.amount);
+    transfers.push({ from: debtor.uid, to: creditor.uid, amount });
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+    if (debtor.amount === 0) debtorIndex++;
+    if (creditor.amount === 0) creditorIndex++;
+  }
+  return transfers;
+};
+
+// 구성원별 낸 금액(paid), 부담할 금액(share), 보낸/받은 정산(sent/received)과 잔액(balance: 양수면 받을 돈, 음수면 줄 돈)
+export const computeSettlement = (entries, settlements) => {
+  const members = {};
+  const memberOf = (uid) => {
+    if (!members[uid]) members[uid] = { paid: 0, share: 0, sent: 0, received: 0 };
+    return members[uid];
+  };
+
+  const splitEntries = entries.filter(entry => entry.type === 'expense' && entry.paidBy && entry.splitShares);
+  splitEntries.forEach(entry => {
+    memberOf(entry.paidBy).paid += entry.amount;
+    Object.entries(entry.splitShares).forEach(([uid, percent]) => {
+      memberOf(uid).share += entry.amount * percent / 100;
+    });
+  });
+  settlements.forEach(settlement => {
+    memberOf(settlement.from).sent += settlement.amount;
+    memberOf(settlement.to).received += settlement.amount;
+  });
+
+  const balances = Object.fromEntries(Object.entries(members).map(([uid, member]) => [uid, {
+    paid: member.paid,
+    share: Math.round(member.share),
+    sent: member.sent,
+    received: member.received,
+    balance: Math.round(member.paid - member.share + member.sent - member.received),
+  }]));
+  return { members: balances, transfers: getSettlementTransfers(balances), entryCount: splitEntries.length };
+};
+
+// --- 이상 내역 (중복, 큰 금액) ---
+// 두 사람이 같은 가계부에 기록하다 보면 같은 결제를 둘 다 적거나 금액에 0을 하나 더 붙이는 일이 생깁니다.
+// - 중복: 유형, 카테고리, 금액이 같고 며칠 안에 서로 다른 사람이 기록한 내역 (반복 내역끼리는 제외)
+// - 큰 금액: 같은 카테고리의 평소 금액(중간값)보다 몇 배 이상 큰 내역. 비교할 내역이 적으면 판단하지 않습니다.
+// 검토해서 문제없다고 한 항목은 가계부 문서의 reviewedAnomalies에 키를 남겨 다시 보여주지 않습니다.
+// 내역이 지워졌거나 검사 기간을 벗어난 키는 다음 검토 때 지웁니다 (getStaleReviewKeys).
+
+export const DUPLICATE_WINDOW_DAYS = 3;
+export const OUTLIER_RATIO = 5;
+const OUTLIER_MIN_SAMPLES = 5;
+
+export const isLikelyDuplicate = (a, b) => (
+  a.id !== b.id
+  && a.type !== 'transfer'
+  && a.type === b.type
+  && a.category === b.category
+  && a.amount === b.amount
+  && a.recordedBy !== b.recordedBy
+  && !(a.recurringId && b.recurringId)
+  && Math.abs(toEntryDate(a.date) - toEntryDate(b.date)) <= DUPLICATE_WINDOW_DAYS * 86400000
+);
+
+const getDuplicateKey = (a, b) => `dup:${[a.id, b.id].sort().join(':')}`;
+
+// 중복으로 보이는 내역 쌍 ([{ key, entries: [먼저 날짜, 나중 날짜] }], 최근 것부터)
+export const findDuplicatePairs = (entries, reviewed = {}) => {
+  const sorted = sortEntries(entries, 'date-asc');
+  const pairs = [];
+  sorted.forEach((entry, index) => {
+    for (let next = index + 1; next < sorted.length; next += 1) {
+      const other = sorted[next];
+      if (toEntryDate(other.date) - toEntryDate(entry.date) > DUPLICATE_WINDOW_DAYS * 86400000) break;
+      const key = getDuplicateKey(entry, other);
+      if (isLikelyDuplicate(entry, other) && !reviewed[key]) pairs.push({ key, entries: [entry, other] });
+    }
+  });
+  return pairs.reverse();
+};
+
+// 유형/카테고리별 금액 중간값과 건수. 이체와 분할 내역은 카테고리 하나의 금액이 아니므로 뺍니다.
+export const getCategoryAmountStats = (entries) => {
+  const amounts = {};
+  entries.forEach(entry => {
+    if (entry.type === 'transfer' || entry.splitLines) return;
+    const key = `${entry.type}:${entry.category}`;
+    (amounts[key] || (amounts[key] = [])).push(entry.amount);
+  });
+  return Object.fromEntries(Object.entries(amounts).map(([key, values]) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return [key, { median, count: sorted.length }];
+  }));
+};
+
+// 평소 금액의 OUTLIER_RATIO배 이상이면 { median, ratio }, 아니면 null
+export const getAmountOutlier = (entry, stats) => {
+  if (entry.type === 'transfer' || entry.splitLines) return null;
+  const stat = stats[`${entry.type}:${entry.category}`];
+  if (!stat || stat.count < OUTLIER_MIN_SAMPLES || !(stat.median > 0)) return null;
+  const ratio = entry.amount / stat.median;
+  return ratio >= OUTLIER_RATIO ? { median: stat.median, ratio } : null;
+};
+
+// 평소보다 훨씬 큰 내역 ([{ key, entry, outlier }], 최근 것부터). 평소 금액은 넘겨받은 내역 전체로 계산합니다.
+export const findOutlierEntries = (entries, reviewed = {}) => {
+  const stats = getCategoryAmountStats(entries);
+  return sortEntriesByDateDesc(entries)
+    .map(entry => ({ key: `out:${entry.id}`, entry, outlier: getAmountOutlier(entry, stats) }))
+    .filter(item => item.outlier && !reviewed[item.key]);
+};
+
+// 검토 완료 키('dup:아이디:아이디', 'out:아이디') 중 가리키는 내역이 검사한 내역(entries)에 없는 키
+export const getStaleReviewKeys = (reviewed = {}, entries) => {
+  const ids = new Set(entries.map(entry => entry.id));
+  return Object.keys(reviewed).filter(key => !key.split(':').slice(1).every(id => ids.has(id)));
+};
+
+// 새로 입력하는 내역(recordedBy 포함)을 최근 내역과 비교합니다.
+export const checkNewEntry = (entryData, recentEntries) => ({
+  duplicates: recentEntries.filter(entry => isLikelyDuplicate(entryData, entry)),
+  outlier: getAmountOutlier(entryData, getCategoryAmountStats(recentEntries)),
+});
+
+// 중복 내역을 합칠 때 남길 내역의 데이터. 비어 있는 항목은 지울 내역에서 채우고,
+// 메모는 다르면 이어 붙이며 태그와 첨부파일은 모두 모읍니다.
+export const buildMergedEntryData = (keep, remove) => {
+  const data = stripEntryMeta(keep);
+  OPTIONAL_ENTRY_FIELDS.forEach(field => {
+    if (data[field] === undefined && remove[field] !== undefined) data[field] = remove[field];
+  });
+  data.memo = [...new Set([keep.memo, remove.memo].filter(Boolean))].join(' / ');
+  const tags = [...new Set([...(keep.tags || []), ...(remove.tags || [])])];
+  if (tags.length > 0) data.tags = tags;
+  const keptAttachments = keep.attachments || [];
+  const attachments = [
+    ...keptAttachments,
+    ...(remove.attachments || []).filter(attachment => !keptAttachments.some(other => other.path === attachment.path)),
+  ];
+  if (attachments.length > 0) data.attachments = attachments;
+  return data;
+};
+
+// --- 내역 조회 ---
+
+// range: { start, end } (end 미포함). 생략하면 전체 기간입니다.
+// 같은 필드에 대한 범위 조건과 정렬이므로 복합 색인이 필요하지 않습니다.
+export const entriesQuery = (db, ledgerId, range) => {
+  const constraints = [];
+  if (range?.start) constraints.push(where('date', '>=', range.start));
+  if (range?.end) constraints.push(where('date', '<', range.end));
+  return query(ledgerCollectionRef(db, ledgerId, 'entries'), ...constraints, orderBy('date'));
+};
+
+const toEntry = (docSnap) => ({ id: docSnap.id, ...docSnap.data(), hasPendingWrites: docSnap.metadata.hasPendingWrites });
+
+export const fetchEntries = async (db, ledgerId, range) => {
+  const snapshot = await getDocs(entriesQuery(db, ledgerId, range));
+  return snapshot.docs.map(toEntry);
+};
+
+// 같은 가계부/기간을 보는 화면끼리 하나의 리스너를 공유합니다. 마지막 구독자가 해제하면 리스너도 닫힙니다.
+const sharedEntrySubscriptions = new Map();
+
+const rangeKey = (ledgerId, range) => `${ledgerId}|${range?.start?.getTime() ?? ''}|${range?.end?.getTime() ?? ''}`;
+
+// 구독 중인 모든 기간을 통틀어 아직 서버에 전송되지 않은 내역 수 (여러 기간에 걸친 내역은 한 번만 셉니다)
+const pendingCountListeners = new Set();
+
+const countPendingEntries = (ledgerId) => {
+  const pendingIds = new Set();
+  sharedEntrySubscriptions.forEach(subscription => {
+    if (subscription.ledgerId !== ledgerId) return;
+    (subscription.entries || []).forEach(entry => {
+      if (entry.hasPendingWrites) pendingIds.add(entry.id);
+    });
+  });
+  return pendingIds.size;
+};
+
+const notifyPendingCount = () => {
+  pendingCountListeners.forEach(listener => listener.onChange(countPendingEntries(listener.ledgerId)));
+};
+
+export const subscribeEntries = (db, ledgerId, range, onChange, onError) => {
+  const key = rangeKey(ledgerId, range);
+  let subscription = sharedEntrySubscriptions.get(key);
+  if (!subscription) {
+    const current = { ledgerId, listeners: new Set(), entries: null };
+    // 기기에만 저장되고 아직 서버에 전송되지 않은 내역을 표시하기 위해 메타데이터 변경도 받습니다.
+    current.unsubscribe = onSnapshot(entriesQuery(db, ledgerId, range), { includeMetadataChanges: true }, (snapshot) => {
+      current.entries = snapshot.docs.map(toEntry);
+      current.listeners.forEach(listener => listener.onChange(current.entries));
+      notifyPendingCount();
+    }, (error) => {
+      current.listeners.forEach(listener => listener.onError?.(error));
+    });
+    sharedEntrySubscriptions.set(key, current);
+    subscription = current;
+  }
+
+  const listener = { onChange, onError };
+  subscription.listeners.add(listener);
+  if (subscription.entries) {
+    onChange(subscription.entries);
+  }
+
+  return () => {
+    subscription.listeners.delete(listener);
+    if (subscription.listeners.size === 0) {
+      subscription.unsubscribe();
+      sharedEntrySubscriptions.delete(key);
+      notifyPendingCount();
+    }
+  };
+};
+
+// 기간이 바뀌는 동안에는 이전 기간의 내역이 잠시 남아 있으므로, 화면에서는 isInRange로 한 번 더 거릅니다.
+export const useLedgerEntries = (db, ledgerId, range, onError) => {
+  const [entries, setEntries] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const startTime = range?.start?.getTime() ?? null;
+  const endTime = range?.end?.getTime() ?? null;
+
+  useEffect(() => {
+    if (!db || !ledgerId) {
+      setEntries([]);
+      return;
+    }
+    const bounds = {
+      start: startTime === null ? null : new Date(startTime),
+      end: endTime === null ? null : new Date(endTime),
+    };
+    return subscribeEntries(db, ledgerId, bounds, setEntries, (error) => {
+      console.error("Error fetching entries:", error);
+      onErrorRef.current?.(error);
+    });
+  }, [db, ledgerId, startTime, endTime]);
+
+  return entries;
+};
+
+export const usePendingEntryCount = (ledgerId) => {
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    if (!ledgerId) {
+      setCount(0);
+      return;
+    }
+    const listener = { ledgerId, onChange: setCount };
+    pendingCountListeners.add(listener);
+    setCount(countPendingEntries(ledgerId));
+    return () => {
+      pendingCountListeners.delete(listener);
+    };
+  }, [ledgerId]);
+
+  return count;
+};
+
+// 여러 구독에서 받은 내역을 합칩니다 (같은 내역은 한 번만).
+export const mergeEntries = (...entryLists) => [...new Map(entryLists.flat().map(entry => [entry.id, entry])).values()];
+
+// 할부 내역은 구매일이 오래전이어도 남은 회차가 있을 수 있어 기간 조건 없이 따로 구독합니다.
+export const useInstallmentEntries = (db, ledgerId, onError) => {
+  const [entries, setEntries] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    if (!db || !ledgerId) {
+      setEntries([]);
+      return;
+    }
+    const installmentsQuery = query(ledgerCollectionRef(db, ledgerId, 'entries'), where('installmentMonths', '>', 1));
+    return onSnapshot(installmentsQuery, (snapshot) => {
+      setEntries(snapshot.docs.map(toEntry));
+    }, (error) => {
+      console.error("Error fetching installment entries:", error);
+      onErrorRef.current?.(error);
+    });
+  }, [db, ledgerId]);
+
+  return entries;
+};
+
+// --- 내역 저장 ---
+// 오프라인에서도 바로 반영되도록 호출하는 쪽에서는 반환된 Promise를 기다리지 않아도 됩니다.
+
+// 입력/수정 폼에서 공통으로 사용하는 유효성 검사. 문제가 있으면 오류 메시지를, 없으면 null을 반환합니다.
+export const validateEntryInput = ({ type, amount, category, paymentMethod, fromAccount, toAccount, installmentRate }) => {
+  const parsedAmount = parseFloat(amount);
+  if (isNaN(parsedAmount) || parsedAmount <= 0) {
+    return "유효한 금액을 입력해주세요.";
+  }
+  if (type === 'transfer') {
+    if (!fromAccount || !toAccount) {
+      return "출금 계좌와 입금 계좌를 선택해주세요.";
+    }
+    if (fromAccount === toAccount) {
+      return "출금 계좌와 입금 계좌가 같습니다.";
+    }
+    return null;
+  }
+  if (!category) {
+    return "카테고리를 선택해주세요.";
+  }
+  if (type === 'expense' && !paymentMethod) {
+    return "결제 수단을 선택해주세요.";
+  }
+  if (installmentRate) {
+    const parsedRate = parseFloat(installmentRate);
+    if (isNaN(parsedRate) || parsedRate < 0 || parsedRate > 100) {
+      return "할부 수수료율을 0~100% 사이로 입력해주세요.";
+    }
+  }
+  return null;
+};
+
+// 수정 시 값이 비워지면 문서에서 필드를 삭제해야 하는 항목들
+// (이체로 바꾸면 카테고리가, 수입/지출로 바꾸면 출금/입금 계좌가 비워집니다.)
+export const OPTIONAL_ENTRY_FIELDS = ['category', 'subcategory', 'paymentMethod', 'account', 'fromAccount', 'toAccount', 'installmentMonths', 'installmentRate', 'savingsGoal', 'cashReceipt', 'attachments', 'paidBy', 'splitShares', 'currency', 'originalAmount', 'exchangeRate', 'tags', 'splitLines'];
+
+// 분할 줄에만 쓰인 카테고리도 array-contains로 찾을 수 있도록 모든 줄의 카테고리를 categories에 함께 저장합니다.
+const withCategoryIndex = (entryData) => (
+  entryData.category ? { ...entryData, categories: getEntryCategories(entryData) } : entryData
+);
+
+export const addEntry = (db, ledgerId, userId, entryData) => (
+  setDoc(doc(ledgerCollectionRef(db, ledgerId, 'entries')), withCategoryIndex({ ...entryData, recordedBy: userId }))
+);
+
+const stripEntryMeta = ({ id, hasPendingWrites, ...data }) => data;
+
+// 수정/삭제 시 변경 전후 값을 revisions 컬렉션에 함께 기록합니다 (같은 batch로 원자적으로 저장).
+const batchUpdateEntry = (batch, db, ledgerId, userId, entry, entryData) => {
+  const before = stripEntryMeta(entry);
+  const after = { ...before, ...entryData };
+  const changes = { ...entryData, updatedBy: userId, updatedAt: serverTimestamp() };
+  OPTIONAL_ENTRY_FIELDS.forEach(field => {
+    if (entryData[field] === undefined && before[field] !== undefined) {
+      delete after[field];
+      changes[field] = deleteField();
+    }
+  });
+  if (after.category) {
+    after.categories = changes.categories = getEntryCategories(after);
+  } else if (before.categories) {
+    delete after.categories;
+    changes.categories = deleteField();
+  }
+
+  batch.update(doc(ledgerCollectionRef(db, ledgerId, 'entries'), entry.id), changes);
+  batch.set(doc(ledgerCollectionRef(db, ledgerId, 'revisions')), {
+    entryId: entry.id,
+    action: 'update',
+    before,
+    after,
+    changedBy: userId,
+    changedAt: serverTimestamp(),
+  });
+};
+
+const batchDeleteEntry = (batch, db, ledgerId, userId, entry) => {
+  batch.delete(doc(ledgerCollectionRef(db, ledgerId, 'entries'), entry.id));
+  batch.set(doc(ledgerCollectionRef(db, ledgerId, 'revisions')), {
+    entryId: entry.id,
+    action: 'delete',
+    before: stripEntryMeta(entry),
+    after: null,
+    changedBy: userId,
+    changedAt: serverTimestamp(),
+  });
+};
+
+export const updateEntry = (db, ledgerId, userId, entry, entryData) => {
+  const batch = writeBatch(db);
+  batchUpdateEntry(batch, db, ledgerId, userId, entry, entryData);
+  return batch.commit();
+};
+
+export const deleteEntry = (db, ledgerId, userId, entry) => {
+  const batch = writeBatch(db);
+  batchDeleteEntry(batch, db, ledgerId, userId, entry);
+  return batch.commit();
+};
+
+// 중복 내역 합치기: keep은 buildMergedEntryData로 고치고 remove는 지웁니다.
+// 첨부파일은 keep으로 옮겨지므로 저장소에서 지우지 않습니다.
+export const mergeDuplicateEntry = (db, ledgerId, userId, keep, remove) => {
+  const batch = writeBatch(db);
+  batchUpdateEntry(batch, db, ledgerId, userId, keep, buildMergedEntryData(keep, remove));
+  batchDeleteEntry(batch, db, ledgerId, userId, remove);
+  return batch.commit();
+};
+
+const WRITE_BATCH_SIZE = 400; // Firestore batch 한도(500건)보다 여유 있게
+
+// batch를 모두 한꺼번에 커밋합니다. 오프라인이면 로컬 캐시에 바로 쌓이고 서버 응답은 연결된 뒤에 옵니다.
+export const importEntries = (db, ledgerId, entriesData) => {
+  const entriesRef = ledgerCollectionRef(db, ledgerId, 'entries');
+  const commits = [];
+  for (let start = 0; start < entriesData.length; start += WRITE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    entriesData.slice(start, start + WRITE_BATCH_SIZE).forEach(entryData => batch.set(doc(entriesRef), withCategoryIndex(entryData)));
+    commits.push(batch.commit());
+  }
+  return Promise.all(commits);
+};
+
+// 여러 내역의 일부 필드만 바꿉니다 (규칙 일괄 적용 등). updates: [{ entry, changes }], 값이 undefined인 필드는 지웁니다.
+// 내역마다 변경 이력을 함께 남기므로 한 batch에 절반씩 담고, importEntries처럼 batch를 모두 한꺼번에 커밋합니다.
+export const patchEntries = (db, ledgerId, userId, updates) => {
+  const perBatch = WRITE_BATCH_SIZE / 2;
+  const commits = [];
+  for (let start = 0; start < updates.length; start += perBatch) {
+    const batch = writeBatch(db);
+    updates.slice(start, start + perBatch).forEach(({ entry, changes }) => {
+      const before = stripEntryMeta(entry);
+      const after = { ...before };
+      const update = { updatedBy: userId, updatedAt: serverTimestamp() };
+      Object.entries(changes).forEach(([field, value]) => {
+        if (value === undefined) {
+          delete after[field];
+          update[field] = deleteField();
+        } else {
+          after[field] = value;
+          update[field] = value;
+        }
+      });
+      if (after.category) {
+        after.categories = update.categories = getEntryCategories(after);
+      } else if (before.categories) {
+        delete after.categories;
+        update.categories = deleteField();
+      }
+      batch.update(doc(ledgerCollectionRef(db, ledgerId, 'entries'), entry.id), update);
+      batch.set(doc(ledgerCollectionRef(db, ledgerId, 'revisions')), {
+        entryId: entry.id,
+        action: 'update',
+        before,
+        after,
+        changedBy: userId,
+        changedAt: serverTimestamp(),
+      });
+    });
+    commits.push(batch.commit());
+  }
+  return Promise.all(commits);
+};
+
+// 내역(또는 반복 내역)의 대표 카테고리와 분할 줄에서 oldName을 newName으로 바꾼 변경분을 만듭니다.
+export const renameEntryCategory = (entry, oldName, newName) => {
+  const rename = (category) => (category === oldName ? newName : category);
+  const changes = { category: rename(entry.category) };
+  if (entry.splitLines?.length > 0) {
+    changes.splitLines = entry.splitLines.map(line => ({ ...line, category: rename(line.category) }));
+  }
+  changes.categories = getEntryCategories({ ...entry, ...changes });
+  return changes;
+};
+
+// 카테고리/결제 수단 이름이 바뀌면 과거 내역과 반복 내역에 저장된 이름도 함께 바꿉니다.
+// (type이 주어지면 같은 이름의 수입/지출 카테고리를 구분합니다.)
+// 카테고리는 분할 줄까지 바꿉니다. categories가 없는 예전 내역은 category로 찾고, 반복 내역은 수가 적어 모두 읽어 거릅니다.
+// 캐시에 있는 내역만 바뀌는 일이 없도록 서버에서 읽고, 오프라인이면 오류를 냅니다.
+// 반환값: { count: 바뀔 내역 수, commit: 변경을 모두 커밋하는 함수 (batch를 한꺼번에 커밋하고 Promise.all을 반환) }
+export const planFieldRename = async (db, ledgerId, field, oldName, newName, type) => {
+  const isCategory = field === 'category';
+  const buildQuery = (collectionName, condition) => {
+    const constraints = condition ? [condition] : [];
+    if (type) constraints.push(where('type', '==', type));
+    return query(ledgerCollectionRef(db, ledgerId, collectionName), ...constraints);
+  };
+
+  const matchesField = where(field, '==', oldName);
+  const snapshots = await Promise.all(isCategory
+    ? [
+      getDocsFromServer(buildQuery('entries', matchesField)),
+      getDocsFromServer(buildQuery('entries', where('categories', 'array-contains', oldName))),
+      getDocsFromServer(buildQuery('recurring')),
+    ]
+    : [getDocsFromServer(buildQuery('entries', matchesField)), getDocsFromServer(buildQuery('recurring', matchesField))]);
+  const docSnaps = [...new Map(snapshots.flatMap(snapshot => snapshot.docs).map(docSnap => [docSnap.ref.path, docSnap])).values()]
+    .filter(docSnap => !isCategory || getEntryCategories(docSnap.data()).includes(oldName));
+
+  const commit = () => {
+    const commits = [];
+    for (let start = 0; start < docSnaps.length; start += WRITE_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      docSnaps.slice(start, start + WRITE_BATCH_SIZE).forEach(docSnap => batch.update(
+        docSnap.ref,
+        isCategory ? renameEntryCategory(docSnap.data(), oldName, newName) : { [field]: newName }
+      ));
+      commits.push(batch.commit());
+    }
+    return Promise.all(commits);
+  };
+  return { count: docSnaps.filter(docSnap => docSnap.ref.parent.id === 'entries').length, commit };
+};
+
+// --- 정산 기록 ---
+
+const settlementsQuery = (db, ledgerId, range) => {
+  const constraints = [];
+  if (range?.start) constraints.push(where('date', '>=', range.start));
+  if (range?.end) constraints.push(where('date', '<', range.end));
+  return query(ledgerCollectionRef(db, ledgerId, 'settlements'), ...constraints, orderBy('date'));
+};
+
+export const useSettlements = (db, ledgerId, range, onError) => {
+  const [settlements, setSettlements] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const startTime = range?.start?.getTime() ?? null;
+  const endTime = range?.end?.getTime() ?? null;
+
+  useEffect(() => {
+    if (!db || !ledgerId) {
+      setSettlements([]);
+      return;
+    }
+    const bounds = {
+      start: startTime === null ? null : new Date(startTime),
+      end: endTime === null ? null : new Date(endTime),
+    };
+    return onSnapshot(settlementsQuery(db, ledgerId, bounds), (snapshot) => {
+      setSettlements(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+    }, (error) => {
+      console.error("Error fetching settlements:", error);
+      onErrorRef.current?.(error);
+    });
+  }, [db, ledgerId, startTime, endTime]);
+
+  return settlements;
+};
+
+// settlementData: { date, from, to, amount, memo }
+export const addSettlement = (db, ledgerId, userId, settlementData) => (
+  setDoc(doc(ledgerCollectionRef(db, ledgerId, 'settlements')), { ...settlementData, recordedBy: userId, createdAt: serverTimestamp() })
+);
+
+export const deleteSettlement = (db, ledgerId, settlementId) => (
+  deleteDoc(doc(ledgerCollectionRef(db, ledgerId, 'settlements'), settlementId))
+);
+
+// --- 반복 내역 (월세, 급여, 구독료 등) ---
+// 날짜는 기존 입력 폼과 같이 'YYYY-MM-DD' 문자열(UTC 기준)로 다룹니다.
+
+export const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const MAX_RECURRING_POSTS_PER_RUN = 100; // 한 번의 트랜잭션에서 추가할 최대 건수 (나머지는 다음 실행 때 이어서 처리)
+
+export const todayDateString = () => new Date().toISOString().split('T')[0];
+
+export const addDaysToDateString = (dateString, days) => {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// 말일보다 큰 날짜(예: 31일)는 그 달의 마지막 날로 처리합니다.
+export const matchesRecurrence = (rule, dateString) => {
+  const date = new Date(dateString);
+  const year = date.getUTCFullYear();
+  const monthIndex = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (rule.frequency) {
+    case 'weekly':
+      return date.getUTCDay() === rule.dayOfWeek;
+    case 'monthly':
+      return day === Math.min(rule.dayOfMonth, daysInMonth(year, monthIndex));
+    case 'yearly':
+      return monthIndex + 1 === rule.monthOfYear && day === Math.min(rule.dayOfMonth, daysInMonth(year, monthIndex));
+    default:
+      return false;
+  }
+};
+
+// afterDate(미포함) 다음 날부터 untilDate(포함)까지의 발생일 목록
+export const getRecurringOccurrences = (rule, afterDate, untilDate, maxCount = Infinity) => {
+  const occurrences = [];
+  let current = addDaysToDateString(afterDate, 1);
+  if (rule.startDate && current < rule.startDate) {
+    current = rule.startDate;
+  }
+  while (current <= untilDate && occurrences.length < maxCount) {
+    if (matchesRecurrence(rule, current)) {
+      occurrences.push(current);
+    }
+    current = addDaysToDateString(current, 1);
+  }
+  return occurrences;
+};
+
+export const describeRecurrence = (rule) => {
+  switch (rule.frequency) {
+    case 'weekly':
+      return `매주 ${WEEKDAY_LABELS[rule.dayOfWeek]}요일`;
+    case 'monthly':
+      return `매월 ${rule.dayOfMonth}일`;
+    case 'yearly':
+      return `매년 ${rule.monthOfYear}월 ${rule.dayOfMonth}일`;
+    default:
+      return '';
+  }
+};
+
+// 반복 내역마다 트랜잭션으로 lastPostedDate 이후의 발생분을 추가합니다.
+// 발생분은 '템플릿ID_날짜' 문서 ID를 사용하므로 두 기기에서 동시에 실행돼도 중복 기록되지 않고,
+// 사용자가 삭제한 발생분은 lastPostedDate가 이미 지나 있으므로 다시 생성되지 않습니다.
+export const postDueRecurringEntries = async (db, ledgerId, userId) => {
+  const entriesRef = ledgerCollectionRef(db, ledgerId, 'entries');
+  const today = todayDateString();
+  const [snapshot, ledgerSnap] = await Promise.all([getDocs(ledgerCollectionRef(db, ledgerId, 'recurring')), getDoc(ledgerDocRef(db, ledgerId))]);
+  const exchangeRates = ledgerSnap.data()?.exchangeRates;
+
+  let postedCount = 0;
+  for (const templateDoc of snapshot.docs) {
+    postedCount += await runTransaction(db, async (transaction) => {
+      const templateSnap = await transaction.get(templateDoc.ref);
+      if (!templateSnap.exists()) return 0;
+      const template = templateSnap.data();
+      if (!template.active) return 0;
+
+      const afterDate = template.lastPostedDate || addDaysToDateString(template.startDate, -1);
+      const dueDates = getRecurringOccurrences(template, afterDate, today, MAX_RECURRING_POSTS_PER_RUN);
+      if (dueDates.length === 0) return 0;
+
+      const entryRefs = dueDates.map(dateString => doc(entriesRef, `${templateDoc.id}_${dateString}`));
+      const existing = await Promise.all(entryRefs.map(ref => transaction.get(ref)));
+
+      let created = 0;
+      entryRefs.forEach((entryRef, index) => {
+        if (existing[index].exists()) return;
+        const entryData = {
+          date: new Date(dueDates[index]),
+          type: template.type,
+          amount: template.amount,
+          memo: template.memo || '',
+          recordedBy: userId,
+          recurringId: templateDoc.id,
+        };
+        OPTIONAL_ENTRY_FIELDS.forEach(field => {
+          if (template[field]) entryData[field] = template[field];
+        });
+        Object.assign(entryData, getRecurringAmount(template, exchangeRates, dueDates[index]));
+        transaction.set(entryRef, withCategoryIndex(entryData));
+        created += 1;
+      });
+      transaction.update(templateDoc.ref, { lastPostedDate: dueDates[dueDates.length - 1] });
+      return created;
+    });
+  }
+  return postedCount;
+};
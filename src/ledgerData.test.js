@@ -0,0 +1,747 @@
+import {
+  getMonthRange,
+  getMonthRangeFromKey,
+  getTrendRange,
+  isInRange,
+  sortEntriesByDateDesc,
+  sortEntries,
+  filterEntries,
+  summarizeEntries,
+  getMonthlyTotals,
+  buildMonthlyTrend,
+  computeBudgetStatus,
+  forecastMonthEnd,
+  getSafeDailySpending,
+  forecastMonthlyTrend,
+  findDuplicatePairs,
+  findOutlierEntries,
+  getStaleReviewKeys,
+  checkNewEntry,
+  buildMergedEntryData,
+  getRecurringOccurrences,
+  describeRecurrence,
+  getProfileLedgers,
+  getAccountsRange,
+  computeAccountBalances,
+  getNetWorth,
+  getCardStatementDates,
+  getBillingMonth,
+  getInstallmentAmounts,
+  getCardPayments,
+  forecastCardPayments,
+  getInstallmentSchedule,
+  spreadInstallments,
+  getActiveInstallments,
+  mergeEntries,
+  getGoalsRange,
+  getGoalContribution,
+  computeGoalProgress,
+  getMonthKeysBetween,
+  getPreviousYearRange,
+  getReportQueryRange,
+  buildReport,
+  computeTaxDeduction,
+  getEqualShares,
+  computeSettlement,
+  findExchangeRate,
+  parseExchangeRateRows,
+  getRecurringAmount,
+  mergeExchangeRates,
+  normalizeTags,
+  findMatchingRule,
+  planRuleApplications,
+  suggestRulesFromEntries,
+  getPrimaryCategory,
+  getCategoryLines,
+  renameEntryCategory,
+  collectTags,
+} from './ledgerData';
+
+// Firestore Timestamp처럼 toDate()만 제공하는 값
+const timestamp = (dateString) => ({ toDate: () => new Date(dateString) });
+
+const entry = (dateString, type, amount, category = '식비') => ({ date: timestamp(dateString), type, amount, category });
+
+describe('month ranges', () => {
+  test('covers the whole month with an exclusive end', () => {
+    const { start, end } = getMonthRange(2024, 1);
+    expect(start.toISOString()).toBe('2024-02-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  test('rolls over year boundaries', () => {
+    expect(getMonthRange(2024, -1).start.toISOString()).toBe('2023-12-01T00:00:00.000Z');
+    expect(getMonthRange(2024, 11).end.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('parses month keys and treats anything else as all time', () => {
+    expect(getMonthRangeFromKey('2024-07').start.toISOString()).toBe('2024-07-01T00:00:00.000Z');
+    expect(getMonthRangeFromKey('')).toBeNull();
+    expect(getMonthRangeFromKey('all')).toBeNull();
+  });
+
+  test('trend range ends with the given month', () => {
+    const { start, end } = getTrendRange(2024, 1, 6);
+    expect(start.toISOString()).toBe('2023-09-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  test('isInRange excludes the end bound', () => {
+    const range = getMonthRange(2024, 0);
+    expect(isInRange(entry('2024-01-01', 'expense', 1), range)).toBe(true);
+    expect(isInRange(entry('2024-01-31', 'expense', 1), range)).toBe(true);
+    expect(isInRange(entry('2024-02-01', 'expense', 1), range)).toBe(false);
+    expect(isInRange(entry('2024-02-01', 'expense', 1), null)).toBe(true);
+  });
+});
+
+describe('aggregation', () => {
+  const entries = [
+    entry('2024-01-05', 'expense', 12000, '식비'),
+    entry('2024-01-20', 'income', 3000000, '급여'),
+    entry('2024-01-25', 'expense', 50000, '교통비'),
+    entry('2024-01-28', 'expense', 8000, '식비'),
+    entry('2023-12-31', 'expense', 4000, '식비'),
+  ];
+
+  test('sorts entries newest first without mutating the input', () => {
+    const sorted = sortEntriesByDateDesc(entries);
+    expect(sorted[0]).toBe(entries[3]);
+    expect(sorted[sorted.length - 1]).toBe(entries[4]);
+    expect(entries[0].amount).toBe(12000);
+  });
+
+  test('summarizes totals and category sums', () => {
+    const summary = summarizeEntries(entries.slice(0, 4));
+    expect(summary.totalIncome).toBe(3000000);
+    expect(summary.totalExpense).toBe(70000);
+    expect(summary.netBalance).toBe(2930000);
+    expect(summary.categoryExpenses).toEqual([['교통비', 50000], ['식비', 20000]]);
+  });
+
+  test('leaves transfers out of income and expense totals', () => {
+    const transfer = { ...entry('2024-01-26', 'transfer', 500000, undefined), fromAccount: '국민은행', toAccount: '적금' };
+    const summary = summarizeEntries([...entries.slice(0, 4), transfer]);
+    expect(summary.totalIncome).toBe(3000000);
+    expect(summary.totalExpense).toBe(70000);
+    expect(getMonthlyTotals([transfer])).toEqual({ '2024-01': { income: 0, expense: 0 } });
+  });
+
+  test('groups monthly totals by month key', () => {
+    expect(getMonthlyTotals(entries)).toEqual({
+      '2024-01': { income: 3000000, expense: 70000 },
+      '2023-12': { income: 0, expense: 4000 },
+    });
+  });
+
+  test('builds a trend with empty months filled in, oldest first', () => {
+    const trend = buildMonthlyTrend(entries, 2024, 1, 3);
+    expect(trend).toEqual([
+      { monthKey: '2023-12', month: '12월', income: 0, expense: 4000 },
+      { monthKey: '2024-01', month: '1월', income: 3000000, expense: 70000 },
+      { monthKey: '2024-02', month: '2월', income: 0, expense: 0 },
+    ]);
+  });
+
+  test('computes budget status levels ordered by usage', () => {
+    const status = computeBudgetStatus({ 식비: 20000, 교통비: 100000, 의료비: 0 }, [['교통비', 85000], ['식비', 25000]], 80);
+    expect(status.map(({ category, level }) => [category, level])).toEqual([['식비', 'over'], ['교통비', 'warning']]);
+    expect(status[0].remaining).toBe(-5000);
+  });
+});
+
+describe('search and sort', () => {
+  const entries = [
+    { ...entry('2024-01-05', 'expense', 12000, '식비'), memo: '점심 김밥', recordedBy: 'a', paymentMethod: '체크카드' },
+    { ...entry('2024-02-10', 'expense', 45000, '교통비'), memo: 'KTX 예매', recordedBy: 'b', paymentMethod: '신용카드' },
+    { ...entry('2024-03-01', 'income', 3000000, '급여'), memo: '', recordedBy: 'a' },
+    { ...entry('2024-03-15', 'expense', 8000, '식비'), subcategory: '카페', recordedBy: 'b', paymentMethod: '신용카드' },
+  ];
+  const amounts = (result) => result.map(item => item.amount);
+
+  test('returns everything without conditions', () => {
+    expect(filterEntries(entries)).toHaveLength(4);
+  });
+
+  test('searches memo, category and subcategory case-insensitively', () => {
+    expect(amounts(filterEntries(entries, { query: 'ktx' }))).toEqual([45000]);
+    expect(amounts(filterEntries(entries, { query: '식비' }))).toEqual([12000, 8000]);
+    expect(amounts(filterEntries(entries, { query: '카페' }))).toEqual([8000]);
+  });
+
+  test('filters by an inclusive date range spanning months', () => {
+    expect(amounts(filterEntries(entries, { from: '2024-02-10', to: '2024-03-01' }))).toEqual([45000, 3000000]);
+    expect(amounts(filterEntries(entries, { from: '2024-03-01' }))).toEqual([3000000, 8000]);
+  });
+
+  test('combines amount range, categories, payment method and recorder', () => {
+    expect(amounts(filterEntries(entries, { minAmount: '10000', maxAmount: '50000' }))).toEqual([12000, 45000]);
+    expect(amounts(filterEntries(entries, { categories: ['식비', '급여'] }))).toEqual([12000, 3000000, 8000]);
+    expect(amounts(filterEntries(entries, { paymentMethod: '신용카드', recordedBy: 'b', type: 'expense' }))).toEqual([45000, 8000]);
+  });
+
+  test('sorts by amount, date and category', () => {
+    expect(amounts(sortEntries(entries, 'amount-asc'))).toEqual([8000, 12000, 45000, 3000000]);
+    expect(amounts(sortEntries(entries, 'date-asc'))).toEqual([12000, 45000, 3000000, 8000]);
+    expect(sortEntries(entries, 'category').map(item => item.category)).toEqual(['교통비', '급여', '식비', '식비']);
+    expect(amounts(sortEntries(entries, 'unknown'))).toEqual([8000, 3000000, 45000, 12000]);
+  });
+});
+
+describe('account balances', () => {
+  const accounts = [
+    { name: '국민은행', kind: 'bank', openingBalance: 1000000, openingDate: '2024-01-01' },
+    { name: '신용카드', kind: 'card', openingBalance: 0, openingDate: '2024-01-10' },
+    { name: '적금', kind: 'savings', openingBalance: 200000, openingDate: '2024-01-01' },
+  ];
+  const entries = [
+    { ...entry('2024-01-05', 'expense', 30000), account: '신용카드' },
+    { ...entry('2024-01-12', 'expense', 50000), account: '신용카드' },
+    { ...entry('2024-01-15', 'income', 3000000, '급여'), account: '국민은행' },
+    { ...entry('2024-01-20', 'expense', 10000) },
+    { date: timestamp('2024-01-25'), type: 'transfer', amount: 500000, fromAccount: '국민은행', toAccount: '적금' },
+    { date: timestamp('2024-01-26'), type: 'transfer', amount: 50000, fromAccount: '국민은행', toAccount: '신용카드' },
+  ];
+
+  test('applies entries and transfers on or after each opening date', () => {
+    const balances = computeAccountBalances(accounts, entries);
+    expect(balances.map(({ name, balance }) => [name, balance])).toEqual([
+      ['국민은행', 3450000],
+      ['신용카드', 0],
+      ['적금', 700000],
+    ]);
+  });
+
+  test('net worth is unchanged by transfers between accounts', () => {
+    const withoutTransfers = computeAccountBalances(accounts, entries.filter(item => item.type !== 'transfer'));
+    expect(getNetWorth(computeAccountBalances(accounts, entries))).toBe(4150000);
+    expect(getNetWorth(withoutTransfers)).toBe(4150000);
+  });
+
+  test('queries from the earliest opening date through the given day', () => {
+    const { start, end } = getAccountsRange(accounts, '2024-02-29');
+    expect(start.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    expect(getAccountsRange([{ name: '현금' }], '2024-02-29').start).toBeNull();
+  });
+});
+
+describe('reports', () => {
+  const withMemo = (item, memo) => ({ ...item, memo });
+  const entries = [
+    entry('2024-01-20', 'expense', 40000, '식비'),
+    withMemo(entry('2024-02-03', 'expense', 30000, '식비'), '스타벅스'),
+    withMemo(entry('2024-02-10', 'expense', 20000, '교통비'), '카카오T'),
+    entry('2024-02-25', 'income', 500000, '급여'),
+    withMemo(entry('2024-03-02', 'expense', 60000, '식비'), '스타벅스'),
+    withMemo(entry('2024-03-05', 'expense', 10000, '교통비'), ' 카카오T '),
+  ];
+  const previousYearEntries = [entry('2023-02-15', 'expense', 45000, '식비')];
+
+  test('lists months and shifts ranges', () => {
+    expect(getMonthKeysBetween('2023-11-15', '2024-02-01')).toEqual(['2023-11', '2023-12', '2024-01', '2024-02']);
+    expect(getPreviousYearRange('2024-02-29', '2024-03-31')).toEqual({ from: '2023-02-28', to: '2023-03-31' });
+    expect(getReportQueryRange('2024-01-15', '2024-03-31').start.toISOString()).toBe('2023-12-01T00:00:00.000Z');
+  });
+
+  test('builds monthly totals, category shares and changes', () => {
+    const report = buildReport(entries, previousYearEntries, '2024-02-01', '2024-03-31', '2024-03-10');
+    expect(report.months).toEqual([
+      { monthKey: '2024-02', income: 500000, expense: 50000, net: 450000 },
+      { monthKey: '2024-03', income: 0, expense: 70000, net: -70000 },
+    ]);
+    expect(report.totalExpense).toBe(120000);
+    expect(report.categories[0]).toEqual({
+      category: '식비', amount: 90000, percent: 75, lastMonthAmount: 60000, monthOverMonth: 100, previousYearAmount: 45000, yearOverYear: 100,
+    });
+    expect(report.categories[1]).toMatchObject({ category: '교통비', monthOverMonth: -50, yearOverYear: null });
+  });
+
+  test('ranks memos and averages daily spend up to today', () => {
+    const report = buildReport(entries, [], '2024-02-01', '2024-03-31', '2024-03-10');
+    expect(report.topMemos).toEqual([
+      { memo: '스타벅스', amount: 90000, count: 2 },
+      { memo: '카카오T', amount: 30000, count: 2 },
+    ]);
+    expect(report.averageDailyExpense).toBe(Math.round(120000 / 39));
+    expect(buildReport(entries, [], '2025-01-01', '2025-12-31', '2024-03-10').averageDailyExpense).toBe(0);
+  });
+});
+
+describe('savings goals', () => {
+  const goal = {
+    name: '여행 자금', targetAmount: 1200000, startDate: '2024-01-01', deadline: '2024-12-31',
+    initialAmount: 100000, account: '적금',
+  };
+  const transfer = (dateString, amount, fromAccount, toAccount) => ({ date: timestamp(dateString), type: 'transfer', amount, fromAccount, toAccount });
+
+  test('counts tagged entries, transfers into and out of the linked account and linked categories', () => {
+    expect(getGoalContribution(goal, transfer('2024-02-01', 50000, '국민은행', '적금'))).toBe(50000);
+    expect(getGoalContribution(goal, transfer('2024-02-01', 20000, '적금', '국민은행'))).toBe(-20000);
+    expect(getGoalContribution(goal, { ...entry('2024-02-01', 'expense', 30000), savingsGoal: '여행 자금' })).toBe(30000);
+    expect(getGoalContribution(goal, { ...transfer('2024-02-01', 50000, '국민은행', '적금'), savingsGoal: '비상금' })).toBe(0);
+    expect(getGoalContribution({ ...goal, account: null, category: '저축' }, entry('2024-02-01', 'expense', 10000, '저축'))).toBe(10000);
+  });
+
+  test('reports progress, required monthly saving and status', () => {
+    const entries = [
+      transfer('2023-12-20', 500000, '국민은행', '적금'),
+      transfer('2024-01-25', 200000, '국민은행', '적금'),
+      transfer('2024-02-25', 200000, '국민은행', '적금'),
+    ];
+    const progress = computeGoalProgress(goal, entries, '2024-03-01');
+    expect(progress.saved).toBe(500000);
+    expect(progress.remaining).toBe(700000);
+    expect(progress.monthsLeft).toBe(10);
+    expect(progress.requiredMonthly).toBe(70000);
+    expect(progress.status).toBe('on-track');
+    expect(computeGoalProgress(goal, entries, '2024-07-01').status).toBe('behind');
+    expect(computeGoalProgress(goal, entries, '2025-01-02')).toMatchObject({ status: 'overdue', monthsLeft: 0, requiredMonthly: 700000 });
+    expect(computeGoalProgress({ ...goal, targetAmount: 400000 }, entries, '2024-03-01')).toMatchObject({ status: 'achieved', percent: 100 });
+  });
+
+  test('queries from the earliest start date', () => {
+    expect(getGoalsRange([goal, { ...goal, startDate: '2023-06-01' }], '2024-03-01').start.toISOString()).toBe('2023-06-01T00:00:00.000Z');
+  });
+});
+
+describe('spending forecast', () => {
+  const templates = [
+    { active: true, type: 'expense', amount: 500000, category: '주거', frequency: 'monthly', dayOfMonth: 1, startDate: '2025-01-01' },
+    { active: true, type: 'expense', amount: 17000, category: '구독', frequency: 'monthly', dayOfMonth: 20, startDate: '2025-01-01' },
+    { active: true, type: 'income', amount: 3000000, category: '급여', frequency: 'monthly', dayOfMonth: 25, startDate: '2025-01-01' },
+    { active: false, type: 'expense', amount: 9900, category: '구독', frequency: 'monthly', dayOfMonth: 15, startDate: '2025-01-01' },
+  ];
+  const installment = { id: 'tv', date: new Date('2025-03-10'), type: 'expense', amount: 300000, category: '가전', installmentMonths: 3 };
+  const historyEntries = [
+    { date: new Date('2025-03-01'), type: 'expense', amount: 500000, category: '주거', recurringId: 'rent' },
+    { date: new Date('2025-03-15'), type: 'expense', amount: 620000, category: '식비' },
+    ...spreadInstallments([installment]).slice(0, 1),
+  ];
+  const entries = [
+    { date: new Date('2025-04-01'), type: 'expense', amount: 500000, category: '주거', recurringId: 'rent' },
+    { date: new Date('2025-04-05'), type: 'expense', amount: 100000, category: '식비' },
+  ];
+
+  test('blends this month\'s pace with past daily spending and adds the remaining recurring items', () => {
+    const forecast = forecastMonthEnd({ entries, historyEntries, templates, today: '2025-04-10' });
+    expect(forecast).toMatchObject({ daysInMonth: 30, daysElapsed: 10, daysLeft: 20, expense: 600000, upcomingExpense: 17000, upcomingIncome: 3000000 });
+    // 식비: 이번 달 하루 10,000원과 3월 하루 20,000원을 10/30 : 20/30으로 섞어 남은 20일에 곱합니다.
+    expect(forecast.categories).toEqual([
+      { category: '주거', spent: 500000, projected: 500000 },
+      { category: '식비', spent: 100000, projected: 433333 },
+      { category: '구독', spent: 0, projected: 17000 },
+    ]);
+    expect(forecast.projectedExpense).toBe(950333);
+    expect(forecast.projectedNet).toBe(3000000 - 950333);
+  });
+
+  test('uses only this month\'s pace without history', () => {
+    const forecast = forecastMonthEnd({ entries, today: '2025-04-10' });
+    expect(forecast.projectedExpense).toBe(500000 + 300000);
+    expect(forecast.projectedIncome).toBe(0);
+  });
+
+  test('spreads what is left of a limit over the remaining days including today', () => {
+    const forecast = forecastMonthEnd({ entries, historyEntries, templates, today: '2025-04-10' });
+    expect(getSafeDailySpending(forecast, 1000000)).toBe(Math.floor(383000 / 21));
+    expect(getSafeDailySpending(forecast, 500000)).toBe(0);
+  });
+
+  test('projects the next months from average variable amounts, recurring items and installments', () => {
+    expect(forecastMonthlyTrend({ historyEntries, installmentEntries: [installment], templates, fromMonthKey: '2025-04', monthCount: 2 })).toEqual([
+      { monthKey: '2025-05', month: '5월', income: 3000000, expense: 620000 + 517000 + 100000 },
+      { monthKey: '2025-06', month: '6월', income: 3000000, expense: 620000 + 517000 },
+    ]);
+  });
+});
+
+describe('anomaly detection', () => {
+  const entry = (id, date, amount, recordedBy, extra = {}) => ({ id, date: new Date(date), type: 'expense', category: '식비', amount, recordedBy, ...extra });
+
+  test('pairs equal entries recorded by different people within a few days', () => {
+    const entries = [
+      entry('a', '2025-03-01', 32000, 'wife'),
+      entry('b', '2025-03-03', 32000, 'husband'),
+      entry('c', '2025-03-03', 32000, 'wife'),
+      entry('d', '2025-03-10', 32000, 'husband'),
+      entry('e', '2025-03-02', 32000, 'husband', { category: '카페' }),
+    ];
+    expect(findDuplicatePairs(entries).map(pair => pair.entries.map(item => item.id))).toEqual([['b', 'c'], ['a', 'b']]);
+    expect(findDuplicatePairs(entries, { 'dup:b:c': true }).map(pair => pair.key)).toEqual(['dup:a:b']);
+  });
+
+  test('flags amounts far above the category median once there is enough history', () => {
+    const usual = [10000, 12000, 9000, 11000, 10000].map((amount, index) => entry(`u${index}`, `2025-03-0${index + 1}`, amount, 'wife'));
+    const typo = entry('typo', '2025-03-08', 110000, 'husband');
+    expect(findOutlierEntries([...usual, typo])).toEqual([{ key: 'out:typo', entry: typo, outlier: { median: 10500, ratio: 110000 / 10500 } }]);
+    expect(findOutlierEntries([...usual.slice(0, 3), typo])).toEqual([]);
+    expect(checkNewEntry({ ...typo, id: undefined, recordedBy: 'wife' }, [...usual, typo]).duplicates).toEqual([typo]);
+  });
+
+  test('finds review keys whose entries were deleted or left the window', () => {
+    const reviewed = { 'dup:a:b': true, 'dup:a:gone': true, 'out:b': true, 'out:old': true };
+    expect(getStaleReviewKeys(reviewed, [entry('a', '2025-03-01', 1000, 'wife'), entry('b', '2025-03-02', 1000, 'husband')]))
+      .toEqual(['dup:a:gone', 'out:old']);
+    expect(getStaleReviewKeys(undefined, [])).toEqual([]);
+  });
+
+  test('merges memos, tags and attachments into the kept entry', () => {
+    const keep = entry('a', '2025-03-01', 32000, 'wife', { memo: '마트', tags: ['장보기'], attachments: [{ path: 'p1' }], hasPendingWrites: false });
+    const remove = entry('b', '2025-03-02', 32000, 'husband', { memo: '이마트', tags: ['장보기', '주말'], attachments: [{ path: 'p2' }], paymentMethod: '카드' });
+    expect(buildMergedEntryData(keep, remove)).toEqual({
+      date: keep.date,
+      type: 'expense',
+      category: '식비',
+      amount: 32000,
+      recordedBy: 'wife',
+      memo: '마트 / 이마트',
+      tags: ['장보기', '주말'],
+      attachments: [{ path: 'p1' }, { path: 'p2' }],
+      paymentMethod: '카드',
+    });
+  });
+});
+
+describe('credit card billing', () => {
+  // 매월 말일 마감, 다음 달 14일 결제
+  const card = { name: '신한카드', kind: 'card', closingDay: 31, paymentDay: 14 };
+  // 매월 15일 마감, 같은 달 25일 결제
+  const midMonthCard = { name: '현대카드', kind: 'card', closingDay: 15, paymentDay: 25 };
+  const cardEntry = (dateString, amount, account = card.name, installmentMonths) => (
+    { ...entry(dateString, 'expense', amount), account, installmentMonths }
+  );
+
+  test('computes statement dates, clamping to the end of short months', () => {
+    expect(getCardStatementDates(card, 2024, 1)).toEqual({ closingDate: '2024-02-29', paymentDate: '2024-03-14' });
+    expect(getCardStatementDates(midMonthCard, 2024, 11)).toEqual({ closingDate: '2024-12-15', paymentDate: '2024-12-25' });
+    expect(getCardStatementDates(card, 2024, 11).paymentDate).toBe('2025-01-14');
+  });
+
+  test('assigns purchases after the closing day to the next cycle', () => {
+    expect(getBillingMonth(midMonthCard, timestamp('2024-03-15'))).toEqual({ year: 2024, monthIndex: 2 });
+    expect(getBillingMonth(midMonthCard, timestamp('2024-03-16'))).toEqual({ year: 2024, monthIndex: 3 });
+    expect(getBillingMonth(midMonthCard, timestamp('2024-12-20'))).toEqual({ year: 2025, monthIndex: 0 });
+  });
+
+  test('splits installments into whole won, with the remainder in the first month', () => {
+    expect(getInstallmentAmounts({ amount: 100000, installmentMonths: 3 })).toEqual([33334, 33333, 33333]);
+    expect(getInstallmentAmounts({ amount: 5000 })).toEqual([5000]);
+  });
+
+  test('groups card expenses by payment date, spreading installments over later statements', () => {
+    const entries = [
+      cardEntry('2024-01-10', 30000),
+      cardEntry('2024-01-31', 20000),
+      cardEntry('2024-02-01', 90000, card.name, 3),
+      cardEntry('2024-02-03', 7000, '현대카드'),
+      entry('2024-02-04', 'expense', 5000),
+    ];
+    expect(getCardPayments(card, entries).map(({ paymentDate, amount, count }) => [paymentDate, amount, count])).toEqual([
+      ['2024-02-14', 50000, 2],
+      ['2024-03-14', 30000, 1],
+      ['2024-04-14', 30000, 1],
+      ['2024-05-14', 30000, 1],
+    ]);
+  });
+
+  test('forecasts upcoming payments for active cards with billing days', () => {
+    const accounts = [card, { ...midMonthCard, archived: true }, { name: '체크카드', kind: 'card' }];
+    const entries = [cardEntry('2024-01-10', 30000), cardEntry('2024-02-01', 90000, card.name, 3)];
+    const forecast = forecastCardPayments(accounts, entries, '2024-02-15');
+    expect(forecast).toHaveLength(1);
+    expect(forecast[0].payments.map(payment => payment.paymentDate)).toEqual(['2024-03-14', '2024-04-14']);
+  });
+});
+
+describe('installments', () => {
+  const purchase = { ...entry('2024-01-31', 'expense', 1200000, '가전'), id: 'tv', installmentMonths: 12, installmentRate: 12 };
+
+  test('charges a monthly fee on the remaining principal', () => {
+    const schedule = getInstallmentSchedule(purchase);
+    expect(schedule[0]).toEqual({ principal: 100000, interest: 12000, amount: 112000 });
+    expect(schedule[11]).toEqual({ principal: 100000, interest: 1000, amount: 101000 });
+    expect(schedule.reduce((sum, payment) => sum + payment.interest, 0)).toBe(78000);
+    expect(getInstallmentSchedule({ amount: 90000, installmentMonths: 3 }).map(payment => payment.interest)).toEqual([0, 0, 0]);
+  });
+
+  test('counts only the monthly portion in monthly totals', () => {
+    const entries = spreadInstallments([{ ...purchase, installmentRate: 0 }, entry('2024-02-10', 'expense', 5000)]);
+    expect(entries).toHaveLength(13);
+    expect(entries[1].date.toISOString()).toBe('2024-02-29T00:00:00.000Z');
+    expect(getMonthlyTotals(entries)['2024-02']).toEqual({ income: 0, expense: 105000 });
+    expect(summarizeEntries(entries.filter(item => isInRange(item, getMonthRange(2024, 0)))).totalExpense).toBe(100000);
+  });
+
+  test('lists remaining balances and end months', () => {
+    const [status] = getActiveInstallments([purchase, entry('2024-01-05', 'expense', 1000)], '2024-03');
+    expect(status.paidCount).toBe(3);
+    expect(status.nextAmount).toBe(109000);
+    expect(status.remainingAmount).toBe(900000 + 45000);
+    expect(status.endMonthKey).toBe('2024-12');
+    expect(getActiveInstallments([purchase], '2024-12')).toEqual([]);
+  });
+
+  test('merges entry lists without duplicates', () => {
+    expect(mergeEntries([purchase], [purchase, { id: 'other' }]).map(item => item.id)).toEqual(['tv', 'other']);
+  });
+});
+
+describe('year-end tax deduction', () => {
+  const paid = (amount, category, paymentMethod, extra = {}) => ({ ...entry('2024-06-01', 'expense', amount, category), paymentMethod, ...extra });
+  const entries = [
+    paid(10000000, '식비', '신용카드'),
+    paid(2000000, '의료비', '신용카드'),
+    paid(4000000, '교육비', '체크카드'),
+    paid(1000000, '의료비', '현금', { cashReceipt: true }),
+    paid(500000, '식비', '현금', { cashReceipt: false }),
+    paid(200000, '식비', '현금'),
+    paid(100000, '식비', '상품권'),
+    paid(50000, '식비', '기타 결제'),
+    { ...entry('2024-06-02', 'expense', 30000), paymentMethod: '' },
+    entry('2024-06-25', 'income', 3000000, '급여'),
+  ];
+  const options = {
+    salary: 40000000,
+    paymentGroups: { '신용카드': 'credit', '체크카드': 'debit', '현금': 'cash', '상품권': 'none' },
+    categoryGroups: { '의료비': 'medical', '교육비': 'education', '식비': 'none' },
+  };
+
+  test('fills the threshold with credit card spending first and counts only issued cash receipts', () => {
+    const { card } = computeTaxDeduction(entries, options);
+    expect(card).toMatchObject({ credit: 12000000, debit: 4000000, cash: 1000000, total: 17000000, threshold: 10000000, shortfall: 0 });
+    // 200만×15% + 400만×30% + 100만×30%
+    expect(card.deduction).toBe(1800000);
+    expect(computeTaxDeduction(entries, { ...options, rules: { card: { cap: 1000000 } } }).card.deduction).toBe(1000000);
+  });
+
+  test('applies salary thresholds and spending caps to tax credits', () => {
+    const { credits, totalCredit } = computeTaxDeduction(entries, options);
+    expect(credits).toEqual([
+      { group: 'medical', amount: 3000000, eligibleAmount: 1800000, credit: 270000 },
+      { group: 'education', amount: 4000000, eligibleAmount: 3000000, credit: 450000 },
+      { group: 'donation', amount: 0, eligibleAmount: 0, credit: 0 },
+    ]);
+    expect(totalCredit).toBe(720000);
+  });
+
+  test('flags spending that needs more information, newest first', () => {
+    const { issues, paymentMethods } = computeTaxDeduction(entries, options);
+    expect(issues.map(issue => [issue.entry.amount, issue.reason])).toEqual([
+      [30000, 'no-payment-method'],
+      [200000, 'cash-receipt-unknown'],
+      [50000, 'unknown-payment-method'],
+    ]);
+    expect(paymentMethods[0]).toEqual({ paymentMethod: '신용카드', group: 'credit', amount: 12000000, count: 2 });
+    expect(paymentMethods.find(item => item.paymentMethod === '기타 결제').group).toBeNull();
+  });
+
+  test('reports the card spending still needed to reach the threshold', () => {
+    const { card } = computeTaxDeduction(entries, { ...options, salary: 80000000 });
+    expect(card.shortfall).toBe(3000000);
+    expect(card.deduction).toBe(0);
+  });
+});
+
+describe('settle-up', () => {
+  const split = (amount, paidBy, splitShares) => ({ ...entry('2024-06-01', 'expense', amount), paidBy, splitShares });
+  const entries = [
+    split(100000, 'wife', getEqualShares(['wife', 'husband'])),
+    split(30000, 'husband', { wife: 100 }),
+    split(60000, 'husband', { wife: 70, husband: 30 }),
+    { ...entry('2024-06-02', 'expense', 50000), paidBy: 'wife' },
+    { ...entry('2024-06-25', 'income', 3000000, '급여'), paidBy: 'wife', splitShares: { wife: 100 } },
+  ];
+
+  test('computes what each member paid, owes and who should pay whom', () => {
+    const { members, transfers, entryCount } = computeSettlement(entries, []);
+    expect(entryCount).toBe(3);
+    expect(members.wife).toEqual({ paid: 100000, share: 122000, sent: 0, received: 0, balance: -22000 });
+    expect(members.husband).toEqual({ paid: 90000, share: 68000, sent: 0, received: 0, balance: 22000 });
+    expect(transfers).toEqual([{ from: 'wife', to: 'husband', amount: 22000 }]);
+  });
+
+  test('a recorded settlement zeroes the balance', () => {
+    const { members, transfers } = computeSettlement(entries, [{ from: 'wife', to: 'husband', amount: 22000 }]);
+    expect(members.wife.balance).toBe(0);
+    expect(members.husband.balance).toBe(0);
+    expect(transfers).toEqual([]);
+  });
+});
+
+describe('auto-categorization rules', () => {
+  const rules = [
+    { id: 'r1', matchType: 'contains', pattern: '스타벅스', type: 'expense', category: '카페', paymentMethod: '신용카드', tags: ['커피'] },
+    { id: 'r2', matchType: 'regex', pattern: '^(GS25|CU)\\b', type: 'expense', category: '식비', paymentMethod: '', tags: [] },
+    { id: 'r3', matchType: 'regex', pattern: '([', type: 'expense', category: '잘못된 규칙' },
+  ];
+
+  test('splits tags on commas and hashes, keeping spaces inside a tag', () => {
+    expect(normalizeTags('#커피, 카페 #제주여행 2026 ,커피')).toEqual(['커피', '카페', '제주여행 2026']);
+  });
+
+  test('matches memos by substring or regex, ignoring case and broken patterns', () => {
+    expect(findMatchingRule(rules, '스타벅스 역삼점', 'expense').id).toBe('r1');
+    expect(findMatchingRule(rules, 'gs25 강남', 'expense').id).toBe('r2');
+    expect(findMatchingRule(rules, '스타벅스', 'income')).toBeNull();
+    expect(findMatchingRule(rules, '([', 'expense')).toBeNull();
+  });
+
+  test('plans only the changes a rule would make', () => {
+    const entries = [
+      { id: 'a', type: 'expense', amount: 5000, memo: '스타벅스', category: '기타 지출', subcategory: '기타', paymentMethod: '현금' },
+      { id: 'b', type: 'expense', amount: 5000, memo: '스타벅스', category: '카페', paymentMethod: '신용카드', tags: ['커피'] },
+      { id: 'c', type: 'transfer', amount: 5000, memo: '스타벅스' },
+      { id: 'd', type: 'expense', amount: 5000, memo: '스타벅스', category: '기타 지출', paymentMethod: '신용카드', tags: ['커피'], splitLines: [] },
+      { id: 'e', type: 'expense', amount: 5000, memo: '스타벅스', category: '식비', paymentMethod: '신용카드', tags: ['커피'], splitLines: [{ category: '식비', amount: 5000 }] },
+    ];
+    const plans = planRuleApplications(entries, rules);
+    expect(plans.map(plan => plan.entry.id)).toEqual(['a', 'd']);
+    expect(plans[0].changes).toEqual({ category: '카페', subcategory: undefined, paymentMethod: '신용카드', tags: ['커피'] });
+    expect(plans[1].changes).toEqual({ category: '카페' });
+  });
+
+  test('suggests rules for memos that keep getting the same category', () => {
+    const entries = [
+      ...[1, 2, 3].map(i => ({ id: `k${i}`, type: 'expense', memo: '카카오T', category: '교통비', paymentMethod: '간편결제' })),
+      ...[1, 2, 3].map(i => ({ id: `s${i}`, type: 'expense', memo: '스타벅스', category: '카페', paymentMethod: '신용카드' })),
+      ...[1, 2, 3].map(i => ({ id: `m${i}`, type: 'expense', memo: '마트', category: i === 1 ? '식비' : '생활용품' })),
+      ...[1, 2, 3].map(i => ({ id: `e${i}`, type: 'expense', memo: '다이소', category: '기타 지출' })),
+    ];
+    expect(suggestRulesFromEntries(entries, rules, ['기타 지출'])).toEqual([
+      { matchType: 'contains', pattern: '카카오T', type: 'expense', category: '교통비', paymentMethod: '간편결제', tags: [], count: 3 },
+    ]);
+  });
+});
+
+describe('tags and split lines', () => {
+  const mart = {
+    ...entry('2025-03-02', 'expense', 50000, '식비'),
+    splitLines: [{ category: '식비', amount: 30000 }, { category: '생활용품', amount: 20000 }],
+    tags: ['장보기'],
+  };
+  const trip = { ...entry('2025-03-05', 'expense', 120000, '교통비'), tags: ['제주여행 2026', '장보기'] };
+
+  test('uses the largest line as the primary category', () => {
+    expect(getPrimaryCategory(mart.splitLines)).toBe('식비');
+  });
+
+  test('scales lines to the converted or installment amount without losing won', () => {
+    const lines = getCategoryLines({ ...mart, amount: 16667, splitLines: [{ category: '식비', amount: 1 }, { category: '생활용품', amount: 1 }, { category: '의료비', amount: 1 }] });
+    expect(lines.map(line => line.amount)).toEqual([5556, 5556, 5555]);
+    expect(getCategoryLines(trip)).toEqual([{ category: '교통비', amount: 120000 }]);
+  });
+
+  test('adds each line to its category and the whole amount to each tag', () => {
+    const { categoryExpenses, tagExpenses } = summarizeEntries([mart, trip]);
+    expect(categoryExpenses).toEqual([['교통비', 120000], ['식비', 30000], ['생활용품', 20000]]);
+    expect(tagExpenses).toEqual([['장보기', 170000], ['제주여행 2026', 120000]]);
+  });
+
+  test('filters by any split line category and by tags', () => {
+    const entries = [mart, trip];
+    expect(filterEntries(entries, { categories: ['생활용품'] })).toEqual([mart]);
+    expect(filterEntries(entries, { tags: ['제주여행 2026'] })).toEqual([trip]);
+    expect(filterEntries(entries, { query: '제주' })).toEqual([trip]);
+    expect(collectTags(entries)).toEqual(['장보기', '제주여행 2026']);
+  });
+
+  test('renames a category used only inside a split line', () => {
+    expect(renameEntryCategory(mart, '생활용품', '생필품')).toEqual({
+      category: '식비',
+      splitLines: [{ category: '식비', amount: 30000 }, { category: '생필품', amount: 20000 }],
+      categories: ['식비', '생필품'],
+    });
+    expect(renameEntryCategory(trip, '교통비', '이동')).toEqual({ category: '이동', categories: ['이동'] });
+  });
+});
+
+describe('exchange rates', () => {
+  const rates = { USD: { '2025-01-01': 1450, '2025-02-01': 1440 } };
+
+  test('uses the latest rate on or before the entry date', () => {
+    expect(findExchangeRate(rates, 'USD', '2025-01-20')).toBe(1450);
+    expect(findExchangeRate(rates, 'USD', '2025-03-05')).toBe(1440);
+    expect(findExchangeRate(rates, 'USD', '2024-12-31')).toBe(1450);
+    expect(findExchangeRate(rates, 'JPY', '2025-01-20')).toBeNull();
+  });
+
+  test('reads rate files in any column order and per-100 quotes', () => {
+    const { rates: parsed, skipped } = parseExchangeRateRows([
+      ['날짜', '통화', '환율'],
+      ['2025/03/04', 'usd', '1,452.30'],
+      ['JPY(100)', '955.5', '2025-03-04'],
+      ['EUR', '1510'],
+      ['KRW', '1'],
+    ], '2025-03-10');
+    expect(parsed).toEqual([
+      { currency: 'USD', date: '2025-03-04', rate: 1452.3 },
+      { currency: 'JPY', date: '2025-03-04', rate: 9.555 },
+      { currency: 'EUR', date: '2025-03-10', rate: 1510 },
+    ]);
+    expect(skipped).toBe(2);
+  });
+
+  test('skips rows whose date is not YYYY-MM-DD or YYYY/MM/DD instead of reading it as a rate', () => {
+    const { rates: parsed, skipped } = parseExchangeRateRows([
+      ['20240105', 'USD', '1,452'],
+      ['2024.01.05', 'USD'],
+      ['2024-02-30', 'USD', '1450'],
+      ['USD', '0'],
+      ['USD', '9'.repeat(400)],
+      ['2024-01-05', 'USD', '1,452'],
+    ], '2024-01-10');
+    expect(parsed).toEqual([{ currency: 'USD', date: '2024-01-05', rate: 1452 }]);
+    expect(skipped).toBe(5);
+  });
+
+  test('converts recurring foreign entries at the rate for each posting date', () => {
+    const template = { amount: 14500, currency: 'USD', originalAmount: 10, exchangeRate: 1450 };
+    expect(getRecurringAmount(template, rates, '2025-02-15')).toEqual({ amount: 14400, exchangeRate: 1440 });
+    expect(getRecurringAmount(template, {}, '2025-02-15')).toEqual({ amount: 14500, exchangeRate: 1450 });
+    expect(getRecurringAmount({ amount: 50000 }, rates, '2025-02-15')).toEqual({ amount: 50000 });
+  });
+
+  test('merges imported rates without mutating the table', () => {
+    const merged = mergeExchangeRates(rates, [{ currency: 'USD', date: '2025-02-01', rate: 1445 }, { currency: 'EUR', date: '2025-02-01', rate: 1500 }]);
+    expect(merged).toEqual({ USD: { '2025-01-01': 1450, '2025-02-01': 1445 }, EUR: { '2025-02-01': 1500 } });
+    expect(rates.USD['2025-02-01']).toBe(1440);
+  });
+});
+
+describe('recurrence', () => {
+  test('clamps monthly occurrences to the last day of short months', () => {
+    const rule = { frequency: 'monthly', dayOfMonth: 31, startDate: '2024-01-01' };
+    expect(getRecurringOccurrences(rule, '2024-01-15', '2024-04-30')).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  test('starts no earlier than the start date and honours the max count', () => {
+    const rule = { frequency: 'weekly', dayOfWeek: 1, startDate: '2024-03-01' };
+    expect(getRecurringOccurrences(rule, '2024-01-01', '2024-12-31', 2)).toEqual(['2024-03-04', '2024-03-11']);
+  });
+
+  test('describes rules in Korean', () => {
+    expect(describeRecurrence({ frequency: 'weekly', dayOfWeek: 5 })).toBe('매주 금요일');
+    expect(describeRecurrence({ frequency: 'yearly', monthOfYear: 5, dayOfMonth: 8 })).toBe('매년 5월 8일');
+  });
+});
+
+describe('user profile', () => {
+  test('lists ledgers in the order they were joined, naming unnamed ones', () => {
+    const joinedAt = (millis) => ({ toMillis: () => millis });
+    const profile = {
+      lastLedgerId: 'b',
+      ledgers: {
+        b: { name: '부모님 용돈', joinedAt: joinedAt(200) },
+        a: { name: '우리집', joinedAt: joinedAt(100) },
+        c: { name: '' },
+      },
+    };
+    expect(getProfileLedgers(profile).map(({ id, name }) => [id, name])).toEqual([
+      ['a', '우리집'],
+      ['b', '부모님 용돈'],
+      ['c', '이름 없는 가계부'],
+    ]);
+    expect(getProfileLedgers(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+// 프로덕션 빌드에서만 서비스 워커(public/service-worker.js)를 등록하여 앱을 설치(PWA)하고 오프라인에서 열 수 있게 합니다.
+// 개발 서버에서는 캐시 때문에 변경 사항이 보이지 않는 문제를 피하기 위해 등록하지 않습니다.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => {
+        console.error(error.message);
+      });
+  }
+}
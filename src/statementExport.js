@@ -0,0 +1,125 @@
+// 파일 내보내기 (CSV, PDF 명세서, 엑셀)
+// - PDF와 엑셀 라이브러리는 용량이 커서 내보낼 때 동적으로 불러옵니다.
+// - 엑셀 통합 문서 구성은 라이브러리를 인자로 받아 브라우저 없이 테스트할 수 있게 합니다.
+
+export const downloadBlob = (blob, filename) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+// 숫자는 그대로 두고 나머지는 쌍따옴표로 감쌉니다. 날짜는 화면과 같은 형식, 빈 값(undefined 등)은 빈 문자열입니다.
+const toCsvCell = (value) => {
+  if (typeof value === 'number') return value;
+  const text = value instanceof Date ? value.toLocaleDateString('ko-KR') : String(value ?? '');
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// UTF-8 BOM을 붙여 엑셀에서 한글이 깨지지 않게 합니다.
+export const downloadCsv = (filename, rows) => {
+  const csvString = '\ufeff' + rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+  downloadBlob(new Blob([csvString], { type: 'text/csv;charset=utf-8;' }), filename);
+};
+
+// --- PDF 명세서 ---
+// jsPDF 기본 글꼴은 한글을 지원하지 않으므로, 화면 밖에 그린 명세서의 각 블록(data-pdf-block)을
+// 이미지로 만들어 A4 페이지에 차례로 배치합니다. 블록이 남은 공간에 들어가지 않으면 새 페이지에서 시작합니다.
+
+const PDF_MARGIN = 10; // mm
+const PDF_BLOCK_GAP = 4; // mm
+
+export const downloadPdf = async (container, filename) => {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import('jspdf'), import('html2canvas')]);
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pdf.internal.pageSize.getWidth() - PDF_MARGIN * 2;
+
+  let y = PDF_MARGIN;
+  for (const block of container.querySelectorAll('[data-pdf-block]')) {
+    const canvas = await html2canvas(block, { scale: 2, backgroundColor: '#ffffff' });
+    const height = (canvas.height * contentWidth) / canvas.width;
+    if (y > PDF_MARGIN && y + height > pageHeight - PDF_MARGIN) {
+      pdf.addPage();
+      y = PDF_MARGIN;
+    }
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', PDF_MARGIN, y, contentWidth, height);
+    y += height + PDF_BLOCK_GAP;
+  }
+  pdf.save(filename);
+};
+
+// --- 엑셀 ---
+// 요약 시트 하나와 월별 내역 시트로 구성합니다. 숫자와 날짜는 문자열이 아닌 셀 형식으로 저장해
+// 엑셀에서 바로 합계를 내거나 정렬할 수 있습니다.
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const AMOUNT_FORMAT = '#,##0';
+const DECIMAL_FORMAT = '#,##0.0###'; // 외화 금액, 환율
+const PERCENT_FORMAT = '0.0%';
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+const formatMonthSheetName = (monthKey) => `${monthKey.slice(0, 4)}년 ${Number(monthKey.slice(5))}월`;
+
+// 값의 형식에 맞춰 셀 서식을 지정하며 한 행을 추가합니다.
+const addTypedRow = (sheet, values, { bold = false } = {}) => {
+  const row = sheet.addRow(values);
+  row.eachCell((cell) => {
+    if (cell.value instanceof Date) cell.numFmt = DATE_FORMAT;
+    else if (typeof cell.value === 'number') cell.numFmt = Number.isInteger(cell.value) ? AMOUNT_FORMAT : DECIMAL_FORMAT;
+  });
+  if (bold) row.font = { bold: true };
+  return row;
+};
+
+// report: buildReport 결과, entryHeaders: 내역 열 이름, entryRows: [{ monthKey, cells }] (날짜순)
+export const buildStatementWorkbook = (ExcelJS, { title, report, entryHeaders, entryRows }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet('요약');
+  summary.columns = [{ width: 18 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }];
+  summary.addRow([title]).font = { bold: true, size: 14 };
+  summary.addRow(['기간', `${report.from} ~ ${report.to}`]);
+  summary.addRow([]);
+  addTypedRow(summary, ['총 수입', report.totalIncome]);
+  addTypedRow(summary, ['총 지출', report.totalExpense]);
+  addTypedRow(summary, ['순수입', report.netBalance]);
+  addTypedRow(summary, ['일평균 지출', report.averageDailyExpense]);
+  summary.addRow([]);
+
+  addTypedRow(summary, ['월', '수입', '지출', '순수입'], { bold: true });
+  report.months.forEach(month => addTypedRow(summary, [formatMonthSheetName(month.monthKey), month.income, month.expense, month.net]));
+  addTypedRow(summary, ['합계', report.totalIncome, report.totalExpense, report.netBalance], { bold: true });
+  summary.addRow([]);
+
+  addTypedRow(summary, ['카테고리', '지출', '비중', '전년 같은 기간', '전년 대비'], { bold: true });
+  report.categories.forEach(item => {
+    const row = addTypedRow(summary, [
+      item.category,
+      item.amount,
+      item.percent / 100,
+      item.previousYearAmount,
+      item.yearOverYear === null ? null : item.yearOverYear / 100,
+    ]);
+    row.getCell(3).numFmt = PERCENT_FORMAT;
+    row.getCell(5).numFmt = PERCENT_FORMAT;
+  });
+
+  report.months.forEach(({ monthKey }) => {
+    const sheet = workbook.addWorksheet(formatMonthSheetName(monthKey));
+    sheet.columns = entryHeaders.map(header => ({ header, width: header === '메모' ? 30 : 14 }));
+    sheet.getRow(1).font = { bold: true };
+    entryRows.filter(row => row.monthKey === monthKey).forEach(row => addTypedRow(sheet, row.cells));
+  });
+
+  return workbook;
+};
+
+export const downloadXlsx = async (filename, options) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const buffer = await buildStatementWorkbook(ExcelJS, options).xlsx.writeBuffer();
+  downloadBlob(new Blob([buffer], { type: XLSX_MIME_TYPE }), filename);
+};
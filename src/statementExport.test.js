@@ -0,0 +1,49 @@
+import ExcelJS from 'exceljs';
+import { buildStatementWorkbook } from './statementExport';
+
+const report = {
+  from: '2025-01-01',
+  to: '2025-02-28',
+  months: [
+    { monthKey: '2025-01', income: 3000000, expense: 1200000, net: 1800000 },
+    { monthKey: '2025-02', income: 3000000, expense: 800000, net: 2200000 },
+  ],
+  totalIncome: 6000000,
+  totalExpense: 2000000,
+  netBalance: 4000000,
+  averageDailyExpense: 33898,
+  categories: [{ category: '식비', amount: 2000000, percent: 100, previousYearAmount: 0, yearOverYear: null }],
+};
+
+describe('excel statement', () => {
+  const workbook = buildStatementWorkbook(ExcelJS, {
+    title: '우리집 2025년 명세서',
+    report,
+    entryHeaders: ['날짜', '카테고리', '금액', '메모'],
+    entryRows: [
+      { monthKey: '2025-01', cells: [new Date('2025-01-05'), '식비', 1200000, '장보기'] },
+      { monthKey: '2025-02', cells: [new Date('2025-02-10'), '식비', 800000, '', 'USD', 551.5] },
+    ],
+  });
+
+  test('has a summary sheet followed by one sheet per month', () => {
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['요약', '2025년 1월', '2025년 2월']);
+  });
+
+  test('stores dates and amounts as typed cells', () => {
+    const row = workbook.getWorksheet('2025년 1월').getRow(2);
+    expect(row.getCell(1).value).toEqual(new Date('2025-01-05'));
+    expect(row.getCell(1).numFmt).toBe('yyyy-mm-dd');
+    expect(row.getCell(3).value).toBe(1200000);
+    expect(row.getCell(3).numFmt).toBe('#,##0');
+    expect(workbook.getWorksheet('2025년 2월').rowCount).toBe(2);
+    expect(workbook.getWorksheet('2025년 2월').getRow(2).getCell(6).numFmt).toBe('#,##0.0###');
+  });
+
+  test('writes category shares as percentages', () => {
+    const summary = workbook.getWorksheet('요약');
+    const categoryRow = summary.getRows(1, summary.rowCount).find(row => row.getCell(1).value === '식비');
+    expect(categoryRow.getCell(3).value).toBe(1);
+    expect(categoryRow.getCell(3).numFmt).toBe('0.0%');
+  });
+});